@@ -0,0 +1,717 @@
+#!/usr/bin/env node
+/**
+ * gpu-bpe — command-line front end for the library
+ *
+ *   gpu-bpe train --vocab 32768 corpus/
+ *   gpu-bpe encode --model m.json in.txt
+ *   gpu-bpe decode --model m.json tokens.txt
+ *   gpu-bpe export-bin --model m.json --out train.bin corpus/
+ *   gpu-bpe export-bin --model m.json --eos '<|endoftext|>' --doc-index corpus/
+ *   gpu-bpe inspect model.json
+ *   gpu-bpe inspect train-v32768-0000.bin
+ *
+ * Runs on WebGPU when a Node binding (the `webgpu` package) is installed
+ * and finds an adapter; otherwise on the CPU backend. Library logging goes
+ * to stderr so encoded / decoded output can be piped from stdout.
+ */
+
+import { readFile, writeFile, readdir, stat, open, rename, unlink, mkdir } from 'node:fs/promises';
+import { createReadStream } from 'node:fs';
+import { join, dirname, relative, sep } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import {
+    BPEEngine, Backend, BPETrainer, MAX_VOCAB_SIZE, TrieTokenizer, EncodeMode,
+    ALL_SPECIAL, Vocab, Decoder, Normalizer, resolveNormalizerRules, normalizeChunks,
+    createPreTokenizer, resolvePreTokenizerRules, loadShaderFromFile,
+    parseModelFile, fromGpt2Files, toModelJson, toTokenizerJson, toTiktoken, toGpt2Files,
+    toAddedTokensJson, parseAddedTokensJson,
+    VOCAB_FILE_NAME, MERGES_FILE_NAME, ADDED_TOKENS_FILE_NAME, encodeDxft, dxftFileName,
+    DxftWriter, DxftDataset, DatasetSplit, DxftFlags, TokenDtype, tokenDtypeFor, tokenizeToDxft, resolveTokenId,
+    readDxft, dxftFlagNames, characterTokenMap,
+} from '../src/node.js';
+import { PARAGRAPH_SEPARATOR, DEFAULT_VOCAB_SIZE, isTextFile, formatSize } from '../src/utils.js';
+
+// ─── Constants ──────────────────────────────────────────────
+
+const STREAM_CHUNK_SIZE = 1 << 20;   // export-bin read size
+
+const USAGE = `Usage: gpu-bpe <command> [options]
+
+Commands:
+  train <file|dir>...         Train a BPE vocabulary
+      --vocab <n>             Target vocabulary size (default ${DEFAULT_VOCAB_SIZE})
+      --format <f>            json | tokenizer | tiktoken | gpt2 (default json)
+      --special <list>        Special tokens, comma-separated (ids 256..)
+      --pre-tokenizer <p>     default | gpt2 | cl100k | llama3 | whitespace | none
+      --pre-tokenizer-regex <re>
+                              Split pattern instead of a preset (tiktoken / tokenizer.json syntax)
+      --normalize <n>         none | nfc | nfkc | nfkc_cf (default nfc; recorded in the model)
+      --strip-accents         Also drop combining accents (with nfc or nfkc)
+      --character-coverage <x>
+                              Characters covering this share of the corpus, e.g. 0.9995,
+                              become base tokens; the rest falls back to bytes
+      --out <path>            Output file (directory for gpt2)
+  encode [file|-]             Text → token ids (one line, space-separated)
+  decode [file|-]             Token ids → text
+  export-bin <file|dir>...    Tokenize files → DXFT .bin dataset
+      --split-docs            Tokenize each file as its own document
+      --eos <id|token>        Token between documents (implies --split-docs)
+      --doc-index             Append the document offset index (implies --split-docs)
+      --dtype <t>             u16 | u32 token storage (default: u16 when the vocab fits)
+      --shard-tokens <n>      Split into shards of n tokens; --out is a directory
+      --val <ratio>           Share of tokens for val shards, e.g. 0.01 (implies shards)
+  inspect <model|.bin>        Print vocabulary statistics, or verify a DXFT .bin
+
+Model options (encode, decode, export-bin):
+  --model <path>              Model JSON, tokenizer.json, .tiktoken or vocab.json
+  --merges <path>             merges.txt, when --model is a GPT-2 vocab.json
+  --added-tokens <path>       added_tokens.json special tokens (.tiktoken, vocab.json)
+  --mode <m>                  merge | longest (default: merge when the model has merges)
+  --allow-special             Match special-token text as the special token
+  --pre-tokenize              Split the input with a pre-tokenizer even when the model
+                              records none (or --pre-tokenizer / --pre-tokenizer-regex);
+                              models that record one are split with it by default
+  --no-pre-tokenize           Use the byte-level word-start heuristic instead
+  --out <path>                Output file (default: stdout; export-bin: train-v<V>-<N>.bin)
+
+Global options:
+  --cpu                       Skip WebGPU, use the CPU backend
+  --quiet                     Suppress progress logging
+  -h, --help                  Show this help`;
+
+const OPTIONS = {
+    vocab: { type: 'string' },
+    format: { type: 'string', default: 'json' },
+    model: { type: 'string' },
+    merges: { type: 'string' },
+    'added-tokens': { type: 'string' },
+    special: { type: 'string' },
+    'pre-tokenizer': { type: 'string' },
+    'pre-tokenizer-regex': { type: 'string' },
+    normalize: { type: 'string' },
+    'strip-accents': { type: 'boolean', default: false },
+    'character-coverage': { type: 'string' },
+    'allow-special': { type: 'boolean', default: false },
+    'pre-tokenize': { type: 'boolean', default: false },
+    'no-pre-tokenize': { type: 'boolean', default: false },
+    'split-docs': { type: 'boolean', default: false },
+    eos: { type: 'string' },
+    'doc-index': { type: 'boolean', default: false },
+    dtype: { type: 'string' },
+    'shard-tokens': { type: 'string' },
+    val: { type: 'string' },
+    mode: { type: 'string' },
+    out: { type: 'string' },
+    top: { type: 'string', default: '20' },
+    all: { type: 'boolean', default: false },
+    cpu: { type: 'boolean', default: false },
+    quiet: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+// ─── Environment ────────────────────────────────────────────
+
+/**
+ * WebGPU provider from the optional `webgpu` package (Dawn), or undefined.
+ * @returns {Promise<GPU|undefined>}
+ */
+async function loadNodeGPU() {
+    try {
+        const { create, globals } = await import('webgpu');
+        if (globals) Object.assign(globalThis, globals);
+        return create([]);
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * @param {{ cpu: boolean }} opts
+ * @returns {Promise<BPEEngine>}
+ */
+async function initEngine(opts) {
+    const gpu = opts.cpu ? undefined : await loadNodeGPU();
+    const backend = opts.cpu ? Backend.CPU : Backend.AUTO;
+    const engine = await new BPEEngine({ gpu, loadShader: loadShaderFromFile, backend }).init();
+    console.log(`→ backend: ${engine.backend === Backend.CPU ? 'CPU' : 'WebGPU'}`);
+    return engine;
+}
+
+// ─── Input Files ────────────────────────────────────────────
+
+/**
+ * Expand paths: files as given, directories recursively (text extensions only,
+ * dotfiles skipped, sorted for a reproducible corpus order).
+ *
+ * @param {string[]} paths
+ * @returns {Promise<string[]>}
+ */
+async function expandPaths(paths) {
+    const files = [];
+
+    for (const path of paths) {
+        if (!(await stat(path)).isDirectory()) {
+            files.push(path);
+            continue;
+        }
+
+        const entries = await readdir(path, { recursive: true, withFileTypes: true });
+        const found = entries
+            .filter(e => e.isFile() && isTextFile(e.name))
+            .map(e => join(e.parentPath ?? e.path, e.name))
+            .filter(p => !relative(path, p).split(sep).some(part => part.startsWith('.')))
+            .sort();
+        files.push(...found);
+    }
+
+    if (files.length === 0) throw new Error('No input files');
+    return files;
+}
+
+/**
+ * Read and join files with the paragraph separator (the trainer normalizes).
+ *
+ * @param {string[]} files
+ * @returns {Promise<Uint8Array>}
+ */
+async function readCorpus(files) {
+    const separator = new TextEncoder().encode(PARAGRAPH_SEPARATOR);
+    const parts = [];
+    let totalLen = 0;
+
+    for (const file of files) {
+        const data = new Uint8Array(await readFile(file));
+        if (parts.length > 0) {
+            parts.push(separator);
+            totalLen += separator.length;
+        }
+        parts.push(data);
+        totalLen += data.length;
+    }
+
+    const corpus = new Uint8Array(totalLen);
+    let offset = 0;
+    for (const part of parts) {
+        corpus.set(part, offset);
+        offset += part.length;
+    }
+
+    console.log(`→ read ${files.length} file(s) — ${formatSize(totalLen)}`);
+    return corpus;
+}
+
+/**
+ * Stream a file as chunks of raw bytes.
+ *
+ * @param {string} file
+ * @param {(bytes: number) => void} [onRead] - raw bytes read
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+async function* readChunks(file, onRead) {
+    for await (const chunk of createReadStream(file, { highWaterMark: STREAM_CHUNK_SIZE })) {
+        onRead?.(chunk.length);
+        yield new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.length);
+    }
+}
+
+/**
+ * DxftSink over a file on disk.
+ *
+ * @param {import('node:fs/promises').FileHandle} handle
+ * @returns {import('../src/bpe/dxft.js').DxftSink}
+ */
+function fileSink(handle) {
+    let position = 0;
+    return {
+        async write(bytes) {
+            await handle.write(bytes, 0, bytes.length, position);
+            position += bytes.length;
+        },
+        async writeAt(at, bytes) {
+            await handle.write(bytes, 0, bytes.length, at);
+        },
+    };
+}
+
+/**
+ * DxftSource over a Node file handle (ranged reads, for inspect).
+ *
+ * @param {import('node:fs/promises').FileHandle} handle
+ * @returns {Promise<import('../src/bpe/dxft-reader.js').DxftSource>}
+ */
+async function fileSource(handle) {
+    const { size } = await handle.stat();
+    return {
+        size,
+        async read(start, end) {
+            const bytes = new Uint8Array(end - start);
+            const { bytesRead } = await handle.read(bytes, 0, bytes.length, start);
+            return bytes.subarray(0, bytesRead);
+        },
+    };
+}
+
+/** @param {string|undefined} path - file path, '-' or undefined for stdin */
+async function readInput(path) {
+    if (path && path !== '-') return new Uint8Array(await readFile(path));
+
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return new Uint8Array(Buffer.concat(chunks));
+}
+
+/**
+ * @param {string|undefined} path - file path, or undefined for stdout
+ * @param {Uint8Array|string} data
+ */
+async function writeOutput(path, data) {
+    if (path) {
+        await writeFile(path, data);
+    } else {
+        await new Promise((resolve, reject) =>
+            process.stdout.write(data, err => (err ? reject(err) : resolve())));
+    }
+}
+
+// ─── Models ─────────────────────────────────────────────────
+
+/**
+ * @param {{ model?: string, merges?: string, 'added-tokens'?: string }} opts
+ * @returns {Promise<{ vocab: number[][], merges: number[][], specialTokens?: Record<string, number> }>}
+ */
+async function loadModel(opts) {
+    if (!opts.model) throw new Error('--model is required');
+
+    const text = await readFile(opts.model, 'utf8');
+    const addedTokensJson = opts['added-tokens'] ? await readFile(opts['added-tokens'], 'utf8') : null;
+    const model = opts.merges
+        ? fromGpt2Files(text, await readFile(opts.merges, 'utf8'), addedTokensJson)
+        : parseModelFile(opts.model, text, addedTokensJson ? parseAddedTokensJson(addedTokensJson) : {});
+
+    if (!model.vocab || !model.merges) {
+        throw new Error(`Invalid vocabulary file: ${opts.model}`);
+    }
+    return model;
+}
+
+/**
+ * @param {BPEEngine} engine
+ * @param {{ vocab: number[][], merges: number[][] }} model
+ * @param {string|undefined} mode
+ * @returns {TrieTokenizer}
+ */
+function createTokenizer(engine, model, mode) {
+    if (mode && !Object.values(EncodeMode).includes(mode)) {
+        throw new Error(`Unknown --mode "${mode}" (expected ${Object.values(EncodeMode).join(' | ')})`);
+    }
+    return TrieTokenizer.fromVocab(engine, model.vocab, {
+        merges: model.merges.length > 0 ? model.merges : undefined,
+        mode,
+        specialTokens: model.specialTokens,
+        characterCoverage: model.characterCoverage,
+    });
+}
+
+// ─── Commands ───────────────────────────────────────────────
+
+async function train(opts, paths) {
+    const targetVocabSize = Number(opts.vocab ?? DEFAULT_VOCAB_SIZE);
+    if (!Number.isInteger(targetVocabSize) || targetVocabSize <= 256 || targetVocabSize > MAX_VOCAB_SIZE) {
+        throw new Error(`--vocab must be an integer in 257..${MAX_VOCAB_SIZE}`);
+    }
+    if (!['json', 'tokenizer', 'tiktoken', 'gpt2'].includes(opts.format)) {
+        throw new Error(`Unknown --format "${opts.format}"`);
+    }
+    const preTokenizerRules = resolvePreTokenizerRules(preTokenizerOption(opts));
+    const normalizerRules = normalizerOption(opts);
+    const characterCoverage = opts['character-coverage'] !== undefined ? Number(opts['character-coverage']) : null;
+    if (characterCoverage !== null && !(characterCoverage > 0 && characterCoverage <= 1)) {
+        throw new Error('--character-coverage must be a number in (0, 1]');
+    }
+    if (characterCoverage !== null && opts.format !== 'json') {
+        throw new Error(`--format ${opts.format} cannot hold a character alphabet (its encoders start from bytes) — use --format json with --character-coverage`);
+    }
+
+    const decoder = await Decoder.init();
+    const corpus = await readCorpus(await expandPaths(paths));
+    const engine = await initEngine(opts);
+
+    // Ctrl-C stops after the current batch and still writes the partial vocabulary
+    const trainer = new BPETrainer(engine);
+    const onSigint = () => {
+        console.error('→ cancelling after current batch… (Ctrl-C again to abort)');
+        trainer.cancel();
+        process.once('SIGINT', () => process.exit(130));
+    };
+    process.once('SIGINT', onSigint);
+
+    let model;
+    try {
+        model = await trainer.train(corpus, {
+            targetVocabSize,
+            preTokenizer: createPreTokenizer(decoder, preTokenizerRules),
+            normalizer: new Normalizer(decoder, normalizerRules),
+            characterCoverage,
+            specialTokens: opts.special ? opts.special.split(',').filter(Boolean) : [],
+        });
+    } finally {
+        process.off('SIGINT', onSigint);
+    }
+
+    const n = model.vocabSize;
+    switch (opts.format) {
+        case 'tokenizer':
+            await writeOutput(opts.out ?? `tokenizer-${n}.json`, JSON.stringify(toTokenizerJson(model)));
+            break;
+        case 'tiktoken': {
+            const out = opts.out ?? `bpe-${n}.tiktoken`;
+            await writeOutput(out, toTiktoken(model));
+            await writeAddedTokens(dirname(out), toAddedTokensJson(model));
+            break;
+        }
+        case 'gpt2': {
+            const { vocabJson, mergesTxt, addedTokensJson } = toGpt2Files(model);
+            await writeFile(join(opts.out ?? '.', VOCAB_FILE_NAME), vocabJson);
+            await writeFile(join(opts.out ?? '.', MERGES_FILE_NAME), mergesTxt);
+            await writeAddedTokens(opts.out ?? '.', addedTokensJson);
+            break;
+        }
+        default:
+            await writeOutput(opts.out ?? `bpe-vocab-${n}.json`, JSON.stringify(toModelJson(model)));
+    }
+
+    const status = model.cancelled ? 'cancelled — partial vocabulary' : 'done';
+    console.log(`→ ${status}: ${n} tokens, ${model.merges.length} merges in ${model.trainingTime}`);
+}
+
+/**
+ * Special tokens sidecar for formats that cannot hold them.
+ * @param {string} dir
+ * @param {string|null} addedTokensJson
+ */
+async function writeAddedTokens(dir, addedTokensJson) {
+    if (!addedTokensJson) return;
+    await writeFile(join(dir, ADDED_TOKENS_FILE_NAME), addedTokensJson);
+    console.log(`→ special tokens → ${join(dir, ADDED_TOKENS_FILE_NAME)}`);
+}
+
+/** @returns {'all'|null} */
+function allowedSpecial(opts) {
+    return opts['allow-special'] ? ALL_SPECIAL : null;
+}
+
+/**
+ * --pre-tokenizer / --pre-tokenizer-regex as a rules spec (null when neither is given)
+ * @returns {string|{ preset: 'regex', pattern: string }|null}
+ */
+function preTokenizerOption(opts) {
+    if (opts['pre-tokenizer'] && opts['pre-tokenizer-regex']) {
+        throw new Error('--pre-tokenizer and --pre-tokenizer-regex are exclusive');
+    }
+    return opts['pre-tokenizer-regex']
+        ? { preset: 'regex', pattern: opts['pre-tokenizer-regex'] }
+        : opts['pre-tokenizer'] ?? null;
+}
+
+/**
+ * --normalize / --strip-accents as normalizer rules (NFC when neither is given)
+ * @returns {Readonly<import('../src/wasm/normalizer.mjs').NormalizerRules>}
+ */
+function normalizerOption(opts) {
+    const rules = resolveNormalizerRules(opts.normalize ?? null);
+    return opts['strip-accents'] ? resolveNormalizerRules({ ...rules, stripAccents: true }) : rules;
+}
+
+/**
+ * The pre-tokenizer encoding splits with: the one named on the command line,
+ * else the model's, so merge mode reproduces training. Models that record
+ * none keep the byte-level heuristic unless --pre-tokenize asks for the
+ * default rules; --no-pre-tokenize always does.
+ *
+ * @param {{ preTokenizer?: object|null }} model
+ * @param {Decoder} decoder
+ * @param {Normalizer} normalizer - the model's
+ */
+function encodePreTokenizer(opts, model, decoder, normalizer) {
+    if (opts['no-pre-tokenize']) {
+        if (opts['pre-tokenize']) throw new Error('--pre-tokenize and --no-pre-tokenize are exclusive');
+        return null;
+    }
+    const rules = preTokenizerOption(opts) ?? model.preTokenizer ?? null;
+    if (!rules && !opts['pre-tokenize']) return null;
+    return createPreTokenizer(decoder, rules, normalizer);
+}
+
+async function encode(opts, [path]) {
+    const model = await loadModel(opts);
+    const decoder = await Decoder.init();
+    const normalizer = new Normalizer(decoder, model.normalizer ?? null);
+    const bytes = await readInput(path);
+
+    const tokenizer = createTokenizer(await initEngine(opts), model, opts.mode);
+    const tokens = await tokenizer.encodeBytes(bytes, {
+        allowedSpecial: allowedSpecial(opts),
+        normalizer,
+        preTokenizer: encodePreTokenizer(opts, model, decoder, normalizer),
+    });
+    tokenizer.destroy();
+
+    await writeOutput(opts.out, tokens.join(' ') + '\n');
+    console.log(`→ ${tokens.length} tokens (${tokenizer.mode})`);
+}
+
+async function decode(opts, [path]) {
+    const model = await loadModel(opts);
+    const text = new TextDecoder().decode(await readInput(path)).trim();
+
+    const tokens = text ? text.split(/\s+/).map(Number) : [];
+    const bad = tokens.findIndex(t => !Number.isInteger(t) || t < 0);
+    if (bad >= 0) throw new Error(`Invalid token id "${text.split(/\s+/)[bad]}"`);
+
+    const tokenizer = createTokenizer(await initEngine(opts), model, opts.mode);
+    await writeOutput(opts.out, tokenizer.decode(tokens));
+    tokenizer.destroy();
+}
+
+/** --dtype → TokenDtype (undefined = smallest that fits) */
+function tokenDtype(opts) {
+    if (opts.dtype === undefined) return undefined;
+    const dtype = { u16: TokenDtype.U16, u32: TokenDtype.U32 }[opts.dtype];
+    if (!dtype) throw new Error(`Unknown --dtype "${opts.dtype}" (u16 | u32)`);
+    return dtype;
+}
+
+async function exportBin(opts, paths) {
+    const model = await loadModel(opts);
+    const vocabSize = model.vocab.length;
+    const vocabExport = toModelJson({ ...model, vocabSize });
+    const perDocument = opts['split-docs'] || opts.eos !== undefined || opts['doc-index'];
+    const eosId = opts.eos !== undefined ? resolveTokenId(opts.eos, vocabSize, model.specialTokens) : null;
+    const dtype = tokenDtype(opts) ?? tokenDtypeFor(vocabSize);
+    const sharded = opts['shard-tokens'] !== undefined || opts.val !== undefined;
+
+    const decoder = await Decoder.init();
+    const normalizer = new Normalizer(decoder, model.normalizer ?? null);
+    const files = await expandPaths(paths);
+    const tokenizer = createTokenizer(await initEngine(opts), model, opts.mode);
+    const flags = tokenizer.mode === EncodeMode.LONGEST ? DxftFlags.LONGEST_MATCH : 0;
+
+    // Streams are normalized line by line up front; allowed special tokens are left as is
+    let bytesRead = 0;
+    const keep = allowedSpecial(opts) ? Object.keys(model.specialTokens ?? {}) : [];
+    const docs = files.map(file => normalizeChunks(readChunks(file, n => { bytesRead += n; }), normalizer, keep));
+    const tokenize = (writer) => tokenizeToDxft(tokenizer, writer, docs, {
+        perDocument,
+        eosId,
+        separator: new TextEncoder().encode(PARAGRAPH_SEPARATOR),
+        encodeOptions: {
+            allowedSpecial: allowedSpecial(opts),
+            preTokenizer: encodePreTokenizer(opts, model, decoder, normalizer),
+        },
+    });
+
+    const t0 = performance.now();
+    let tokenCount;
+    try {
+        tokenCount = sharded
+            ? await exportShards(tokenize, opts, { vocabSize, vocabExport, dtype, flags })
+            : await exportFile(tokenize, opts, { vocabSize, vocabExport, dtype, flags });
+    } finally {
+        tokenizer.destroy();
+    }
+    const dt = (performance.now() - t0) / 1000;
+
+    console.log(`→ ${files.length} file(s) — ${formatSize(bytesRead)} · u${dtype * 8} tokens`);
+    console.log(`→ ${tokenizer.mode}: ${dt.toFixed(2)}s · ${(bytesRead / tokenCount).toFixed(2)}× compression`);
+    if (perDocument) {
+        const eos = eosId !== null ? `EOS ${eosId} between documents` : 'no EOS';
+        console.log(`→ ${files.length} documents · ${eos}${opts['doc-index'] ? ' · document index' : ''}`);
+    }
+}
+
+/** export-bin into one file; returns the token count */
+async function exportFile(tokenize, opts, { vocabSize, vocabExport, dtype, flags }) {
+    // Stream into a temporary file; the final name needs the token count
+    const tmp = opts.out ?? `gpu-bpe-export-${process.pid}.bin.tmp`;
+    const handle = await open(tmp, 'w');
+    const writer = new DxftWriter(fileSink(handle), { vocabSize, dtype, flags });
+    let result;
+
+    try {
+        await tokenize(writer);
+        result = await writer.finish(vocabExport, { docIndex: opts['doc-index'] });
+    } catch (e) {
+        await unlink(tmp).catch(() => {});
+        throw e;
+    } finally {
+        await handle.close();
+    }
+
+    const out = opts.out ?? dxftFileName(vocabSize, writer.tokenCount);
+    if (out !== tmp) await rename(tmp, out);
+
+    console.log(`→ ${writer.tokenCount.toLocaleString()} tokens → ${out} (${formatSize(result.byteLength)})`);
+    console.log(`→ embedded vocab: ${formatSize(result.vocabBytesLength)}`);
+    return writer.tokenCount;
+}
+
+/** export-bin into train / val shards under --out (a directory); returns the token count */
+async function exportShards(tokenize, opts, { vocabSize, vocabExport, dtype, flags }) {
+    const dir = opts.out ?? '.';
+    await mkdir(dir, { recursive: true });
+
+    const shardTokens = Number(opts['shard-tokens'] ?? Infinity);
+    if (shardTokens !== Infinity && (!Number.isInteger(shardTokens) || shardTokens < 1)) {
+        throw new Error('--shard-tokens must be a positive integer');
+    }
+    const valRatio = Number(opts.val ?? 0);
+    if (!(valRatio >= 0 && valRatio < 1)) {
+        throw new Error('--val must be a ratio in [0, 1)');
+    }
+
+    const dataset = new DxftDataset(async (fileName) => {
+        const handle = await open(join(dir, fileName), 'w');
+        return { sink: fileSink(handle), close: () => handle.close() };
+    }, { vocabSize, vocabExport, dtype, flags, shardTokens, valRatio, docIndex: opts['doc-index'] });
+
+    await tokenize(dataset);
+    const shards = await dataset.finish();
+
+    for (const split of [DatasetSplit.TRAIN, DatasetSplit.VAL]) {
+        const own = shards.filter(s => s.split === split);
+        if (own.length === 0) continue;
+        const tokens = own.reduce((sum, s) => sum + s.tokenCount, 0);
+        const bytes = own.reduce((sum, s) => sum + s.byteLength, 0);
+        console.log(`→ ${split}: ${tokens.toLocaleString()} tokens in ${own.length} shard(s) (${formatSize(bytes)})`);
+    }
+    if (valRatio > 0 && !shards.some(s => s.split === DatasetSplit.VAL)) {
+        console.log('⚠ val split is empty — too few documents or tokens for the ratio');
+    }
+    console.log(`→ shards written to ${dir}`);
+    return dataset.tokenCount;
+}
+
+async function inspect(opts, [path]) {
+    if (path && /\.bin$/i.test(path)) return inspectBin(opts, path);
+
+    const model = await loadModel({ ...opts, model: opts.model ?? path });
+    const vocab = Vocab.fromEntries(model.vocab, model.specialTokens);
+    const specials = Object.entries(model.specialTokens ?? {});
+
+    if (opts.all) {
+        await writeOutput(undefined, vocab.export());
+        return;
+    }
+
+    const top = Number(opts.top);
+    const lengths = vocab.entries.map(bytes => bytes.length);
+    const live = lengths.filter(len => len > 0);
+    const longest = [...vocab.entries.keys()]
+        .sort((a, b) => lengths[b] - lengths[a] || a - b)
+        .slice(0, top);
+
+    const lines = [
+        `vocab size:      ${vocab.size}`,
+        `merges:          ${model.merges.length}`,
+        `empty slots:     ${vocab.size - live.length}`,
+        `special tokens:  ${specials.length > 0 ? specials.map(([t, id]) => `${t}=${id}`).join(' ') : 'none'}`,
+        `base alphabet:   ${baseAlphabetLabel(model)}`,
+        `max token bytes: ${Math.max(...live)}`,
+        `avg token bytes: ${(live.reduce((s, len) => s + len, 0) / live.length).toFixed(2)}`,
+        '',
+        `first ${Math.min(top, model.merges.length)} merges:`,
+        ...model.merges.slice(0, top).map(([a, b, id]) =>
+            `  ${id}\t${vocab.strings[a]} + ${vocab.strings[b]} → ${vocab.strings[id]}`),
+        '',
+        `longest ${longest.length} tokens:`,
+        ...longest.map(id => `  ${id}\t${vocab.strings[id]}\t(${lengths[id]} bytes)`),
+    ];
+    await writeOutput(undefined, lines.join('\n') + '\n');
+}
+
+/** Bytes, or bytes + the character tokens of a character-coverage model */
+function baseAlphabetLabel(model) {
+    if ((model.characterCoverage ?? null) === null) return 'bytes';
+    const chars = characterTokenMap(model.vocab, model.merges, new Set(Object.values(model.specialTokens ?? {})));
+    return `bytes + ${chars.size} characters (coverage ${model.characterCoverage})`;
+}
+
+/** inspect on a DXFT .bin: header, checksums, document index; fails on any issue */
+async function inspectBin(opts, path) {
+    const handle = await open(path, 'r');
+    let dxft;
+    try {
+        dxft = await readDxft(await fileSource(handle), { tokenLimit: Number(opts.top) });
+    } finally {
+        await handle.close();
+    }
+
+    const check = ok => (ok === null ? 'not stored' : ok ? 'ok' : 'MISMATCH');
+    const flags = dxftFlagNames(dxft.flags);
+    const specials = Object.entries(dxft.model?.specialTokens ?? {});
+
+    const lines = [
+        `DXFT version:    ${dxft.version}`,
+        `tokens:          ${dxft.tokenCount} (u${dxft.dtype * 8})`,
+        `vocab size:      ${dxft.vocabSize}`,
+        `split / shard:   ${dxft.split} ${dxft.shardIndex}`,
+        `flags:           ${flags.length > 0 ? flags.join(' ') : 'none'}`,
+        `token checksum:  ${check(dxft.checks.tokenCrc)}`,
+        `vocab hash:      ${check(dxft.checks.vocabHash)}`,
+        `documents:       ${dxft.docStarts ? dxft.docStarts.length : 'no index'}`,
+        `embedded model:  ${dxft.model ? `${dxft.model.vocab?.length ?? 0} entries, ${dxft.model.merges?.length ?? 0} merges` : 'none'}`,
+        `special tokens:  ${specials.length > 0 ? specials.map(([t, id]) => `${t}=${id}`).join(' ') : 'none'}`,
+        '',
+        `first ${dxft.tokens.length} tokens:`,
+        `  ${Array.from(dxft.tokens).join(' ')}`,
+    ];
+    if (dxft.issues.length > 0) lines.push('', 'issues:', ...dxft.issues.map(issue => `  ${issue}`));
+    await writeOutput(undefined, lines.join('\n') + '\n');
+
+    if (dxft.issues.length > 0) throw new Error(`${path}: ${dxft.issues.length} issue(s)`);
+}
+
+const COMMANDS = {
+    train,
+    encode,
+    decode,
+    'export-bin': exportBin,
+    inspect,
+};
+
+// ─── Main ───────────────────────────────────────────────────
+
+async function main(argv) {
+    const { values: opts, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...args] = positionals;
+
+    if (opts.help || !command) {
+        console.error(USAGE);
+        return opts.help ? 0 : 1;
+    }
+
+    const run = COMMANDS[command];
+    if (!run) {
+        console.error(`Unknown command "${command}"\n\n${USAGE}`);
+        return 1;
+    }
+    if (['train', 'export-bin'].includes(command) && args.length === 0) {
+        throw new Error(`${command}: no input files or directories given`);
+    }
+
+    // Library progress logging → stderr (or nowhere), keeping stdout for data
+    console.log = opts.quiet ? () => {} : console.error;
+    if (opts.quiet) console.warn = () => {};
+
+    await run(opts, args);
+    return 0;
+}
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    err => {
+        console.error(`✗ ${err.message}`);
+        process.exitCode = 1;
+    },
+);
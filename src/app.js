@@ -23,9 +23,9 @@ app.initialize();
 
         console.log(`[ok] Decoder WASM loaded (Unicode ${decoder.version})`);
         const preTokenizer = new PreTokenizer(decoder);
-        app.fileManager.setDecoder(decoder);
         app.setBPEEngine(engine, preTokenizer);
-        app.statusManager.setStatus('ok', `Ready · Unicode ${decoder.version}`);
+        const backend = engine.backend === 'cpu' ? ' · CPU (no WebGPU)' : '';
+        app.statusManager.setStatus('ok', `Ready · Unicode ${decoder.version}${backend}`);
     } catch (error) {
         console.error('Failed to initialize:', error);
         app.statusManager.setStatus('err', 'Initialization failed');
@@ -8,11 +8,17 @@
  *   4. Posts progress + final result back via postMessage
  *
  * Messages IN:
- *   { cmd: 'train', corpus: ArrayBuffer, vocabSize: number, preTokenize: bool }
+ *   { cmd: 'train', corpus: ArrayBuffer, vocabSize: number,
+ *     wordStarts?: ArrayBuffer, preTokenizerRules?: object,  — pre-tokenized on the main thread
+ *     normalizerRules?: object,  — the corpus is normalized on the main thread too
+ *     characterCoverage?: number,  — mixed character/byte base alphabet
+ *     specialTokens?: string[], checkpointKey?: string, resume?: bool }  — resume loads the snapshot instead of corpus
+ *   { cmd: 'pause' } | { cmd: 'resume' } | { cmd: 'cancel' }  — applied between batches
  *
  * Messages OUT:
  *   { type: 'progress', ... }
- *   { type: 'done', result: TrainingResult }
+ *   { type: 'state', state: 'paused' | 'running' | 'cancelling' }
+ *   { type: 'done', result: TrainingResult }  — result.cancelled for a partial vocab
  *   { type: 'error', message: string }
  *   { type: 'log', text: string }
  */
@@ -20,9 +26,13 @@
 // We import the pure-logic modules (no DOM dependencies)
 import { BPEEngine } from './engine.js';
 import { BPETrainer } from './trainer.js';
+import { CheckpointStore } from './checkpoint-store.js';
 
 let engine = null;
 
+/** @type {BPETrainer|null} — trainer of the running job (target of pause/resume/cancel) */
+let activeTrainer = null;
+
 /**
  * Initialize GPU device + compile pipelines (once per worker lifetime)
  */
@@ -34,26 +44,80 @@ async function ensureEngine() {
     return engine;
 }
 
+/**
+ * Stand-in PreTokenizer for a corpus pre-tokenized on the main thread (the
+ * WASM Decoder lives there): hands the trainer the word starts it was sent.
+ *
+ * @param {ArrayBuffer} wordStarts
+ * @param {object|null} rules
+ */
+function preTokenized(wordStarts, rules) {
+    return {
+        rules,
+        preTokenizeBytes: (bytes) => ({ bytes, wordStarts: new Uint8Array(wordStarts) }),
+    };
+}
+
+/**
+ * Stand-in Normalizer for a corpus normalized on the main thread: records
+ * its rules with the model and leaves the bytes as they are.
+ *
+ * @param {object} rules
+ */
+function normalized(rules) {
+    return {
+        rules,
+        normalize: (text) => text,
+        normalizeBytes: (bytes) => bytes,
+    };
+}
+
 /**
  * Handle training request from main thread
  */
-async function handleTrain({ corpus, vocabSize, preTokenized, wordStarts }) {
+async function handleTrain({
+    corpus, vocabSize, wordStarts, preTokenizerRules, normalizerRules, characterCoverage = null,
+    specialTokens, checkpointKey, resume,
+}) {
     const eng = await ensureEngine();
     const trainer = new BPETrainer(eng);
+    activeTrainer = trainer;
 
-    // corpus arrives as ArrayBuffer — wrap as Uint8Array
-    const corpusBytes = new Uint8Array(corpus);
+    // corpus arrives as ArrayBuffer — wrap as Uint8Array (absent when resuming)
+    const corpusBytes = new Uint8Array(corpus ?? 0);
 
-    postMessage({ type: 'log', text: `[worker] Training: ${corpusBytes.length} bytes → ${vocabSize} vocab` });
+    // Checkpoints live in IndexedDB — load the snapshot here, not across postMessage
+    const store = checkpointKey ? new CheckpointStore() : null;
+    const resumeFrom = resume ? await store.load(checkpointKey) : null;
+    if (resume && !resumeFrom) {
+        throw new Error('Checkpoint not found — it may have been cleared');
+    }
 
-    const result = await trainer.train(corpusBytes, {
-        targetVocabSize: vocabSize,
-        preTokenizer: null,  // Pre-tokenization done on main thread before transfer
-        onProgress: (progress) => {
-            postMessage({ type: 'progress', ...progress });
-        },
+    postMessage({
+        type: 'log',
+        text: resumeFrom
+            ? `[worker] Resuming: ${resumeFrom.merges.length} merges → ${vocabSize} vocab`
+            : `[worker] Training: ${corpusBytes.length} bytes → ${vocabSize} vocab`,
     });
 
+    let result;
+    try {
+        result = await trainer.train(corpusBytes, {
+            targetVocabSize: vocabSize,
+            preTokenizer: wordStarts ? preTokenized(wordStarts, preTokenizerRules) : null,
+            normalizer: normalizerRules ? normalized(normalizerRules) : null,
+            characterCoverage,
+            specialTokens,
+            onProgress: (progress) => {
+                postMessage({ type: 'progress', ...progress });
+            },
+            checkpoint: store ? { store, key: checkpointKey } : null,
+            resumeFrom,
+        });
+    } finally {
+        activeTrainer = null;
+    }
+
     // Transfer result back
     postMessage({
         type: 'done',
@@ -62,11 +126,42 @@ async function handleTrain({ corpus, vocabSize, preTokenized, wordStarts }) {
             vocabStrings: result.vocabStrings,
             vocabSize: result.vocabSize,
             merges: result.merges,
+            specialTokens: result.specialTokens,
+            preTokenizer: result.preTokenizer,
+            normalizer: result.normalizer,
+            characterCoverage: result.characterCoverage,
             trainingTime: result.trainingTime,
+            cancelled: result.cancelled,
         },
     });
 }
 
+/**
+ * Handle pause / resume / cancel for the running job.
+ * These arrive while handleTrain is suspended between batches.
+ */
+function handleControl(cmd) {
+    if (!activeTrainer) {
+        postMessage({ type: 'log', text: `[worker] ${cmd}: no training in progress` });
+        return;
+    }
+
+    switch (cmd) {
+        case 'pause':
+            activeTrainer.pause();
+            postMessage({ type: 'state', state: 'paused' });
+            break;
+        case 'resume':
+            activeTrainer.resume();
+            postMessage({ type: 'state', state: 'running' });
+            break;
+        case 'cancel':
+            activeTrainer.cancel();
+            postMessage({ type: 'state', state: 'cancelling' });
+            break;
+    }
+}
+
 // ─── Message Handler ────────────────────────────────────────
 
 self.onmessage = async (e) => {
@@ -78,6 +173,12 @@ self.onmessage = async (e) => {
                 await handleTrain(e.data);
                 break;
 
+            case 'pause':
+            case 'resume':
+            case 'cancel':
+                handleControl(cmd);
+                break;
+
             case 'ping':
                 postMessage({ type: 'pong' });
                 break;
@@ -0,0 +1,225 @@
+/**
+ * Character Alphabet — character-coverage base symbols (SentencePiece-style)
+ *
+ * A byte-level model starts every word from its UTF-8 bytes, so a rare CJK
+ * character costs three tokens until some merge happens to cover it. With a
+ * character coverage of e.g. 0.9995, training first picks the most frequent
+ * code points until they cover that share of the corpus characters; each
+ * multi-byte one becomes an atomic base token (ids right after the special
+ * tokens), and everything else keeps falling back to byte tokens. Merges
+ * then run over that mixed alphabet.
+ *
+ * A character token's vocab entry is its UTF-8 bytes, like any other token,
+ * so tries and decoding need nothing new. What sets it apart is that no
+ * merge produces it: for a model that records its `characterCoverage`,
+ * characterTokenMap() finds the alphabet again from the vocab + merges, and
+ * the merge-rank encoders seed each pre-token with it.
+ *
+ * Characters are looked up by key: their UTF-8 bytes packed little-endian
+ * into one u32 (≤ 4 bytes) — the same key the merge kernel builds.
+ */
+
+// ─── UTF-8 ──────────────────────────────────────────────────
+
+/**
+ * Length of the UTF-8 sequence a lead byte announces (1 for ASCII and
+ * stray continuation bytes).
+ *
+ * @param {number} lead
+ * @returns {number}
+ */
+function utf8SequenceLength(lead) {
+    if (lead < 0xC0) return 1;
+    if (lead < 0xE0) return 2;
+    if (lead < 0xF0) return 3;
+    return 4;
+}
+
+/**
+ * Length of the well-formed character at `pos` (all its continuation bytes
+ * present before `end`), else 1.
+ *
+ * @param {Uint8Array|number[]} bytes
+ * @param {number} pos
+ * @param {number} end
+ * @returns {number}
+ */
+function charLength(bytes, pos, end) {
+    const len = utf8SequenceLength(bytes[pos]);
+    if (len === 1 || pos + len > end) return 1;
+    for (let i = 1; i < len; i++) {
+        if ((bytes[pos + i] & 0xC0) !== 0x80) return 1;
+    }
+    return len;
+}
+
+/**
+ * Lookup key of the `len` bytes at `pos` — must match find_char() in tokenize.wgsl.
+ *
+ * @param {Uint8Array|number[]} bytes
+ * @param {number} pos
+ * @param {number} len - 2..4
+ * @returns {number}
+ */
+export function charKey(bytes, pos, len) {
+    let key = 0;
+    for (let i = 0; i < len; i++) key |= bytes[pos + i] << (i * 8);
+    return key >>> 0;
+}
+
+// ─── Alphabet Selection ─────────────────────────────────────
+
+/**
+ * Most frequent characters covering `coverage` of all characters in `bytes`
+ * (ASCII included in the count). Only the multi-byte ones are returned —
+ * ASCII already has its byte tokens — most frequent first, ties by code point
+ * order, so the same corpus always yields the same ids.
+ *
+ * @param {Uint8Array} bytes - normalized corpus
+ * @param {number} coverage - in (0, 1]
+ * @returns {number[][]} UTF-8 bytes per character
+ */
+export function selectCharacters(bytes, coverage) {
+    if (!(coverage > 0 && coverage <= 1)) {
+        throw new Error(`Character coverage must be in (0, 1], got ${coverage}`);
+    }
+
+    /** @type {Map<number, number>} key → count (ASCII keys are the byte value) */
+    const counts = new Map();
+    let total = 0;
+    for (let pos = 0; pos < bytes.length;) {
+        const len = charLength(bytes, pos, bytes.length);
+        const key = len === 1 ? bytes[pos] : charKey(bytes, pos, len);
+        counts.set(key, (counts.get(key) ?? 0) + 1);
+        total++;
+        pos += len;
+    }
+
+    const ranked = [...counts.entries()]
+        .map(([key, count]) => ({ key, count, bytes: keyBytes(key) }))
+        .sort((x, y) => y.count - x.count || compareBytes(x.bytes, y.bytes));
+
+    const characters = [];
+    let covered = 0;
+    for (const { count, bytes: charBytes } of ranked) {
+        if (covered >= coverage * total) break;
+        covered += count;
+        if (charBytes.length > 1) characters.push(charBytes);
+    }
+    return characters;
+}
+
+/** @param {number} key @returns {number[]} */
+function keyBytes(key) {
+    const out = [key & 0xFF];
+    for (let k = key >>> 8; k !== 0; k >>>= 8) out.push(k & 0xFF);
+    return out;
+}
+
+/** Byte-wise order — code point order for well-formed UTF-8 */
+function compareBytes(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+}
+
+// ─── Symbols ────────────────────────────────────────────────
+
+/**
+ * Base symbols of `bytes[start, end)`: a character token wherever the
+ * alphabet has one, the byte token otherwise.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} end
+ * @param {ArrayLike<number>} byteTokens - byte value → token id
+ * @param {Map<number, number>|null} charTokens - from characterTokenMap (null: bytes only)
+ * @returns {number[]}
+ */
+export function baseSymbols(bytes, start, end, byteTokens, charTokens) {
+    const symbols = [];
+    for (let pos = start; pos < end;) {
+        const len = charTokens?.size ? charLength(bytes, pos, end) : 1;
+        const id = len > 1 ? charTokens.get(charKey(bytes, pos, len)) : undefined;
+        if (id !== undefined) {
+            symbols.push(id);
+            pos += len;
+        } else {
+            symbols.push(byteTokens[bytes[pos++]]);
+        }
+    }
+    return symbols;
+}
+
+/**
+ * Training symbols over the mixed alphabet: each covered character becomes
+ * one symbol (unless a word start falls inside it), all other bytes stay.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Uint8Array} wordStarts - 1 = pre-token start, per byte
+ * @param {Map<number, number>} charTokens - key → token id
+ * @returns {{ symbolData: Uint32Array, wordStarts: Uint8Array }}
+ */
+export function collapseCharacters(bytes, wordStarts, charTokens) {
+    const symbolData = new Uint32Array(bytes.length);
+    const starts = new Uint8Array(bytes.length);
+    let n = 0;
+
+    for (let pos = 0; pos < bytes.length;) {
+        let len = charLength(bytes, pos, bytes.length);
+        for (let i = 1; i < len; i++) {
+            if (wordStarts[pos + i]) len = 1;
+        }
+        const id = len > 1 ? charTokens.get(charKey(bytes, pos, len)) : undefined;
+
+        starts[n] = wordStarts[pos];
+        symbolData[n++] = id ?? bytes[pos];
+        pos += id === undefined ? 1 : len;
+    }
+
+    return { symbolData: symbolData.slice(0, n), wordStarts: starts.slice(0, n) };
+}
+
+// ─── Alphabet Recovery ──────────────────────────────────────
+
+/**
+ * The character tokens of a vocabulary: multi-byte tokens that are one
+ * well-formed UTF-8 character and that no merge produces. Only meaningful
+ * for a model trained with a character coverage — an imported byte-level
+ * vocabulary can hold unreachable tokens of that shape, which stay unused.
+ *
+ * @param {number[][]} vocab - byte arrays, indexed by token id
+ * @param {number[][]} merges - [[symbolA, symbolB, newTokenId], ...]
+ * @param {Set<number>} [exclude] - token ids that are not base symbols (special tokens)
+ * @returns {Map<number, number>} key → token id
+ */
+export function characterTokenMap(vocab, merges, exclude = null) {
+    const merged = new Set(merges.map(m => m[2]));
+    const map = new Map();
+
+    for (let id = 0; id < vocab.length; id++) {
+        const bytes = vocab[id];
+        if (!bytes || bytes.length < 2 || bytes.length > 4 || merged.has(id) || exclude?.has(id)) continue;
+        if (charLength(bytes, 0, bytes.length) !== bytes.length) continue;
+
+        const key = charKey(bytes, 0, bytes.length);
+        if (!map.has(key)) map.set(key, id);
+    }
+    return map;
+}
+
+/**
+ * Refuse a byte-level export of a character-coverage model. tokenizer.json,
+ * .tiktoken and vocab.json + merges.txt encoders start every word from
+ * bytes, and no merge leads from bytes to a character token, so the file
+ * would encode differently from the model.
+ *
+ * @param {{ characterCoverage?: number|null }} model
+ * @param {string} format - named in the error
+ */
+export function assertByteLevelModel(model, format) {
+    if ((model.characterCoverage ?? null) === null) return;
+    throw new Error(`${format} cannot hold a character alphabet (coverage ${model.characterCoverage}): `
+        + 'its encoders start from bytes and never reach the character tokens — export the model JSON instead');
+}
@@ -0,0 +1,130 @@
+/**
+ * Checkpoint Store — IndexedDB persistence for training snapshots
+ *
+ * A snapshot holds everything needed to continue a merge loop after a tab
+ * crash or GPU device loss: the merges learned so far, the compacted symbol
+ * buffer (word-start bits included) and the IterState words.
+ *
+ * Snapshots are keyed by corpus fingerprint + target vocab size (+ special
+ * tokens), so a run is only ever resumed against the same data and goal. IndexedDB is available
+ * in both the main thread and workers.
+ */
+
+// ─── Constants ──────────────────────────────────────────────
+
+const DB_NAME = 'gpu-bpe';
+const DB_VERSION = 1;
+const STORE_NAME = 'checkpoints';
+
+/**
+ * @typedef {Object} TrainingSnapshot
+ * @property {number} targetVocabSize
+ * @property {string[]} [specialTokens] - reserved tokens, in id order (absent = none)
+ * @property {object|null} [preTokenizer] - PreTokenizer rules of the run (absent/null = byte heuristic)
+ * @property {object|null} [normalizer] - Normalizer rules of the run (absent/null = not recorded)
+ * @property {number|null} [characterCoverage] - character coverage of the run (absent/null = bytes only)
+ * @property {number[][]} [characters] - character tokens (UTF-8 bytes) after the special tokens
+ * @property {number[][]} merges       - [[symbolA, symbolB, newTokenId], ...]
+ * @property {Uint32Array} symbols     - Compacted symbol buffer (symbol_count entries)
+ * @property {Uint32Array} iterState   - IterState words at snapshot time
+ * @property {number} savedAt          - Date.now() of the snapshot
+ */
+
+// ─── Keys ───────────────────────────────────────────────────
+
+/**
+ * SHA-256 fingerprint of a corpus given as its source parts (files).
+ * Hashes each part, then the concatenated digests — no full-corpus copy.
+ *
+ * @param {Uint8Array[]} parts
+ * @returns {Promise<string>} hex digest
+ */
+export async function corpusFingerprint(parts) {
+    const digests = new Uint8Array(parts.length * 32);
+    for (let i = 0; i < parts.length; i++) {
+        const d = await crypto.subtle.digest('SHA-256', parts[i]);
+        digests.set(new Uint8Array(d), i * 32);
+    }
+    const root = new Uint8Array(await crypto.subtle.digest('SHA-256', digests));
+    return Array.from(root, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {string} fingerprint
+ * @param {number} targetVocabSize
+ * @param {string[]} [specialTokens] - they shift every merge id, so they are part of the key
+ * @param {string|null} [preTokenizerPreset] - it moves the word starts; null or
+ *   'default' keep the key of runs that predate presets
+ * @param {string|null} [normalizerLabel] - it changes the symbols; null or 'NFC'
+ *   keep the key of runs that predate normalizer settings
+ * @param {number|null} [characterCoverage] - it changes the base alphabet; null = bytes only
+ * @returns {string}
+ */
+export function checkpointKey(fingerprint, targetVocabSize, specialTokens = [], preTokenizerPreset = null, normalizerLabel = null, characterCoverage = null) {
+    let key = `${fingerprint}:${targetVocabSize}`;
+    if (specialTokens.length > 0) key += `:${JSON.stringify(specialTokens)}`;
+    if (preTokenizerPreset && preTokenizerPreset !== 'default') key += `:pre=${preTokenizerPreset}`;
+    if (normalizerLabel && normalizerLabel !== 'NFC') key += `:norm=${normalizerLabel}`;
+    if (characterCoverage !== null) key += `:chars=${characterCoverage}`;
+    return key;
+}
+
+// ─── Store ──────────────────────────────────────────────────
+
+export class CheckpointStore {
+    /** @type {Promise<IDBDatabase>|null} */
+    #db = null;
+
+    /** @returns {Promise<IDBDatabase>} */
+    #open() {
+        this.#db ??= new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => req.result.createObjectStore(STORE_NAME);
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        return this.#db;
+    }
+
+    /**
+     * Run one request in its own transaction; resolves once it commits.
+     *
+     * @param {IDBTransactionMode} mode
+     * @param {(store: IDBObjectStore) => IDBRequest} fn
+     */
+    async #run(mode, fn) {
+        const db = await this.#open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const req = fn(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error ?? new Error('Checkpoint transaction aborted'));
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @param {TrainingSnapshot} snapshot
+     * @returns {Promise<void>}
+     */
+    async save(key, snapshot) {
+        await this.#run('readwrite', store => store.put(snapshot, key));
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<TrainingSnapshot|null>}
+     */
+    async load(key) {
+        return (await this.#run('readonly', store => store.get(key))) ?? null;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this.#run('readwrite', store => store.delete(key));
+    }
+}
@@ -0,0 +1,46 @@
+/**
+ * added_tokens.json — special-token sidecar for formats that cannot hold them
+ *
+ * The Hugging Face convention: `{ "<|endoftext|>": 256, ... }` next to
+ * vocab.json + merges.txt. The .tiktoken rank file has no place for special
+ * tokens either (tiktoken passes them to the Encoding separately), so it
+ * travels with the same sidecar.
+ */
+
+// ─── Constants ──────────────────────────────────────────────
+
+export const ADDED_TOKENS_FILE_NAME = 'added_tokens.json';
+
+// ─── Export ─────────────────────────────────────────────────
+
+/**
+ * @param {{ specialTokens?: Record<string, number> }} model
+ * @returns {string|null} sidecar contents, or null when the model has no special tokens
+ */
+export function toAddedTokensJson(model) {
+    const specialTokens = model.specialTokens ?? {};
+    return Object.keys(specialTokens).length > 0 ? JSON.stringify(specialTokens) : null;
+}
+
+// ─── Import ─────────────────────────────────────────────────
+
+/**
+ * @param {string} text
+ * @returns {Record<string, number>}
+ */
+export function parseAddedTokensJson(text) {
+    const json = JSON.parse(text);
+    if (!json || typeof json !== 'object' || Array.isArray(json)
+        || !Object.values(json).every(id => Number.isInteger(id) && id >= 0)) {
+        throw new Error(`Invalid ${ADDED_TOKENS_FILE_NAME}: expected a token → id object`);
+    }
+    return json;
+}
+
+/**
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+export function isAddedTokensFile(fileName) {
+    return /(^|[\\/])(added|special)_tokens[^\\/]*\.json$/i.test(fileName);
+}
@@ -0,0 +1,124 @@
+/**
+ * Byte ↔ Unicode — GPT-2 byte-level alphabet
+ *
+ * Byte-level BPE files (tokenizer.json, vocab.json + merges.txt) store
+ * tokens as strings where every byte maps to one printable codepoint:
+ * printable Latin-1 bytes map to themselves, the remaining 68 bytes
+ * (controls, space, 0x7F–0xA0, 0xAD) to U+0100 upwards. Space → 'Ġ'.
+ */
+
+import { placeSpecialTokens, withSpecialTokens } from '../special-tokens.js';
+
+// ─── Tables ─────────────────────────────────────────────────
+
+/** @type {string[]} — byte value → single-character string */
+export const BYTE_TO_UNICODE = buildByteToUnicode();
+
+/** @type {Map<string, number>} — single-character string → byte value */
+export const UNICODE_TO_BYTE = new Map(BYTE_TO_UNICODE.map((ch, b) => [ch, b]));
+
+function buildByteToUnicode() {
+    const table = new Array(256);
+    const isPrintable = b =>
+        (b >= 0x21 && b <= 0x7E) || (b >= 0xA1 && b <= 0xAC) || (b >= 0xAE && b <= 0xFF);
+
+    let next = 256;
+    for (let b = 0; b < 256; b++) {
+        table[b] = String.fromCodePoint(isPrintable(b) ? b : next++);
+    }
+    return table;
+}
+
+// ─── Conversion ─────────────────────────────────────────────
+
+/**
+ * @param {ArrayLike<number>} bytes
+ * @returns {string}
+ */
+export function bytesToByteLevel(bytes) {
+    let out = '';
+    for (let i = 0; i < bytes.length; i++) out += BYTE_TO_UNICODE[bytes[i]];
+    return out;
+}
+
+/**
+ * @param {string} str - byte-level token string
+ * @returns {number[]}
+ */
+export function byteLevelToBytes(str) {
+    const bytes = [];
+    for (const ch of str) {
+        const b = UNICODE_TO_BYTE.get(ch);
+        if (b === undefined) {
+            throw new Error(`Not a byte-level token: "${str}" (U+${ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')})`);
+        }
+        bytes.push(b);
+    }
+    return bytes;
+}
+
+// ─── Model Conversion ───────────────────────────────────────
+
+/**
+ * Internal model → byte-level vocab map + "a b" merge strings, the shared
+ * core of tokenizer.json and vocab.json + merges.txt.
+ * Tokens with identical byte sequences (reachable via different merge
+ * paths) keep their first id — both formats need unique strings.
+ * Special tokens are listed under their plain text, as GPT-2 does.
+ *
+ * @param {{ vocab: number[][], merges: number[][], specialTokens?: Record<string, number> }} model
+ * @returns {{ vocab: Record<string, number>, merges: string[] }}
+ */
+export function toByteLevelBPE(model) {
+    const specialTokens = model.specialTokens ?? {};
+    const specialIds = new Set(Object.values(specialTokens));
+
+    const vocab = Object.create(null);
+    for (let id = 0; id < model.vocab.length; id++) {
+        const bytes = model.vocab[id];
+        if (!bytes || bytes.length === 0 || specialIds.has(id)) continue;
+        const token = bytesToByteLevel(bytes);
+        if (!(token in vocab)) vocab[token] = id;
+    }
+    Object.assign(vocab, specialTokens);
+
+    // "a b" strings — byte-level tokens never contain spaces
+    const merges = model.merges.map(([a, b]) =>
+        `${bytesToByteLevel(model.vocab[a])} ${bytesToByteLevel(model.vocab[b])}`);
+
+    return { vocab, merges };
+}
+
+/**
+ * Byte-level vocab map + merges → internal model JSON
+ * ({ version, vocabSize, vocab, merges }). Ids missing from the map become
+ * empty vocab entries.
+ *
+ * @param {Record<string, number>} vocabMap
+ * @param {Array<string | [string, string]>} mergeList - "a b" strings or [a, b] pairs
+ * @param {Record<string, number>} [specialTokens] - plain-text tokens, not byte-level
+ * @returns {{ version: number, vocabSize: number, vocab: number[][], merges: number[][], specialTokens?: Record<string, number> }}
+ */
+export function fromByteLevelBPE(vocabMap, mergeList, specialTokens = {}) {
+    const ids = new Map(Object.entries(vocabMap));
+
+    let vocabSize = 0;
+    for (const id of ids.values()) vocabSize = Math.max(vocabSize, id + 1);
+
+    const vocab = Array.from({ length: vocabSize }, () => []);
+    for (const [token, id] of ids) {
+        if (!Object.hasOwn(specialTokens, token)) vocab[id] = byteLevelToBytes(token);
+    }
+    placeSpecialTokens(vocab, specialTokens);
+
+    const merges = mergeList.map(entry => {
+        const [a, b] = typeof entry === 'string' ? entry.split(' ') : entry;
+        const newId = ids.get(a + b);
+        if (!ids.has(a) || !ids.has(b) || newId === undefined) {
+            throw new Error(`Merge "${a} ${b}" references tokens missing from the vocabulary`);
+        }
+        return [ids.get(a), ids.get(b), newId];
+    });
+
+    return withSpecialTokens({ version: 1, vocabSize: vocab.length, vocab, merges }, specialTokens);
+}
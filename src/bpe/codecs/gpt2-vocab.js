@@ -0,0 +1,71 @@
+/**
+ * GPT-2 vocab.json + merges.txt — byte-level BPE import/export
+ *
+ * The two-file layout older checkpoints ship instead of tokenizer.json:
+ *   - vocab.json: { "<byte-level token>": id, ... }
+ *   - merges.txt: "#version: 0.2" header, then one "a b" merge per line,
+ *     in priority order
+ *   - added_tokens.json: special tokens (optional sidecar, added-tokens.js)
+ */
+
+import { toByteLevelBPE, fromByteLevelBPE } from './byte-unicode.js';
+import { toAddedTokensJson, parseAddedTokensJson } from './added-tokens.js';
+import { assertByteLevelModel } from '../characters.js';
+
+// ─── Constants ──────────────────────────────────────────────
+
+export const VOCAB_FILE_NAME = 'vocab.json';
+export const MERGES_FILE_NAME = 'merges.txt';
+
+const MERGES_HEADER = '#version: 0.2';
+
+// ─── Export ─────────────────────────────────────────────────
+
+/**
+ * Internal model → vocab.json and merges.txt contents (+ added_tokens.json
+ * when the model has special tokens). Throws for a character-coverage model.
+ *
+ * @param {{ vocab: number[][], merges: number[][], specialTokens?: Record<string, number>, characterCoverage?: number|null }} model
+ * @returns {{ vocabJson: string, mergesTxt: string, addedTokensJson: string|null }}
+ */
+export function toGpt2Files(model) {
+    assertByteLevelModel(model, `${VOCAB_FILE_NAME} + ${MERGES_FILE_NAME}`);
+    const { vocab, merges } = toByteLevelBPE(model);
+    return {
+        vocabJson: JSON.stringify(vocab),
+        mergesTxt: [MERGES_HEADER, ...merges].join('\n') + '\n',
+        addedTokensJson: toAddedTokensJson(model),
+    };
+}
+
+// ─── Import ─────────────────────────────────────────────────
+
+/**
+ * vocab.json + merges.txt contents → internal model JSON.
+ *
+ * @param {string} vocabJson
+ * @param {string} mergesTxt
+ * @param {string|null} [addedTokensJson] - added_tokens.json contents
+ * @returns {{ version: number, vocabSize: number, vocab: number[][], merges: number[][], specialTokens?: Record<string, number> }}
+ */
+export function fromGpt2Files(vocabJson, mergesTxt, addedTokensJson = null) {
+    const vocab = JSON.parse(vocabJson);
+    if (!vocab || typeof vocab !== 'object' || Array.isArray(vocab)) {
+        throw new Error('Invalid vocab.json: expected a token → id object');
+    }
+
+    // Skip the "#version" header and blanks — other lines may start with '#' (the byte 0x23)
+    const merges = mergesTxt
+        .split('\n')
+        .map(line => line.replace(/\r$/, ''))
+        .filter(line => line && !line.startsWith('#version'));
+
+    for (const line of merges) {
+        if (line.split(' ').length !== 2) {
+            throw new Error(`Invalid merges.txt line: "${line}"`);
+        }
+    }
+
+    const specialTokens = addedTokensJson ? parseAddedTokensJson(addedTokensJson) : {};
+    return fromByteLevelBPE(vocab, merges, specialTokens);
+}
@@ -0,0 +1,225 @@
+/**
+ * Hugging Face tokenizer.json — byte-level BPE import/export
+ *
+ * Converts between the internal model ({ vocab: byte arrays, merges:
+ * [[a, b, newId]] }) and the `tokenizers` library's tokenizer.json:
+ *   - model.vocab / model.merges use GPT-2 byte-level strings (byte-unicode.js)
+ *   - normalizer from the model's normalization rules (NFC when it records
+ *     none): NFC / NFKC, or a Sequence that decomposes, lowercases, strips
+ *     accents and composes again
+ *   - pre_tokenizer Split(regex) + ByteLevel, the regex mirroring
+ *     PreTokenizer's word-boundary rules (wasm/pre_tokenizer.mjs) — or the
+ *     pattern the model recorded (a split regex, or a reference preset's)
+ * On import the split pattern is kept as the model's `preTokenizer`, so a
+ * RegexPreTokenizer can retrain or extend it with the same splits, and a
+ * normalizer of that shape as its `normalizer`.
+ *   - decoder ByteLevel
+ */
+
+import { toByteLevelBPE, fromByteLevelBPE } from './byte-unicode.js';
+import { assertByteLevelModel } from '../characters.js';
+
+// ─── Pre-Tokenizer Regex ────────────────────────────────────
+
+/**
+ * PreTokenizer rules as a regex (Oniguruma + JS `u` compatible):
+ *   - a whitespace run prefixes the next word: letters (+ English contraction),
+ *     ≤ 3 digits, or a punctuation/symbol run
+ *   - each newline is its own piece; trailing whitespace stands alone
+ */
+export const PRE_TOKENIZER_PATTERN = String.raw`[^\S\r\n\u0085\u2028\u2029]*(?:[\p{L}\p{M}]+(?:['\u2019](?:[sdmtSDMT]|[rR][eE]|[vV][eE]|[lL][lL])(?![\p{L}\p{M}]))?|\p{N}{1,3}|[\p{P}\p{S}]+|[^\s\p{L}\p{M}\p{N}\p{P}\p{S}]+)|[\r\n\u0085\u2028\u2029]|[^\S\r\n\u0085\u2028\u2029]+`;
+
+/** The regex a ByteLevel step with `use_regex` applies (GPT-2's) */
+const BYTE_LEVEL_PATTERN = String.raw`'s|'t|'re|'ve|'m|'ll|'d| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+`;
+
+/**
+ * Split regex per rule preset (PreTokenizerPreset); null = no Split step. A
+ * model whose rules override a preset exports that preset's regex. Reference
+ * presets (gpt2, cl100k, llama3) record their pattern in the model JSON.
+ * @type {Readonly<Record<string, string|null>>}
+ */
+export const RULE_PATTERNS = Object.freeze({
+    default: PRE_TOKENIZER_PATTERN,
+    whitespace: String.raw`\s*\S+|\s+`,
+    none: null,
+});
+
+// ─── Detection ──────────────────────────────────────────────
+
+/**
+ * @param {any} json
+ * @returns {boolean} true when `json` looks like a tokenizer.json (not our model JSON)
+ */
+export function isTokenizerJson(json) {
+    return !!json && typeof json.model === 'object' && json.model !== null && !Array.isArray(json.vocab);
+}
+
+/**
+ * Split regex of a (possibly Sequence-wrapped) pre_tokenizer: the first Split
+ * pattern, or GPT-2's for a ByteLevel step that applies its own regex.
+ *
+ * @returns {string|null}
+ */
+function splitPattern(component) {
+    if (!component) return null;
+    if (component.type === 'Split' && typeof component.pattern?.Regex === 'string') return component.pattern.Regex;
+    if (component.type === 'ByteLevel' && component.use_regex !== false) return BYTE_LEVEL_PATTERN;
+    for (const child of component.pretokenizers ?? []) {
+        const pattern = splitPattern(child);
+        if (pattern) return pattern;
+    }
+    return null;
+}
+
+/** True if a (possibly Sequence-wrapped) component is or contains ByteLevel */
+function hasByteLevel(component) {
+    if (!component) return false;
+    if (component.type === 'ByteLevel') return true;
+    const children = component.pretokenizers ?? component.decoders ?? [];
+    return children.some(hasByteLevel);
+}
+
+// ─── Normalizer ─────────────────────────────────────────────
+
+/** Composed form → the decomposition a Sequence starts with */
+const DECOMPOSED_FORMS = Object.freeze({ NFC: 'NFD', NFKC: 'NFKD' });
+
+/**
+ * Normalizer rules ({ form, caseFold, stripAccents }) → tokenizer.json
+ * normalizer. Case folding exports as Lowercase, its closest HF step.
+ *
+ * @param {{ form: string, caseFold?: boolean, stripAccents?: boolean }|null|undefined} rules
+ * @returns {object|null}
+ */
+function toHfNormalizer(rules) {
+    const { form = 'NFC', caseFold = false, stripAccents = false } = rules ?? {};
+    if (!caseFold && !stripAccents) return form === 'none' ? null : { type: form };
+
+    const steps = [
+        ...(form !== 'none' ? [{ type: DECOMPOSED_FORMS[form] }] : []),
+        ...(caseFold ? [{ type: 'Lowercase' }] : []),
+        ...(stripAccents ? [{ type: 'StripAccents' }] : []),
+        ...(form !== 'none' ? [{ type: form }] : []),
+    ];
+    return steps.length === 1 ? steps[0] : { type: 'Sequence', normalizers: steps };
+}
+
+/**
+ * tokenizer.json normalizer → normalizer rules, for the shapes toHfNormalizer
+ * writes (a missing normalizer is form none). Anything else is left unrecorded.
+ *
+ * @param {any} normalizer
+ * @returns {{ form: string, caseFold: boolean, stripAccents: boolean }|null}
+ */
+function fromHfNormalizer(normalizer) {
+    if (!normalizer) return { form: 'none', caseFold: false, stripAccents: false };
+
+    const steps = normalizer.type === 'Sequence' ? normalizer.normalizers ?? [] : [normalizer];
+    const rules = { form: 'none', caseFold: false, stripAccents: false };
+    for (const { type } of steps) {
+        if (type === 'NFC' || type === 'NFKC') rules.form = type;
+        else if (type === 'Lowercase') rules.caseFold = true;
+        else if (type === 'StripAccents') rules.stripAccents = true;
+        else if (!Object.values(DECOMPOSED_FORMS).includes(type)) return null;
+    }
+    // StripAccents only removes marks a decomposition exposed
+    if (rules.stripAccents && rules.form === 'none') return null;
+    return rules;
+}
+
+// ─── Export ─────────────────────────────────────────────────
+
+/**
+ * Internal model → tokenizer.json object. Special tokens become
+ * `added_tokens` with `special: true`. Throws for a character-coverage model.
+ *
+ * @param {{ vocab: number[][], merges: number[][], specialTokens?: Record<string, number>, preTokenizer?: { preset: string, pattern?: string }|null, normalizer?: object|null, characterCoverage?: number|null }} model
+ * @returns {object}
+ */
+export function toTokenizerJson(model) {
+    assertByteLevelModel(model, 'tokenizer.json');
+    const { vocab, merges } = toByteLevelBPE(model);
+    const preset = model.preTokenizer?.preset ?? 'default';
+    const pattern = typeof model.preTokenizer?.pattern === 'string' ? model.preTokenizer.pattern
+        : preset in RULE_PATTERNS ? RULE_PATTERNS[preset] : PRE_TOKENIZER_PATTERN;
+
+    const addedTokens = Object.entries(model.specialTokens ?? {}).map(([content, id]) => ({
+        id,
+        content,
+        single_word: false,
+        lstrip: false,
+        rstrip: false,
+        normalized: false,
+        special: true,
+    }));
+
+    return {
+        version: '1.0',
+        truncation: null,
+        padding: null,
+        added_tokens: addedTokens,
+        normalizer: toHfNormalizer(model.normalizer),
+        pre_tokenizer: {
+            type: 'Sequence',
+            pretokenizers: [
+                ...(pattern ? [{
+                    type: 'Split',
+                    pattern: { Regex: pattern },
+                    behavior: 'Isolated',
+                    invert: false,
+                }] : []),
+                { type: 'ByteLevel', add_prefix_space: false, trim_offsets: true, use_regex: false },
+            ],
+        },
+        post_processor: null,
+        decoder: { type: 'ByteLevel', add_prefix_space: false, trim_offsets: true, use_regex: false },
+        model: {
+            type: 'BPE',
+            dropout: null,
+            unk_token: null,
+            continuing_subword_prefix: null,
+            end_of_word_suffix: null,
+            fuse_unk: false,
+            byte_fallback: false,
+            vocab,
+            merges,
+        },
+    };
+}
+
+// ─── Import ─────────────────────────────────────────────────
+
+/**
+ * tokenizer.json object → internal model JSON ({ version, vocabSize, vocab, merges }),
+ * the same shape TrainingManager.downloadModel writes. `added_tokens` marked
+ * `special` become the model's special tokens; the split regex becomes its
+ * `preTokenizer` ({ preset: 'regex', pattern }) and a recognized normalizer
+ * its `normalizer`.
+ *
+ * @param {any} json
+ * @returns {{ version: number, vocabSize: number, vocab: number[][], merges: number[][], specialTokens?: Record<string, number>, preTokenizer?: { preset: 'regex', pattern: string }, normalizer?: object }}
+ */
+export function fromTokenizerJson(json) {
+    const { model } = json;
+    if (model.type && model.type !== 'BPE') {
+        throw new Error(`Unsupported tokenizer model: ${model.type} (only BPE)`);
+    }
+    if (!model.vocab || !model.merges) {
+        throw new Error('Invalid tokenizer.json: missing model.vocab or model.merges');
+    }
+    if (!hasByteLevel(json.pre_tokenizer) && !hasByteLevel(json.decoder)) {
+        throw new Error('Only byte-level BPE tokenizer.json files are supported');
+    }
+
+    const specialTokens = {};
+    for (const token of json.added_tokens ?? []) {
+        if (token.special) specialTokens[token.content] = token.id;
+    }
+
+    const result = fromByteLevelBPE(model.vocab, model.merges, specialTokens);
+    const pattern = splitPattern(json.pre_tokenizer);
+    if (pattern) result.preTokenizer = { preset: 'regex', pattern };
+    const normalizer = fromHfNormalizer(json.normalizer);
+    if (normalizer) result.normalizer = normalizer;
+    return result;
+}
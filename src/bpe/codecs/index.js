@@ -0,0 +1,102 @@
+/**
+ * Model codecs — external tokenizer formats ↔ internal model JSON
+ *
+ * Internal model JSON is what TrainingManager.downloadModel writes:
+ * { version, vocabSize, vocab: byte arrays, merges: [[a, b, newId]],
+ *   specialTokens?: { text: id }, preTokenizer?: PreTokenizer rules,
+ *   normalizer?: Normalizer rules (absent: NFC),
+ *   characterCoverage?: number (absent: byte-level base alphabet) }.
+ */
+
+import { isTokenizerJson, fromTokenizerJson } from './hf-tokenizer.js';
+import { fromTiktoken } from './tiktoken.js';
+import { fromGpt2Files } from './gpt2-vocab.js';
+import { parseAddedTokensJson, isAddedTokensFile } from './added-tokens.js';
+import { withSpecialTokens } from '../special-tokens.js';
+
+export { toTokenizerJson, fromTokenizerJson } from './hf-tokenizer.js';
+export { toTiktoken, fromTiktoken } from './tiktoken.js';
+export { toGpt2Files, fromGpt2Files, VOCAB_FILE_NAME, MERGES_FILE_NAME } from './gpt2-vocab.js';
+export { ADDED_TOKENS_FILE_NAME, toAddedTokensJson, parseAddedTokensJson } from './added-tokens.js';
+
+// ─── Model JSON ─────────────────────────────────────────────
+
+/**
+ * Trained or loaded model → the internal model JSON written to disk.
+ * The pre-tokenizer and normalizer rules are kept so encoding can split and
+ * normalize as training did, and the character coverage so merge encoding
+ * starts from the same base alphabet.
+ *
+ * @param {{ vocabSize: number, vocab: number[][], merges: number[][], specialTokens?: Record<string, number>, preTokenizer?: object|null, normalizer?: object|null, characterCoverage?: number|null }} model
+ * @returns {{ version: number, vocabSize: number, vocab: number[][], merges: number[][], specialTokens?: Record<string, number>, preTokenizer?: object, normalizer?: object, characterCoverage?: number }}
+ */
+export function toModelJson(model) {
+    const json = withSpecialTokens({
+        version: 1,
+        vocabSize: model.vocabSize,
+        vocab: model.vocab,        // byte arrays
+        merges: model.merges,      // [[a, b, newId], ...]
+    }, model.specialTokens);
+    if (model.preTokenizer) json.preTokenizer = model.preTokenizer;
+    if (model.normalizer) json.normalizer = model.normalizer;
+    if ((model.characterCoverage ?? null) !== null) json.characterCoverage = model.characterCoverage;
+    return json;
+}
+
+// ─── Format Detection ───────────────────────────────────────
+
+/** First line of a .tiktoken file: `<base64> <rank>` */
+const TIKTOKEN_LINE = /^[A-Za-z0-9+/]+=*\s+\d+\s*$/;
+
+/**
+ * Parse a vocabulary file in any supported format into internal model JSON.
+ * The format is chosen by extension, then by content:
+ *   - `.tiktoken` rank file
+ *   - Hugging Face tokenizer.json (byte-level BPE)
+ *   - our own model JSON
+ *
+ * @param {string} fileName
+ * @param {string} text
+ * @param {Record<string, number>} [specialTokens] - added_tokens.json sidecar (.tiktoken only;
+ *   the JSON formats carry their own)
+ * @returns {{ vocab: number[][], merges: number[][], specialTokens?: Record<string, number> }}
+ */
+export function parseModelFile(fileName, text, specialTokens = {}) {
+    const firstLine = text.split('\n', 1)[0].trim();
+    if (/\.tiktoken$/i.test(fileName) || TIKTOKEN_LINE.test(firstLine)) {
+        return fromTiktoken(text, specialTokens);
+    }
+
+    const json = JSON.parse(text);
+    return isTokenizerJson(json) ? fromTokenizerJson(json) : json;
+}
+
+/**
+ * Parse a vocabulary given as one or more files (a file-input selection).
+ * Two files are read as a GPT-2 pair: the .txt is merges.txt, the other vocab.json.
+ * An added_tokens.json among them supplies the special tokens.
+ *
+ * @param {File[]} files
+ * @returns {Promise<{ vocab: number[][], merges: number[][], specialTokens?: Record<string, number> }>}
+ */
+export async function readModelFiles(files) {
+    const sidecar = files.length > 1 ? files.find(f => isAddedTokensFile(f.name)) : undefined;
+    const addedTokensJson = sidecar ? await sidecar.text() : null;
+    if (sidecar) files = files.filter(f => f !== sidecar);
+
+    if (files.length === 1) {
+        const specialTokens = addedTokensJson ? parseAddedTokensJson(addedTokensJson) : {};
+        return parseModelFile(files[0].name, await files[0].text(), specialTokens);
+    }
+    if (files.length !== 2) {
+        throw new Error(`Select one vocabulary file or a vocab.json + merges.txt pair, optionally with added_tokens.json (got ${files.length} files)`);
+    }
+
+    const mergesFile = files.find(f => /\.txt$/i.test(f.name));
+    const vocabFile = files.find(f => f !== mergesFile);
+    if (!mergesFile || !/\.json$/i.test(vocabFile.name)) {
+        throw new Error('Two-file selection must be vocab.json + merges.txt');
+    }
+
+    return fromGpt2Files(await vocabFile.text(), await mergesFile.text(), addedTokensJson);
+}
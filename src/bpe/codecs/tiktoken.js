@@ -0,0 +1,158 @@
+/**
+ * tiktoken — `.tiktoken` BPE rank file import/export
+ *
+ * One token per line: `<base64 token bytes> <rank>`. Ranks are token ids,
+ * and merge priority is implied by rank — a token with rank r is produced by
+ * merging two tokens of lower rank. Merges are not stored, so the importer
+ * recovers them by running rank-limited BPE over each token's own bytes.
+ *
+ * Special tokens are not ranks: they are left out of the file and travel in
+ * an added_tokens.json sidecar (added-tokens.js).
+ */
+
+import { placeSpecialTokens, specialTokenIds, withSpecialTokens } from '../special-tokens.js';
+import { assertByteLevelModel } from '../characters.js';
+
+// ─── Byte Keys ──────────────────────────────────────────────
+
+/**
+ * Bytes → latin1 string (one char per byte). Doubles as a Map key and as
+ * btoa()/atob() input.
+ *
+ * @param {ArrayLike<number>} bytes
+ * @returns {string}
+ */
+function bytesToKey(bytes) {
+    let s = '';
+    for (let i = 0; i < bytes.length; i++) s += String.fromCharCode(bytes[i]);
+    return s;
+}
+
+/** @param {string} key @returns {number[]} */
+function keyToBytes(key) {
+    const bytes = new Array(key.length);
+    for (let i = 0; i < key.length; i++) bytes[i] = key.charCodeAt(i);
+    return bytes;
+}
+
+// ─── Export ─────────────────────────────────────────────────
+
+/**
+ * Internal model → .tiktoken text. Token ids are the ranks; byte sequences
+ * reachable via different merge paths keep their first id (ranks need
+ * unique byte strings). Special tokens are skipped. Throws for a
+ * character-coverage model.
+ *
+ * @param {{ vocab: number[][], specialTokens?: Record<string, number>, characterCoverage?: number|null }} model
+ * @returns {string}
+ */
+export function toTiktoken(model) {
+    assertByteLevelModel(model, '.tiktoken');
+    const specialIds = specialTokenIds(model.specialTokens);
+    const seen = new Set();
+    const lines = [];
+
+    for (let id = 0; id < model.vocab.length; id++) {
+        const bytes = model.vocab[id];
+        if (!bytes || bytes.length === 0 || specialIds.has(id)) continue;
+
+        const key = bytesToKey(bytes);
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        lines.push(`${btoa(key)} ${id}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// ─── Import ─────────────────────────────────────────────────
+
+/**
+ * BPE over `key` using only tokens ranked below `maxRank` — the same greedy
+ * lowest-rank-first merge tiktoken runs at encode time.
+ *
+ * @param {Map<string, number>} ranks
+ * @param {string} key
+ * @param {number} maxRank
+ * @returns {string[]} parts left when no further merge is allowed
+ */
+function bytePairMerge(ranks, key, maxRank) {
+    const parts = Array.from(key);
+
+    for (;;) {
+        let best = -1;
+        let bestRank = maxRank;
+        for (let i = 0; i < parts.length - 1; i++) {
+            const rank = ranks.get(parts[i] + parts[i + 1]);
+            if (rank !== undefined && rank < bestRank) {
+                bestRank = rank;
+                best = i;
+            }
+        }
+        if (best < 0) return parts;
+        parts.splice(best, 2, parts[best] + parts[best + 1]);
+    }
+}
+
+/**
+ * .tiktoken text → internal model JSON ({ version, vocabSize, vocab, merges }).
+ *
+ * Every multi-byte token gets the merge [a, b, rank] where a + b is what BPE
+ * restricted to lower ranks leaves of its bytes. Tokens that do not reduce to
+ * exactly two parts are kept in the vocab but have no merge (unreachable
+ * through merge-rank encoding, still usable by the longest-match trie walk).
+ *
+ * @param {string} text
+ * @param {Record<string, number>} [specialTokens] - from the added_tokens.json sidecar
+ * @returns {{ version: number, vocabSize: number, vocab: number[][], merges: number[][], specialTokens?: Record<string, number> }}
+ */
+export function fromTiktoken(text, specialTokens = {}) {
+    /** @type {Map<string, number>} */
+    const ranks = new Map();
+    let vocabSize = 0;
+
+    const lines = text.split('\n');
+    for (let n = 0; n < lines.length; n++) {
+        const line = lines[n].trim();
+        if (!line) continue;
+
+        const [b64, rankStr] = line.split(/\s+/);
+        const rank = Number(rankStr);
+        if (!b64 || !Number.isInteger(rank) || rank < 0) {
+            throw new Error(`Invalid .tiktoken line ${n + 1}: "${line}"`);
+        }
+
+        let key;
+        try {
+            key = atob(b64);
+        } catch {
+            throw new Error(`Invalid base64 on .tiktoken line ${n + 1}`);
+        }
+
+        if (!ranks.has(key)) ranks.set(key, rank);
+        vocabSize = Math.max(vocabSize, rank + 1);
+    }
+
+    for (let b = 0; b < 256; b++) {
+        if (!ranks.has(String.fromCharCode(b))) {
+            throw new Error(`Invalid .tiktoken file: missing single-byte token 0x${b.toString(16).padStart(2, '0')}`);
+        }
+    }
+
+    const vocab = Array.from({ length: vocabSize }, () => []);
+    for (const [key, rank] of ranks) vocab[rank] = keyToBytes(key);
+
+    // Merges in rank order — the order merge-rank encoding applies them
+    const byRank = [...ranks].filter(([key]) => key.length > 1).sort((x, y) => x[1] - y[1]);
+
+    const merges = [];
+    for (const [key, rank] of byRank) {
+        const parts = bytePairMerge(ranks, key, rank);
+        if (parts.length !== 2) continue;
+        merges.push([ranks.get(parts[0]), ranks.get(parts[1]), rank]);
+    }
+
+    placeSpecialTokens(vocab, specialTokens);
+    return withSpecialTokens({ version: 1, vocabSize: vocab.length, vocab, merges }, specialTokens);
+}
@@ -0,0 +1,293 @@
+/**
+ * CPU Merge Runner — reference implementation of the GPU merge loop
+ *
+ * Same contract as GPUMergeRunner (training-pipeline.js), so BPETrainer
+ * drives both with one loop. Used when the engine has no WebGPU adapter,
+ * and as an oracle for the train.wgsl kernels:
+ *   - pair counting: adjacent pairs whose second symbol is not a word start,
+ *     token 0 excluded (bpe_pair_count_b)
+ *   - max pair: highest count, ties → smaller (a, b) (is_better /
+ *     bpe_find_max_pair_final_det)
+ *   - early stop: best count < 2 or token ids exhausted (bpe_setup_merge)
+ *   - merging: left-to-right, never across a word start, the word-start
+ *     flag stays on the merged symbol (bpe_merge_reduce_b)
+ *
+ * Pre-tokens never interact, so the symbol stream is deduplicated into
+ * unique words with occurrence counts and pair counts are updated
+ * incrementally — only words containing the merged pair are touched.
+ */
+
+import { MERGE_LOG_STRIDE } from '../training-pipeline.js';
+
+// ─── Constants ──────────────────────────────────────────────
+
+const WORD_START_BIT = 0x8000_0000;   // must match train.wgsl / trainer.js
+const TOKEN_MASK = 0x3FFFF;
+const PAIR_RADIX = TOKEN_MASK + 1;    // key = a * 2^18 + b (36 bits, exact in a double)
+const ITER_STATE_WORDS = 12;
+
+// ─── Max-Pair Selection ─────────────────────────────────────
+
+/**
+ * Deterministic comparison — must match is_better() in train.wgsl:
+ * higher count wins; ties broken by smaller (a, b).
+ */
+function isBetter(countNew, aNew, bNew, countOld, aOld, bOld) {
+    if (countNew !== countOld) return countNew > countOld;
+    return aNew < aOld || (aNew === aOld && bNew < bOld);
+}
+
+/**
+ * Binary max-heap of [count, a, b] ordered by isBetter. Entries go stale
+ * when a pair's count changes; the runner skips them on pop.
+ */
+class PairHeap {
+    /** @type {number[][]} */
+    #items = [];
+
+    get size() {
+        return this.#items.length;
+    }
+
+    push(count, a, b) {
+        const items = this.#items;
+        items.push([count, a, b]);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.#above(items[i], items[parent])) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.#items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1;
+                const r = l + 1;
+                let best = i;
+                if (l < items.length && this.#above(items[l], items[best])) best = l;
+                if (r < items.length && this.#above(items[r], items[best])) best = r;
+                if (best === i) break;
+                [items[i], items[best]] = [items[best], items[i]];
+                i = best;
+            }
+        }
+        return top;
+    }
+
+    #above(x, y) {
+        return isBetter(x[0], x[1], x[2], y[0], y[1], y[2]);
+    }
+}
+
+// ─── CPU Merge Runner ───────────────────────────────────────
+
+/**
+ * @implements {import('../training-pipeline.js').MergeRunner}
+ */
+export class CPUMergeRunner {
+    /** @type {number[][]} unique words (token ids, flags stripped) */
+    #words = [];
+    /** @type {number[]} occurrences of each word */
+    #wordCounts = [];
+    /** @type {Uint32Array} word index of every pre-token, in stream order */
+    #occurrences;
+
+    /** @type {Map<number, number>} pair key → count */
+    #pairCounts = new Map();
+    /** @type {Map<number, Set<number>>} pair key → indices of words containing it */
+    #pairWords = new Map();
+    #heap = new PairHeap();
+
+    #symbolCount;
+    #maxSymbols;
+    #nextTokenId;
+    #earlyStop = false;
+
+    /**
+     * @param {Uint32Array} symbols - word-start tagged symbol stream
+     * @param {number} nextTokenId
+     */
+    constructor(symbols, nextTokenId) {
+        this.#symbolCount = symbols.length;
+        this.#maxSymbols = symbols.length;
+        this.#nextTokenId = nextTokenId;
+
+        // ── Split into pre-tokens and deduplicate ──
+        /** @type {Map<string, number>} */
+        const index = new Map();
+        const occurrences = [];
+        let start = 0;
+        for (let i = 1; i <= symbols.length; i++) {
+            if (i < symbols.length && !(symbols[i] & WORD_START_BIT)) continue;
+
+            const word = [];
+            for (let j = start; j < i; j++) word.push(symbols[j] & TOKEN_MASK);
+            const key = word.join(',');
+
+            let w = index.get(key);
+            if (w === undefined) {
+                w = this.#words.length;
+                index.set(key, w);
+                this.#words.push(word);
+                this.#wordCounts.push(0);
+            }
+            this.#wordCounts[w]++;
+            occurrences.push(w);
+            start = i;
+        }
+        this.#occurrences = Uint32Array.from(occurrences);
+
+        // ── Initial pair counts ──
+        for (let w = 0; w < this.#words.length; w++) this.#addWordPairs(w, 1);
+        for (const [key, count] of this.#pairCounts) {
+            this.#heap.push(count, Math.floor(key / PAIR_RADIX), key % PAIR_RADIX);
+        }
+    }
+
+    // ─── Pair Bookkeeping ───────────────────────────────────
+
+    /**
+     * Add (sign = 1) or remove (sign = -1) the pairs of word `w`.
+     * Changed counts are pushed to the heap when adding back.
+     */
+    #addWordPairs(w, sign, touched = null) {
+        const word = this.#words[w];
+        const n = this.#wordCounts[w] * sign;
+
+        for (let i = 0; i + 1 < word.length; i++) {
+            const a = word[i];
+            const b = word[i + 1];
+            if (a === 0 || b === 0) continue;   // key 0 = empty slot on the GPU
+
+            const key = a * PAIR_RADIX + b;
+            const count = (this.#pairCounts.get(key) ?? 0) + n;
+            if (count > 0) this.#pairCounts.set(key, count);
+            else this.#pairCounts.delete(key);
+
+            let ws = this.#pairWords.get(key);
+            if (sign > 0) {
+                if (!ws) this.#pairWords.set(key, ws = new Set());
+                ws.add(w);
+            }
+            touched?.add(key);
+        }
+    }
+
+    /** @returns {number[]|null} [count, a, b] of the best live pair */
+    #popBest() {
+        while (this.#heap.size > 0) {
+            const [count, a, b] = this.#heap.pop();
+            if (this.#pairCounts.get(a * PAIR_RADIX + b) === count) return [count, a, b];
+        }
+        return null;
+    }
+
+    /**
+     * Merge (a, b) → newId in every word containing the pair.
+     * @returns {number} symbols removed from the stream
+     */
+    #applyMerge(a, b, newId) {
+        const key = a * PAIR_RADIX + b;
+        const wordIds = this.#pairWords.get(key) ?? new Set();
+        this.#pairWords.delete(key);
+
+        const touched = new Set();
+        let removed = 0;
+
+        for (const w of wordIds) {
+            const word = this.#words[w];
+            this.#addWordPairs(w, -1, touched);
+
+            const merged = [];
+            for (let i = 0; i < word.length; i++) {
+                if (i + 1 < word.length && word[i] === a && word[i + 1] === b) {
+                    merged.push(newId);
+                    i++;
+                } else {
+                    merged.push(word[i]);
+                }
+            }
+
+            removed += (word.length - merged.length) * this.#wordCounts[w];
+            this.#words[w] = merged;
+            this.#addWordPairs(w, 1, touched);
+        }
+
+        for (const k of touched) {
+            const count = this.#pairCounts.get(k);
+            if (count !== undefined) this.#heap.push(count, Math.floor(k / PAIR_RADIX), k % PAIR_RADIX);
+            else this.#pairWords.delete(k);
+        }
+
+        return removed;
+    }
+
+    // ─── MergeRunner ────────────────────────────────────────
+
+    /** @param {number} batchMerges */
+    async runBatch(batchMerges) {
+        const log = new Uint32Array(batchMerges * MERGE_LOG_STRIDE);
+        let mergesDone = 0;
+        let last = [0, 0, 0];
+
+        while (mergesDone < batchMerges && !this.#earlyStop) {
+            const best = this.#popBest();
+            if (!best || best[0] < 2 || this.#nextTokenId > TOKEN_MASK) {
+                this.#earlyStop = true;
+                break;
+            }
+
+            const [count, a, b] = best;
+            const newId = this.#nextTokenId++;
+            this.#symbolCount -= this.#applyMerge(a, b, newId);
+
+            log.set([a, b, newId, count], mergesDone * MERGE_LOG_STRIDE);
+            last = best;
+            mergesDone++;
+        }
+
+        return { log, mergesDone, state: this.#state(mergesDone, last) };
+    }
+
+    /** Rebuild the tagged symbol stream from the word list. */
+    async readSymbols() {
+        const symbols = new Uint32Array(this.#symbolCount);
+        let pos = 0;
+        for (const w of this.#occurrences) {
+            const word = this.#words[w];
+            symbols[pos] = word[0] | WORD_START_BIT;
+            for (let i = 1; i < word.length; i++) symbols[pos + i] = word[i];
+            pos += word.length;
+        }
+        return symbols;
+    }
+
+    destroy() {
+        this.#pairCounts.clear();
+        this.#pairWords.clear();
+    }
+
+    /** IterState words, laid out as in train.wgsl */
+    #state(mergesDone, [count, a, b]) {
+        const state = new Uint32Array(ITER_STATE_WORDS);
+        state[0] = this.#symbolCount;
+        state[1] = 0;                                   // table_size (no hash table)
+        state[2] = this.#earlyStop ? 1 : 0;
+        state[3] = this.#nextTokenId;
+        state[4] = a;
+        state[5] = b;
+        state[6] = mergesDone > 0 ? this.#nextTokenId - 1 : 0;
+        state[7] = count;
+        state[8] = mergesDone;
+        state[9] = this.#maxSymbols;
+        return state;
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * CPU Tokenizer — reference implementation of the tokenize.wgsl encoders
+ *
+ * Used by TrieTokenizer on a CPU engine, and as an oracle for the kernels:
+ *   - longestMatchEncode: trie_tokenizer_chunked — greedy longest match over
+ *     the same flattened trie, restarting at every planned chunk start
+ *   - mergeRankEncode:    merge_tokenizer_chunked — per pre-token, seed with
+ *     the base alphabet (bytes, plus the characters of a character-coverage
+ *     model), then merge the lowest-rank adjacent pair (all occurrences,
+ *     left to right) until none is left
+ */
+
+import { INVALID_TOKEN } from '../engine.js';
+import { baseSymbols } from '../characters.js';
+
+// ─── Constants ──────────────────────────────────────────────
+
+const PAIR_RADIX = 0x40000;   // 2^18 token ids → exact 36-bit pair keys
+
+// ─── Longest Match ──────────────────────────────────────────
+
+/**
+ * Child of a trie node for byte `sym`, or INVALID_TOKEN.
+ * Edges are sorted by byte (trie.js), so binary search like find_child_global.
+ */
+function findChild(nodes, edges, node, sym) {
+    const first = nodes[node * 3];
+    let lo = 0;
+    let hi = nodes[node * 3 + 1] & 0xFFFF;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        const s = edges[(first + mid) * 2] & 0xFF;
+        if (s === sym) return edges[(first + mid) * 2 + 1];
+        if (s < sym) lo = mid + 1;
+        else hi = mid;
+    }
+    return INVALID_TOKEN;
+}
+
+/**
+ * Greedy longest-match encoding, chunk by chunk. A byte with no trie match
+ * is emitted as its byte value, as the kernel does.
+ *
+ * @param {Uint32Array} nodes - 3 × u32 per node (trie.js parseTrieBuffers)
+ * @param {Uint32Array} edges - 2 × u32 per edge
+ * @param {Uint8Array} bytes
+ * @param {Uint32Array} chunkStarts - chunk start offsets followed by bytes.length (segmentation.js planChunks)
+ * @param {Uint8Array|null} [wordStarts] - 1 = pre-token start; when given,
+ *   no match extends past one (as in the kernel, which always has them)
+ * @returns {Uint32Array}
+ */
+export function longestMatchEncode(nodes, edges, bytes, chunkStarts, wordStarts = null) {
+    const out = new Uint32Array(bytes.length);
+    let n = 0;
+
+    for (let c = 0; c + 1 < chunkStarts.length; c++) {
+        const cs = chunkStarts[c];
+        const ce = Math.min(chunkStarts[c + 1], bytes.length);
+        let pos = cs;
+
+        while (pos < ce) {
+            let node = 0;
+            let matchToken = INVALID_TOKEN;
+            let matchEnd = pos;
+
+            for (let wp = pos; wp < ce; wp++) {
+                if (wordStarts && wp > pos && wordStarts[wp]) break;
+                node = findChild(nodes, edges, node, bytes[wp]);
+                if (node === INVALID_TOKEN) break;
+                const tokenId = nodes[node * 3 + 2];
+                if (tokenId !== INVALID_TOKEN) {
+                    matchToken = tokenId;
+                    matchEnd = wp + 1;
+                }
+            }
+
+            if (matchToken !== INVALID_TOKEN) {
+                out[n++] = matchToken;
+                pos = matchEnd;
+            } else {
+                out[n++] = bytes[pos++];
+            }
+        }
+    }
+
+    return out.slice(0, n);
+}
+
+// ─── Merge Rank ─────────────────────────────────────────────
+
+/**
+ * Pair → [rank, newId]. Rank = position in the merge list; the first
+ * entry of a repeated pair wins (as in buildMergeTable).
+ *
+ * @param {number[][]} merges - [[symbolA, symbolB, newTokenId], ...]
+ * @returns {Map<number, number[]>}
+ */
+export function buildMergeRanks(merges) {
+    const ranks = new Map();
+    for (let rank = 0; rank < merges.length; rank++) {
+        const [a, b, newId] = merges[rank];
+        const key = a * PAIR_RADIX + b;
+        if (!ranks.has(key)) ranks.set(key, [rank, newId]);
+    }
+    return ranks;
+}
+
+/**
+ * Merge-rank encoding, one pre-token at a time.
+ *
+ * @param {Map<number, number[]>} ranks - from buildMergeRanks
+ * @param {Uint32Array} byteTokens - byte value → token id (merge-table.js)
+ * @param {Uint8Array} bytes
+ * @param {Uint8Array} wordStarts - 1 = pre-token start
+ * @param {Map<number, number>|null} [charTokens] - character tokens (characters.js
+ *   characterTokenMap); null seeds with bytes only
+ * @returns {Uint32Array}
+ */
+export function mergeRankEncode(ranks, byteTokens, bytes, wordStarts, charTokens = null) {
+    const out = new Uint32Array(bytes.length);
+    let n = 0;
+    let seg = 0;
+
+    while (seg < bytes.length) {
+        let se = seg + 1;
+        while (se < bytes.length && !wordStarts[se]) se++;
+
+        let word = baseSymbols(bytes, seg, se, byteTokens, charTokens);
+
+        while (word.length > 1) {
+            let best = null;
+            for (let i = 0; i + 1 < word.length; i++) {
+                const entry = ranks.get(word[i] * PAIR_RADIX + word[i + 1]);
+                if (entry && (!best || entry[0] < best[0])) best = [entry[0], entry[1], word[i], word[i + 1]];
+            }
+            if (!best) break;
+
+            const [, newId, a, b] = best;
+            const merged = [];
+            for (let i = 0; i < word.length; i++) {
+                if (i + 1 < word.length && word[i] === a && word[i + 1] === b) {
+                    merged.push(newId);
+                    i++;
+                } else {
+                    merged.push(word[i]);
+                }
+            }
+            word = merged;
+        }
+
+        out.set(word, n);
+        n += word.length;
+        seg = se;
+    }
+
+    return out.slice(0, n);
+}
@@ -0,0 +1,31 @@
+/**
+ * CRC-32 (IEEE 802.3, as in zlib / PNG) — integrity check for DXFT files
+ *
+ * Incremental: pass the previous result to continue over the next chunk,
+ *   crc32(b, crc32(a)) === crc32(concat(a, b))
+ */
+
+// ─── Table ──────────────────────────────────────────────────
+
+const TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// ─── Checksum ───────────────────────────────────────────────
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} [crc] - result over the preceding bytes (0 to start)
+ * @returns {number} unsigned 32-bit
+ */
+export function crc32(bytes, crc = 0) {
+    let c = ~crc;
+    for (let i = 0; i < bytes.length; i++) c = TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    return ~c >>> 0;
+}
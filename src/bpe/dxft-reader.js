@@ -0,0 +1,305 @@
+/**
+ * DXFT Reader — parse and verify token dataset files (.bin)
+ *
+ * Reads every version written so far (see dxft.js for the layouts):
+ *   - v1: 4-word header, u32 tokens, no checksums
+ *   - v2: 8-word header with dtype, shard index and split
+ *   - v3: 16-word header with flags, vocab hash and token CRC-32
+ *
+ * A file whose structure cannot be parsed (bad magic, unknown version,
+ * truncated sections) throws. Checks that fail on a well-formed file —
+ * checksum mismatch, out-of-range ids, a broken index — are collected in
+ * `issues`, so an inspector can still show what is there.
+ *
+ * Sources are a Uint8Array, an ArrayBuffer, a Blob (a dropped File) or a
+ * DxftSource (e.g. over a Node file handle); the last two are read in slices,
+ * so verifying a multi-GB shard does not load it whole unless the tokens are
+ * requested.
+ */
+
+import { crc32 } from './crc32.js';
+import {
+    DXFT_MAGIC, DIDX_MAGIC, DXFT_VERSION, TokenDtype, DatasetSplit, DxftFlags, SPLIT_CODES, HEADER_WORDS,
+} from './dxft.js';
+
+// ─── Constants ──────────────────────────────────────────────
+
+const V1_HEADER_WORDS = 4;
+const V2_HEADER_WORDS = 8;
+const U32_RANGE = 0x1_0000_0000;
+const SPACE = 0x20;
+
+/** Token bytes read per step while verifying */
+const VERIFY_SLICE_BYTES = 16 << 20;
+
+/** Word 1 of a v1 file is the vocab size, which is never below 256 */
+const MIN_V1_VOCAB = 256;
+
+const SPLIT_NAMES = Object.fromEntries(Object.entries(SPLIT_CODES).map(([name, code]) => [code, name]));
+
+// ─── Source Access ──────────────────────────────────────────
+
+/**
+ * Random-access byte source: a file handle, a remote range reader.
+ *
+ * @typedef {Object} DxftSource
+ * @property {number} size
+ * @property {(start: number, end: number) => Promise<Uint8Array>} read - bytes [start, end)
+ */
+
+/**
+ * @param {Uint8Array|ArrayBuffer|Blob|DxftSource} source
+ * @returns {DxftSource}
+ */
+function openSource(source) {
+    if (source instanceof ArrayBuffer) source = new Uint8Array(source);
+    if (source instanceof Uint8Array) {
+        return { size: source.length, read: async (start, end) => source.subarray(start, end) };
+    }
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+        return {
+            size: source.size,
+            read: async (start, end) => new Uint8Array(await source.slice(start, end).arrayBuffer()),
+        };
+    }
+    if (typeof source?.read === 'function' && Number.isFinite(source.size)) return source;
+    throw new Error('DXFT source must be a Uint8Array, an ArrayBuffer, a Blob or a DxftSource');
+}
+
+/** Little-endian u32 words of `bytes` (any alignment) */
+function words(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return Array.from({ length: bytes.length >> 2 }, (_, i) => view.getUint32(i * 4, true));
+}
+
+// ─── Header ─────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} DxftHeader
+ * @property {number} version
+ * @property {number} headerBytes - offset of the token section
+ * @property {number} flags - DxftFlags (v1 / v2: DOC_INDEX inferred from the file)
+ * @property {number} vocabSize
+ * @property {number} dtype - TokenDtype
+ * @property {number} tokenCount
+ * @property {number} vocabBytesLength
+ * @property {number} shardIndex
+ * @property {string} split - DatasetSplit
+ * @property {number|null} vocabHash - null before v3; 0 = no vocab
+ * @property {number|null} tokenCrc - null before v3
+ */
+
+/**
+ * Parse the fixed header. `bytes` must hold at least the header
+ * (64 bytes cover every version).
+ *
+ * @param {Uint8Array} bytes
+ * @returns {DxftHeader}
+ */
+export function parseDxftHeader(bytes) {
+    if (bytes.length < V1_HEADER_WORDS * 4) throw new Error('Not a DXFT file: too short for a header');
+    const w = words(bytes.subarray(0, Math.min(bytes.length, HEADER_WORDS * 4)));
+    if (w[0] !== DXFT_MAGIC) throw new Error('Not a DXFT file: bad magic');
+
+    if (w[1] >= MIN_V1_VOCAB) {
+        return {
+            version: 1, headerBytes: V1_HEADER_WORDS * 4, flags: 0,
+            vocabSize: w[1], dtype: TokenDtype.U32, tokenCount: w[2], vocabBytesLength: w[3],
+            shardIndex: 0, split: DatasetSplit.TRAIN, vocabHash: null, tokenCrc: null,
+        };
+    }
+
+    if (w[1] === 2) {
+        if (w.length < V2_HEADER_WORDS) throw new Error('Truncated DXFT v2 header');
+        return {
+            version: 2, headerBytes: V2_HEADER_WORDS * 4, flags: 0,
+            vocabSize: w[2], dtype: checkedDtype(w[5]), tokenCount: w[3], vocabBytesLength: w[4],
+            shardIndex: w[6], split: splitName(w[7]), vocabHash: null, tokenCrc: null,
+        };
+    }
+
+    if (w[1] === DXFT_VERSION) {
+        if (w.length < HEADER_WORDS) throw new Error('Truncated DXFT v3 header');
+        if (w[2] < HEADER_WORDS * 4 || w[2] % 4 !== 0) throw new Error(`Invalid DXFT header size ${w[2]}`);
+        return {
+            version: 3, headerBytes: w[2], flags: w[3],
+            vocabSize: w[4], dtype: checkedDtype(w[5]), tokenCount: w[6] + w[7] * U32_RANGE,
+            vocabBytesLength: w[8], shardIndex: w[9], split: splitName(w[10]),
+            vocabHash: w[11], tokenCrc: w[12],
+        };
+    }
+
+    throw new Error(`Unsupported DXFT version ${w[1]} (this reader handles 1–${DXFT_VERSION})`);
+}
+
+function checkedDtype(dtype) {
+    if (dtype !== TokenDtype.U16 && dtype !== TokenDtype.U32) throw new Error(`Unknown DXFT token dtype ${dtype}`);
+    return dtype;
+}
+
+function splitName(code) {
+    const name = SPLIT_NAMES[code];
+    if (!name) throw new Error(`Unknown DXFT split code ${code}`);
+    return name;
+}
+
+// ─── Reader ─────────────────────────────────────────────────
+
+/**
+ * @typedef {DxftHeader & {
+ *   byteLength: number,
+ *   tokens: Uint16Array|Uint32Array|null,
+ *   model: object|null,
+ *   docStarts: Uint32Array|null,
+ *   checks: { tokenCrc: boolean|null, vocabHash: boolean|null },
+ *   issues: string[],
+ * }} DxftFile
+ *   tokens: null unless requested; model: the embedded model JSON (null when
+ *   absent or unparseable); checks: null = not stored in this version or not verified
+ */
+
+/**
+ * Read a DXFT file: header, embedded model JSON, document index and
+ * (optionally) the tokens, verifying checksums and structure on the way.
+ *
+ * @param {Uint8Array|ArrayBuffer|Blob|DxftSource} source
+ * @param {{ tokens?: boolean, tokenLimit?: number, verify?: boolean }} [options]
+ *   tokens: return the token array (its first `tokenLimit` tokens — a preview);
+ *   verify: check CRCs, id range and index
+ * @returns {Promise<DxftFile>}
+ */
+export async function readDxft(source, { tokens = true, tokenLimit = Infinity, verify = true } = {}) {
+    const src = openSource(source);
+    const header = parseDxftHeader(await src.read(0, Math.min(src.size, HEADER_WORDS * 4)));
+    const issues = [];
+
+    const tokenStart = header.headerBytes;
+    const vocabStart = tokenStart + header.tokenCount * header.dtype;
+    const vocabEnd = vocabStart + header.vocabBytesLength;
+    if (src.size < vocabEnd) {
+        throw new Error(`Truncated DXFT file: ${src.size} bytes, header describes at least ${vocabEnd}`);
+    }
+
+    // ── Tokens ──
+    const tokenResult = tokens || verify
+        ? await readTokens(src, header, { keep: tokens ? tokenLimit : 0, verify })
+        : { tokens: null, crc: null, outOfRange: 0 };
+    const checks = { tokenCrc: null, vocabHash: null };
+    if (verify) {
+        if (header.tokenCrc !== null) {
+            checks.tokenCrc = tokenResult.crc === header.tokenCrc;
+            if (!checks.tokenCrc) issues.push('Token checksum mismatch — the token section is corrupt');
+        }
+        if (tokenResult.outOfRange > 0) {
+            issues.push(`${tokenResult.outOfRange.toLocaleString()} token id(s) ≥ vocab size ${header.vocabSize}`);
+        }
+    }
+
+    // ── Embedded model ──
+    const vocabBytes = await src.read(vocabStart, vocabEnd);
+    let json = vocabBytes.length;
+    while (json > 0 && vocabBytes[json - 1] === SPACE) json--;
+
+    if (verify && header.vocabHash !== null && header.vocabBytesLength > 0) {
+        checks.vocabHash = crc32(vocabBytes.subarray(0, json)) === header.vocabHash;
+        if (!checks.vocabHash) issues.push('Vocab hash mismatch — the embedded model JSON is corrupt');
+    }
+
+    let model = null;
+    if (json > 0) {
+        try {
+            model = JSON.parse(new TextDecoder().decode(vocabBytes.subarray(0, json)));
+        } catch (e) {
+            issues.push(`Embedded model JSON does not parse: ${e.message}`);
+        }
+    }
+    if (verify && Array.isArray(model?.vocab) && model.vocab.length !== header.vocabSize) {
+        issues.push(`Embedded vocab has ${model.vocab.length} entries, header says ${header.vocabSize}`);
+    }
+
+    // ── Document index ──
+    const rest = src.size > vocabEnd ? await src.read(vocabEnd, src.size) : new Uint8Array(0);
+    const docStarts = readIndex(rest, header, issues, verify);
+
+    return { ...header, byteLength: src.size, tokens: tokenResult.tokens, model, docStarts, checks, issues };
+}
+
+/**
+ * Read the token section in slices, keeping the first `keep` tokens,
+ * computing the CRC and counting ids outside the vocab.
+ */
+async function readTokens(src, header, { keep, verify }) {
+    const { dtype, tokenCount, vocabSize } = header;
+    const ArrayType = dtype === TokenDtype.U16 ? Uint16Array : Uint32Array;
+    const kept = Math.min(keep, tokenCount);
+    const out = keep > 0 ? new ArrayType(kept) : null;
+    const sliceTokens = Math.floor(VERIFY_SLICE_BYTES / dtype);
+    const end = verify ? tokenCount : kept;
+
+    let crc = 0;
+    let outOfRange = 0;
+    for (let t = 0; t < end; t += sliceTokens) {
+        const n = Math.min(sliceTokens, end - t);
+        const start = header.headerBytes + t * dtype;
+        const bytes = await src.read(start, start + n * dtype);
+
+        // Copy so the view is aligned whatever the source offset
+        const slice = new ArrayType(new Uint8Array(bytes).buffer);
+        if (out && t < kept) out.set(slice.subarray(0, kept - t), t);
+        if (!verify) continue;
+
+        crc = crc32(bytes, crc);
+        for (let i = 0; i < slice.length; i++) {
+            if (slice[i] >= vocabSize) outOfRange++;
+        }
+    }
+    return { tokens: out, crc, outOfRange };
+}
+
+/**
+ * DIDX section after the vocab JSON, or null. v1 / v2 files have no flag,
+ * so the index is detected by its magic; on v3 the flag must agree.
+ */
+function readIndex(rest, header, issues, verify) {
+    const hasMagic = rest.length >= 8 && words(rest.subarray(0, 4))[0] === DIDX_MAGIC;
+    const flagged = (header.flags & DxftFlags.DOC_INDEX) !== 0;
+
+    if (header.version >= 3 && flagged !== hasMagic) {
+        issues.push(flagged ? 'DOC_INDEX flag set but no document index found' : 'Document index present without the DOC_INDEX flag');
+    }
+    if (!hasMagic) {
+        if (rest.length > 0) issues.push(`${rest.length} unexpected byte(s) after the vocab`);
+        return null;
+    }
+    if (header.version < 3) header.flags |= DxftFlags.DOC_INDEX;
+
+    const [, docCount] = words(rest.subarray(0, 8));
+    const indexBytes = 8 + docCount * 4;
+    if (rest.length < indexBytes) {
+        issues.push(`Document index truncated: ${docCount} entries declared, ${Math.floor((rest.length - 8) / 4)} present`);
+        return null;
+    }
+    if (rest.length > indexBytes) issues.push(`${rest.length - indexBytes} unexpected byte(s) after the document index`);
+
+    const docStarts = Uint32Array.from(words(rest.subarray(8, indexBytes)));
+    if (verify) {
+        for (let i = 0; i < docStarts.length; i++) {
+            // Empty documents repeat an offset (or sit at tokenCount); they never go back
+            if (docStarts[i] > header.tokenCount || (i > 0 && docStarts[i] < docStarts[i - 1])) {
+                issues.push(`Document index entry ${i} (${docStarts[i]}) is out of order or past the last token`);
+                break;
+            }
+        }
+    }
+    return docStarts;
+}
+
+/**
+ * Flag names set in a header, for display.
+ *
+ * @param {number} flags
+ * @returns {string[]}
+ */
+export function dxftFlagNames(flags) {
+    return Object.entries(DxftFlags).filter(([, bit]) => flags & bit).map(([name]) => name);
+}
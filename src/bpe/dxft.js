@@ -0,0 +1,627 @@
+/**
+ * DXFT — token dataset file (.bin) for Transformer training
+ *
+ * Layout (little-endian), version 3:
+ *   header, 16 × u32 (64 bytes):
+ *     [0] magic 'DXFT'     [1] version         [2] header bytes   [3] flags
+ *     [4] vocabSize        [5] token bytes (2 = u16, 4 = u32)
+ *     [6] tokenCount low   [7] tokenCount high
+ *     [8] vocabBytesLen    [9] shardIndex      [10] split (0 = train, 1 = val)
+ *     [11] vocab hash (CRC-32 of the vocab JSON, padding excluded; 0 = none)
+ *     [12] CRC-32 of the token section          [13..15] reserved (0)
+ *   u16|u32 tokens[tokenCount]
+ *   u8  vocabJSON[vocabBytesLen]   — the model JSON (vocab, merges, specialTokens),
+ *                                    for embedded decode
+ *   document index (flag DOC_INDEX):
+ *   u32 magic 'DIDX' · u32 docCount · u32 docStarts[docCount]
+ *
+ * Older files (read by dxft-reader.js): version 1 has a 4-word header
+ * (magic, vocabSize, tokenCount, vocabBytesLen) and u32 tokens — its word 1
+ * is a vocab size (≥ 256), never a version; version 2 has an 8-word header
+ * (magic, version, vocabSize, tokenCount, vocabBytesLen, token bytes,
+ * shardIndex, split) and no checksums.
+ *
+ * Tokens are u16 whenever the vocab fits (≤ 65,536 ids), so a shard is a
+ * plain memmap at offset 64.
+ *
+ * docStarts[i] is the token offset of document i's first token; document i
+ * runs to docStarts[i + 1] (or tokenCount) and includes the EOS token placed
+ * after it. In a shard, tokens before docStarts[0] continue a document from
+ * the previous shard. With an index, the vocab JSON is padded with spaces so
+ * the index starts u32-aligned (vocabBytesLen counts the padding).
+ *
+ * Written by the browser export panel and `gpu-bpe export-bin`, streaming:
+ * tokens are appended as they are encoded and the header is patched last.
+ * Large exports can be split into fixed-size train / val shards (DxftDataset).
+ */
+
+import { encodeStream } from './tokenizer/stream-encoder.js';
+import { crc32 } from './crc32.js';
+
+// ─── Constants ──────────────────────────────────────────────
+
+export const DXFT_MAGIC = 0x44584654; // 'DXFT' — Decoder eXport Format Tokens
+export const DIDX_MAGIC = 0x44494458; // 'DIDX' — Document InDeX
+export const DXFT_VERSION = 3;
+
+/** Bytes per stored token (header word 5) @readonly */
+export const TokenDtype = Object.freeze({
+    U16: 2,
+    U32: 4,
+});
+
+/** Dataset split of a file (header word 10) @readonly */
+export const DatasetSplit = Object.freeze({
+    TRAIN: 'train',
+    VAL: 'val',
+});
+
+/** Header flag bits (word 3) @readonly */
+export const DxftFlags = Object.freeze({
+    DOC_INDEX: 1 << 0,       // a DIDX section follows the vocab JSON
+    LONGEST_MATCH: 1 << 1,   // fast-mode tokens (greedy longest match, not exact BPE)
+});
+
+export const SPLIT_CODES = Object.freeze({ [DatasetSplit.TRAIN]: 0, [DatasetSplit.VAL]: 1 });
+
+export const HEADER_WORDS = 16;
+const INDEX_HEADER_WORDS = 2;
+const SPACE = 0x20;
+const U16_MAX_VOCAB = 0x10000;
+const U32_RANGE = 0x1_0000_0000;
+
+/** Tokens buffered by DxftWriter between sink writes */
+const WRITE_BUFFER_TOKENS = 1 << 20;
+
+/** Joined streams are routed to train / val in blocks of this many tokens */
+const SPLIT_BLOCK_TOKENS = 1 << 16;
+
+// ─── Sections ───────────────────────────────────────────────
+
+/**
+ * Smallest dtype that holds every id of the vocab.
+ *
+ * @param {number} vocabSize
+ * @returns {number} TokenDtype
+ */
+export function tokenDtypeFor(vocabSize) {
+    return vocabSize <= U16_MAX_VOCAB ? TokenDtype.U16 : TokenDtype.U32;
+}
+
+/**
+ * @param {number} vocabSize
+ * @param {number} dtype
+ */
+function checkDtype(vocabSize, dtype) {
+    if (dtype !== TokenDtype.U16 && dtype !== TokenDtype.U32) {
+        throw new Error(`Unknown token dtype ${dtype}`);
+    }
+    if (dtype === TokenDtype.U16 && vocabSize > U16_MAX_VOCAB) {
+        throw new Error(`Vocab size ${vocabSize} does not fit u16 tokens`);
+    }
+}
+
+/**
+ * @typedef {Object} HeaderFields
+ * @property {number} vocabSize
+ * @property {number} tokenCount
+ * @property {number} vocabBytesLength
+ * @property {number} dtype - TokenDtype
+ * @property {number} flags - DxftFlags
+ * @property {number} shardIndex
+ * @property {string} split - DatasetSplit
+ * @property {number} vocabHash
+ * @property {number} tokenCrc
+ */
+
+/**
+ * @param {HeaderFields} fields
+ * @returns {Uint8Array}
+ */
+function headerSection({ vocabSize, tokenCount, vocabBytesLength, dtype, flags, shardIndex, split, vocabHash, tokenCrc }) {
+    const header = new Uint32Array(HEADER_WORDS);
+    header.set([
+        DXFT_MAGIC, DXFT_VERSION, HEADER_WORDS * 4, flags,
+        vocabSize, dtype, tokenCount % U32_RANGE, Math.floor(tokenCount / U32_RANGE),
+        vocabBytesLength, shardIndex, SPLIT_CODES[split], vocabHash, tokenCrc,
+    ]);
+    return new Uint8Array(header.buffer);
+}
+
+/**
+ * Model JSON bytes. Before an index, padded with spaces (valid JSON
+ * whitespace) so that `offset + length` — the index offset — is u32-aligned.
+ *
+ * @param {object|null} vocabExport
+ * @param {number|null} offset - file offset of the section, null when no index follows
+ * @returns {{ bytes: Uint8Array, hash: number }} hash: CRC-32 of the unpadded JSON (0 = none)
+ */
+function vocabSection(vocabExport, offset) {
+    if (!vocabExport) return { bytes: new Uint8Array(0), hash: 0 };
+
+    const json = new TextEncoder().encode(JSON.stringify(vocabExport));
+    const hash = crc32(json);
+    const pad = offset === null ? 0 : (4 - ((offset + json.length) % 4)) % 4;
+    if (pad === 0) return { bytes: json, hash };
+
+    const padded = new Uint8Array(json.length + pad).fill(SPACE);
+    padded.set(json);
+    return { bytes: padded, hash };
+}
+
+/**
+ * @param {ArrayLike<number>} docStarts
+ * @returns {Uint8Array}
+ */
+function indexSection(docStarts) {
+    const last = docStarts.length > 0 ? docStarts[docStarts.length - 1] : 0;
+    if (last >= U32_RANGE) {
+        throw new Error('Document index offsets must stay below 2^32 tokens — split the export into shards');
+    }
+
+    const index = new Uint32Array(INDEX_HEADER_WORDS + docStarts.length);
+    index[0] = DIDX_MAGIC;
+    index[1] = docStarts.length;
+    index.set(docStarts, INDEX_HEADER_WORDS);
+    return new Uint8Array(index.buffer);
+}
+
+/**
+ * Token section bytes in the stored dtype.
+ *
+ * @param {Uint32Array} tokens
+ * @param {number} dtype
+ * @returns {Uint8Array}
+ */
+function tokenSection(tokens, dtype) {
+    const stored = dtype === TokenDtype.U16 ? Uint16Array.from(tokens) : tokens;
+    return new Uint8Array(stored.buffer, stored.byteOffset, stored.byteLength);
+}
+
+// ─── Writer ─────────────────────────────────────────────────
+
+/**
+ * Serialize tokens + vocabulary (+ document index) into a DXFT file in memory.
+ *
+ * @param {Uint32Array} tokens
+ * @param {number} vocabSize
+ * @param {object|null} vocabExport - model JSON to embed (null → none)
+ * @param {{ docStarts?: ArrayLike<number>|null, dtype?: number, flags?: number }} [options]
+ *   docStarts: write a DIDX section; dtype: TokenDtype (default: smallest that fits);
+ *   flags: extra DxftFlags (DOC_INDEX is set from docStarts)
+ * @returns {{ bytes: Uint8Array, vocabBytesLength: number }}
+ */
+export function encodeDxft(tokens, vocabSize, vocabExport, { docStarts = null, dtype = tokenDtypeFor(vocabSize), flags = 0 } = {}) {
+    checkDtype(vocabSize, dtype);
+    const tokenBytes = tokenSection(tokens, dtype);
+    const vocab = vocabSection(vocabExport, docStarts ? HEADER_WORDS * 4 + tokenBytes.length : null);
+    const vocabBytes = vocab.bytes;
+    const header = headerSection({
+        vocabSize, tokenCount: tokens.length, vocabBytesLength: vocabBytes.length,
+        dtype, flags: docStarts ? flags | DxftFlags.DOC_INDEX : flags & ~DxftFlags.DOC_INDEX,
+        shardIndex: 0, split: DatasetSplit.TRAIN, vocabHash: vocab.hash, tokenCrc: crc32(tokenBytes),
+    });
+    const index = docStarts ? indexSection(docStarts) : new Uint8Array(0);
+
+    const bytes = new Uint8Array(header.length + tokenBytes.length + vocabBytes.length + index.length);
+    let offset = 0;
+    for (const part of [header, tokenBytes, vocabBytes, index]) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+
+    return { bytes, vocabBytesLength: vocabBytes.length };
+}
+
+/**
+ * Byte sink for DxftWriter: a file handle, a save-picker stream, a BlobSink.
+ *
+ * @typedef {Object} DxftSink
+ * @property {(bytes: Uint8Array) => Promise<void>} write - append
+ * @property {(position: number, bytes: Uint8Array) => Promise<void>} writeAt - overwrite earlier bytes (header patch)
+ */
+
+/**
+ * @typedef {Object} DxftWriterOptions
+ * @property {number} vocabSize
+ * @property {number} [dtype] - TokenDtype (default: smallest that fits)
+ * @property {number} [flags] - DxftFlags (DOC_INDEX is set by finish())
+ * @property {number} [shardIndex]
+ * @property {string} [split] - DatasetSplit
+ */
+
+/**
+ * Incremental DXFT writer: tokens go to the sink as they are produced, the
+ * header is written as a placeholder and patched by finish() once the token
+ * count and checksums are known. Memory stays at one write buffer.
+ */
+export class DxftWriter {
+    /** @type {DxftSink} */
+    #sink;
+    #vocabSize;
+    #dtype;
+    #flags;
+    #shardIndex;
+    #split;
+    /** @type {Uint16Array|Uint32Array} */
+    #buffer;
+    #buffered = 0;
+    #tokenCount = 0;
+    #tokenCrc = 0;
+    /** @type {number[]} */
+    #docStarts = [];
+    #started = false;
+
+    /**
+     * @param {DxftSink} sink
+     * @param {DxftWriterOptions} options
+     */
+    constructor(sink, { vocabSize, dtype = tokenDtypeFor(vocabSize), flags = 0, shardIndex = 0, split = DatasetSplit.TRAIN }) {
+        checkDtype(vocabSize, dtype);
+        this.#sink = sink;
+        this.#vocabSize = vocabSize;
+        this.#dtype = dtype;
+        this.#flags = flags & ~DxftFlags.DOC_INDEX;
+        this.#shardIndex = shardIndex;
+        this.#split = split;
+        this.#buffer = this.#newBuffer();
+    }
+
+    /** Tokens written so far */
+    get tokenCount() {
+        return this.#tokenCount;
+    }
+
+    /** TokenDtype of the token section */
+    get dtype() {
+        return this.#dtype;
+    }
+
+    /** Document start offsets recorded by startDocument() */
+    get docStarts() {
+        return this.#docStarts;
+    }
+
+    /** Record that the next token begins a new document */
+    startDocument() {
+        this.#docStarts.push(this.#tokenCount);
+    }
+
+    /** @param {Uint32Array} tokens */
+    async writeTokens(tokens) {
+        await this.#begin();
+
+        let offset = 0;
+        while (offset < tokens.length) {
+            const n = Math.min(tokens.length - offset, this.#buffer.length - this.#buffered);
+            this.#buffer.set(tokens.subarray(offset, offset + n), this.#buffered);
+            this.#buffered += n;
+            this.#tokenCount += n;
+            offset += n;
+            if (this.#buffered === this.#buffer.length) await this.#flush();
+        }
+    }
+
+    /**
+     * Write the vocab (+ index) sections and patch the header.
+     *
+     * @param {object|null} vocabExport - model JSON to embed (null → none)
+     * @param {{ docIndex?: boolean }} [options] - docIndex: write the recorded document starts
+     * @returns {Promise<{ byteLength: number, vocabBytesLength: number }>}
+     */
+    async finish(vocabExport, { docIndex = false } = {}) {
+        await this.#begin();
+        await this.#flush();
+
+        const tokenEnd = HEADER_WORDS * 4 + this.#tokenCount * this.#dtype;
+        const vocab = vocabSection(vocabExport, docIndex ? tokenEnd : null);
+        const vocabBytes = vocab.bytes;
+        const index = docIndex ? indexSection(this.#docStarts) : new Uint8Array(0);
+        await this.#sink.write(vocabBytes);
+        if (docIndex) await this.#sink.write(index);
+
+        if (docIndex) this.#flags |= DxftFlags.DOC_INDEX;
+        await this.#sink.writeAt(0, this.#header(vocabBytes.length, vocab.hash));
+
+        return {
+            byteLength: tokenEnd + vocabBytes.length + index.length,
+            vocabBytesLength: vocabBytes.length,
+        };
+    }
+
+    #header(vocabBytesLength, vocabHash) {
+        return headerSection({
+            vocabSize: this.#vocabSize, tokenCount: this.#tokenCount, vocabBytesLength,
+            dtype: this.#dtype, flags: this.#flags, shardIndex: this.#shardIndex, split: this.#split,
+            vocabHash, tokenCrc: this.#tokenCrc,
+        });
+    }
+
+    #newBuffer() {
+        return this.#dtype === TokenDtype.U16
+            ? new Uint16Array(WRITE_BUFFER_TOKENS)
+            : new Uint32Array(WRITE_BUFFER_TOKENS);
+    }
+
+    /** Placeholder header, patched by finish() */
+    async #begin() {
+        if (this.#started) return;
+        this.#started = true;
+        await this.#sink.write(this.#header(0, 0));
+    }
+
+    async #flush() {
+        if (this.#buffered === 0) return;
+        // Hand over the filled buffer — sinks may keep a reference to it
+        const full = new Uint8Array(this.#buffer.buffer, 0, this.#buffered * this.#dtype);
+        this.#buffer = this.#newBuffer();
+        this.#buffered = 0;
+        this.#tokenCrc = crc32(full, this.#tokenCrc);
+        await this.#sink.write(full);
+    }
+}
+
+// ─── Sharded Dataset ────────────────────────────────────────
+
+/**
+ * Opens the file of one shard: its sink, and how to close it.
+ *
+ * @callback OpenShard
+ * @param {string} fileName
+ * @returns {Promise<{ sink: DxftSink, close: () => Promise<void> }>}
+ */
+
+/**
+ * @typedef {Object} ShardInfo
+ * @property {string} fileName
+ * @property {string} split - DatasetSplit
+ * @property {number} shardIndex - within its split
+ * @property {number} tokenCount
+ * @property {number} byteLength
+ */
+
+/**
+ * Train / val shard set: tokens are routed to a split and written to
+ * fixed-size shards, each a complete DXFT file with the embedded vocab.
+ *
+ * Routing keeps the val share at `valRatio`: each unit goes to val while
+ * val is behind, to train otherwise. A unit is a document when the caller
+ * uses startDocument() (documents are never split between train and val),
+ * else a block of SPLIT_BLOCK_TOKENS tokens.
+ */
+export class DxftDataset {
+    /** @type {OpenShard} */
+    #openShard;
+    #vocabSize;
+    #vocabExport;
+    #dtype;
+    #flags;
+    #shardTokens;
+    #valRatio;
+    #docIndex;
+
+    /** @type {Record<string, { writer: DxftWriter, close: () => Promise<void>, fileName: string }|null>} */
+    #open = { [DatasetSplit.TRAIN]: null, [DatasetSplit.VAL]: null };
+    #nextShard = { [DatasetSplit.TRAIN]: 0, [DatasetSplit.VAL]: 0 };
+    #counts = { [DatasetSplit.TRAIN]: 0, [DatasetSplit.VAL]: 0 };
+    /** @type {ShardInfo[]} */
+    #shards = [];
+
+    #split = DatasetSplit.TRAIN;
+    #perDocument = false;
+    #blockLeft = 0;
+
+    /**
+     * @param {OpenShard} openShard
+     * @param {{ vocabSize: number, vocabExport: object|null, dtype?: number, flags?: number, shardTokens?: number, valRatio?: number, docIndex?: boolean }} options
+     *   flags: DxftFlags for every shard; shardTokens: tokens per shard (default: one shard per split);
+     *   valRatio: share of tokens for the val split, 0 ≤ valRatio < 1
+     */
+    constructor(openShard, {
+        vocabSize, vocabExport, dtype = tokenDtypeFor(vocabSize), flags = 0,
+        shardTokens = Infinity, valRatio = 0, docIndex = false,
+    }) {
+        checkDtype(vocabSize, dtype);
+        if (!(shardTokens >= 1)) throw new Error(`Invalid shard size ${shardTokens}`);
+        if (!(valRatio >= 0 && valRatio < 1)) throw new Error(`Invalid val ratio ${valRatio}`);
+
+        this.#openShard = openShard;
+        this.#vocabSize = vocabSize;
+        this.#vocabExport = vocabExport;
+        this.#dtype = dtype;
+        this.#flags = flags;
+        this.#shardTokens = shardTokens;
+        this.#valRatio = valRatio;
+        this.#docIndex = docIndex;
+    }
+
+    /** Tokens written so far, both splits */
+    get tokenCount() {
+        return this.#counts[DatasetSplit.TRAIN] + this.#counts[DatasetSplit.VAL];
+    }
+
+    /** Finished shards, in completion order */
+    get shards() {
+        return this.#shards;
+    }
+
+    /** Route the next document and record its start */
+    async startDocument() {
+        this.#perDocument = true;
+        this.#split = this.#route();
+        const shard = await this.#current();
+        shard.writer.startDocument();
+    }
+
+    /** @param {Uint32Array} tokens */
+    async writeTokens(tokens) {
+        let offset = 0;
+        while (offset < tokens.length) {
+            if (!this.#perDocument && this.#blockLeft === 0) {
+                this.#split = this.#route();
+                this.#blockLeft = Math.min(SPLIT_BLOCK_TOKENS, this.#shardTokens);
+            }
+
+            const shard = await this.#current();
+            let n = Math.min(tokens.length - offset, this.#shardTokens - shard.writer.tokenCount);
+            if (!this.#perDocument) n = Math.min(n, this.#blockLeft);
+
+            await shard.writer.writeTokens(tokens.subarray(offset, offset + n));
+            this.#counts[this.#split] += n;
+            if (!this.#perDocument) this.#blockLeft -= n;
+            offset += n;
+
+            if (shard.writer.tokenCount === this.#shardTokens) await this.#close(this.#split);
+        }
+    }
+
+    /**
+     * Finish the open shards.
+     * @returns {Promise<ShardInfo[]>}
+     */
+    async finish() {
+        await this.#close(DatasetSplit.TRAIN);
+        await this.#close(DatasetSplit.VAL);
+        return this.#shards;
+    }
+
+    #route() {
+        const total = this.tokenCount;
+        return this.#counts[DatasetSplit.VAL] < this.#valRatio * total ? DatasetSplit.VAL : DatasetSplit.TRAIN;
+    }
+
+    /** Open shard of the current split, opened on first use */
+    async #current() {
+        const split = this.#split;
+        if (!this.#open[split]) {
+            const shardIndex = this.#nextShard[split]++;
+            const fileName = dxftShardName(split, this.#vocabSize, shardIndex);
+            const { sink, close } = await this.#openShard(fileName);
+            const writer = new DxftWriter(sink, {
+                vocabSize: this.#vocabSize, dtype: this.#dtype, flags: this.#flags, shardIndex, split,
+            });
+            this.#open[split] = { writer, close, fileName };
+        }
+        return this.#open[split];
+    }
+
+    async #close(split) {
+        const shard = this.#open[split];
+        if (!shard) return;
+        this.#open[split] = null;
+
+        try {
+            const { byteLength } = await shard.writer.finish(this.#vocabExport, { docIndex: this.#docIndex });
+            this.#shards.push({
+                fileName: shard.fileName, split, shardIndex: this.#nextShard[split] - 1,
+                tokenCount: shard.writer.tokenCount, byteLength,
+            });
+        } finally {
+            await shard.close();
+        }
+    }
+}
+
+/**
+ * DxftSink that collects Blob parts — the browser can page them to disk,
+ * so this works where the File System Access API is missing.
+ *
+ * @implements {DxftSink}
+ */
+export class BlobSink {
+    /** @type {Blob[]} */
+    #parts = [];
+    /** @type {number[]} start offset of each part */
+    #offsets = [];
+    #size = 0;
+
+    async write(bytes) {
+        this.#parts.push(new Blob([bytes]));
+        this.#offsets.push(this.#size);
+        this.#size += bytes.length;
+    }
+
+    /** Overwrites one earlier write of the same length (the header) */
+    async writeAt(position, bytes) {
+        const i = this.#offsets.indexOf(position);
+        if (i < 0 || this.#parts[i].size !== bytes.length) {
+            throw new Error('BlobSink can only overwrite a whole earlier write');
+        }
+        this.#parts[i] = new Blob([bytes]);
+    }
+
+    /**
+     * @param {string} [type]
+     * @returns {Blob}
+     */
+    toBlob(type = 'application/octet-stream') {
+        return new Blob(this.#parts, { type });
+    }
+}
+
+// ─── Tokenizing ─────────────────────────────────────────────
+
+/**
+ * Stream-tokenize documents into a DxftWriter or a DxftDataset.
+ *
+ * Joined (default): documents are encoded as one stream with `separator`
+ * between them. Per document: each is encoded on its own, so no token spans
+ * two of them; `eosId`, when given, goes between consecutive documents, and
+ * every document start is recorded for the index.
+ *
+ * @param {import('./tokenizer/tokenizer.js').TrieTokenizer} tokenizer
+ * @param {DxftWriter|DxftDataset} writer
+ * @param {(AsyncIterable<Uint8Array>|Iterable<Uint8Array>)[]} docs - byte chunks of each document
+ * @param {{ perDocument?: boolean, eosId?: number|null, separator?: Uint8Array, encodeOptions?: object }} [options]
+ *   encodeOptions: passed to encodeStream (mode, allowedSpecial, preTokenizer, windowSize)
+ * @returns {Promise<void>}
+ */
+export async function tokenizeToDxft(tokenizer, writer, docs, {
+    perDocument = false, eosId = null, separator = new Uint8Array(0), encodeOptions = {},
+} = {}) {
+    if (!perDocument) {
+        for await (const tokens of encodeStream(tokenizer, joinDocuments(docs, separator), encodeOptions)) {
+            await writer.writeTokens(tokens);
+        }
+        return;
+    }
+
+    for (let i = 0; i < docs.length; i++) {
+        if (i > 0 && eosId !== null) await writer.writeTokens(Uint32Array.of(eosId));
+        await writer.startDocument();
+        for await (const tokens of encodeStream(tokenizer, docs[i], encodeOptions)) {
+            await writer.writeTokens(tokens);
+        }
+    }
+}
+
+/** Chunks of every document, with `separator` between documents */
+async function* joinDocuments(docs, separator) {
+    for (let i = 0; i < docs.length; i++) {
+        if (i > 0 && separator.length > 0) yield separator;
+        yield* docs[i];
+    }
+}
+
+/**
+ * Default file name: `train-v<vocabSize>-<tokenCount>.bin`
+ *
+ * @param {number} vocabSize
+ * @param {number} tokenCount
+ * @returns {string}
+ */
+export function dxftFileName(vocabSize, tokenCount) {
+    return `train-v${vocabSize}-${tokenCount}.bin`;
+}
+
+/**
+ * Shard file name: `<split>-v<vocabSize>-<index>.bin`, e.g. `val-v32768-0003.bin`
+ *
+ * @param {string} split - DatasetSplit
+ * @param {number} vocabSize
+ * @param {number} shardIndex
+ * @returns {string}
+ */
+export function dxftShardName(split, vocabSize, shardIndex) {
+    return `${split}-v${vocabSize}-${String(shardIndex).padStart(4, '0')}.bin`;
+}
@@ -3,8 +3,15 @@
  *
  * Initializes the WebGPU device, loads and splits the WGSL shader
  * source into per-kernel modules, and compiles compute pipelines.
+ *
+ * The GPU provider and shader loader are injectable, so the engine also
+ * runs headless (Node WebGPU binding + file-system loader, see src/node.js).
+ * Without a usable adapter it falls back to the CPU backend: no device or
+ * pipelines, and BPETrainer / TrieTokenizer run their JS implementations.
  */
 
+import { ensureGPUFlags } from './gpu-utils.js';
+
 // ─── Constants ──────────────────────────────────────────────
 
 export const WORKGROUP_SIZE = 256;
@@ -23,6 +30,13 @@ export const GPU_LIMITS = Object.freeze({
 
 const SHADER_PATHS = ['./train.wgsl', './tokenizer/tokenize.wgsl'];
 
+/** @readonly */
+export const Backend = Object.freeze({
+    AUTO: 'auto',  // WebGPU when an adapter is available, CPU otherwise
+    GPU: 'gpu',
+    CPU: 'cpu',    // pure-JS reference implementation (cpu/)
+});
+
 // ─── Dispatch Helper ────────────────────────────────────────
 
 /**
@@ -83,12 +97,18 @@ function splitKernels(source) {
 // ─── Shader Loading ─────────────────────────────────────────
 
 /**
- * @param {string} path - Shader file path (relative to baseUrl)
- * @param {string} baseUrl - import.meta.url of the calling module
- * @returns {Promise<string>}
+ * @callback ShaderLoader
+ * @param {string} path - Shader path relative to src/bpe/ (e.g. './train.wgsl')
+ * @returns {Promise<string>} WGSL source
+ */
+
+/**
+ * Default loader: fetch relative to this module.
+ *
+ * @type {ShaderLoader}
  */
-async function loadShaderSource(path, baseUrl) {
-    const url = new URL(path, baseUrl);
+async function loadShaderSource(path) {
+    const url = new URL(path, import.meta.url);
     url.searchParams.set('v', Date.now());   // cache-bust
 
     try {
@@ -138,14 +158,15 @@ async function compilePipelines(device, kernelSources) {
 // ─── Device Initialization ──────────────────────────────────
 
 /**
+ * @param {GPU|undefined} gpu - WebGPU entry point (navigator.gpu or a binding's equivalent)
  * @returns {Promise<{ device: GPUDevice, limits: { maxBufferSize: number, maxStorageBufferBindingSize: number } }>}
  */
-async function requestGPUDevice() {
-    if (!navigator.gpu) {
-        throw new Error('WebGPU not supported in this browser');
+async function requestGPUDevice(gpu) {
+    if (!gpu) {
+        throw new Error('WebGPU not supported in this environment — pass a GPU provider to BPEEngine');
     }
 
-    const adapter = await navigator.gpu.requestAdapter({
+    const adapter = await gpu.requestAdapter({
         powerPreference: 'high-performance',
     });
 
@@ -191,7 +212,37 @@ export class BPEEngine {
     /** @type {{ maxBufferSize: number, maxStorageBufferBindingSize: number }} */
     #limits = null;
 
-    /** Read-only access to the GPU device */
+    /** @type {GPU|undefined} */
+    #gpu;
+
+    /** @type {ShaderLoader} */
+    #loadShader;
+
+    /** @type {string} requested Backend, resolved to GPU or CPU by init() */
+    #backend;
+
+    /**
+     * @param {Object} [options]
+     * @param {GPU} [options.gpu] - WebGPU provider (default: navigator.gpu)
+     * @param {ShaderLoader} [options.loadShader] - WGSL source loader (default: fetch)
+     * @param {string} [options.backend=Backend.AUTO]
+     */
+    constructor({ gpu = globalThis.navigator?.gpu, loadShader = loadShaderSource, backend = Backend.AUTO } = {}) {
+        if (!Object.values(Backend).includes(backend)) {
+            throw new Error(`Unknown backend: ${backend}`);
+        }
+        this.#gpu = gpu;
+        this.#loadShader = loadShader;
+        this.#backend = backend;
+    }
+
+    /** Resolved backend: Backend.GPU or Backend.CPU */
+    get backend() {
+        this.#assertInitialized();
+        return this.#backend;
+    }
+
+    /** Read-only access to the GPU device (null on the CPU backend) */
     get device() {
         this.#assertInitialized();
         return this.#device;
@@ -211,19 +262,35 @@ export class BPEEngine {
 
     /**
      * Initialize the engine: request device, load shader, compile pipelines.
+     * With Backend.AUTO, a missing WebGPU provider or adapter selects the CPU backend.
      * @returns {Promise<this>}
      */
     async init() {
         if (this.#initialized) return this;
 
-        const { device, limits } = await requestGPUDevice();
+        if (this.#backend === Backend.CPU) {
+            return this.#initCPU();
+        }
+
+        let gpu;
+        try {
+            gpu = await requestGPUDevice(this.#gpu);
+        } catch (err) {
+            if (this.#backend === Backend.GPU) throw err;
+            console.warn(`[warn] ${err.message} — falling back to the CPU backend`);
+            return this.#initCPU();
+        }
+
+        const { device, limits } = gpu;
         this.#device = device;
         this.#limits = limits;
+        this.#backend = Backend.GPU;
+        ensureGPUFlags();
 
         // Load and compile all shader modules (train + tokenize)
         const allKernels = {};
         for (const path of SHADER_PATHS) {
-            const source = await loadShaderSource(path, import.meta.url);
+            const source = await this.#loadShader(path);
             const kernels = splitKernels(source);
             Object.assign(allKernels, kernels);
         }
@@ -237,6 +304,13 @@ export class BPEEngine {
         return this;
     }
 
+    #initCPU() {
+        this.#backend = Backend.CPU;
+        this.#initialized = true;
+        console.log('[ok] BPE Engine initialized (CPU backend)');
+        return this;
+    }
+
     #assertInitialized() {
         if (!this.#initialized) {
             throw new Error('BPEEngine not initialized — call await engine.init() first');
@@ -2,6 +2,31 @@
  * GPU Buffer Utilities — shared helpers for tokenizer + trainer
  */
 
+// ─── WebGPU Flag Namespaces ─────────────────────────────────
+
+/** Spec values — browsers define these globally, Node WebGPU bindings may not */
+const GPU_FLAGS = {
+    GPUBufferUsage: {
+        MAP_READ: 0x0001, MAP_WRITE: 0x0002, COPY_SRC: 0x0004, COPY_DST: 0x0008,
+        INDEX: 0x0010, VERTEX: 0x0020, UNIFORM: 0x0040, STORAGE: 0x0080,
+        INDIRECT: 0x0100, QUERY_RESOLVE: 0x0200,
+    },
+    GPUMapMode: { READ: 0x0001, WRITE: 0x0002 },
+    GPUShaderStage: { VERTEX: 0x1, FRAGMENT: 0x2, COMPUTE: 0x4 },
+};
+
+/**
+ * Define GPUBufferUsage / GPUMapMode / GPUShaderStage on globalThis where
+ * the runtime does not. Called by BPEEngine.init() before any buffer work.
+ */
+export function ensureGPUFlags() {
+    for (const [name, flags] of Object.entries(GPU_FLAGS)) {
+        if (!(name in globalThis)) globalThis[name] = Object.freeze({ ...flags });
+    }
+}
+
+// ─── Buffers ────────────────────────────────────────────────
+
 /**
  * Upload typed array data to a new GPU buffer.
  *
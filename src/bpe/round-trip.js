@@ -0,0 +1,506 @@
+/**
+ * Round-Trip Verification — decode(encode(x)) against the source, per file
+ *
+ * Tees an export: source chunks pass through source(), tokens through the
+ * writer returned by watch(), and the decoded tokens (TrieTokenizer.decode)
+ * are compared byte for byte with the files as they stream by, in bounded
+ * memory. Each file is compared twice — with its raw bytes and with its
+ * normalized form (the model's normalizer, NFC by default) — so a difference
+ * that normalization alone explains is told apart from a real one.
+ *
+ * Where a file ends in the decoded stream:
+ *   - per document: at the next document start (minus the EOS token), exact
+ *   - joined: after as many bytes as matched; after an unexplained mismatch
+ *     the rest of the stream cannot be aligned and is left unchecked
+ *
+ * Decode substitutes U+FFFD for ids outside the vocab, so replacement
+ * characters are counted on both sides.
+ */
+
+// ─── Constants ──────────────────────────────────────────────
+
+/** Outcome for one file @readonly */
+export const RoundTripStatus = Object.freeze({
+    EXACT: 'exact',                   // decoded bytes equal the source
+    NORMALIZATION: 'normalization',   // equal to the normalized form of the source
+    MISMATCH: 'mismatch',
+    UNCHECKED: 'unchecked',           // not aligned after an earlier mismatch
+});
+
+const NEWLINE = '\n';
+const encoder = new TextEncoder();
+
+// ─── Byte Streams ───────────────────────────────────────────
+
+/** Append-only byte stream addressed by absolute offset; consumed from the front */
+class ByteStream {
+    /** @type {Uint8Array[]} */
+    #chunks = [];
+    #start = 0;
+    #end = 0;
+
+    get end() {
+        return this.#end;
+    }
+
+    /** @param {Uint8Array} bytes */
+    push(bytes) {
+        if (bytes.length === 0) return;
+        this.#chunks.push(bytes);
+        this.#end += bytes.length;
+    }
+
+    /**
+     * Subarrays covering [from, to)
+     * @returns {Generator<Uint8Array>}
+     */
+    *segments(from, to) {
+        let offset = this.#start;
+        for (const chunk of this.#chunks) {
+            if (offset >= to) return;
+            const s = Math.max(from, offset);
+            const e = Math.min(to, offset + chunk.length);
+            if (s < e) yield chunk.subarray(s - offset, e - offset);
+            offset += chunk.length;
+        }
+    }
+
+    /** Forget everything before `until` */
+    drop(until) {
+        while (this.#chunks.length > 0 && this.#start + this.#chunks[0].length <= until) {
+            this.#start += this.#chunks.shift().length;
+        }
+        if (this.#chunks.length > 0 && until > this.#start) {
+            this.#chunks[0] = this.#chunks[0].subarray(until - this.#start);
+            this.#start = until;
+        }
+        this.#start = Math.max(this.#start, Math.min(until, this.#end));
+    }
+}
+
+/**
+ * Offset of the first difference between n bytes of `a` at `aFrom` and of
+ * `b` at `bFrom`, or -1. Both ranges must be buffered.
+ */
+function firstDifference(a, aFrom, b, bFrom, n) {
+    const as = a.segments(aFrom, aFrom + n);
+    const bs = b.segments(bFrom, bFrom + n);
+    let x = as.next().value;
+    let y = bs.next().value;
+    let i = 0;
+    let j = 0;
+    let done = 0;
+
+    while (done < n) {
+        if (i === x.length) {
+            x = as.next().value;
+            i = 0;
+            continue;
+        }
+        if (j === y.length) {
+            y = bs.next().value;
+            j = 0;
+            continue;
+        }
+        const m = Math.min(x.length - i, y.length - j);
+        for (let k = 0; k < m; k++) {
+            if (x[i + k] !== y[j + k]) return done + k;
+        }
+        i += m;
+        j += m;
+        done += m;
+    }
+    return -1;
+}
+
+/** Counts U+FFFD (EF BF BD) across chunk boundaries */
+class ReplacementCounter {
+    count = 0;
+    #matched = 0;
+
+    /** @param {Uint8Array} bytes */
+    push(bytes) {
+        for (let i = 0; i < bytes.length; i++) {
+            const b = bytes[i];
+            if (this.#matched === 2 && b === 0xBD) {
+                this.count++;
+                this.#matched = 0;
+            } else if (this.#matched === 1 && b === 0xBF) {
+                this.#matched = 2;
+            } else {
+                this.#matched = b === 0xEF ? 1 : 0;
+            }
+        }
+    }
+}
+
+/**
+ * Normalized form of a chunk stream. Text is normalized up to the last
+ * newline (no form works across one) and the rest carried, as the CLI does.
+ */
+class NormalizedStream {
+    #decoder = new TextDecoder();
+    #pending = '';
+    #normalize;
+
+    /** @param {(text: string) => string} normalize */
+    constructor(normalize) {
+        this.#normalize = normalize;
+    }
+
+    /** @param {Uint8Array} bytes */
+    push(bytes) {
+        const text = this.#pending + this.#decoder.decode(bytes, { stream: true });
+        const cut = text.lastIndexOf(NEWLINE) + 1;
+        this.#pending = text.slice(cut);
+        return encoder.encode(this.#normalize(text.slice(0, cut)));
+    }
+
+    flush() {
+        const text = this.#pending + this.#decoder.decode();
+        this.#pending = '';
+        return encoder.encode(this.#normalize(text));
+    }
+}
+
+
+// ─── Comparison ─────────────────────────────────────────────
+
+/** One form of a file (raw or normalized) matched against the decoded stream */
+class Expectation {
+    stream = new ByteStream();
+    compared = 0;
+    /** @type {number|null} offset of the first difference */
+    mismatch = null;
+
+    /**
+     * Compare what is buffered on both sides.
+     *
+     * @param {ByteStream} actual - decoded stream
+     * @param {number} start - offset of the file in the decoded stream
+     * @param {number} limit - decoded bytes available to the file
+     */
+    advance(actual, start, limit) {
+        if (this.mismatch !== null) {
+            this.stream.drop(this.stream.end);
+            return;
+        }
+        const n = Math.min(this.stream.end, limit) - this.compared;
+        if (n <= 0) return;
+
+        const d = firstDifference(this.stream, this.compared, actual, start + this.compared, n);
+        if (d >= 0) {
+            this.mismatch = this.compared + d;
+            return;
+        }
+        this.compared += n;
+        this.stream.drop(this.compared);
+    }
+
+    /**
+     * @param {number|null} length - decoded length of the file, when known
+     * @param {boolean} complete - the whole source has been seen
+     * @param {boolean} ended - the decoded stream has ended
+     * @returns {boolean|null} matched, mismatched, or null while undecided
+     */
+    settle(length, complete, ended) {
+        if (this.mismatch !== null) return false;
+
+        if (length !== null && this.compared === length && this.stream.end > length) {
+            this.mismatch = length;            // decoded is shorter
+            return false;
+        }
+        if (!complete || this.compared < this.stream.end) {
+            if (ended && complete) {
+                this.mismatch = this.compared; // decoded stream ran out
+                return false;
+            }
+            return null;
+        }
+        if (length !== null && length > this.compared) {
+            this.mismatch = this.compared;     // decoded is longer
+            return false;
+        }
+        return true;
+    }
+}
+
+/**
+ * @typedef {Object} RoundTripFileReport
+ * @property {string} name
+ * @property {string} status - RoundTripStatus
+ * @property {number} sourceBytes
+ * @property {number|null} firstMismatch - source byte offset of the first difference from the raw bytes
+ * @property {number|null} replacementChars - U+FFFD in the decoded file (null when unaligned)
+ * @property {number} sourceReplacementChars - U+FFFD already in the source
+ */
+
+/**
+ * @typedef {Object} RoundTripReport
+ * @property {RoundTripFileReport[]} files
+ * @property {number} replacementChars - U+FFFD in the whole decoded stream
+ */
+
+/** A stretch of the expected stream: a file, or the separator between two */
+class Piece {
+    raw = new Expectation();
+    normalized = new Expectation();
+    decodedFffd = new ReplacementCounter();
+    sourceFffd = new ReplacementCounter();
+    #normalizer;
+    sourceBytes = 0;
+    complete = false;
+    /** @type {number|null} decoded-stream offsets, once known */
+    start = null;
+    end = null;
+
+    /**
+     * @param {string|null} name - null for a separator
+     * @param {number} doc - document index
+     * @param {(text: string) => string} normalize
+     */
+    constructor(name, doc, normalize) {
+        this.name = name;
+        this.doc = doc;
+        this.#normalizer = new NormalizedStream(normalize);
+    }
+
+    /** @param {Uint8Array} bytes */
+    push(bytes) {
+        this.sourceBytes += bytes.length;
+        this.sourceFffd.push(bytes);
+        this.raw.stream.push(bytes);
+        this.normalized.stream.push(this.#normalizer.push(bytes));
+    }
+
+    close() {
+        this.normalized.stream.push(this.#normalizer.flush());
+        this.complete = true;
+    }
+}
+
+// ─── Verifier ───────────────────────────────────────────────
+
+/**
+ * Streaming round-trip check of one export. Construct it with the export's
+ * options, wrap each document with source() in export order, hand
+ * watch(writer) to tokenizeToDxft, then call finish().
+ */
+export class RoundTripVerifier {
+    /** @type {(tokens: Uint32Array) => Uint8Array} */
+    #decode;
+    #perDocument;
+    #separator;
+    #eosLength;
+    #normalize;
+
+    /** Decoded stream; bytes before #counted are counted and dropped */
+    #actual = new ByteStream();
+    #counted = 0;
+    #totalFffd = new ReplacementCounter();
+
+    /** @type {Piece[]} pieces not settled yet, in stream order */
+    #pieces = [];
+    #docCount = 0;
+    /** @type {number[]} decoded offset of each document start (per document) */
+    #docStarts = [];
+    /** Decoded offset where the next piece starts (joined) */
+    #cursor = 0;
+    #aligned = true;
+    #ended = false;
+
+    /** @type {RoundTripFileReport[]} */
+    #reports = [];
+
+    /**
+     * @param {{ decode: (tokens: Uint32Array) => Uint8Array }} tokenizer
+     * @param {{ perDocument?: boolean, eosId?: number|null, separator?: Uint8Array, normalize?: (text: string) => string }} [options]
+     *   as passed to tokenizeToDxft; normalize: the model's normalization (default NFC)
+     */
+    constructor(tokenizer, {
+        perDocument = false, eosId = null, separator = new Uint8Array(0), normalize = text => text.normalize('NFC'),
+    } = {}) {
+        this.#decode = tokens => tokenizer.decode(tokens);
+        this.#normalize = normalize;
+        this.#perDocument = perDocument;
+        this.#separator = separator;
+        this.#eosLength = perDocument && eosId !== null ? this.#decode(Uint32Array.of(eosId)).length : 0;
+    }
+
+    /**
+     * Pass a document's chunks through, comparing them as they are read.
+     *
+     * @param {string} name
+     * @param {AsyncIterable<Uint8Array>|Iterable<Uint8Array>} chunks
+     * @returns {AsyncGenerator<Uint8Array>}
+     */
+    source(name, chunks) {
+        const doc = this.#docCount++;
+        if (!this.#perDocument && doc > 0 && this.#separator.length > 0) {
+            const separator = new Piece(null, doc, this.#normalize);
+            separator.push(this.#separator);
+            separator.close();
+            this.#pieces.push(separator);
+        }
+
+        const piece = new Piece(name, doc, this.#normalize);
+        this.#pieces.push(piece);
+        return this.#tee(piece, chunks);
+    }
+
+    async *#tee(piece, chunks) {
+        for await (const chunk of chunks) {
+            piece.push(chunk);
+            this.#pump();
+            yield chunk;
+        }
+        piece.close();
+        this.#pump();
+    }
+
+    /**
+     * Writer proxy that decodes every token batch on its way through.
+     *
+     * @param {{ writeTokens: (tokens: Uint32Array) => Promise<void>, startDocument: () => (void|Promise<void>) }} writer
+     *   a DxftWriter or DxftDataset
+     */
+    watch(writer) {
+        return {
+            writeTokens: async (tokens) => {
+                const bytes = this.#decode(tokens);
+                this.#totalFffd.push(bytes);
+                this.#actual.push(bytes);
+                this.#pump();
+                await writer.writeTokens(tokens);
+            },
+            startDocument: async () => {
+                this.#docStarts.push(this.#actual.end);
+                this.#pump();
+                await writer.startDocument();
+            },
+        };
+    }
+
+    /**
+     * Settle the remaining files once the export has finished.
+     *
+     * @returns {RoundTripReport}
+     */
+    finish() {
+        this.#ended = true;
+        this.#pump();
+
+        // Joined: decoded bytes past the last file
+        const last = this.#reports.at(-1);
+        if (!this.#perDocument && this.#aligned && this.#actual.end > this.#cursor && last) {
+            last.status = RoundTripStatus.MISMATCH;
+            last.firstMismatch ??= last.sourceBytes;
+        }
+        return { files: this.#reports, replacementChars: this.#totalFffd.count };
+    }
+
+    // ─── Alignment ──────────────────────────────────────────
+
+    #pump() {
+        while (this.#pieces.length > 0 && this.#settle(this.#pieces[0])) {
+            this.#pieces.shift();
+        }
+        if (!this.#aligned) this.#release(this.#actual.end, null);
+    }
+
+    /** Compare the front piece; true once it is settled */
+    #settle(piece) {
+        if (!this.#locate(piece)) return false;
+
+        if (piece.start === null) {
+            // Joined stream after a mismatch: nothing to align against
+            if (!piece.complete) return false;
+            this.#report(piece, RoundTripStatus.UNCHECKED, false);
+            return true;
+        }
+
+        const length = piece.end !== null ? piece.end - piece.start : null;
+        const limit = length ?? this.#actual.end - piece.start;
+        piece.raw.advance(this.#actual, piece.start, limit);
+        piece.normalized.advance(this.#actual, piece.start, limit);
+
+        const status = this.#status(piece, length);
+        if (status === null) {
+            // Keep only the decoded bytes a live comparison still needs
+            const live = [piece.raw, piece.normalized].filter(e => e.mismatch === null).map(e => e.compared);
+            this.#release(live.length > 0 ? piece.start + Math.min(...live) : this.#actual.end, piece);
+            return false;
+        }
+
+        const end = piece.end
+            ?? (status === RoundTripStatus.EXACT ? piece.start + piece.raw.compared
+                : status === RoundTripStatus.NORMALIZATION ? piece.start + piece.normalized.compared
+                : null);
+        if (end === null) {
+            this.#aligned = false;
+            this.#report(piece, status, false);
+            return true;
+        }
+
+        this.#release(end, piece);
+        this.#cursor = end;
+        this.#report(piece, status, true);
+        return true;
+    }
+
+    /** Place the piece in the decoded stream; false while that is not known yet */
+    #locate(piece) {
+        if (!this.#perDocument) {
+            if (piece.start === null && this.#aligned) piece.start = this.#cursor;
+            return true;
+        }
+
+        // Per document: a document ends where the next starts, less the EOS token
+        if (piece.start === null) {
+            if (this.#docStarts[piece.doc] === undefined) return false;
+            piece.start = this.#docStarts[piece.doc];
+        }
+        if (piece.end === null) {
+            const next = this.#docStarts[piece.doc + 1];
+            if (next !== undefined) piece.end = next - this.#eosLength;
+            else if (this.#ended) piece.end = this.#actual.end;
+        }
+        return true;
+    }
+
+    /** @returns {string|null} RoundTripStatus, or null while undecided */
+    #status(piece, length) {
+        if (this.#perDocument && length === null) return null;
+
+        const raw = piece.raw.settle(length, piece.complete, this.#ended);
+        if (raw === true) return RoundTripStatus.EXACT;
+        if (raw === null) return null;
+
+        const normalized = piece.normalized.settle(length, piece.complete, this.#ended);
+        if (normalized === null) return null;
+        return normalized ? RoundTripStatus.NORMALIZATION : RoundTripStatus.MISMATCH;
+    }
+
+    /** Count and drop decoded bytes up to `until`, attributing them to `piece` */
+    #release(until, piece) {
+        if (until <= this.#counted) return;
+        if (piece) {
+            const from = Math.max(this.#counted, piece.start);
+            for (const segment of this.#actual.segments(from, until)) piece.decodedFffd.push(segment);
+        }
+        this.#actual.drop(until);
+        this.#counted = until;
+    }
+
+    #report(piece, status, aligned) {
+        if (piece.name === null) return;   // separators are not reported
+        this.#reports.push({
+            name: piece.name,
+            status,
+            sourceBytes: piece.sourceBytes,
+            firstMismatch: status === RoundTripStatus.EXACT || status === RoundTripStatus.UNCHECKED ? null : piece.raw.mismatch,
+            replacementChars: aligned ? piece.decodedFffd.count : null,
+            sourceReplacementChars: piece.sourceFffd.count,
+        });
+    }
+}
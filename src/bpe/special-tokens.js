@@ -0,0 +1,184 @@
+/**
+ * Special Tokens — reserved control tokens (<|endoftext|>, <|pad|>, BOS/EOS,
+ * chat-role markers)
+ *
+ * Special tokens take the ids right after the 256 byte tokens, so merges
+ * start at 256 + count. They never enter the training symbol stream (no merge
+ * can produce them) and are left out of the encode trie; an encoder only
+ * emits one when the caller passes `allowedSpecial` and its text occurs in
+ * the input, matched atomically. Their vocab entries hold the UTF-8 bytes,
+ * so decoding needs no special case.
+ *
+ * Models carry them as `specialTokens: { "<|endoftext|>": 256, ... }`.
+ */
+
+// ─── Constants ──────────────────────────────────────────────
+
+/** `allowedSpecial` value that enables every special token of the model */
+export const ALL_SPECIAL = 'all';
+
+const encoder = new TextEncoder();
+
+// ─── Registry ───────────────────────────────────────────────
+
+/**
+ * Validate a list of special-token strings (trainer option).
+ *
+ * @param {string[]} tokens
+ * @returns {string[]}
+ */
+export function validateSpecialTokens(tokens) {
+    const seen = new Set();
+    for (const token of tokens) {
+        if (typeof token !== 'string' || token.length === 0) {
+            throw new Error('Special tokens must be non-empty strings');
+        }
+        if (seen.has(token)) {
+            throw new Error(`Duplicate special token "${token}"`);
+        }
+        seen.add(token);
+    }
+    return [...tokens];
+}
+
+/**
+ * Apply a special-token map to a model's vocab: entries at their ids become
+ * the UTF-8 bytes (the vocab grows when needed). Mutates and returns `vocab`.
+ *
+ * @param {number[][]} vocab
+ * @param {Record<string, number>} specialTokens
+ * @returns {number[][]}
+ */
+export function placeSpecialTokens(vocab, specialTokens) {
+    for (const [token, id] of Object.entries(specialTokens)) {
+        if (!Number.isInteger(id) || id < 0) {
+            throw new Error(`Invalid id ${id} for special token "${token}"`);
+        }
+        while (vocab.length <= id) vocab.push([]);
+        vocab[id] = Array.from(encoder.encode(token));
+    }
+    return vocab;
+}
+
+/**
+ * Attach a special-token map to a model object, omitted when empty so models
+ * without special tokens keep their original shape.
+ *
+ * @template {object} M
+ * @param {M} model
+ * @param {Record<string, number>|undefined} specialTokens
+ * @returns {M & { specialTokens?: Record<string, number> }}
+ */
+export function withSpecialTokens(model, specialTokens) {
+    return specialTokens && Object.keys(specialTokens).length > 0
+        ? { ...model, specialTokens: { ...specialTokens } }
+        : model;
+}
+
+/**
+ * @param {Record<string, number>|undefined} specialTokens
+ * @returns {Set<number>}
+ */
+export function specialTokenIds(specialTokens) {
+    return new Set(Object.values(specialTokens ?? {}));
+}
+
+/**
+ * Resolve `allowedSpecial` against a model's special tokens.
+ *
+ * @param {Record<string, number>|undefined} specialTokens
+ * @param {'all'|Iterable<string>|null|undefined} allowedSpecial
+ * @returns {Map<string, number>} allowed token text → id (empty when none)
+ */
+export function resolveAllowedSpecial(specialTokens, allowedSpecial) {
+    const allowed = new Map();
+    if (!allowedSpecial) return allowed;
+
+    const registry = specialTokens ?? {};
+    const names = allowedSpecial === ALL_SPECIAL ? Object.keys(registry) : allowedSpecial;
+
+    for (const name of names) {
+        if (!Object.hasOwn(registry, name)) {
+            throw new Error(`Unknown special token "${name}"`);
+        }
+        allowed.set(name, registry[name]);
+    }
+    return allowed;
+}
+
+/**
+ * Resolve a token given as an id or as special-token text (e.g. an EOS option).
+ *
+ * @param {string|number} spec
+ * @param {number} vocabSize
+ * @param {Record<string, number>} [specialTokens]
+ * @returns {number}
+ */
+export function resolveTokenId(spec, vocabSize, specialTokens = {}) {
+    const text = String(spec).trim();
+    if (Object.hasOwn(specialTokens, text)) return specialTokens[text];
+
+    const id = Number(text);
+    if (text !== '' && Number.isInteger(id) && id >= 0 && id < vocabSize) return id;
+
+    throw new Error(`"${text}" is neither a token id below ${vocabSize} nor a special token`);
+}
+
+// ─── Matching ───────────────────────────────────────────────
+
+/**
+ * @typedef {Object} SpecialSegment
+ * @property {number} start - byte offset
+ * @property {number} end
+ * @property {number|null} id - special token id, or null for ordinary text
+ */
+
+/**
+ * Split input bytes at occurrences of the allowed special tokens.
+ * Leftmost match wins; at one position the longest token wins.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Map<string, number>} allowed - from resolveAllowedSpecial
+ * @returns {SpecialSegment[]}
+ */
+export function splitOnSpecial(bytes, allowed) {
+    if (allowed.size === 0) return [{ start: 0, end: bytes.length, id: null }];
+
+    const patterns = [...allowed]
+        .map(([name, id]) => ({ bytes: encoder.encode(name), id }))
+        .sort((a, b) => b.bytes.length - a.bytes.length);
+
+    const firstBytes = new Uint8Array(256);
+    for (const p of patterns) firstBytes[p.bytes[0]] = 1;
+
+    const segments = [];
+    let textStart = 0;
+    let pos = 0;
+
+    while (pos < bytes.length) {
+        const match = firstBytes[bytes[pos]] ? matchAt(bytes, pos, patterns) : null;
+        if (!match) {
+            pos++;
+            continue;
+        }
+
+        if (pos > textStart) segments.push({ start: textStart, end: pos, id: null });
+        segments.push({ start: pos, end: pos + match.bytes.length, id: match.id });
+        pos += match.bytes.length;
+        textStart = pos;
+    }
+
+    if (textStart < bytes.length) segments.push({ start: textStart, end: bytes.length, id: null });
+    return segments;
+}
+
+/** First (longest) pattern occurring at `pos`, or null */
+function matchAt(bytes, pos, patterns) {
+    for (const p of patterns) {
+        if (pos + p.bytes.length > bytes.length) continue;
+        let i = 0;
+        while (i < p.bytes.length && bytes[pos + i] === p.bytes[i]) i++;
+        if (i === p.bytes.length) return p;
+    }
+    return null;
+}
@@ -0,0 +1,255 @@
+/**
+ * Alignment — token byte ranges, projected back through normalization
+ *
+ * Tokens are byte strings that concatenate back to the encoded input, so
+ * token i covers [start, start + byteLength(token)) — the same bytes the
+ * chunked walk (or the merge loop) consumed for it.
+ *
+ * When the input is normalized first (the model's normalizer, NFC by
+ * default), those ranges point into the normalized text. normalizeWithAlignment keeps
+ * an AlignmentMap from normalized to original byte offsets, built from
+ * segments that normalize independently:
+ *   - a line that normalization leaves alone maps byte for byte
+ *   - otherwise each base character with its combining marks (and Hangul
+ *     vowel/final jamo) is a segment; unchanged segments map byte for byte,
+ *     changed ones as a whole
+ *   - a line whose segments do not reproduce its normalized form becomes a
+ *     single segment
+ * Tokens that end inside a changed segment get its whole original range,
+ * so neighbouring tokens may overlap there. Text to keep as is (allowed
+ * special tokens) is cut out first and maps byte for byte.
+ */
+
+// ─── Constants ───────────────────────────────────────────────
+
+const encoder = new TextEncoder();
+
+/** ASCII runs (stable under every form) — minus a last char that takes marks */
+const SEGMENT = /[\0-\x7F]+(?![\p{M}\u1160-\u11FF])|[^\p{M}\u1160-\u11FF][\p{M}\u1160-\u11FF]*|[\p{M}\u1160-\u11FF]+/gu;
+
+// ─── Token Ranges ───────────────────────────────────────────
+
+/**
+ * Byte length of every vocab entry (null entries count as 0).
+ *
+ * @param {ArrayLike<ArrayLike<number>|null>} vocab
+ * @returns {Uint32Array}
+ */
+export function tokenByteLengths(vocab) {
+    return Uint32Array.from(vocab, bytes => bytes?.length ?? 0);
+}
+
+/**
+ * Byte range of each token: in the bytes it was encoded from, or — with an
+ * alignment — in the original input.
+ *
+ * @param {ArrayLike<number>} tokens
+ * @param {Uint32Array} lengths - from tokenByteLengths
+ * @param {AlignmentMap|null} [alignment]
+ * @returns {{ starts: Uint32Array, ends: Uint32Array }}
+ */
+export function tokenOffsets(tokens, lengths, alignment = null) {
+    const starts = new Uint32Array(tokens.length);
+    const ends = new Uint32Array(tokens.length);
+    let pos = 0;
+    for (let i = 0; i < tokens.length; i++) {
+        starts[i] = pos;
+        pos += lengths[tokens[i]] ?? 0;
+        ends[i] = pos;
+    }
+    return alignment ? alignment.project(starts, ends) : { starts, ends };
+}
+
+// ─── Alignment Map ──────────────────────────────────────────
+
+/**
+ * Normalized → original byte offsets, as a list of segments.
+ */
+export class AlignmentMap {
+    /** @type {Uint32Array} */ #norm;
+    /** @type {Uint32Array} */ #orig;
+    /** @type {Uint8Array} */ #exact;
+
+    /**
+     * @param {ArrayLike<number>} normStarts - segment starts in the normalized bytes, then its length
+     * @param {ArrayLike<number>} origStarts - segment starts in the original bytes, then its length
+     * @param {ArrayLike<number>} exact - 1 where a segment maps byte for byte (one entry per segment)
+     */
+    constructor(normStarts, origStarts, exact) {
+        this.#norm = Uint32Array.from(normStarts);
+        this.#orig = Uint32Array.from(origStarts);
+        this.#exact = Uint8Array.from(exact);
+    }
+
+    /** Byte length of the normalized text */
+    get normalizedLength() {
+        return this.#norm[this.#norm.length - 1];
+    }
+
+    /** Byte length of the original text */
+    get originalLength() {
+        return this.#orig[this.#orig.length - 1];
+    }
+
+    /**
+     * Project ranges in the normalized bytes onto the original bytes.
+     * Ranges must be sorted by start (token order).
+     *
+     * @param {Uint32Array} starts
+     * @param {Uint32Array} ends
+     * @returns {{ starts: Uint32Array, ends: Uint32Array }}
+     */
+    project(starts, ends) {
+        const norm = this.#norm;
+        const orig = this.#orig;
+        const exact = this.#exact;
+        const last = exact.length - 1;
+        const outStarts = new Uint32Array(starts.length);
+        const outEnds = new Uint32Array(ends.length);
+        let seg = 0;
+
+        for (let i = 0; i < starts.length; i++) {
+            const s = starts[i];
+            const e = ends[i];
+            while (seg < last && norm[seg + 1] <= s) seg++;
+            outStarts[i] = exact[seg] ? orig[seg] + (s - norm[seg]) : orig[seg];
+
+            if (e <= s) {
+                outEnds[i] = outStarts[i];
+                continue;
+            }
+            let endSeg = seg;
+            while (endSeg < last && norm[endSeg + 1] < e) endSeg++;
+            outEnds[i] = exact[endSeg] ? orig[endSeg] + (e - norm[endSeg]) : orig[endSeg + 1];
+        }
+
+        return { starts: outStarts, ends: outEnds };
+    }
+}
+
+// ─── Normalization ──────────────────────────────────────────
+
+/**
+ * A form name or a normalizer (anything with normalize(text), such as
+ * wasm/normalizer.mjs's Normalizer) as a text → text function.
+ *
+ * @param {NormalizeSpec} form
+ * @returns {(text: string) => string}
+ */
+function normalizeFn(form) {
+    return typeof form === 'string' ? text => text.normalize(form) : text => form.normalize(text);
+}
+
+/**
+ * @typedef {'NFC'|'NFD'|'NFKC'|'NFKD'|{ normalize(text: string): string }} NormalizeSpec
+ */
+
+/**
+ * Split text around the given strings (longest first): [text, kept, text, …].
+ *
+ * @param {string} text
+ * @param {Iterable<string>} keep
+ * @returns {string[]}
+ */
+function splitKept(text, keep) {
+    const names = [...keep].filter(Boolean).sort((a, b) => b.length - a.length);
+    if (names.length === 0) return [text];
+    const escaped = names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return text.split(new RegExp(`(${escaped.join('|')})`));
+}
+
+/**
+ * Normalize text and keep the alignment back to the original.
+ *
+ * @param {string} text
+ * @param {NormalizeSpec} [form]
+ * @param {Iterable<string>} [keep] - text left as is, e.g. allowed special tokens
+ * @returns {{ text: string, alignment: AlignmentMap }}
+ */
+export function normalizeWithAlignment(text, form = 'NFC', keep = []) {
+    const normalize = normalizeFn(form);
+    const normStarts = [];
+    const origStarts = [];
+    const exact = [];
+    const parts = [];
+    let normPos = 0;
+    let origPos = 0;
+
+    const push = (original, normalized) => {
+        const same = original === normalized;
+        const origLen = encoder.encode(original).length;
+        const normLen = same ? origLen : encoder.encode(normalized).length;
+
+        // Byte-for-byte neighbours share one segment
+        if (!(same && exact.length > 0 && exact[exact.length - 1])) {
+            normStarts.push(normPos);
+            origStarts.push(origPos);
+            exact.push(same ? 1 : 0);
+        }
+        parts.push(normalized);
+        normPos += normLen;
+        origPos += origLen;
+    };
+
+    const lines = splitKept(text, keep).flatMap((part, i) =>
+        (i % 2 === 1 ? [{ kept: part }] : part.split(/(?<=\n)/)));
+
+    for (const line of lines) {
+        if (typeof line !== 'string') {
+            push(line.kept, line.kept);
+            continue;
+        }
+        const normalized = normalize(line);
+        if (normalized === line) {
+            push(line, line);
+            continue;
+        }
+
+        const segments = line.match(SEGMENT) ?? [];
+        const pieces = segments.map(normalize);
+        if (segments.join('') !== line || pieces.join('') !== normalized) {
+            push(line, normalized);
+            continue;
+        }
+        for (let i = 0; i < segments.length; i++) push(segments[i], pieces[i]);
+    }
+
+    if (exact.length === 0) {
+        normStarts.push(0);
+        origStarts.push(0);
+        exact.push(1);
+    }
+    normStarts.push(normPos);
+    origStarts.push(origPos);
+
+    return { text: parts.join(''), alignment: new AlignmentMap(normStarts, origStarts, exact) };
+}
+
+/**
+ * Prepare an encode-with-offsets input: the bytes to encode and, when
+ * normalizing, the normalized text and its alignment.
+ *
+ * @param {string|Uint8Array} input - bytes must be valid UTF-8 when normalizing
+ * @param {NormalizeSpec|null} form - null: encode the input as is
+ * @param {Iterable<string>} [keep] - text not to normalize (allowed special tokens)
+ * @returns {{ text: string|null, bytes: Uint8Array, alignment: AlignmentMap|null }}
+ */
+export function alignInput(input, form, keep = []) {
+    const isText = typeof input === 'string';
+    if (!form) {
+        return { text: isText ? input : null, bytes: isText ? encoder.encode(input) : input, alignment: null };
+    }
+
+    let original = input;
+    if (!isText) {
+        try {
+            original = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(input);
+        } catch {
+            const name = typeof form === 'string' ? `${form}-normalize` : 'normalize';
+            throw new Error(`Cannot ${name}: input is not valid UTF-8`);
+        }
+    }
+
+    const { text, alignment } = normalizeWithAlignment(original, form, keep);
+    return { text, bytes: encoder.encode(text), alignment };
+}
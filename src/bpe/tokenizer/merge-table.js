@@ -0,0 +1,125 @@
+/**
+ * Merge Table — GPU lookup tables for merge-rank encoding
+ *
+ * Flattens the learned merge list into an open-addressing hash table
+ * (pair → rank, newTokenId) that merge_tokenizer_chunked probes while
+ * applying merges in rank order.
+ *
+ * Slot layout (4 × u32): [symbolA, symbolB, rank, newTokenId]
+ * Empty slots have symbolA = INVALID_TOKEN. Linear probing, load ≤ 0.5.
+ *
+ * A character-coverage model also gets a character table (characters.js
+ * key → token id) the kernel seeds each pre-token with.
+ *
+ * Slot layout (2 × u32): [charKey, tokenId]. Empty slots have key 0.
+ */
+
+import { INVALID_TOKEN } from '../engine.js';
+
+// ─── Constants ───────────────────────────────────────────────
+
+export const MERGE_SLOT_STRIDE = 4;
+export const CHAR_SLOT_STRIDE = 2;
+const MIN_TABLE_SLOTS = 16;
+
+// ─── Hashing ─────────────────────────────────────────────────
+
+/**
+ * Pair hash — must match merge_hash() in tokenize.wgsl.
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export function mergeHash(a, b) {
+    let x = (Math.imul(a, 0x9E3779B1) ^ b) >>> 0;
+    x = Math.imul(x ^ (x >>> 16), 0x7FEB352D) >>> 0;
+    x = Math.imul(x ^ (x >>> 15), 0x846CA68B) >>> 0;
+    return (x ^ (x >>> 16)) >>> 0;
+}
+
+// ─── Builders ────────────────────────────────────────────────
+
+/**
+ * Build the GPU merge hash table. Rank = position in the merge list;
+ * when a pair appears twice the first (lowest-rank) entry wins.
+ *
+ * @param {number[][]} merges - [[symbolA, symbolB, newTokenId], ...]
+ * @returns {{ table: Uint32Array, mask: number }}
+ */
+export function buildMergeTable(merges) {
+    let slots = MIN_TABLE_SLOTS;
+    while (slots < merges.length * 2) slots *= 2;
+
+    const mask = slots - 1;
+    const table = new Uint32Array(slots * MERGE_SLOT_STRIDE);
+    for (let s = 0; s < slots; s++) table[s * MERGE_SLOT_STRIDE] = INVALID_TOKEN;
+
+    for (let rank = 0; rank < merges.length; rank++) {
+        const [a, b, newId] = merges[rank];
+        let slot = mergeHash(a, b) & mask;
+
+        while (true) {
+            const base = slot * MERGE_SLOT_STRIDE;
+            if (table[base] === INVALID_TOKEN) {
+                table[base] = a;
+                table[base + 1] = b;
+                table[base + 2] = rank;
+                table[base + 3] = newId;
+                break;
+            }
+            if (table[base] === a && table[base + 1] === b) break;
+            slot = (slot + 1) & mask;
+        }
+    }
+
+    return { table, mask };
+}
+
+/**
+ * Build the GPU character table. Always at least MIN_TABLE_SLOTS slots, so
+ * a byte-level model binds an empty table and every lookup misses.
+ *
+ * @param {Map<number, number>|null} charTokens - characters.js key → token id
+ * @returns {{ table: Uint32Array, mask: number }}
+ */
+export function buildCharTable(charTokens) {
+    const count = charTokens?.size ?? 0;
+    let slots = MIN_TABLE_SLOTS;
+    while (slots < count * 2) slots *= 2;
+
+    const mask = slots - 1;
+    const table = new Uint32Array(slots * CHAR_SLOT_STRIDE);
+
+    for (const [key, id] of charTokens ?? []) {
+        let slot = mergeHash(key, 0) & mask;
+        while (table[slot * CHAR_SLOT_STRIDE] !== 0) slot = (slot + 1) & mask;
+        table[slot * CHAR_SLOT_STRIDE] = key;
+        table[slot * CHAR_SLOT_STRIDE + 1] = id;
+    }
+
+    return { table, mask };
+}
+
+/**
+ * Map each byte value to the id of its single-byte token.
+ * Identity for vocabularies trained here; imported vocabularies
+ * may place byte tokens at arbitrary ids.
+ *
+ * @param {number[][]} vocab
+ * @returns {Uint32Array} — 256 entries
+ */
+export function buildByteTokenMap(vocab) {
+    const map = Uint32Array.from({ length: 256 }, (_, b) => b);
+    const seen = new Uint8Array(256);
+
+    for (let id = 0; id < vocab.length; id++) {
+        const bytes = vocab[id];
+        if (bytes?.length === 1 && !seen[bytes[0]]) {
+            map[bytes[0]] = id;
+            seen[bytes[0]] = 1;
+        }
+    }
+
+    return map;
+}
@@ -0,0 +1,206 @@
+/**
+ * Segmentation — pre-token boundaries + chunk planning for GPU encoding
+ *
+ * Merge-rank encoding applies the merge table inside each pre-token, so the
+ * host needs the same word boundaries the trainer used:
+ *   - wordStarts from the WASM PreTokenizer when available, or
+ *   - byteWordStarts(): a CPU mirror of the bpe_word_boundary kernel
+ *     (train.wgsl) — the trainer's byte-level fallback.
+ *
+ * Chunks handed to the GPU always start on a word start, so no pre-token
+ * is ever split across two threads. Merge mode rescans a whole pre-token
+ * for every merge it applies, so capPreTokens() first cuts pre-tokens
+ * longer than MAX_PRE_TOKEN_BYTES into pieces (SentencePiece's max piece
+ * length, in bytes) — a run without word starts (minified code, base64)
+ * then costs one thread at most that much work per piece.
+ */
+
+// ─── Constants ──────────────────────────────────────────────
+
+/** Longest pre-token encoded whole; longer ones are encoded in pieces of this many bytes (whole characters) */
+export const MAX_PRE_TOKEN_BYTES = 512;
+
+// ─── Byte-Level Word Boundaries ─────────────────────────────
+
+/**
+ * Character class of a single byte — must match char_class() in train.wgsl.
+ *   0 = letter, 1 = digit, 2 = space, 3 = punctuation, 4 = newline
+ *
+ * @param {number} b
+ * @returns {number}
+ */
+function byteClass(b) {
+    if (b === 0x0A) return 4;
+    if (b === 0x20) return 2;
+    if (b >= 0x30 && b <= 0x39) return 1;
+    if (b >= 0x80) return 0;
+    if (b >= 0x61 && b <= 0x7A) return 0;
+    if (b >= 0x41 && b <= 0x5A) return 0;
+    return 3;
+}
+
+/**
+ * Byte-level word starts, identical to the GPU bpe_word_boundary heuristic.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} — 1 = word start, 0 = continuation
+ */
+export function byteWordStarts(bytes) {
+    const n = bytes.length;
+    const starts = new Uint8Array(n);
+    if (n === 0) return starts;
+
+    starts[0] = 1;
+    let prevCls = byteClass(bytes[0]);
+
+    for (let i = 1; i < n; i++) {
+        const cls = byteClass(bytes[i]);
+
+        let isBoundary = cls !== prevCls;
+        if (prevCls === 2 && (cls === 0 || cls === 1)) isBoundary = false;
+        if (cls === 2 && prevCls !== 2) isBoundary = true;
+        if (prevCls === 4 || cls === 4) isBoundary = true;
+
+        if (isBoundary) starts[i] = 1;
+        prevCls = cls;
+    }
+
+    return starts;
+}
+
+/**
+ * Cut pre-tokens longer than `maxBytes` into pieces: a new word start on
+ * the first UTF-8 character start at least `maxBytes` bytes past the
+ * previous one. Each piece is measured from the previous start, so the
+ * cuts depend on the pre-token alone, and any start — a cut or not — is a
+ * place to resume from.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Uint8Array} wordStarts - not modified
+ * @param {number} [maxBytes]
+ * @returns {Uint8Array} — wordStarts itself when no pre-token is too long
+ */
+export function capPreTokens(bytes, wordStarts, maxBytes = MAX_PRE_TOKEN_BYTES) {
+    let capped = wordStarts;
+    let start = 0;
+
+    for (let pos = 1; pos < bytes.length; pos++) {
+        if (capped[pos]) {
+            start = pos;
+        } else if (pos - start >= maxBytes && (bytes[pos] & 0xC0) !== 0x80) {
+            if (capped === wordStarts) capped = wordStarts.slice();
+            capped[pos] = 1;
+            start = pos;
+        }
+    }
+
+    return capped;
+}
+
+// ─── GPU Layout Helpers ─────────────────────────────────────
+
+/**
+ * Pack a byte-level word-start mask into 1 bit per byte (LE u32 words).
+ *
+ * @param {Uint8Array} wordStarts
+ * @returns {Uint32Array}
+ */
+export function packWordMask(wordStarts) {
+    const mask = new Uint32Array(Math.ceil(wordStarts.length / 32));
+    for (let i = 0; i < wordStarts.length; i++) {
+        if (wordStarts[i]) mask[i >>> 5] |= 1 << (i & 31);
+    }
+    return mask;
+}
+
+/**
+ * Split [0, length) into chunks of at least `chunkSize` bytes whose starts
+ * all fall on word starts. A single pre-token longer than `chunkSize`
+ * simply becomes an oversized chunk (no longer than a capped pre-token).
+ *
+ * @param {Uint8Array} wordStarts
+ * @param {number} chunkSize
+ * @returns {Uint32Array} — chunk start offsets followed by `length` (count + 1 entries)
+ */
+export function planChunks(wordStarts, chunkSize) {
+    const length = wordStarts.length;
+    const starts = [0];
+    let chunkStart = 0;
+
+    for (let pos = 1; pos < length; pos++) {
+        if (wordStarts[pos] && pos - chunkStart >= chunkSize) {
+            starts.push(pos);
+            chunkStart = pos;
+        }
+    }
+
+    starts.push(length);
+    return Uint32Array.from(starts);
+}
+
+/**
+ * Chunk plan for pieces laid end to end (a batched encode): each piece is
+ * planned on its own, so every piece starts a chunk and no chunk spans two
+ * pieces.
+ *
+ * @param {number[]} lengths - byte length of each piece
+ * @param {Uint8Array} wordStarts - word starts of the concatenated pieces
+ * @param {number} chunkSize
+ * @returns {{ chunkStarts: Uint32Array, firstChunks: Uint32Array }}
+ *   firstChunks: index of each piece's first chunk, followed by the chunk count
+ */
+export function planPieceChunks(lengths, wordStarts, chunkSize) {
+    const starts = [];
+    const firstChunks = new Uint32Array(lengths.length + 1);
+    let offset = 0;
+
+    for (let i = 0; i < lengths.length; i++) {
+        firstChunks[i] = starts.length;
+        if (lengths[i] === 0) continue;
+
+        const end = offset + lengths[i];
+        const plan = planChunks(wordStarts.subarray(offset, end), chunkSize);
+        for (let c = 0; c < plan.length - 1; c++) starts.push(offset + plan[c]);
+        offset = end;
+    }
+
+    firstChunks[lengths.length] = starts.length;
+    starts.push(offset);
+    return { chunkStarts: Uint32Array.from(starts), firstChunks };
+}
+
+/**
+ * The part of a chunk plan inside [from, to), relative to `from`. `from`
+ * becomes a chunk start even when the plan has none there (a slice cut
+ * through an oversized chunk).
+ *
+ * @param {Uint32Array} chunkStarts - from planChunks
+ * @param {number} from
+ * @param {number} to
+ * @returns {Uint32Array} — chunk start offsets followed by `to - from`
+ */
+export function slicePlan(chunkStarts, from, to) {
+    const starts = [0];
+    for (const start of chunkStarts) {
+        if (start > from && start < to) starts.push(start - from);
+    }
+    starts.push(to - from);
+    return Uint32Array.from(starts);
+}
+
+/**
+ * Find the last word start in (from, limit] — used to cut multi-pass slices
+ * without splitting a pre-token. Falls back to `limit` when the whole range
+ * is a single pre-token.
+ *
+ * @param {Uint8Array} wordStarts
+ * @param {number} from
+ * @param {number} limit
+ * @returns {number}
+ */
+export function lastWordStartBefore(wordStarts, from, limit) {
+    for (let pos = limit; pos > from; pos--) {
+        if (wordStarts[pos]) return pos;
+    }
+    return limit;
+}
@@ -0,0 +1,193 @@
+/**
+ * Stream Encoder — tokenize a byte stream of any length in bounded memory
+ *
+ * Input chunks are gathered into windows of about `windowSize` bytes and
+ * each window is handed to TrieTokenizer.encodeBytes. Windows are cut where
+ * a whole-input encode would also restart, so the concatenated output is
+ * the same as encoding everything at once: on a word start (byteWordStarts),
+ * which neither merges nor longest-mode matches cross, and never inside an
+ * allowed special token. Only the unencoded tail of a window is carried over.
+ * A pre-token too long to find a word start in is cut where encodeBytes
+ * cuts it anyway (capPreTokens), so it costs no difference either.
+ *
+ * With a preTokenizer every pre-token start is a restart in both modes, so
+ * windows are cut on one the window's own pre-tokenization agrees on. The
+ * stream should then already be in the pre-tokenizer's normal form (the
+ * model's normalizer — see normalizeChunks, as the CLI streams it);
+ * otherwise the cut falls back to the rules above.
+ */
+
+import { byteWordStarts, capPreTokens, lastWordStartBefore } from './segmentation.js';
+import { resolveAllowedSpecial, splitOnSpecial } from '../special-tokens.js';
+
+// ─── Constants ──────────────────────────────────────────────
+
+/** Default window: large enough to keep the GPU busy, small next to RAM */
+export const DEFAULT_WINDOW_SIZE = 16 * 1024 * 1024;
+
+/** How far back from the window end to look for a word start */
+const CUT_SEARCH_BYTES = 64 * 1024;
+
+/** Bytes before a scan's end whose pre-token starts the text past it can move ("we'r" | "e" → "we're") */
+const PRE_TOKEN_LOOKAHEAD = 16;
+
+// ─── Window Cutting ─────────────────────────────────────────
+
+/**
+ * Last pre-token start at or before `limit` that neither where the scan
+ * began nor the text past the window can move: the first start after a
+ * mid-segment scan start, the last start of the scan and any within
+ * PRE_TOKEN_LOOKAHEAD bytes of its end are skipped.
+ *
+ * @param {Uint8Array} window
+ * @param {{ start: number, end: number }} seg
+ * @param {number} limit
+ * @param {import('./tokenizer.js').PreTokenizerLike} preTokenizer
+ * @returns {number|null} null when the bytes are not in the pre-tokenizer's
+ *   normal form (its starts would not index the window) or no start qualifies
+ */
+function preTokenCut(window, seg, limit, preTokenizer) {
+    let from = Math.max(seg.start, limit - CUT_SEARCH_BYTES);
+    while (from > seg.start && (window[from] & 0xC0) === 0x80) from--;   // whole code points
+
+    const scanned = window.subarray(from, seg.end);
+    const { bytes, wordStarts } = preTokenizer.preTokenizeBytes(scanned);
+    if (bytes.length !== scanned.length || bytes.some((b, i) => b !== scanned[i])) return null;
+
+    const starts = [];
+    for (let pos = 1; pos < bytes.length; pos++) {
+        if (wordStarts[pos]) starts.push(pos);
+    }
+    const stable = starts.slice(from > seg.start ? 1 : 0, -1);
+    const last = Math.min(limit - from, bytes.length - PRE_TOKEN_LOOKAHEAD);
+    const cut = stable.findLast(pos => pos <= last);
+    return cut !== undefined ? from + cut : null;
+}
+
+/**
+ * Cut inside a pre-token that runs past the search: on the last of the
+ * pieces capPreTokens makes of it, short of the PRE_TOKEN_LOOKAHEAD bytes
+ * whose starts may still move. Pieces are measured from the previous
+ * start, so they are found from the segment start whatever lies before it,
+ * and the next window measures its own from the cut.
+ *
+ * @param {Uint8Array} window
+ * @param {{ start: number, end: number }} seg
+ * @param {number} limit
+ * @param {import('./tokenizer.js').PreTokenizerLike|null} preTokenizer
+ * @returns {number|null} null when the segment is shorter than one piece
+ */
+function pieceCut(window, seg, limit, preTokenizer) {
+    const segment = window.subarray(seg.start, limit);
+    let starts = null;
+    if (preTokenizer) {
+        const { bytes, wordStarts } = preTokenizer.preTokenizeBytes(segment);
+        if (bytes.length === segment.length && bytes.every((b, i) => b === segment[i])) starts = wordStarts;
+    }
+
+    const capped = capPreTokens(segment, starts ?? byteWordStarts(segment));
+    const cut = lastWordStartBefore(capped, 0, segment.length - PRE_TOKEN_LOOKAHEAD);
+    return capped[cut] ? seg.start + cut : null;
+}
+
+/**
+ * Where to end a full window so the next one restarts cleanly. Special
+ * tokens split the input into segments that are encoded on their own, so
+ * word starts are taken relative to the segment the cut falls in.
+ *
+ * @param {Uint8Array} window
+ * @param {Map<string, number>} allowed
+ * @param {number} maxSpecialLen
+ * @param {import('./tokenizer.js').PreTokenizerLike|null} preTokenizer
+ * @returns {number}
+ */
+function windowCut(window, allowed, maxSpecialLen, preTokenizer) {
+    // Keep room for a special token starting just before the cut to be seen whole
+    const limit = window.length - Math.max(maxSpecialLen - 1, 0);
+
+    const segments = allowed.size > 0
+        ? splitOnSpecial(window, allowed)
+        : [{ start: 0, end: window.length, id: null }];
+    const seg = segments.find(({ start, end }) => start < limit && limit <= end);
+
+    // The window end is not a boundary — the segment may go on past it
+    if (limit === seg.end && limit < window.length) return limit;
+    if (seg.id !== null) return seg.start || seg.end;
+
+    const preTokenStart = preTokenizer ? preTokenCut(window, seg, limit, preTokenizer) : null;
+    if (preTokenStart !== null) return preTokenStart;
+
+    const from = Math.max(seg.start, limit - CUT_SEARCH_BYTES);
+    const starts = byteWordStarts(window.subarray(from, limit + 1));
+    const cut = lastWordStartBefore(starts, 0, limit - from);
+    if (starts[cut]) return from + cut;
+
+    // No word start in reach: the segment start, else a piece of the pre-token
+    return seg.start || (pieceCut(window, seg, limit, preTokenizer) ?? limit);
+}
+
+/**
+ * @param {Uint8Array[]} parts
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+function concatBytes(parts, length) {
+    if (parts.length === 1) return parts[0];
+    const out = new Uint8Array(length);
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+// ─── Encoding ───────────────────────────────────────────────
+
+/**
+ * Encode a byte stream window by window.
+ *
+ * @param {import('./tokenizer.js').TrieTokenizer} tokenizer
+ * @param {AsyncIterable<Uint8Array>|Iterable<Uint8Array>} chunks - e.g. File slices, a Node read stream
+ * @param {{ mode?: string, allowedSpecial?: 'all'|Iterable<string>|null, preTokenizer?: import('./tokenizer.js').PreTokenizerLike|null, windowSize?: number }} [options]
+ *   mode / allowedSpecial / preTokenizer: as for encodeBytes; windowSize:
+ *   at least two chunks plus the longest token. The tokens are those of one
+ *   encodeBytes call on the whole stream — pre-tokens of any length included —
+ *   as long as a preTokenizer's stream is in its normal form
+ * @returns {AsyncGenerator<Uint32Array>} tokens of each window, in order
+ */
+export async function* encodeStream(tokenizer, chunks, {
+    mode = tokenizer.mode, allowedSpecial = null, preTokenizer = null, windowSize = DEFAULT_WINDOW_SIZE,
+} = {}) {
+    const allowed = resolveAllowedSpecial(tokenizer.specialTokens, allowedSpecial);
+    const encoder = new TextEncoder();
+    const maxSpecialLen = Math.max(0, ...[...allowed.keys()].map(name => encoder.encode(name).length));
+    const encodeOptions = { mode, allowedSpecial, preTokenizer };
+    windowSize = Math.max(windowSize, 2 * tokenizer.chunkSize + tokenizer.maxTokenLen, maxSpecialLen * 2);
+
+    let pending = [];
+    let pendingLen = 0;
+
+    for await (const chunk of chunks) {
+        if (chunk.length === 0) continue;
+        pending.push(chunk);
+        pendingLen += chunk.length;
+        if (pendingLen < windowSize) continue;
+
+        let buffer = concatBytes(pending, pendingLen);
+        while (buffer.length >= windowSize) {
+            const window = buffer.subarray(0, windowSize);
+            const cut = windowCut(window, allowed, maxSpecialLen, preTokenizer);
+            yield await tokenizer.encodeBytes(window.subarray(0, cut), encodeOptions);
+            buffer = buffer.subarray(cut);
+        }
+
+        // Copy the tail so the large buffer can be released
+        pending = buffer.length > 0 ? [buffer.slice()] : [];
+        pendingLen = buffer.length;
+    }
+
+    if (pendingLen > 0) {
+        yield await tokenizer.encodeBytes(concatBytes(pending, pendingLen), encodeOptions);
+    }
+}
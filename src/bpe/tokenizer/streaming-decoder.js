@@ -0,0 +1,94 @@
+/**
+ * Streaming Decoder — token ids to text, one token at a time
+ *
+ * Vocab entries are byte strings, so a token can end in the middle of a
+ * multi-byte UTF-8 character. The decoder holds such a tail back until the
+ * tokens that complete it arrive: every string it returns is made of whole
+ * code points, and the concatenated output equals decoding all tokens at once.
+ *
+ *   const decoder = StreamingDecoder.fromModel(model);
+ *   for await (const id of ids) process.stdout.write(decoder.push(id));
+ *   process.stdout.write(decoder.flush());
+ *
+ * Ids outside the vocab decode to U+FFFD, as in TrieTokenizer.decode; so do
+ * null slots, which a model JSON may contain.
+ */
+
+// ─── Constants ───────────────────────────────────────────────
+
+const UTF8_REPLACEMENT = Uint8Array.of(0xEF, 0xBF, 0xBD); // U+FFFD
+
+// ─── StreamingDecoder ────────────────────────────────────────
+
+export class StreamingDecoder {
+    /** @type {Uint8Array[]} */
+    #entries;
+    #decoder = new TextDecoder();
+
+    /**
+     * @param {ArrayLike<ArrayLike<number>|null>} vocab - Byte string per token id,
+     *   as stored in a model JSON (entries may be null or empty)
+     */
+    constructor(vocab) {
+        this.#entries = Array.from(vocab, bytes => bytes ? Uint8Array.from(bytes) : null);
+    }
+
+    /**
+     * Create a decoder from a model — a parsed model JSON, a trained model or
+     * the result of TrainingManager.loadFromJSON.
+     *
+     * @param {{ vocab: ArrayLike<ArrayLike<number>|null> }} model
+     * @returns {StreamingDecoder}
+     */
+    static fromModel(model) {
+        if (!Array.isArray(model?.vocab)) {
+            throw new Error('Invalid vocabulary: missing vocab');
+        }
+        return new StreamingDecoder(model.vocab);
+    }
+
+    /** Number of token ids the vocab covers */
+    get vocabSize() {
+        return this.#entries.length;
+    }
+
+    /**
+     * Decode one token id.
+     * @param {number} tokenId
+     * @returns {string} Text completed by this token (may be empty)
+     */
+    push(tokenId) {
+        return this.#decoder.decode(this.#bytes(tokenId), { stream: true });
+    }
+
+    /**
+     * Decode several token ids in one call.
+     * @param {Iterable<number>} tokenIds
+     * @returns {string}
+     */
+    pushAll(tokenIds) {
+        let text = '';
+        for (const id of tokenIds) text += this.push(id);
+        return text;
+    }
+
+    /**
+     * End the stream: an incomplete trailing sequence becomes U+FFFD. The
+     * decoder is then ready for a new stream.
+     * @returns {string}
+     */
+    flush() {
+        return this.#decoder.decode();
+    }
+
+    /** Drop any held-back bytes and start a new stream */
+    reset() {
+        this.#decoder = new TextDecoder();
+    }
+
+    /** @param {number} tokenId */
+    #bytes(tokenId) {
+        const idx = Number(tokenId);
+        return this.#entries[idx] ?? UTF8_REPLACEMENT;
+    }
+}
@@ -7,9 +7,16 @@
  * The JS host splits this file at those markers and compiles each kernel
  * as a separate GPUShaderModule, prepending the shared utility section.
  *
- * Kernels (2):
- *   1. trie_tokenizer_chunked  — Chunked greedy longest-match tokenization
- *   2. trie_tokenizer_compact  — Chunk output compaction
+ * Kernels (4):
+ *   1. trie_tokenizer_chunked   — Chunked greedy longest-match tokenization
+ *   2. trie_prefix_sum          — Exclusive scan over per-chunk token counts
+ *   3. merge_tokenizer_chunked  — Merge-rank (true BPE) encoding per pre-token
+ *   4. tokenizer_compact        — Chunk output compaction (both encoders)
+ *
+ * Chunk boundaries are planned on the host (chunk_starts) and each chunk
+ * writes its tokens at its own byte offset — a chunk never emits more
+ * tokens than it has bytes. Batched encodes rely on this: every item starts
+ * a new chunk, so no chunk spans two items.
  */
 
 // ════════════════════════════════════════════════════════════
@@ -29,14 +36,19 @@ const INVALID_TOKEN: u32 = 0xFFFFFFFFu;
 
 const MAX_CACHED_EDGES: u32 = 256u;
 
-struct TrieParams { input_length: u32, chunk_size: u32, max_tokens_per_chunk: u32, _pad: u32 }
+// No match extends past a word start (word_mask), so tokens never span two
+// pre-tokens and do not depend on where the host planned the chunks.
+
+struct TrieParams { input_length: u32, num_chunks: u32, _pad0: u32, _pad1: u32 }
 
-@group(0) @binding(0) var<storage, read> input: array<u32>;  // packed: 4 bytes per u32 (LE)
-@group(0) @binding(1) var<storage, read> nodes: array<u32>;  // 3 x u32 per node
-@group(0) @binding(2) var<storage, read> edges: array<u32>;  // 2 x u32 per edge
-@group(0) @binding(3) var<storage, read_write> token_output: array<u32>;
-@group(0) @binding(4) var<storage, read_write> chunk_counts: array<u32>;
-@group(0) @binding(5) var<uniform> params: TrieParams;
+@group(0) @binding(0) var<storage, read> input: array<u32>;        // packed: 4 bytes per u32 (LE)
+@group(0) @binding(1) var<storage, read> nodes: array<u32>;        // 3 x u32 per node
+@group(0) @binding(2) var<storage, read> edges: array<u32>;        // 2 x u32 per edge
+@group(0) @binding(3) var<storage, read> chunk_starts: array<u32>; // num_chunks + 1 offsets
+@group(0) @binding(4) var<storage, read_write> token_output: array<u32>; // indexed by byte position
+@group(0) @binding(5) var<storage, read_write> chunk_counts: array<u32>;
+@group(0) @binding(6) var<uniform> params: TrieParams;
+@group(0) @binding(7) var<storage, read> word_mask: array<u32>;    // 1 bit per byte: word start
 
 /// Extract a single byte from the packed input buffer.
 /// 4 bytes per u32, little-endian: byte 0 at bits [0:7], byte 3 at bits [24:31].
@@ -121,10 +133,9 @@ fn trie_tokenizer_chunked(
     // ── Main tokenization loop ──
 
     let id = gid.x;
-    let cs = id * params.chunk_size;
-    if (cs >= params.input_length) { chunk_counts[id] = 0u; return; }
-    let ce = min(cs + params.chunk_size, params.input_length);
-    let ob = id * params.max_tokens_per_chunk;
+    if (id >= params.num_chunks) { return; }
+    let cs = chunk_starts[id];
+    let ce = min(chunk_starts[id + 1u], params.input_length);
     var tw: u32 = 0u; var pos = cs;
 
     // Register cache for packed input — avoids re-reading the same u32
@@ -132,11 +143,14 @@ fn trie_tokenizer_chunked(
     var cached_word_idx: u32 = 0xFFFFFFFFu;
     var cached_word: u32 = 0u;
 
-    while (pos < ce && tw < params.max_tokens_per_chunk) {
+    while (pos < ce) {
         var cn: u32 = 0u; var lmt: u32 = INVALID_TOKEN; var lmp = pos; var wp = pos;
         var depth: u32 = 0u;
         var rb: u32 = 0u;   // root byte — identifies which depth-1 cache entry to use
         while (wp < ce) {
+            // Pre-token boundary: the match ends before the next word start
+            if (wp > pos && extractBits(word_mask[wp >> 5u], wp & 31u, 1u) != 0u) { break; }
+
             // Read byte with register cache
             let word_idx = wp >> 2u;
             if (word_idx != cached_word_idx) {
@@ -165,10 +179,10 @@ fn trie_tokenizer_chunked(
             if (ti != INVALID_TOKEN) { lmt = ti; lmp = wp; }
         }
         if (lmt != INVALID_TOKEN) {
-            token_output[ob + tw] = lmt; tw++; pos = lmp;
+            token_output[cs + tw] = lmt; tw++; pos = lmp;
         } else {
             // Fallback byte — use read_byte (cache already warm in most cases)
-            token_output[ob + tw] = read_byte(pos); tw++; pos++;
+            token_output[cs + tw] = read_byte(pos); tw++; pos++;
         }
     }
     chunk_counts[id] = tw;
@@ -207,23 +221,187 @@ fn trie_prefix_sum(@builtin(global_invocation_id) gid: vec3<u32>) {
     total_tokens[0] = sum;
 }
 
-// --- KERNEL: trie_tokenizer_compact ---
+// --- KERNEL: merge_tokenizer_chunked ---
+//
+// Merge-rank encoding: reproduces exactly what applying the learned merges
+// in rank order produces (TokenizerManager.encode on the CPU), instead of
+// the trie's greedy longest match.
+//
+// 1 thread = 1 chunk. Chunks are planned on the host so that every chunk
+// starts on a pre-token (word) start; inside a chunk each pre-token is
+// encoded independently, mirroring how the trainer never merges across
+// WORD_START_BIT boundaries. Each merge rescans its whole pre-token, so the
+// host caps pre-tokens at MAX_PRE_TOKEN_BYTES (segmentation.js) — a chunk's
+// cost is bounded even when its input has no word starts.
+//
+// Per pre-token: start from the base alphabet — byte tokens, or the
+// character token of a whole UTF-8 character the character table has —
+// repeatedly find the adjacent pair with the lowest merge rank and merge all
+// its occurrences left-to-right, until no adjacent pair has a merge. Symbols are rewritten in place in the
+// thread's own region of `work` — tokens ≤ bytes, so a chunk's output never
+// outgrows [chunk_start, chunk_end).
+//
+// Merge table: open addressing, 4 × u32 per slot [a, b, rank, new_id],
+// empty slots have a = INVALID_TOKEN (built by merge-table.js).
+// Character table: 2 × u32 per slot [char_key, token_id], empty slots have
+// key 0 — byte-level models bind an empty one.
+
+struct MergeParams { input_length: u32, num_chunks: u32, table_mask: u32, char_mask: u32 }
+
+@group(0) @binding(0) var<storage, read> input: array<u32>;        // packed: 4 bytes per u32 (LE)
+@group(0) @binding(1) var<storage, read> word_mask: array<u32>;    // 1 bit per byte: word start
+@group(0) @binding(2) var<storage, read> chunk_starts: array<u32>; // num_chunks + 1 offsets
+@group(0) @binding(3) var<storage, read> merge_table: array<u32>;  // 4 x u32 per slot
+@group(0) @binding(4) var<storage, read> byte_tokens: array<u32>;  // byte value → token id
+@group(0) @binding(5) var<storage, read_write> work: array<u32>;   // indexed by byte position
+@group(0) @binding(6) var<storage, read_write> chunk_counts: array<u32>;
+@group(0) @binding(7) var<uniform> params: MergeParams;
+@group(0) @binding(8) var<storage, read> char_table: array<u32>;   // 2 x u32 per slot
+
+fn read_byte(pos: u32) -> u32 {
+    return extractBits(input[pos >> 2u], (pos & 3u) * 8u, 8u);
+}
+
+fn is_word_start(pos: u32) -> bool {
+    return extractBits(word_mask[pos >> 5u], pos & 31u, 1u) != 0u;
+}
+
+/// Pair hash — must match mergeHash() in merge-table.js.
+fn merge_hash(a: u32, b: u32) -> u32 {
+    var x = (a * 0x9E3779B1u) ^ b;
+    x = (x ^ (x >> 16u)) * 0x7feb352du;
+    x = (x ^ (x >> 15u)) * 0x846ca68bu;
+    return x ^ (x >> 16u);
+}
+
+/// Returns the slot index of merge (a, b), or INVALID_TOKEN if unknown.
+fn find_merge(a: u32, b: u32) -> u32 {
+    var slot = merge_hash(a, b) & params.table_mask;
+    for (var probe: u32 = 0u; probe <= params.table_mask; probe++) {
+        let base = slot * 4u;
+        let ka = merge_table[base];
+        if (ka == INVALID_TOKEN) { break; }
+        if (ka == a && merge_table[base + 1u] == b) { return slot; }
+        slot = (slot + 1u) & params.table_mask;
+    }
+    return INVALID_TOKEN;
+}
+
+/// UTF-8 sequence length announced by a lead byte (1 for ASCII / continuation).
+fn utf8_length(lead: u32) -> u32 {
+    if (lead < 0xC0u) { return 1u; }
+    if (lead < 0xE0u) { return 2u; }
+    if (lead < 0xF0u) { return 3u; }
+    return 4u;
+}
+
+/// Character token of the `len` bytes at `pos`, or INVALID_TOKEN.
+/// Key = the bytes packed LE — must match charKey() in characters.js.
+fn find_char(pos: u32, len: u32) -> u32 {
+    var key: u32 = 0u;
+    for (var i: u32 = 0u; i < len; i++) {
+        let b = read_byte(pos + i);
+        if (i > 0u && (b & 0xC0u) != 0x80u) { return INVALID_TOKEN; }
+        key |= b << (i * 8u);
+    }
+    var slot = merge_hash(key, 0u) & params.char_mask;
+    for (var probe: u32 = 0u; probe <= params.char_mask; probe++) {
+        let k = char_table[slot * 2u];
+        if (k == 0u) { break; }
+        if (k == key) { return char_table[slot * 2u + 1u]; }
+        slot = (slot + 1u) & params.char_mask;
+    }
+    return INVALID_TOKEN;
+}
+
+@compute @workgroup_size(256)
+fn merge_tokenizer_chunked(@builtin(global_invocation_id) gid: vec3<u32>) {
+    let id = gid.x;
+    if (id >= params.num_chunks) { return; }
+
+    let cs = chunk_starts[id];
+    let ce = min(chunk_starts[id + 1u], params.input_length);
+    var tw: u32 = 0u;   // tokens written so far (relative to cs)
+    var seg = cs;
+
+    while (seg < ce) {
+        // ── Pre-token extent: [seg, se) ──
+        var se = seg + 1u;
+        while (se < ce && !is_word_start(se)) { se++; }
+
+        // ── Seed with base symbols, packed right after previous output ──
+        let base = cs + tw;
+        var len: u32 = 0u;
+        var p = seg;
+        while (p < se) {
+            let b = read_byte(p);
+            let cl = utf8_length(b);
+            var tok = INVALID_TOKEN;
+            if (cl > 1u && p + cl <= se) { tok = find_char(p, cl); }
+            if (tok != INVALID_TOKEN) {
+                work[base + len] = tok;
+                p += cl;
+            } else {
+                work[base + len] = byte_tokens[b];
+                p += 1u;
+            }
+            len++;
+        }
+
+        // ── Apply merges in rank order ──
+        while (len > 1u) {
+            var best_rank = INVALID_TOKEN;
+            var best_slot = INVALID_TOKEN;
+            for (var i: u32 = 0u; i + 1u < len; i++) {
+                let slot = find_merge(work[base + i], work[base + i + 1u]);
+                if (slot != INVALID_TOKEN) {
+                    let rank = merge_table[slot * 4u + 2u];
+                    if (rank < best_rank) { best_rank = rank; best_slot = slot; }
+                }
+            }
+            if (best_slot == INVALID_TOKEN) { break; }
+
+            let ma = merge_table[best_slot * 4u];
+            let mb = merge_table[best_slot * 4u + 1u];
+            let mid = merge_table[best_slot * 4u + 3u];
+
+            var r: u32 = 0u;
+            var w: u32 = 0u;
+            while (r < len) {
+                let t = work[base + r];
+                if (r + 1u < len && t == ma && work[base + r + 1u] == mb) {
+                    work[base + w] = mid;
+                    r += 2u;
+                } else {
+                    work[base + w] = t;
+                    r += 1u;
+                }
+                w++;
+            }
+            len = w;
+        }
+
+        tw += len;
+        seg = se;
+    }
+
+    chunk_counts[id] = tw;
+}
+
+// --- KERNEL: tokenizer_compact ---
 //
 // Cooperative compaction: 1 workgroup (256 threads) = 1 chunk.
 // All threads in a workgroup write to consecutive addresses → coalesced
-// memory access. Previous design (1 thread = 1 chunk) caused stride-512
-// writes across the workgroup, destroying memory bandwidth.
-
-struct CompactTrieParams { max_tokens_per_chunk: u32, _pad: u32 }
+// memory access. Chunk output lives at its byte offset (chunk_starts).
 
 @group(0) @binding(0) var<storage, read> chunked_tokens: array<u32>;
 @group(0) @binding(1) var<storage, read> chunk_counts: array<u32>;
 @group(0) @binding(2) var<storage, read> chunk_offsets: array<u32>;
-@group(0) @binding(3) var<storage, read_write> compact_output: array<u32>;
-@group(0) @binding(4) var<uniform> params: CompactTrieParams;
+@group(0) @binding(3) var<storage, read> chunk_starts: array<u32>;
+@group(0) @binding(4) var<storage, read_write> compact_output: array<u32>;
 
 @compute @workgroup_size(256)
-fn trie_tokenizer_compact(
+fn tokenizer_compact(
     @builtin(workgroup_id) wid: vec3<u32>,
     @builtin(local_invocation_id) lid: vec3<u32>,
     @builtin(num_workgroups) nwg: vec3<u32>
@@ -233,7 +411,7 @@ fn trie_tokenizer_compact(
     let cnt = chunk_counts[chunk_id];
     if (cnt == 0u) { return; }
 
-    let sb = chunk_id * params.max_tokens_per_chunk;
+    let sb = chunk_starts[chunk_id];
     let db = chunk_offsets[chunk_id];
 
     // 256 threads cooperatively copy — consecutive lid.x = consecutive addresses (coalesced)
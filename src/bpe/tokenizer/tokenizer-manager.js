@@ -1,3 +1,8 @@
+import { buildByteTokenMap } from './merge-table.js';
+import { resolveAllowedSpecial, splitOnSpecial, specialTokenIds } from '../special-tokens.js';
+import { alignInput, tokenByteLengths, tokenOffsets } from './alignment.js';
+import { baseSymbols, characterTokenMap } from '../characters.js';
+
 // ─── Tokenizer Manager Class ───
 export class TokenizerManager {
     constructor(bpeEngine, trainingManager, logger) {
@@ -9,54 +14,116 @@ export class TokenizerManager {
     /**
      * Greedy BPE encoder using trained merge rules.
      * Applies merge rules in the exact order they were learned during training.
+     *
+     * @param {string} text
+     * @param {{ allowedSpecial?: 'all'|Iterable<string>, normalizer?: import('./tokenizer.js').NormalizerLike|null, preTokenizer?: import('./tokenizer.js').PreTokenizerLike|null }} [options]
+     *   allowedSpecial: special tokens matched atomically (default none);
+     *   normalizer: the model's normalization, applied between special tokens;
+     *   preTokenizer: split the text with preTokenizeBytes first and merge
+     *   inside each pre-token only, as in training (its normal form is encoded)
      */
-    async encode(text) {
+    async encode(text, { allowedSpecial = null, normalizer = null, preTokenizer = null } = {}) {
         const model = this.trainingManager.getTrainedModel();
         if (!model) {
             throw new Error('No trained model available');
         }
 
         const { vocab, vocabStrings, merges } = model;
+        const bytes = new TextEncoder().encode(text);
+        const allowed = resolveAllowedSpecial(model.specialTokens, allowedSpecial);
 
-        if (!merges || merges.length === 0) {
-            // Fallback: byte-level if no merges available
-            const bytes = new TextEncoder().encode(text);
-            return { tokens: Array.from(bytes), text, vocab, vocabStrings };
-        }
+        // Start with byte-level tokens (imported vocabularies may not put byte b at id b),
+        // or a character token where a character-coverage model has one
+        const byteTokens = buildByteTokenMap(vocab);
+        const charTokens = (model.characterCoverage ?? null) !== null
+            ? characterTokenMap(vocab, merges ?? [], specialTokenIds(model.specialTokens))
+            : null;
 
-        // Build merge priority map: pack(tokenA, tokenB) → { newTokenId, priority }
-        const mergePriority = new Map();
-        for (let i = 0; i < merges.length; i++) {
-            const [a, b, newId] = merges[i];
-            const key = (a << 16) | b;
-            if (!mergePriority.has(key)) {
-                mergePriority.set(key, { newId, priority: i });
+        const tokens = [];
+        for (const { start, end, id } of splitOnSpecial(bytes, allowed)) {
+            if (id !== null) {
+                tokens.push(id);
+                continue;
+            }
+            let run = bytes.subarray(start, end);
+            if (normalizer) run = normalizer.normalizeBytes(run);
+            const words = preTokenizer ? splitPreTokens(preTokenizer.preTokenizeBytes(run)) : [run];
+            for (const word of words) {
+                const segment = baseSymbols(word, 0, word.length, byteTokens, charTokens);
+                for (const token of applyMerges(segment, merges ?? [])) tokens.push(token);
             }
         }
 
-        // Start with byte-level tokens
-        const bytes = new TextEncoder().encode(text);
-        let tokens = Array.from(bytes);
-
-        // Apply merges in priority order (lowest priority = first learned = most frequent)
-        // For each merge rule, scan the token list for matching adjacent pairs
-        for (const [tokenA, tokenB, newTokenId] of merges) {
-            if (tokens.length < 2) break;
-
-            let i = 0;
-            const merged = [];
-            while (i < tokens.length) {
-                if (i + 1 < tokens.length && tokens[i] === tokenA && tokens[i + 1] === tokenB) {
-                    merged.push(newTokenId);
-                    i += 2;
-                } else {
-                    merged.push(tokens[i]);
-                    i++;
-                }
-            }
-            tokens = merged;
+        return { tokens, text, vocab, vocabStrings, specialIds: specialTokenIds(model.specialTokens) };
+    }
+
+    /**
+     * encode() plus the byte range [starts[i], ends[i]) of every token in the
+     * UTF-8 of `text`. With `normalize` the text is normalized before
+     * encoding and the ranges are projected back onto the original.
+     *
+     * `normalize` defaults to the normalizer, else the preTokenizer's normal form.
+     *
+     * @param {string} text
+     * @param {{ allowedSpecial?: 'all'|Iterable<string>, normalizer?: import('./tokenizer.js').NormalizerLike|null, preTokenizer?: import('./tokenizer.js').PreTokenizerLike|null, normalize?: import('./alignment.js').NormalizeSpec|null }} [options]
+     */
+    async encodeWithOffsets(text, {
+        allowedSpecial = null, normalizer = null, preTokenizer = null,
+        normalize = normalizer ?? preTokenizer?.normalizer ?? (preTokenizer ? 'NFC' : null),
+    } = {}) {
+        const model = this.trainingManager.getTrainedModel();
+        const keep = resolveAllowedSpecial(model?.specialTokens, allowedSpecial).keys();
+        const { text: encoded, alignment } = alignInput(text, normalize, keep);
+        const result = await this.encode(encoded, { allowedSpecial, preTokenizer });
+        const { starts, ends } = tokenOffsets(result.tokens, tokenByteLengths(result.vocab), alignment);
+        return { ...result, text, starts, ends };
+    }
+}
+
+// ─── Merge Application ───
+
+/**
+ * Cut pre-tokenized bytes into their pre-tokens.
+ *
+ * @param {{ bytes: Uint8Array, wordStarts: Uint8Array }} preTokenized
+ * @returns {Uint8Array[]}
+ */
+function splitPreTokens({ bytes, wordStarts }) {
+    const words = [];
+    let start = 0;
+    for (let pos = 1; pos <= bytes.length; pos++) {
+        if (pos === bytes.length || wordStarts[pos]) {
+            words.push(bytes.subarray(start, pos));
+            start = pos;
         }
+    }
+    return words;
+}
+
+/**
+ * Apply merges in priority order (lowest priority = first learned = most frequent).
+ * For each merge rule, scan the token list for matching adjacent pairs.
+ *
+ * @param {number[]} tokens
+ * @param {number[][]} merges - [[tokenA, tokenB, newTokenId], ...]
+ * @returns {number[]}
+ */
+function applyMerges(tokens, merges) {
+    for (const [tokenA, tokenB, newTokenId] of merges) {
+        if (tokens.length < 2) break;
 
-        return { tokens, text, vocab, vocabStrings };
+        let i = 0;
+        const merged = [];
+        while (i < tokens.length) {
+            if (i + 1 < tokens.length && tokens[i] === tokenA && tokens[i + 1] === tokenB) {
+                merged.push(newTokenId);
+                i += 2;
+            } else {
+                merged.push(tokens[i]);
+                i++;
+            }
+        }
+        tokens = merged;
     }
+    return tokens;
 }
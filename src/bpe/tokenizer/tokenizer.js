@@ -1,22 +1,89 @@
 /**
- * Trie Tokenizer — GPU-accelerated BPE inference via trie walk
+ * Trie Tokenizer — GPU-accelerated BPE inference
  *
- * Uploads compiled trie (nodes/edges) to GPU and performs chunked
- * tokenization with shared-memory root edge caching + depth-1 cache.
+ * Two encode modes:
+ *   - merge:   applies the learned merges in rank order inside each
+ *              pre-token — bit-identical to true BPE (default when the
+ *              merge table is available)
+ *   - longest: chunked greedy longest-match trie walk with shared-memory
+ *              root edge caching + depth-1 cache (fast, approximate)
+ *
+ * Both keep every pre-token (word) start a hard boundary — the merges of
+ * a pre-token never reach past it, and neither does a longest-mode match —
+ * and walk chunks of at least chunkSize bytes that start on word starts.
+ * The tokens of a pre-token therefore depend on its bytes alone: a string
+ * that starts and ends on word starts gets the same tokens wherever it
+ * falls in a larger input, in one pass or many. Word starts come from the
+ * pre-tokenizer (or explicit wordStarts), else the byte-level heuristic;
+ * pre-tokens longer than MAX_PRE_TOKEN_BYTES are encoded in pieces
+ * (segmentation.js capPreTokens), which bounds the work of one thread.
+ * Merge mode reproduces training's tokens for pre-tokens up to that length.
+ *
+ * A model's normalizer (wasm/normalizer.mjs) is applied to the text between
+ * special tokens, before pre-tokenization — the same text training saw.
+ *
+ * A character-coverage model (characters.js) keeps its characters as plain
+ * multi-byte vocab entries: the trie and decode take them as they are, and
+ * merge mode seeds each pre-token with them before the first merge.
  *
  * Buffer pooling: persistent GPU buffers sized for a capacity threshold,
  * re-used across encode calls. Only re-allocated when input exceeds capacity.
+ *
+ * On a CPU engine the same trie and merge list are walked in JS
+ * (cpu/tokenizer.js) — identical output, no GPU buffers.
  */
 
-import { WORKGROUP_SIZE } from '../engine.js';
+import { WORKGROUP_SIZE, Backend, dispatch2D } from '../engine.js';
 import { compileVocabToTrie, parseHeader, parseTrieBuffers } from './trie.js';
+import { buildMergeTable, buildCharTable, buildByteTokenMap } from './merge-table.js';
+import { byteWordStarts, capPreTokens, packWordMask, planChunks, planPieceChunks, slicePlan } from './segmentation.js';
 import { uploadBuffer, destroyBuffers } from '../gpu-utils.js';
+import { longestMatchEncode, buildMergeRanks, mergeRankEncode } from '../cpu/tokenizer.js';
+import { specialTokenIds, resolveAllowedSpecial, splitOnSpecial } from '../special-tokens.js';
+import { StreamingDecoder } from './streaming-decoder.js';
+import { alignInput, tokenByteLengths, tokenOffsets } from './alignment.js';
+import { characterTokenMap } from '../characters.js';
 
 // ─── Constants ───────────────────────────────────────────────
 
 const DEFAULT_CHUNK_SIZE = 512;
 const UTF8_REPLACEMENT = [0xEF, 0xBF, 0xBD]; // U+FFFD
 
+/** @readonly */
+export const EncodeMode = Object.freeze({
+    MERGE: 'merge',      // rank-ordered merges per pre-token (exact BPE)
+    LONGEST: 'longest',  // greedy longest-match trie walk (fast)
+});
+
+/**
+ * PreTokenizer or RegexPreTokenizer (src/wasm) — anything that splits bytes
+ * into pre-tokens.
+ * @typedef {{ preTokenizeBytes(bytes: Uint8Array): { bytes: Uint8Array, wordStarts: Uint8Array } }} PreTokenizerLike
+ */
+
+/**
+ * Normalizer (src/wasm) — a model's Unicode normalization.
+ * @typedef {{ normalize(text: string): string, normalizeBytes(bytes: Uint8Array): Uint8Array }} NormalizerLike
+ */
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+/**
+ * Concatenate per-slice token arrays.
+ * @param {Uint32Array[]} parts
+ * @returns {Uint32Array}
+ */
+function concatTokens(parts) {
+    const totalLen = parts.reduce((sum, p) => sum + p.length, 0);
+    const merged = new Uint32Array(totalLen);
+    let off = 0;
+    for (const p of parts) {
+        merged.set(p, off);
+        off += p.length;
+    }
+    return merged;
+}
+
 // ─── Tokenizer ──────────────────────────────────────────────
 
 export class TrieTokenizer {
@@ -26,6 +93,18 @@ export class TrieTokenizer {
     #edgesBuf;
     #vocab;
     #chunkSize;
+    #mode;
+    /** @type {Record<string, number>} */
+    #specialTokens;
+    /** @type {Uint32Array|null} Byte length per token id (built on first encodeWithOffsets) */
+    #tokenLengths = null;
+
+    // Merge-rank encoding tables (only when constructed with merges)
+    /** @type {GPUBuffer|null} */ #mergeTableBuf = null;
+    /** @type {GPUBuffer|null} */ #byteTokensBuf = null;
+    /** @type {GPUBuffer|null} */ #charTableBuf = null;
+    /** @type {number} */ #mergeTableMask = 0;
+    /** @type {number} */ #charTableMask = 0;
 
     // ── Buffer Pool ──────────────────────────────────────────
     // Persistent GPU buffers, re-used across encode calls.
@@ -33,28 +112,40 @@ export class TrieTokenizer {
 
     /** @type {number} Current pool capacity in bytes */
     #poolCapacity = 0;
+    /** @type {number} Current pool capacity in chunks */
+    #chunkCapacity = 0;
     /** @type {GPUBuffer|null} */ #inputBuf = null;
     /** @type {GPUBuffer|null} */ #tokenBuf = null;
     /** @type {GPUBuffer|null} */ #countsBuf = null;
     /** @type {GPUBuffer|null} */ #offsetsBuf = null;
     /** @type {GPUBuffer|null} */ #totalBuf = null;
     /** @type {GPUBuffer|null} */ #compactBuf = null;
+    /** @type {GPUBuffer|null} */ #maskBuf = null;
+    /** @type {GPUBuffer|null} */ #chunkStartsBuf = null;
 
     // Persistent uniform buffers (updated via writeBuffer, never recreated)
     /** @type {GPUBuffer|null} */ #chunkedParamBuf = null;
     /** @type {GPUBuffer|null} */ #prefixSumParamBuf = null;
-    /** @type {GPUBuffer|null} */ #compactParamBuf = null;
+    /** @type {GPUBuffer|null} */ #mergeParamBuf = null;
+
+    // CPU backend: trie arrays + merge ranks walked in JS (null on GPU)
+    /** @type {{ nodes: Uint32Array, edges: Uint32Array, ranks: Map<number, number[]>|null, byteTokens: Uint32Array, charTokens: Map<number, number>|null }|null} */
+    #cpu = null;
 
     /**
      * @param {import('../engine.js').BPEEngine} engine
      * @param {ArrayBuffer} trieData - Binary trie file contents
      * @param {number[][]} [vocab] - Vocab for decode (byte arrays)
-     * @param {{ chunkSize?: number }} [options]
+     * @param {{ chunkSize?: number, merges?: number[][], mode?: string, specialTokens?: Record<string, number>, characterCoverage?: number|null }} [options]
+     *   merges: enables merge-rank encoding; mode: default EncodeMode for encodeBytes;
+     *   specialTokens: matched when encodeBytes gets `allowedSpecial` (keep them out of the trie);
+     *   characterCoverage: the model's (non-null: its vocab has character tokens to seed merge mode with)
      */
     constructor(engine, trieData, vocab, options = {}) {
         this.#engine = engine;
         this.#device = engine.device;
         this.#vocab = vocab ?? Array.from({ length: 256 }, (_, i) => [i]);
+        this.#specialTokens = options.specialTokens ?? {};
 
         const header = parseHeader(trieData);
         const { nodes, edges } = parseTrieBuffers(trieData, header);
@@ -66,6 +157,22 @@ export class TrieTokenizer {
         // Adaptive chunk size
         const adaptiveChunk = Math.max(DEFAULT_CHUNK_SIZE, Math.min(2048, header.maxTokenLen * 8));
         this.#chunkSize = options.chunkSize ?? adaptiveChunk;
+        this.#mode = options.mode ?? (options.merges ? EncodeMode.MERGE : EncodeMode.LONGEST);
+
+        const charTokens = options.merges && (options.characterCoverage ?? null) !== null
+            ? characterTokenMap(this.#vocab, options.merges, specialTokenIds(this.#specialTokens))
+            : null;
+
+        if (engine.backend === Backend.CPU) {
+            this.#cpu = {
+                nodes, edges,
+                ranks: options.merges ? buildMergeRanks(options.merges) : null,
+                byteTokens: buildByteTokenMap(this.#vocab),
+                charTokens,
+            };
+            console.log(`[ok] TrieTokenizer (CPU): ${this.nodeCount} nodes, ${this.edgeCount} edges, chunk=${this.#chunkSize}, mode=${this.#mode}`);
+            return;
+        }
 
         this.#nodesBuf = uploadBuffer(this.#device, nodes, GPUBufferUsage.STORAGE);
         this.#edgesBuf = uploadBuffer(this.#device, edges, GPUBufferUsage.STORAGE);
@@ -77,23 +184,50 @@ export class TrieTokenizer {
         this.#prefixSumParamBuf = this.#device.createBuffer({
             size: 8, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         });
-        this.#compactParamBuf = this.#device.createBuffer({
-            size: 8, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-        });
 
-        console.log(`[ok] TrieTokenizer: ${this.nodeCount} nodes, ${this.edgeCount} edges, chunk=${this.#chunkSize}`);
+        // Merge-rank tables: pair hash table + byte → token id map + character table
+        if (options.merges) {
+            const { table, mask } = buildMergeTable(options.merges);
+            this.#mergeTableBuf = uploadBuffer(this.#device, table, GPUBufferUsage.STORAGE);
+            this.#byteTokensBuf = uploadBuffer(this.#device, buildByteTokenMap(this.#vocab), GPUBufferUsage.STORAGE);
+            this.#mergeTableMask = mask;
+            const chars = buildCharTable(charTokens);
+            this.#charTableBuf = uploadBuffer(this.#device, chars.table, GPUBufferUsage.STORAGE);
+            this.#charTableMask = chars.mask;
+            this.#mergeParamBuf = this.#device.createBuffer({
+                size: 16, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+            });
+        }
+
+        console.log(`[ok] TrieTokenizer: ${this.nodeCount} nodes, ${this.edgeCount} edges, chunk=${this.#chunkSize}, mode=${this.#mode}`);
+    }
+
+    /** Default encode mode (EncodeMode) */
+    get mode() {
+        return this.#mode;
+    }
+
+    /** Bytes per trie-walk chunk — at least; chunks start on word starts */
+    get chunkSize() {
+        return this.#chunkSize;
+    }
+
+    /** Special token text → id (empty when the model has none) */
+    get specialTokens() {
+        return this.#specialTokens;
     }
 
     /**
      * Create a TrieTokenizer directly from a BPE vocabulary.
+     * Special tokens are left out of the trie, so plain text never encodes to them.
      *
      * @param {import('../engine.js').BPEEngine} engine
      * @param {number[][]} vocab
-     * @param {{ chunkSize?: number }} [options]
+     * @param {{ chunkSize?: number, merges?: number[][], mode?: string, specialTokens?: Record<string, number>, characterCoverage?: number|null }} [options]
      * @returns {TrieTokenizer}
      */
     static fromVocab(engine, vocab, options = {}) {
-        const trieData = compileVocabToTrie(vocab);
+        const trieData = compileVocabToTrie(vocab, { exclude: specialTokenIds(options.specialTokens) });
         return new TrieTokenizer(engine, trieData, vocab, options);
     }
 
@@ -104,15 +238,18 @@ export class TrieTokenizer {
      * Only re-allocates when capacity is exceeded (amortized O(1)).
      *
      * @param {number} inputLen - Input byte count
+     * @param {number} chunkCount - Chunks in the pass (batches of short items
+     *   have far more than inputLen / chunkSize)
      */
-    #ensurePoolCapacity(inputLen) {
-        if (inputLen <= this.#poolCapacity) return;
+    #ensurePoolCapacity(inputLen, chunkCount) {
+        if (inputLen <= this.#poolCapacity && chunkCount <= this.#chunkCapacity) return;
 
         // Destroy existing pool if any
         if (this.#poolCapacity > 0) {
             destroyBuffers([
                 this.#inputBuf, this.#tokenBuf, this.#countsBuf,
                 this.#offsetsBuf, this.#totalBuf, this.#compactBuf,
+                this.#maskBuf, this.#chunkStartsBuf,
             ]);
         }
 
@@ -123,18 +260,22 @@ export class TrieTokenizer {
         // so inputSize ≤ maxBuf/4 ensures all derived buffers ≤ maxBuf.
         const maxPoolInput = Math.floor(maxBuf / 4);
         const inputSize = Math.min(
-            Math.ceil(inputLen * 1.5 / 4) * 4,   // 1.5× amortized growth
-            maxPoolInput,                          // GPU constraint
+            Math.max(Math.ceil(inputLen * 1.5 / 4) * 4, this.#poolCapacity),  // 1.5× amortized growth
+            maxPoolInput,                                                      // GPU constraint
+        );
+        // A chunk holds at least one byte, so never more chunks than input bytes
+        const numChunks = Math.min(
+            Math.max(Math.ceil(inputSize / this.#chunkSize), Math.ceil(chunkCount * 1.5), this.#chunkCapacity),
+            inputSize,
         );
-        // Derive chunk/token counts from actual buffer capacity
-        const numChunks = Math.ceil(inputSize / this.#chunkSize);
-        const maxTokensPerChunk = this.#chunkSize;
 
         // Derived buffer sizes (all guaranteed ≤ maxBuf since inputSize ≤ maxBuf/4)
-        const tokenSize = numChunks * maxTokensPerChunk * 4;  // ≈ inputSize × 4
+        const tokenSize = inputSize * 4;    // chunk output at its byte offset
         const countsSize = numChunks * 4;
         const offsetsSize = numChunks * 4;
         const compactSize = inputSize * 4;  // worst case: 1 token per byte
+        const maskSize = Math.ceil(inputSize / 32) * 4;
+        const chunkStartsSize = (numChunks + 1) * 4;
 
         this.#inputBuf = device.createBuffer({
             size: inputSize,
@@ -150,7 +291,7 @@ export class TrieTokenizer {
         });
         this.#offsetsBuf = device.createBuffer({
             size: offsetsSize,
-            usage: GPUBufferUsage.STORAGE,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
         });
         this.#totalBuf = device.createBuffer({
             size: 4,
@@ -160,145 +301,428 @@ export class TrieTokenizer {
             size: compactSize,
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
         });
+        this.#maskBuf = device.createBuffer({
+            size: maskSize,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+        this.#chunkStartsBuf = device.createBuffer({
+            size: chunkStartsSize,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
 
         this.#poolCapacity = inputSize;
-        console.log(`  [pool] resized: input=${(inputSize / 1048576).toFixed(0)}MB, tokens=${(tokenSize / 1048576).toFixed(0)}MB, compact=${(compactSize / 1048576).toFixed(0)}MB (max=${(maxBuf / 1048576).toFixed(0)}MB)`);
+        this.#chunkCapacity = numChunks;
+        console.log(`  [pool] resized: input=${(inputSize / 1048576).toFixed(0)}MB, chunks=${numChunks}, tokens=${(tokenSize / 1048576).toFixed(0)}MB, compact=${(compactSize / 1048576).toFixed(0)}MB (max=${(maxBuf / 1048576).toFixed(0)}MB)`);
+    }
+
+    /**
+     * Largest input a single GPU pass can take.
+     * Token buffer is the tightest constraint:
+     *   numChunks * chunkSize * 4 ≤ maxBuf  →  maxInput = maxBuf / 4
+     * Also limited by input buffer itself (maxBuf) and compact buffer (maxBuf/4).
+     *
+     * @returns {number}
+     */
+    #maxSliceSize() {
+        return Math.floor(this.#engine.limits.maxBufferSize / 4);
     }
 
     /**
      * Tokenize raw bytes into token IDs
      * @param {Uint8Array} bytes
+     * @param {{ mode?: string, wordStarts?: Uint8Array, normalizer?: NormalizerLike, preTokenizer?: PreTokenizerLike, allowedSpecial?: 'all'|Iterable<string> }} [options]
+     *   mode: EncodeMode (defaults to the tokenizer's mode);
+     *   wordStarts: pre-token starts — chunk starts, and neither merges nor
+     *   longest-mode matches cross them (defaults to the trainer's byte-level
+     *   heuristic; pre-tokens longer than MAX_PRE_TOKEN_BYTES are cut further);
+     *   normalizer: the model's normalization, applied to the text between
+     *   special tokens (not with wordStarts, which index the bytes as given);
+     *   preTokenizer: split the input with preTokenizeBytes first and use its
+     *   word starts (the bytes in its normal form are encoded) — instead of wordStarts;
+     *   allowedSpecial: special tokens to match atomically (default none —
+     *   their text is encoded as ordinary bytes)
      * @returns {Promise<Uint32Array>}
      */
-    async encodeBytes(bytes) {
-        const inputLen = bytes.length;
-        if (inputLen === 0) return new Uint32Array(0);
+    async encodeBytes(bytes, {
+        mode = this.#mode, wordStarts = null, normalizer = null, preTokenizer = null, allowedSpecial = null,
+    } = {}) {
+        if (bytes.length === 0) return new Uint32Array(0);
+        if (wordStarts && (preTokenizer || normalizer)) {
+            throw new Error('encodeBytes: wordStarts cannot be combined with a preTokenizer or normalizer');
+        }
 
-        const maxBuf = this.#engine.limits.maxBufferSize;
-        // Token buffer is the tightest constraint:
-        //   numChunks * chunkSize * 4 ≤ maxBuf  →  maxInput = maxBuf / 4
-        // Also limited by input buffer itself (maxBuf) and compact buffer (maxBuf/4)
-        const maxInputPerPass = Math.floor(maxBuf / 4);
-        // Align to chunk boundaries to avoid splitting mid-chunk
-        const sliceSize = Math.floor(maxInputPerPass / this.#chunkSize) * this.#chunkSize;
-
-        if (inputLen > sliceSize) {
-            // Multi-pass: split input into slices that fit in GPU buffers
-            const parts = [];
-            for (let offset = 0; offset < inputLen; offset += sliceSize) {
-                const end = Math.min(offset + sliceSize, inputLen);
-                const slice = bytes.subarray(offset, end);
-                const tokens = await this.#encodeSinglePass(slice);
+        const allowed = resolveAllowedSpecial(this.#specialTokens, allowedSpecial);
+        if (allowed.size > 0) return this.#encodeWithSpecial(bytes, allowed, mode, wordStarts, normalizer, preTokenizer);
+
+        if (normalizer) bytes = normalizer.normalizeBytes(bytes);
+        if (preTokenizer) ({ bytes, wordStarts } = preTokenizer.preTokenizeBytes(bytes));
+        if (bytes.length === 0) return new Uint32Array(0);   // e.g. accents only, stripped
+        if (this.#cpu) return this.#encodeCPU(bytes, mode, wordStarts);
+        return this.#encodePlanned(mode, bytes, wordStarts);
+    }
+
+    /**
+     * Tokenize and report the byte range [starts[i], ends[i]) of every token.
+     * With `normalize` the input is normalized first and the ranges are
+     * projected back onto the original bytes (alignment.js); without it they
+     * index the input as given.
+     *
+     * @param {string|Uint8Array} input - strings are UTF-8 encoded
+     * @param {{ normalize?: import('./alignment.js').NormalizeSpec|null, normalizer?: NormalizerLike, mode?: string, wordStarts?: Uint8Array, preTokenizer?: PreTokenizerLike, allowedSpecial?: 'all'|Iterable<string> }} [options]
+     *   normalize: form or normalizer applied before encoding (wordStarts then
+     *   index the normalized bytes; allowed special tokens are left as is) —
+     *   by default the normalizer, else the preTokenizer's normal form;
+     *   other options as for encodeBytes
+     * @returns {Promise<{ tokens: Uint32Array, starts: Uint32Array, ends: Uint32Array }>}
+     */
+    async encodeWithOffsets(input, {
+        normalizer = null, preTokenizer = null,
+        normalize = normalizer ?? preTokenizer?.normalizer ?? (preTokenizer ? 'NFC' : null), ...options
+    } = {}) {
+        const keep = resolveAllowedSpecial(this.#specialTokens, options.allowedSpecial ?? null).keys();
+        const { bytes, alignment } = alignInput(input, normalize, keep);
+        const tokens = await this.encodeBytes(bytes, { ...options, preTokenizer });
+
+        this.#tokenLengths ??= tokenByteLengths(this.#vocab);
+        return { tokens, ...tokenOffsets(tokens, this.#tokenLengths, alignment) };
+    }
+
+    /**
+     * Tokenize many short inputs at once — e.g. dataset rows. The items are
+     * packed into one input upload and encoded in a single submit (more only
+     * when they outgrow one GPU pass); each item starts a new chunk, so every
+     * item gets exactly the tokens encodeBytes would give it.
+     *
+     * @param {Array<string|Uint8Array>} inputs - strings are UTF-8 encoded
+     * @param {{ mode?: string, normalizer?: NormalizerLike, preTokenizer?: PreTokenizerLike, allowedSpecial?: 'all'|Iterable<string> }} [options]
+     *   as for encodeBytes (without a preTokenizer, the byte-level word starts)
+     * @returns {Promise<{ tokens: Uint32Array, offsets: Uint32Array }>}
+     *   item i is tokens[offsets[i], offsets[i + 1]) — inputs.length + 1 offsets
+     */
+    async encodeBatch(inputs, { mode = this.#mode, normalizer = null, preTokenizer = null, allowedSpecial = null } = {}) {
+        const encoder = new TextEncoder();
+        const allowed = resolveAllowedSpecial(this.#specialTokens, allowedSpecial);
+
+        // Per item: byte ranges to encode (normalized), or special token ids
+        const normalize = piece => (normalizer && piece.length > 0 ? normalizer.normalizeBytes(piece) : piece);
+        const items = inputs.map(input => {
+            const bytes = typeof input === 'string' ? encoder.encode(input) : input;
+            return splitOnSpecial(bytes, allowed)
+                .map(({ start, end, id }) => id ?? normalize(bytes.subarray(start, end)));
+        });
+
+        let pieces = items.flat().filter(piece => typeof piece !== 'number' && piece.length > 0);
+        let pieceStarts = null;
+        if (preTokenizer) {
+            const split = pieces.map(piece => preTokenizer.preTokenizeBytes(piece));
+            pieces = split.map(({ bytes }) => bytes);
+            pieceStarts = split.map(({ wordStarts }) => wordStarts);
+        }
+        const encoded = await this.#encodePieces(pieces, mode, pieceStarts);
+
+        const parts = [];
+        const offsets = new Uint32Array(inputs.length + 1);
+        let total = 0;
+        let next = 0;
+        for (let i = 0; i < items.length; i++) {
+            offsets[i] = total;
+            for (const piece of items[i]) {
+                if (typeof piece !== 'number' && piece.length === 0) continue;
+                const tokens = typeof piece === 'number' ? Uint32Array.of(piece) : encoded[next++];
                 parts.push(tokens);
+                total += tokens.length;
+            }
+        }
+        offsets[inputs.length] = total;
+
+        return { tokens: concatTokens(parts), offsets };
+    }
+
+    /**
+     * Encode the text between special-token matches; each match becomes its id.
+     *
+     * @param {Uint8Array} bytes
+     * @param {Map<string, number>} allowed
+     * @param {string} mode
+     * @param {Uint8Array|null} wordStarts
+     * @param {NormalizerLike|null} normalizer - applied to each run of text
+     * @param {PreTokenizerLike|null} preTokenizer - applied to each run of text
+     * @returns {Promise<Uint32Array>}
+     */
+    async #encodeWithSpecial(bytes, allowed, mode, wordStarts, normalizer, preTokenizer) {
+        const parts = [];
+        for (const { start, end, id } of splitOnSpecial(bytes, allowed)) {
+            if (id !== null) {
+                parts.push(Uint32Array.of(id));
+                continue;
             }
-            // Merge all token arrays
-            const totalLen = parts.reduce((sum, p) => sum + p.length, 0);
-            const merged = new Uint32Array(totalLen);
-            let off = 0;
-            for (const p of parts) {
-                merged.set(p, off);
-                off += p.length;
+            parts.push(await this.encodeBytes(bytes.subarray(start, end), {
+                mode, wordStarts: wordStarts?.subarray(start, end) ?? null, normalizer, preTokenizer,
+            }));
+        }
+        return concatTokens(parts);
+    }
+
+    /**
+     * CPU backend: same chunking and merge rules as the kernels, no slicing.
+     *
+     * @param {Uint8Array} bytes
+     * @param {string} mode
+     * @param {Uint8Array|null} wordStarts - null: byte-level heuristic
+     * @returns {Uint32Array}
+     */
+    #encodeCPU(bytes, mode, wordStarts) {
+        const { nodes, edges, ranks, byteTokens, charTokens } = this.#cpu;
+        const starts = capPreTokens(bytes, wordStarts ?? byteWordStarts(bytes));
+
+        if (mode === EncodeMode.MERGE) {
+            if (!ranks) {
+                throw new Error('Merge-rank encoding needs the merge table — construct the tokenizer with { merges }');
             }
-            return merged;
+            return mergeRankEncode(ranks, byteTokens, bytes, starts, charTokens);
         }
 
-        return this.#encodeSinglePass(bytes);
+        return longestMatchEncode(nodes, edges, bytes, planChunks(starts, this.#chunkSize), starts);
     }
 
     /**
-     * Tokenize a single pass (input must fit in GPU buffers)
+     * Encode on the GPU along a word-aligned chunk plan. Multi-pass slices
+     * are cut on planned chunk starts, so every chunk is walked whole and the
+     * result does not depend on the slice size.
+     *
+     * @param {string} mode
      * @param {Uint8Array} bytes
+     * @param {Uint8Array|null} wordStarts - null: byte-level heuristic
      * @returns {Promise<Uint32Array>}
      */
-    async #encodeSinglePass(bytes) {
+    async #encodePlanned(mode, bytes, wordStarts) {
+        if (mode === EncodeMode.MERGE && !this.#mergeTableBuf) {
+            throw new Error('Merge-rank encoding needs the merge table — construct the tokenizer with { merges }');
+        }
+
+        wordStarts = capPreTokens(bytes, wordStarts ?? byteWordStarts(bytes));
+
         const inputLen = bytes.length;
-        if (inputLen === 0) return new Uint32Array(0);
+        const chunkStarts = planChunks(wordStarts, this.#chunkSize);
+        const sliceSize = this.#maxSliceSize();
+        if (inputLen <= sliceSize) {
+            return (await this.#runChunks(mode, bytes, chunkStarts, wordStarts)).tokens;
+        }
 
-        const device = this.#device;
-        const numChunks = Math.ceil(inputLen / this.#chunkSize);
-        const maxTokensPerChunk = this.#chunkSize;
+        const parts = [];
+        let offset = 0;
+        let chunk = 0;   // chunkStarts[chunk] ≤ offset
+        while (offset < inputLen) {
+            const limit = Math.min(offset + sliceSize, inputLen);
+            let end = limit;
+            if (limit < inputLen) {
+                let last = chunk;
+                while (chunkStarts[last + 1] <= limit) last++;
+                // A single chunk longer than a pass has to be split
+                if (chunkStarts[last] > offset) end = chunkStarts[last];
+            }
+
+            const { tokens } = await this.#runChunks(
+                mode, bytes.subarray(offset, end), slicePlan(chunkStarts, offset, end),
+                wordStarts.subarray(offset, end),
+            );
+            parts.push(tokens);
+
+            offset = end;
+            while (chunkStarts[chunk + 1] <= offset) chunk++;
+        }
+        return concatTokens(parts);
+    }
+
+    /**
+     * Encode pieces independently, packing as many as fit into each GPU pass.
+     * A piece larger than one pass goes through encodeBytes on its own.
+     *
+     * @param {Uint8Array[]} pieces - non-empty
+     * @param {string} mode
+     * @param {Uint8Array[]|null} pieceStarts - word starts per piece (from a
+     *   pre-tokenizer), or null for the byte-level heuristic
+     * @returns {Promise<Uint32Array[]>} tokens per piece
+     */
+    async #encodePieces(pieces, mode, pieceStarts) {
+        if (this.#cpu) return pieces.map((piece, i) => this.#encodeCPU(piece, mode, pieceStarts?.[i] ?? null));
+
+        if (mode === EncodeMode.MERGE && !this.#mergeTableBuf) {
+            throw new Error('Merge-rank encoding needs the merge table — construct the tokenizer with { merges }');
+        }
+
+        const sliceSize = this.#maxSliceSize();
+        const results = [];
+        let first = 0;
+
+        while (first < pieces.length) {
+            if (pieces[first].length > sliceSize) {
+                results.push(await this.encodeBytes(pieces[first], { mode, wordStarts: pieceStarts?.[first] ?? null }));
+                first++;
+                continue;
+            }
+
+            let end = first;
+            let size = 0;
+            while (end < pieces.length && size + pieces[end].length <= sliceSize) {
+                size += pieces[end++].length;
+            }
+            results.push(...await this.#encodeBatchPass(
+                pieces.slice(first, end), pieceStarts?.slice(first, end) ?? null, size, mode,
+            ));
+            first = end;
+        }
 
-        // ── Ensure pool capacity & upload input ──────────────────
+        return results;
+    }
+
+    /**
+     * Encode pieces laid end to end in one pass. Every piece starts a chunk
+     * (planPieceChunks), so its tokens run from the offset of its first chunk
+     * to the offset of the next piece's.
+     *
+     * @param {Uint8Array[]} pieces
+     * @param {Uint8Array[]|null} pieceStarts - as for #encodePieces
+     * @param {number} size - total bytes (fits in one pass)
+     * @param {string} mode
+     * @returns {Promise<Uint32Array[]>}
+     */
+    async #encodeBatchPass(pieces, pieceStarts, size, mode) {
+        const bytes = new Uint8Array(size);
+        const wordStarts = new Uint8Array(size);
+        let offset = 0;
+        pieces.forEach((piece, i) => {
+            bytes.set(piece, offset);
+            wordStarts.set(capPreTokens(piece, pieceStarts?.[i] ?? byteWordStarts(piece)), offset);
+            offset += piece.length;
+        });
+
+        const { chunkStarts, firstChunks } = planPieceChunks(
+            pieces.map(piece => piece.length), wordStarts, this.#chunkSize,
+        );
+        const { tokens, chunkOffsets } = await this.#runChunks(
+            mode, bytes, chunkStarts, wordStarts, true,
+        );
 
-        this.#ensurePoolCapacity(inputLen);
+        return pieces.map((_, i) => tokens.subarray(
+            chunkOffsets[firstChunks[i]], chunkOffsets[firstChunks[i + 1]],
+        ));
+    }
 
-        // writeBuffer requires 4-byte aligned data size
+    /**
+     * Upload input bytes into the pooled input buffer.
+     * writeBuffer requires 4-byte aligned data size.
+     *
+     * @param {Uint8Array} bytes
+     */
+    #writeInput(bytes) {
+        const inputLen = bytes.length;
         const alignedLen = Math.ceil(inputLen / 4) * 4;
         if (inputLen === alignedLen) {
-            device.queue.writeBuffer(this.#inputBuf, 0, bytes);
+            this.#device.queue.writeBuffer(this.#inputBuf, 0, bytes);
         } else {
             const padded = new Uint8Array(alignedLen);
             padded.set(bytes);
-            device.queue.writeBuffer(this.#inputBuf, 0, padded);
+            this.#device.queue.writeBuffer(this.#inputBuf, 0, padded);
         }
+    }
 
-        // ── Update uniform params (no allocation — just writeBuffer) ─
+    /**
+     * Encode one compute pass with bindings in declaration order.
+     *
+     * @param {GPUCommandEncoder} enc
+     * @param {string} kernel
+     * @param {GPUBuffer[]} buffers
+     * @param {number} workgroups
+     */
+    #encodePass(enc, kernel, buffers, workgroups) {
+        const pipeline = this.#engine.pipelines[kernel];
+        const pass = enc.beginComputePass();
+        pass.setPipeline(pipeline);
+        pass.setBindGroup(0, this.#device.createBindGroup({
+            layout: pipeline.getBindGroupLayout(0),
+            entries: buffers.map((buffer, binding) => ({ binding, resource: { buffer } })),
+        }));
+        dispatch2D(pass, workgroups);
+        pass.end();
+    }
+
+    /**
+     * Encode planned chunks in one submit: chunked encoder, prefix sum,
+     * compaction. Each chunk writes its tokens at its byte offset in
+     * #tokenBuf (a chunk never has more tokens than bytes), which the merge
+     * kernel also uses as its per-byte work buffer.
+     *
+     * @param {string} mode - EncodeMode
+     * @param {Uint8Array} bytes
+     * @param {Uint32Array} chunkStarts - chunk start offsets followed by bytes.length
+     * @param {Uint8Array} wordStarts - pre-token starts: no merge or match crosses one
+     * @param {boolean} [withChunkOffsets] - also read back where each chunk's tokens start
+     * @returns {Promise<{ tokens: Uint32Array, chunkOffsets: Uint32Array|null }>}
+     */
+    async #runChunks(mode, bytes, chunkStarts, wordStarts, withChunkOffsets = false) {
+        const device = this.#device;
+        const inputLen = bytes.length;
+        const numChunks = chunkStarts.length - 1;
+
+        // ── Ensure pool capacity & upload input + chunk plan ─────
 
-        device.queue.writeBuffer(this.#chunkedParamBuf, 0,
-            new Uint32Array([inputLen, this.#chunkSize, maxTokensPerChunk, 0]));
+        this.#ensurePoolCapacity(inputLen, numChunks);
+        this.#writeInput(bytes);
+        device.queue.writeBuffer(this.#maskBuf, 0, packWordMask(wordStarts));
+        device.queue.writeBuffer(this.#chunkStartsBuf, 0, chunkStarts);
         device.queue.writeBuffer(this.#prefixSumParamBuf, 0,
             new Uint32Array([numChunks, 0]));
-        device.queue.writeBuffer(this.#compactParamBuf, 0,
-            new Uint32Array([maxTokensPerChunk, 0]));
 
         // ── Single submit: ALL 3 dispatches (GPU never idles) ────
 
         const enc = device.createCommandEncoder();
 
-        // Pass 1: Chunked tokenization
-        const p1 = enc.beginComputePass();
-        p1.setPipeline(this.#engine.pipelines['trie_tokenizer_chunked']);
-        p1.setBindGroup(0, device.createBindGroup({
-            layout: this.#engine.pipelines['trie_tokenizer_chunked'].getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: { buffer: this.#inputBuf } },
-                { binding: 1, resource: { buffer: this.#nodesBuf } },
-                { binding: 2, resource: { buffer: this.#edgesBuf } },
-                { binding: 3, resource: { buffer: this.#tokenBuf } },
-                { binding: 4, resource: { buffer: this.#countsBuf } },
-                { binding: 5, resource: { buffer: this.#chunkedParamBuf } },
-            ],
-        }));
-        p1.dispatchWorkgroups(Math.ceil(numChunks / WORKGROUP_SIZE));
-        p1.end();
+        if (mode === EncodeMode.MERGE) {
+            device.queue.writeBuffer(this.#mergeParamBuf, 0,
+                new Uint32Array([inputLen, numChunks, this.#mergeTableMask, this.#charTableMask]));
+
+            // Pass 1: Rank-ordered merging, 1 thread per word-aligned chunk
+            this.#encodePass(enc, 'merge_tokenizer_chunked', [
+                this.#inputBuf, this.#maskBuf, this.#chunkStartsBuf,
+                this.#mergeTableBuf, this.#byteTokensBuf,
+                this.#tokenBuf, this.#countsBuf, this.#mergeParamBuf, this.#charTableBuf,
+            ], Math.ceil(numChunks / WORKGROUP_SIZE));
+        } else {
+            device.queue.writeBuffer(this.#chunkedParamBuf, 0,
+                new Uint32Array([inputLen, numChunks, 0, 0]));
+
+            // Pass 1: Chunked tokenization (matches stop at word starts)
+            this.#encodePass(enc, 'trie_tokenizer_chunked', [
+                this.#inputBuf, this.#nodesBuf, this.#edgesBuf, this.#chunkStartsBuf,
+                this.#tokenBuf, this.#countsBuf, this.#chunkedParamBuf, this.#maskBuf,
+            ], Math.ceil(numChunks / WORKGROUP_SIZE));
+        }
 
         // Pass 2: GPU prefix sum
-        const p2 = enc.beginComputePass();
-        p2.setPipeline(this.#engine.pipelines['trie_prefix_sum']);
-        p2.setBindGroup(0, device.createBindGroup({
-            layout: this.#engine.pipelines['trie_prefix_sum'].getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: { buffer: this.#countsBuf } },
-                { binding: 1, resource: { buffer: this.#offsetsBuf } },
-                { binding: 2, resource: { buffer: this.#totalBuf } },
-                { binding: 3, resource: { buffer: this.#prefixSumParamBuf } },
-            ],
-        }));
-        p2.dispatchWorkgroups(1);
-        p2.end();
+        this.#encodePass(enc, 'trie_prefix_sum', [
+            this.#countsBuf, this.#offsetsBuf, this.#totalBuf, this.#prefixSumParamBuf,
+        ], 1);
 
         // Pass 3: Compact (1 workgroup = 1 chunk, coalesced writes)
-        const p3 = enc.beginComputePass();
-        p3.setPipeline(this.#engine.pipelines['trie_tokenizer_compact']);
-        p3.setBindGroup(0, device.createBindGroup({
-            layout: this.#engine.pipelines['trie_tokenizer_compact'].getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: { buffer: this.#tokenBuf } },
-                { binding: 1, resource: { buffer: this.#countsBuf } },
-                { binding: 2, resource: { buffer: this.#offsetsBuf } },
-                { binding: 3, resource: { buffer: this.#compactBuf } },
-                { binding: 4, resource: { buffer: this.#compactParamBuf } },
-            ],
-        }));
-        // dispatch numChunks workgroups (1 WG = 1 chunk); use 2D grid if > 65535
-        if (numChunks <= 65535) {
-            p3.dispatchWorkgroups(numChunks);
-        } else {
-            const x = Math.min(numChunks, 65535);
-            const y = Math.ceil(numChunks / x);
-            p3.dispatchWorkgroups(x, y);
-        }
-        p3.end();
+        this.#encodePass(enc, 'tokenizer_compact', [
+            this.#tokenBuf, this.#countsBuf, this.#offsetsBuf,
+            this.#chunkStartsBuf, this.#compactBuf,
+        ], numChunks);
+
+        return this.#readTokens(enc, withChunkOffsets ? numChunks : 0);
+    }
+
+    /**
+     * Submit the encoded passes and read back the compacted tokens.
+     *
+     * @param {GPUCommandEncoder} enc
+     * @param {number} [chunkCount] - when > 0, also read back the per-chunk
+     *   token offsets (chunkCount + 1 entries, the last one = token count)
+     * @returns {Promise<{ tokens: Uint32Array, chunkOffsets: Uint32Array|null }>}
+     */
+    async #readTokens(enc, chunkCount = 0) {
+        const device = this.#device;
 
         // Read total (4 bytes) — ALL compute already finished
         const totalReadBuf = device.createBuffer({
@@ -306,6 +730,13 @@ export class TrieTokenizer {
             usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
         });
         enc.copyBufferToBuffer(this.#totalBuf, 0, totalReadBuf, 0, 4);
+
+        const offsetsReadBuf = chunkCount > 0 ? device.createBuffer({
+            size: chunkCount * 4,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+        }) : null;
+        if (offsetsReadBuf) enc.copyBufferToBuffer(this.#offsetsBuf, 0, offsetsReadBuf, 0, chunkCount * 4);
+
         device.queue.submit([enc.finish()]);
 
         // Near-instant: GPU finished all 3 passes before we get here
@@ -314,7 +745,17 @@ export class TrieTokenizer {
         totalReadBuf.unmap();
         totalReadBuf.destroy();
 
-        if (totalTokens === 0) return new Uint32Array(0);
+        let chunkOffsets = null;
+        if (offsetsReadBuf) {
+            await offsetsReadBuf.mapAsync(GPUMapMode.READ);
+            chunkOffsets = new Uint32Array(chunkCount + 1);
+            chunkOffsets.set(new Uint32Array(offsetsReadBuf.getMappedRange()));
+            chunkOffsets[chunkCount] = totalTokens;
+            offsetsReadBuf.unmap();
+            offsetsReadBuf.destroy();
+        }
+
+        if (totalTokens === 0) return { tokens: new Uint32Array(0), chunkOffsets };
 
         // ── Submit 2: ZERO compute — pure DMA copy of exact size ─
 
@@ -327,11 +768,11 @@ export class TrieTokenizer {
         device.queue.submit([enc2.finish()]);
 
         await resultReadBuf.mapAsync(GPUMapMode.READ);
-        const result = new Uint32Array(resultReadBuf.getMappedRange().slice(0));
+        const tokens = new Uint32Array(resultReadBuf.getMappedRange().slice(0));
         resultReadBuf.unmap();
         resultReadBuf.destroy();
 
-        return result;
+        return { tokens, chunkOffsets };
     }
 
     // ─── Decode ─────────────────────────────────────────────
@@ -362,17 +803,36 @@ export class TrieTokenizer {
         return result;
     }
 
+    /**
+     * Incremental decoder over this tokenizer's vocab — for emitting text
+     * token by token without splitting UTF-8 sequences.
+     * @returns {StreamingDecoder}
+     */
+    streamingDecoder() {
+        return new StreamingDecoder(this.#vocab);
+    }
+
     // ─── Cleanup ────────────────────────────────────────────
 
     /** Release all GPU resources. */
     destroy() {
+        if (this.#cpu) {
+            this.#cpu = null;
+            return;
+        }
+
         destroyBuffers([this.#nodesBuf, this.#edgesBuf]);
-        destroyBuffers([this.#chunkedParamBuf, this.#prefixSumParamBuf, this.#compactParamBuf]);
+        destroyBuffers([this.#chunkedParamBuf, this.#prefixSumParamBuf]);
+
+        if (this.#mergeTableBuf) {
+            destroyBuffers([this.#mergeTableBuf, this.#byteTokensBuf, this.#mergeParamBuf, this.#charTableBuf]);
+        }
 
         if (this.#poolCapacity > 0) {
             destroyBuffers([
                 this.#inputBuf, this.#tokenBuf, this.#countsBuf,
                 this.#offsetsBuf, this.#totalBuf, this.#compactBuf,
+                this.#maskBuf, this.#chunkStartsBuf,
             ]);
         }
     }
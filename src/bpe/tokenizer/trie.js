@@ -34,16 +34,18 @@ const HEADER_SIZE = 28;
  * Compile a BPE vocabulary into a binary trie.
  *
  * @param {number[][]} vocab - Array of byte arrays, indexed by token ID
+ * @param {{ exclude?: Set<number> }} [options] - exclude: token ids left out
+ *   (special tokens, matched outside the trie walk)
  * @returns {ArrayBuffer} Binary trie data (v3 format)
  */
-export function compileVocabToTrie(vocab) {
+export function compileVocabToTrie(vocab, { exclude = null } = {}) {
     // ── 1. Build tree in memory ──
     const root = { children: new Map(), tokenId: INVALID_TOKEN };
     let maxTokenLen = 0;
 
     for (let tokenId = 0; tokenId < vocab.length; tokenId++) {
         const bytes = vocab[tokenId];
-        if (!bytes || bytes.length === 0) continue;
+        if (!bytes || bytes.length === 0 || exclude?.has(tokenId)) continue;
 
         let node = root;
         for (const byte of bytes) {
@@ -33,12 +33,23 @@ const WORKGROUP_SIZE: u32 = 256u;
 const MAX_PROBE: u32 = 128u;
 const MAX_WG_DIM: u32 = 65535u;  // WebGPU maxComputeWorkgroupsPerDimension
 const INVALID_TOKEN: u32 = 0xFFFFFFFFu;
-const WORD_START_BIT: u32 = 0x10000u;  // bit 16 = word-start flag
-const TOKEN_MASK: u32 = 0xFFFFu;       // lower 16 bits = token ID
-
-fn pack_pair(a: u32, b: u32) -> u32 { return (a << 16u) | b; }
-fn unpack_first(pair: u32) -> u32  { return pair >> 16u; }
-fn unpack_second(pair: u32) -> u32 { return pair & 0xFFFFu; }
+const WORD_START_BIT: u32 = 0x80000000u;  // bit 31 = word-start flag
+const TOKEN_MASK: u32 = 0x3FFFFu;         // lower 18 bits = token ID (≤ 262,144 tokens)
+const MERGED_BIT: u32 = 2u;               // valid_mask: symbol is the A side of a merge
+
+// Pair encoding: two 18-bit tokens need 36 bits, so a pair is split into a
+// 32-bit key (a << 14 | b >> 4) plus a 4-bit lane (b & 15). Hash tables are
+// 16 interleaved lanes — slot = (row << 4) | lane — so the lane is implied
+// by the slot index and the key fits the u32 the atomic CAS works on.
+// Key 0 marks an empty slot; token 0 never pairs, so real keys are ≥ 1 << 14.
+const LANE_BITS: u32 = 4u;
+const LANE_MASK: u32 = 15u;
+
+fn pair_key(a: u32, b: u32) -> u32 { return (a << 14u) | (b >> LANE_BITS); }
+fn pair_lane(b: u32) -> u32 { return b & LANE_MASK; }
+fn lane_slot(row: u32, lane: u32) -> u32 { return (row << LANE_BITS) | lane; }
+fn unpack_first(key: u32) -> u32  { return key >> 14u; }
+fn unpack_second(key: u32, slot: u32) -> u32 { return ((key & 0x3FFFu) << LANE_BITS) | (slot & LANE_MASK); }
 
 // GPU-driven iteration state for batched training.
 // Written by bpe_setup_merge, read by all batched kernels.
@@ -54,7 +65,7 @@ struct IterState {
     merges_done: u32,       // [8]  Merges completed in this batch
     max_symbols: u32,       // [9]  Max dispatch size (initial count)
     _pad1: u32,
-    _pad2: u32,
+    compact_count: u32,     // [11] Symbol count before the merge (finalize_compact's range)
 }
 
 /// Murmur3 integer finalizer — 6 ALU ops instead of FNV-1a's 16.
@@ -73,22 +84,23 @@ fn flat_id(gid: vec3<u32>, nwg: vec3<u32>) -> u32 {
     return gid.x + gid.y * nwg.x * WORKGROUP_SIZE;
 }
 
-// Local hash table constants for bpe_pair_count_b
+// Local hash table constants for bpe_pair_count_b (64 rows × 16 lanes)
 const LOCAL_TABLE_SIZE: u32 = 1024u;
-const LOCAL_TABLE_MASK: u32 = 1023u;  // power-of-2 modulo
+const LOCAL_ROW_MASK: u32 = 63u;  // power-of-2 modulo
 const LOCAL_MAX_PROBE: u32 = 64u;
 
-/// Deterministic comparison: higher count wins; ties broken by smaller pair_id.
+/// Deterministic comparison: higher count wins; ties broken by smaller (a, b).
 /// Ensures identical vocabulary output regardless of GPU scheduling order.
-fn is_better(count_new: u32, pair_new: u32, count_old: u32, pair_old: u32) -> bool {
-    return count_new > count_old || (count_new == count_old && pair_new < pair_old);
+fn is_better(count_new: u32, a_new: u32, b_new: u32, count_old: u32, a_old: u32, b_old: u32) -> bool {
+    if (count_new != count_old) { return count_new > count_old; }
+    return a_new < a_old || (a_new == a_old && b_new < b_old);
 }
 
 // --- KERNEL: bpe_word_boundary ---
 //
 // GPU pre-tokenization: classify each symbol's byte value into a character
 // class (letter/digit/space/punct), then compare adjacent classes to detect
-// word boundaries. When a boundary is found, bit 16 (WORD_START_BIT) is set
+// word boundaries. When a boundary is found, bit 31 (WORD_START_BIT) is set
 // on the symbol at the start of the new word.
 //
 // This ensures bpe_pair_count never counts pairs across word boundaries,
@@ -130,7 +142,7 @@ fn char_class(tok: u32) -> u32 {
  * @compute Kernel: bpe_word_boundary
  *
  * Scans the symbol sequence to identify word boundaries based on character classes.
- * When a boundary is detected, the WORD_START_BIT (bit 16) is set on that symbol.
+ * When a boundary is detected, the WORD_START_BIT (bit 31) is set on that symbol.
  * This prevents the BPE pairing logic from merging tokens across distinct words,
  * following GPT-style pre-tokenization rules.
  *
@@ -182,7 +194,7 @@ fn bpe_word_boundary(
     if (is_boundary) {
         symbols[id] = tok | WORD_START_BIT;
     }
-    // else: tok stays as-is (lower 16 bits only)
+    // else: tok stays as-is (token bits only)
 }
 
 // --- KERNEL: bpe_clear_table ---
@@ -209,9 +221,12 @@ fn bpe_clear_table(@builtin(global_invocation_id) gid: vec3<u32>, @builtin(num_w
 //
 // Benefits:
 //   - 4× fewer workgroups → 4× fewer block_max entries
-//   - Deterministic: same count → smaller pair_id wins (reproducible)
+//   - Deterministic: same count → smaller (a, b) wins (reproducible)
 //   - Same occupancy (256 threads/wg), better utilization
 //
+// Pairs are decoded from (key, slot lane) here and carried as two words
+// [a, b] through the rest of the reduction.
+//
 // Coverage: 256 threads × 4 elements = 1024 entries/workgroup.
 
 struct FindMaxParams { table_size: u32, _pad: u32 }
@@ -219,11 +234,12 @@ struct FindMaxParams { table_size: u32, _pad: u32 }
 @group(0) @binding(0) var<storage, read> pair_counts: array<u32>;
 @group(0) @binding(1) var<storage, read> pair_ids: array<u32>;
 @group(0) @binding(2) var<storage, read_write> block_max_counts: array<u32>;
-@group(0) @binding(3) var<storage, read_write> block_max_pair_ids: array<u32>;
+@group(0) @binding(3) var<storage, read_write> block_max_pair_ids: array<u32>;  // 2 × u32 per block: [a, b]
 @group(0) @binding(4) var<uniform> params: FindMaxParams;
 
 var<workgroup> sh_c: array<u32, 256>;
-var<workgroup> sh_p: array<u32, 256>;
+var<workgroup> sh_a: array<u32, 256>;
+var<workgroup> sh_b: array<u32, 256>;
 
 @compute @workgroup_size(256)
 fn bpe_find_max_pair4(
@@ -237,31 +253,37 @@ fn bpe_find_max_pair4(
     // ── Thread-local max over 4 elements ──
     let base = (gid.x + gid.y * nwg.x * WORKGROUP_SIZE) * 4u;
     var best_c: u32 = 0u;
-    var best_p: u32 = 0u;
+    var best_a: u32 = 0u;
+    var best_b: u32 = 0u;
 
     for (var e: u32 = 0u; e < 4u; e++) {
         let idx = base + e;
         if (idx < params.table_size) {
             let c = pair_counts[idx];
-            let p = pair_ids[idx];
-            if (is_better(c, p, best_c, best_p)) {
+            let key = pair_ids[idx];
+            let a = unpack_first(key);
+            let b = unpack_second(key, idx);
+            if (is_better(c, a, b, best_c, best_a, best_b)) {
                 best_c = c;
-                best_p = p;
+                best_a = a;
+                best_b = b;
             }
         }
     }
 
     sh_c[lid.x] = best_c;
-    sh_p[lid.x] = best_p;
+    sh_a[lid.x] = best_a;
+    sh_b[lid.x] = best_b;
     workgroupBarrier();
 
     // ── Shared-memory reduction with deterministic tie-breaking ──
     for (var s: u32 = 128u; s > 0u; s >>= 1u) {
         if (lid.x < s) {
-            if (is_better(sh_c[lid.x + s], sh_p[lid.x + s],
-                          sh_c[lid.x], sh_p[lid.x])) {
+            if (is_better(sh_c[lid.x + s], sh_a[lid.x + s], sh_b[lid.x + s],
+                          sh_c[lid.x], sh_a[lid.x], sh_b[lid.x])) {
                 sh_c[lid.x] = sh_c[lid.x + s];
-                sh_p[lid.x] = sh_p[lid.x + s];
+                sh_a[lid.x] = sh_a[lid.x + s];
+                sh_b[lid.x] = sh_b[lid.x + s];
             }
         }
         workgroupBarrier();
@@ -269,52 +291,61 @@ fn bpe_find_max_pair4(
 
     if (lid.x == 0u) {
         block_max_counts[block_idx] = sh_c[0];
-        block_max_pair_ids[block_idx] = sh_p[0];
+        block_max_pair_ids[block_idx * 2u] = sh_a[0];
+        block_max_pair_ids[block_idx * 2u + 1u] = sh_b[0];
     }
 }
 
 // --- KERNEL: bpe_find_max_pair_final_det ---
 //
 // Final max reduction with deterministic tie-breaking.
-// Same count → smaller pair_id wins → reproducible vocabulary.
+// Same count → smaller (a, b) wins → reproducible vocabulary.
 
 struct FinalParams { block_count: u32, _pad: u32 }
 
 @group(0) @binding(0) var<storage, read> block_max_counts: array<u32>;
-@group(0) @binding(1) var<storage, read> block_max_pair_ids: array<u32>;
+@group(0) @binding(1) var<storage, read> block_max_pair_ids: array<u32>;  // [a, b] per block
 @group(0) @binding(2) var<storage, read_write> max_count: array<u32>;
-@group(0) @binding(3) var<storage, read_write> max_pair_id: array<u32>;
+@group(0) @binding(3) var<storage, read_write> max_pair_id: array<u32>;         // [a, b]
 @group(0) @binding(4) var<uniform> params: FinalParams;
 
 var<workgroup> sh_c: array<u32, 256>;
-var<workgroup> sh_p: array<u32, 256>;
+var<workgroup> sh_a: array<u32, 256>;
+var<workgroup> sh_b: array<u32, 256>;
 
 @compute @workgroup_size(256)
 fn bpe_find_max_pair_final_det(@builtin(local_invocation_id) lid: vec3<u32>) {
-    var lm: u32 = 0u; var lp: u32 = 0u;
+    var lm: u32 = 0u; var la: u32 = 0u; var lb: u32 = 0u;
     var i: u32 = lid.x;
     while (i < params.block_count) {
         let c = block_max_counts[i];
-        let p = block_max_pair_ids[i];
-        if (is_better(c, p, lm, lp)) {
+        let a = block_max_pair_ids[i * 2u];
+        let b = block_max_pair_ids[i * 2u + 1u];
+        if (is_better(c, a, b, lm, la, lb)) {
             lm = c;
-            lp = p;
+            la = a;
+            lb = b;
         }
         i += WORKGROUP_SIZE;
     }
-    sh_c[lid.x] = lm; sh_p[lid.x] = lp;
+    sh_c[lid.x] = lm; sh_a[lid.x] = la; sh_b[lid.x] = lb;
     workgroupBarrier();
     for (var s: u32 = 128u; s > 0u; s >>= 1u) {
         if (lid.x < s) {
-            if (is_better(sh_c[lid.x + s], sh_p[lid.x + s],
-                          sh_c[lid.x], sh_p[lid.x])) {
+            if (is_better(sh_c[lid.x + s], sh_a[lid.x + s], sh_b[lid.x + s],
+                          sh_c[lid.x], sh_a[lid.x], sh_b[lid.x])) {
                 sh_c[lid.x] = sh_c[lid.x + s];
-                sh_p[lid.x] = sh_p[lid.x + s];
+                sh_a[lid.x] = sh_a[lid.x + s];
+                sh_b[lid.x] = sh_b[lid.x + s];
             }
         }
         workgroupBarrier();
     }
-    if (lid.x == 0u) { max_count[0] = sh_c[0]; max_pair_id[0] = sh_p[0]; }
+    if (lid.x == 0u) {
+        max_count[0] = sh_c[0];
+        max_pair_id[0] = sh_a[0];
+        max_pair_id[1] = sh_b[0];
+    }
 }
 
 // ════════════════════════════════════════════════════════════
@@ -347,17 +378,17 @@ fn bpe_setup_merge(@builtin(global_invocation_id) gid: vec3<u32>) {
         return;
     }
 
-    let pair = sm_max_pair_id[0];
-    state.symbol_a = pair >> 16u;
-    state.symbol_b = pair & 0xFFFFu;
+    state.symbol_a = sm_max_pair_id[0];
+    state.symbol_b = sm_max_pair_id[1];
     state.max_count = mc;
     state.new_symbol = state.next_token_id;
 
-    // Log for CPU vocab reconstruction: [pair, newTokenId, count]
-    let log_idx = state.merges_done * 3u;
-    merge_log[log_idx]      = pair;
-    merge_log[log_idx + 1u] = state.next_token_id;
-    merge_log[log_idx + 2u] = mc;
+    // Log for CPU vocab reconstruction: [symbolA, symbolB, newTokenId, count]
+    let log_idx = state.merges_done * 4u;
+    merge_log[log_idx]      = state.symbol_a;
+    merge_log[log_idx + 1u] = state.symbol_b;
+    merge_log[log_idx + 2u] = state.next_token_id;
+    merge_log[log_idx + 3u] = mc;
 
     state.next_token_id += 1u;
     state.merges_done += 1u;
@@ -373,6 +404,20 @@ fn bpe_setup_merge(@builtin(global_invocation_id) gid: vec3<u32>) {
 var<workgroup> local_ids: array<atomic<u32>, 1024>;
 var<workgroup> local_counts: array<atomic<u32>, 1024>;
 
+/// Add `cnt` occurrences of pair (key, lane) to the global table.
+fn global_pair_add(key: u32, lane: u32, cnt: u32) {
+    let row_mask = (state.table_size >> LANE_BITS) - 1u;
+    let hash = pair_hash(key);
+    for (var probe: u32 = 0u; probe < MAX_PROBE; probe++) {
+        let idx = lane_slot((hash + (probe * (probe + 1u)) / 2u) & row_mask, lane);
+        let r = atomicCompareExchangeWeak(&pair_ids[idx], 0u, key);
+        if (r.exchanged || r.old_value == key) {
+            atomicAdd(&pair_counts[idx], cnt);
+            break;
+        }
+    }
+}
+
 @compute @workgroup_size(256)
 fn bpe_pair_count_b(
     @builtin(global_invocation_id) gid: vec3<u32>,
@@ -396,16 +441,21 @@ fn bpe_pair_count_b(
             let a = symbols[id] & TOKEN_MASK;
             let b = raw_b & TOKEN_MASK;
             if (a != 0u && b != 0u) {
-                let pid = pack_pair(a, b);
-                let h = pair_hash(pid);   // Murmur3 finalizer — better avalanche than Knuth
+                let key = pair_key(a, b);
+                let lane = pair_lane(b);
+                let h = pair_hash(key);   // Murmur3 finalizer — better avalanche than Knuth
+                var stored = false;
                 for (var probe: u32 = 0u; probe < LOCAL_MAX_PROBE; probe++) {
-                    let idx = (h + (probe * (probe + 1u)) / 2u) & LOCAL_TABLE_MASK;
-                    let r = atomicCompareExchangeWeak(&local_ids[idx], 0u, pid);
-                    if (r.exchanged || r.old_value == pid) {
+                    let idx = lane_slot((h + (probe * (probe + 1u)) / 2u) & LOCAL_ROW_MASK, lane);
+                    let r = atomicCompareExchangeWeak(&local_ids[idx], 0u, key);
+                    if (r.exchanged || r.old_value == key) {
                         atomicAdd(&local_counts[idx], 1u);
+                        stored = true;
                         break;
                     }
                 }
+                // Lane full (64 distinct pairs share b's low nibble) → go global directly
+                if (!stored) { global_pair_add(key, lane, 1u); }
             }
         }
     }
@@ -415,18 +465,9 @@ fn bpe_pair_count_b(
     for (var slot: u32 = lid.x; slot < LOCAL_TABLE_SIZE; slot += WORKGROUP_SIZE) {
         let cnt = atomicLoad(&local_counts[slot]);
         if (cnt == 0u) { continue; }
-        let pid = atomicLoad(&local_ids[slot]);
-        if (pid == 0u) { continue; }
-        let table_mask = state.table_size - 1u;
-        let hash = pair_hash(pid) & table_mask;
-        for (var probe: u32 = 0u; probe < MAX_PROBE; probe++) {
-            let idx = (hash + (probe * (probe + 1u)) / 2u) & table_mask;
-            let r = atomicCompareExchangeWeak(&pair_ids[idx], 0u, pid);
-            if (r.exchanged || r.old_value == pid) {
-                atomicAdd(&pair_counts[idx], cnt);
-                break;
-            }
-        }
+        let key = atomicLoad(&local_ids[slot]);
+        if (key == 0u) { continue; }
+        global_pair_add(key, slot & LANE_MASK, cnt);
     }
 }
 
@@ -434,20 +475,23 @@ fn bpe_pair_count_b(
 //
 // FUSED merge + prefix_sum_reduce: eliminates 1 dispatch + N×4 byte global read.
 //
-// Phase 1: Each thread performs merge logic (A-side write, B-side validity).
+// Phase 1: Each thread performs merge logic (A-side flag, B-side validity).
 //          The valid bit stays in register — NO separate valid_mask read pass
 //          needed for the reduction.
 // Phase 2: Workgroup-local sum reduction of valid bits → block_sums.
 //
 // valid_mask is still WRITTEN because finalize_compact_b reads it.
+// symbols is only read: a thread's neighbour may run first, so an in-place
+// A-side write could reach a B-side check before its read. The A side is
+// flagged in valid_mask instead (MERGED_BIT) and written by the compaction.
 //
 // Bindings (superset of original merge + reduce):
-//   0: symbols    (read_write) — merge reads neighbors, A-side writes merged symbol
-//   1: valid_mask (read_write) — written for finalize_compact to consume
+//   0: symbols    (read)       — merge reads the symbol and its neighbors
+//   1: valid_mask (read_write) — valid bit + MERGED_BIT, for finalize_compact
 //   2: block_sums (read_write) — workgroup reduction output
 //   3: state      (read)       — IterState with symbol_a, symbol_b, new_symbol, count
 
-@group(0) @binding(0) var<storage, read_write> symbols: array<u32>;
+@group(0) @binding(0) var<storage, read> symbols: array<u32>;
 @group(0) @binding(1) var<storage, read_write> valid_mask: array<u32>;
 @group(0) @binding(2) var<storage, read_write> block_sums: array<u32>;
 @group(0) @binding(3) var<storage, read> state: IterState;
@@ -468,28 +512,41 @@ fn bpe_merge_reduce_b(
     let id = flat_id(gid, nwg);
     let block_idx = tgid.x + tgid.y * nwg.x;
 
-    // ── Phase 1: Merge logic (race-free pattern) ──
+    // ── Phase 1: Merge logic (race-free: symbols are never written here) ──
 
     var valid: u32 = 0u;  // default 0 for out-of-bounds or stopped threads
 
     if (!stopped && id < state.symbol_count) {
-        // Read ALL inputs BEFORE any writes — prevents cross-workgroup race
         let raw      = symbols[id];
         let raw_prev = select(0u, symbols[id - 1u], id > 0u);
         let raw_next = select(0u, symbols[id + 1u], id + 1u < state.symbol_count);
 
-        // A-side: write merged symbol if (id, id+1) matches the winning pair
+        // A run of one symbol merges left to right, (aa)(aa)a: when a == b,
+        // a symbol's parity within its run decides which side it is on
+        var odd = false;
+        if (state.symbol_a == state.symbol_b) {
+            var j = id;
+            while (j > 0u && (symbols[j] & WORD_START_BIT) == 0u
+                && (symbols[j - 1u] & TOKEN_MASK) == state.symbol_a) {
+                odd = !odd;
+                j--;
+            }
+        }
+
+        // A-side: (id, id+1) matches the winning pair → compaction writes new_symbol
+        var merged: u32 = 0u;
         if (id + 1u < state.symbol_count
+            && !odd
             && (raw_next & WORD_START_BIT) == 0u
             && (raw & TOKEN_MASK) == state.symbol_a
             && (raw_next & TOKEN_MASK) == state.symbol_b) {
-            let flag = raw & WORD_START_BIT;
-            symbols[id] = state.new_symbol | flag;
+            merged = MERGED_BIT;
         }
 
-        // B-side self-validity: uses pre-read raw_prev (immune to A-side overwrites)
+        // B-side self-validity (in a run, only the odd symbols are merged away)
         valid = 1u;
         if (id > 0u
+            && (state.symbol_a != state.symbol_b || odd)
             && (raw & WORD_START_BIT) == 0u
             && (raw_prev & TOKEN_MASK) == state.symbol_a
             && (raw & TOKEN_MASK) == state.symbol_b) {
@@ -497,7 +554,7 @@ fn bpe_merge_reduce_b(
         }
 
         // Write valid_mask for finalize_compact
-        valid_mask[id] = valid;
+        valid_mask[id] = valid | merged;
     }
 
     // ── Phase 2: Workgroup reduction (replaces bpe_prefix_sum_reduce_b) ──
@@ -600,12 +657,15 @@ fn bpe_prefix_sum_scan_blocks_par(
         block_sums[lid.x] = sh_scan[lid.x];
     }
 
-    // Absorb update_count logic (thread 0 only)
+    // Absorb update_count logic (thread 0 only). finalize_compact still
+    // covers the old count, so the dispatch is sized for it — the next
+    // iteration's passes bound-check the new symbol_count.
     if (lid.x == 0u && !stopped) {
         state._pad1 = total;
+        state.compact_count = state.symbol_count;
         state.symbol_count = total;
 
-        let total_wg = (total + WORKGROUP_SIZE - 1u) / WORKGROUP_SIZE;
+        let total_wg = (state.compact_count + WORKGROUP_SIZE - 1u) / WORKGROUP_SIZE;
         if (total_wg <= MAX_WG_DIM) {
             indirect[0] = max(total_wg, 1u);
             indirect[1] = 1u;
@@ -646,11 +706,13 @@ fn bpe_prefix_sum_scan_blocks_b(@builtin(global_invocation_id) gid: vec3<u32>) {
         sum += v;
     }
 
-    // Stage new count + update symbol_count + indirect dispatch
+    // Stage new count + update symbol_count + indirect dispatch (sized for
+    // the old count, which finalize_compact still covers)
     state._pad1 = sum;
+    state.compact_count = state.symbol_count;
     state.symbol_count = sum;
 
-    let total_wg = (sum + WORKGROUP_SIZE - 1u) / WORKGROUP_SIZE;
+    let total_wg = (state.compact_count + WORKGROUP_SIZE - 1u) / WORKGROUP_SIZE;
     if (total_wg <= MAX_WG_DIM) {
         indirect[0] = max(total_wg, 1u);
         indirect[1] = 1u;
@@ -669,11 +731,11 @@ fn bpe_prefix_sum_scan_blocks_b(@builtin(global_invocation_id) gid: vec3<u32>) {
 // result stays in registers and is used immediately for the scatter index.
 //
 // Bindings:
-//   0: valid_mask      (read)   — 1-bit per symbol: valid or merged-away
+//   0: valid_mask      (read)   — per symbol: valid or merged-away, + MERGED_BIT
 //   1: block_sums      (read)   — per-block totals from prefix_sum_reduce
 //   2: input_symbols   (read)   — source symbol buffer (ping or pong)
 //   3: output_symbols  (rw)     — destination symbol buffer
-//   4: state           (read)   — IterState with symbol_count
+//   4: state           (read)   — IterState with compact_count (symbols before the merge)
 
 @group(0) @binding(0) var<storage, read> valid_mask: array<u32>;
 @group(0) @binding(1) var<storage, read> block_sums: array<u32>;
@@ -695,7 +757,7 @@ fn bpe_finalize_compact_b(
 
     // Load valid bit (0 or 1)
     var v: u32 = 0u;
-    if (fid < state.symbol_count) { v = valid_mask[fid] & 1u; }
+    if (fid < state.compact_count) { v = valid_mask[fid] & 1u; }
 
     // ── Blelloch exclusive scan in shared memory ──
     sh_data[lid.x] = v;
@@ -724,8 +786,11 @@ fn bpe_finalize_compact_b(
     }
 
     // ── Fused scatter: prefix_sum stays in register, write directly to output ──
-    if (fid < state.symbol_count && v == 1u) {
+    // (an A-side symbol becomes the merged one, keeping its word-start flag)
+    if (fid < state.compact_count && v == 1u) {
         let dest = block_sums[block_idx] + sh_data[lid.x];
-        output_symbols[dest] = input_symbols[fid];
+        let raw = input_symbols[fid];
+        let merged = (valid_mask[fid] & MERGED_BIT) != 0u;
+        output_symbols[dest] = select(raw, state.new_symbol | (raw & WORD_START_BIT), merged);
     }
 }
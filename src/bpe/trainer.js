@@ -2,27 +2,40 @@
  * BPE Trainer — GPU-accelerated BPE vocabulary training
  *
  * Manages the BPE training pipeline: input preparation, training loop,
- * and vocab management. GPU orchestration delegated to training-pipeline.js.
+ * and vocab management. GPU orchestration delegated to training-pipeline.js;
+ * on a CPU engine (no WebGPU adapter) the merges run in cpu/merge-runner.js.
  *
- * Text normalization (NFC, control chars, whitespace) is handled by the Decoder
- * WASM module before data is passed to the trainer.
+ * Text normalization (the model's normalizer, NFC by default) is done with the
+ * Decoder WASM module: by the pre-tokenizer, or here for byte-level input.
+ * Its rules are returned with the model.
+ *
+ * With a character coverage the base alphabet is mixed (characters.js): the
+ * most frequent characters become atomic tokens before the first merge, the
+ * rest of the text stays bytes.
  */
 
-import { WORKGROUP_SIZE, TABLE_SIZE } from './engine.js';
+import { WORKGROUP_SIZE } from './engine.js';
 import { uploadBuffer } from './gpu-utils.js';
 import { Vocab } from './vocab.js';
-import {
-    BATCH_SIZE, MERGE_LOG_STRIDE, ITER_STATE_SIZE,
-    allocTrainingBuffers, destroyTrainingBuffers,
-    buildBindGroups, encodeBatch, encodePass,
-} from './training-pipeline.js';
+import { BATCH_SIZE, MERGE_LOG_STRIDE, GPUMergeRunner, encodePass } from './training-pipeline.js';
+import { CPUMergeRunner } from './cpu/merge-runner.js';
+import { byteWordStarts } from './tokenizer/segmentation.js';
+import { characterTokenMap, collapseCharacters, selectCharacters } from './characters.js';
+import { specialTokenIds } from './special-tokens.js';
 
 // ─── Constants ──────────────────────────────────────────────
 
-const WORD_START_BIT = 0x10000;       // bit 16 — must match WGSL constant
+const WORD_START_BIT = 0x8000_0000;   // bit 31 — must match WGSL constant
+const TOKEN_MASK = 0x3FFFF;           // 18-bit token ids — must match WGSL constant
+
+/** Largest vocabulary the GPU symbol/pair encoding can represent */
+export const MAX_VOCAB_SIZE = TOKEN_MASK + 1;  // 262,144
+
+const CHECKPOINT_INTERVAL_MS = 60_000;
 
+// Getters: GPUBufferUsage may only exist once BPEEngine.init() has run (Node)
 const BUFFER_USAGE = {
-    STORAGE_SRC: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+    get STORAGE_SRC() { return GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC; },
 };
 
 // ─── Utilities ──────────────────────────────────────────────
@@ -56,10 +69,11 @@ function bytesToSymbols(data) {
  * Prepare input for training: pre-tokenize or fall back to byte-level.
  *
  * @param {Uint8Array|string} input
- * @param {import('../wasm/pre_tokenizer.mjs').PreTokenizer|null} preTokenizer
+ * @param {import('../wasm/pre_tokenizer.mjs').PreTokenizer|null} preTokenizer - normalizes itself
+ * @param {import('../wasm/normalizer.mjs').Normalizer|null} normalizer - for the byte-level fallback
  * @returns {Promise<{ symbolData: Uint32Array, wordStarts: Uint8Array|null }>}
  */
-async function prepareInput(input, preTokenizer) {
+async function prepareInput(input, preTokenizer, normalizer) {
     // ── Byte-native path: Uint8Array → WASM normalizeBytes → classifyBytes → boundaries ──
     if (preTokenizer && input instanceof Uint8Array) {
         console.log('   Mode: WASM pre-tokenized bytes (zero-copy path)');
@@ -101,7 +115,8 @@ async function prepareInput(input, preTokenizer) {
 
     // ── Fallback: raw byte-level (no pre-tokenization) ──
     console.log('   Mode: Byte-level (WASM-normalized)');
-    const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    let bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    if (normalizer) bytes = normalizer.normalizeBytes(bytes);
 
     return { symbolData: bytesToSymbols(bytes), wordStarts: null };
 }
@@ -126,6 +141,19 @@ export class BPETrainer {
     #engine;
     #device;
     #vocab;
+    /** @type {Readonly<object>|null} — PreTokenizer rules behind the word starts (null: byte heuristic) */
+    #preTokenizerRules = null;
+    /** @type {Readonly<object>|null} — Normalizer rules the input was normalized with (null: not recorded) */
+    #normalizerRules = null;
+    /** @type {number|null} — character coverage of the base alphabet (null: bytes only) */
+    #characterCoverage = null;
+    /** @type {number[][]} — UTF-8 bytes of the character tokens, in id order */
+    #characters = [];
+
+    // Job control — checked between batches
+    #cancelled = false;
+    /** @type {{ promise: Promise<void>, resolve: () => void }|null} */
+    #pauseGate = null;
 
     /**
      * @param {import('./engine.js').BPEEngine} engine
@@ -136,25 +164,104 @@ export class BPETrainer {
         this.#vocab = new Vocab();
     }
 
+    // ─── Job Control ────────────────────────────────────────
+
+    /** Pause after the current batch; the GPU stays idle until resume() or cancel(). */
+    pause() {
+        if (this.#pauseGate || this.#cancelled) return;
+        let resolve;
+        const promise = new Promise(r => { resolve = r; });
+        this.#pauseGate = { promise, resolve };
+    }
+
+    /** Resume a paused training run. */
+    resume() {
+        this.#pauseGate?.resolve();
+        this.#pauseGate = null;
+    }
+
+    /** Stop after the current batch; train() resolves with the merges learned so far. */
+    cancel() {
+        this.#cancelled = true;
+        this.resume();
+    }
+
+    get isPaused() {
+        return this.#pauseGate !== null;
+    }
+
+    get isCancelled() {
+        return this.#cancelled;
+    }
+
     /**
      * Train BPE on input text data.
+     * A cancelled run still resolves — with a valid partial vocabulary and `cancelled: true`.
+     * pause() and cancel() act on the current run; each train() call starts unpaused.
      *
-     * @param {Uint8Array|string} input - Raw text data (should be NFC-normalized)
+     * @param {Uint8Array|string} input - Raw text data
      * @param {Object} options
-     * @param {number} [options.targetVocabSize=4096]
-     * @param {import('../wasm/pre_tokenizer.mjs').PreTokenizer} [options.preTokenizer]
+     * @param {number} [options.targetVocabSize=4096] - at most MAX_VOCAB_SIZE
+     * @param {import('../wasm/pre_tokenizer.mjs').PreTokenizer} [options.preTokenizer] - its rules
+     *   are returned as `preTokenizer` (null when the byte-level heuristic tagged the words)
+     * @param {import('../wasm/normalizer.mjs').Normalizer} [options.normalizer] - replaces the
+     *   pre-tokenizer's normalizer; its rules (else the pre-tokenizer's) are returned as `normalizer`
+     * @param {number|null} [options.characterCoverage] - share of the corpus characters, in
+     *   (0, 1], whose multi-byte characters become atomic base tokens (after the special
+     *   tokens); null trains over bytes only
      * @param {function} [options.onProgress]
+     * @param {string[]} [options.specialTokens] - reserved at ids 256.. (special-tokens.js);
+     *   merges start after them
+     * @param {{ store: import('./checkpoint-store.js').CheckpointStore, key: string, intervalMs?: number }} [options.checkpoint]
+     *   Periodically snapshot merges + symbols + iterState under `key`
+     * @param {import('./checkpoint-store.js').TrainingSnapshot} [options.resumeFrom]
+     *   Continue from a snapshot instead of preparing `input`
      * @returns {Promise<TrainingResult>}
      */
-    async train(input, { targetVocabSize = 4096, preTokenizer = null, onProgress = null } = {}) {
-        const device = this.#device;
-        const pipelines = this.#engine.pipelines;
+    async train(input, {
+        targetVocabSize = 4096, preTokenizer = null, normalizer = null, characterCoverage = null,
+        onProgress = null, specialTokens = [], checkpoint = null, resumeFrom = null,
+    } = {}) {
+        if (!Number.isInteger(targetVocabSize) || targetVocabSize > MAX_VOCAB_SIZE) {
+            throw new Error(`Vocabulary size ${targetVocabSize} must be an integer of at most ${MAX_VOCAB_SIZE} (18-bit token ids)`);
+        }
+
+        // Job control applies to one run: a trainer cancelled or paused before is reusable
+        this.#cancelled = false;
+        this.#pauseGate = null;
 
-        console.log('\n─── WebGPU BPE Training ───');
+        // A snapshot's merge ids were assigned after its own special tokens and characters
+        specialTokens = resumeFrom?.specialTokens ?? specialTokens;
+        this.#characters = resumeFrom?.characters ?? [];
+        this.#vocab = new Vocab(specialTokens, this.#characters);
+        this.#checkRoomForMerges(targetVocabSize);
+
+        console.log(`\n─── ${this.#engine.backend === 'cpu' ? 'CPU' : 'WebGPU'} BPE Training ───`);
         console.log(`   Target: ${targetVocabSize} tokens`);
 
-        // ── Prepare input ──
-        const { symbolData, wordStarts } = await prepareInput(input, preTokenizer);
+        // ── Prepare input (or restore a checkpoint — symbols already tagged) ──
+        let symbolData;
+        let wordStarts = null;
+        let boundaries = 'by WASM pre-tokenizer (Unicode-accurate)';
+        if (resumeFrom) {
+            symbolData = this.#restoreSnapshot(resumeFrom);
+            this.#preTokenizerRules = resumeFrom.preTokenizer ?? null;
+            this.#normalizerRules = resumeFrom.normalizer ?? null;
+            this.#characterCoverage = resumeFrom.characterCoverage ?? null;
+            console.log(`   Mode: resumed from checkpoint (${resumeFrom.merges.length} merges)`);
+        } else {
+            if (normalizer && preTokenizer?.withNormalizer) preTokenizer = preTokenizer.withNormalizer(normalizer);
+            normalizer ??= preTokenizer?.normalizer ?? null;
+            ({ symbolData, wordStarts } = await prepareInput(input, preTokenizer, normalizer));
+            this.#preTokenizerRules = wordStarts ? preTokenizer.rules ?? null : null;
+            this.#normalizerRules = normalizer?.rules ?? null;
+            this.#characterCoverage = characterCoverage;
+            if (characterCoverage !== null) {
+                if (!wordStarts) boundaries = 'on CPU (byte-level heuristic)';
+                ({ symbolData, wordStarts } = this.#collapseCharacters(symbolData, wordStarts, characterCoverage));
+                this.#checkRoomForMerges(targetVocabSize);
+            }
+        }
         const symbolCount = symbolData.length;
         console.log(`   Symbols: ${symbolCount}`);
 
@@ -164,129 +271,130 @@ export class BPETrainer {
 
         if (wordStarts) {
             tagWordBoundaries(symbolData, wordStarts);
-            console.log('    → word boundaries tagged by WASM pre-tokenizer (Unicode-accurate)');
+            console.log(`    → word boundaries tagged ${boundaries}`);
         }
 
         await yieldToEventLoop();
 
-        // ── Upload symbols ──
-        let symbolBuf = uploadBuffer(
-            device, new Uint32Array(symbolData), BUFFER_USAGE.STORAGE_SRC,
-        );
-
-        if (!wordStarts) {
-            await this.#runWordBoundary(symbolBuf, symbolCount);
-            console.log('    → word boundaries tagged by GPU (byte-level heuristic)');
-        }
-
-        // ── Allocate training buffers ──
-        const tb = allocTrainingBuffers(device, symbolCount);
-        const maxDispatch = Math.ceil(symbolCount / WORKGROUP_SIZE);
-
-        // ── Initialize iteration state ──
-        device.queue.writeBuffer(tb.iterState, 0, new Uint32Array([
-            symbolCount,              // symbol_count
-            TABLE_SIZE,               // table_size
-            0,                        // early_stop
-            this.#vocab.nextTokenId,  // next_token_id
-            0, 0, 0, 0,              // symbol_a, symbol_b, new_symbol, max_count
-            0,                        // merges_done
-            symbolCount,              // max_symbols
-            0, 0,                     // padding
-        ]));
-
-        // ── Initialize indirect dispatch buffer ──
-        const initWG = Math.ceil(symbolCount / WORKGROUP_SIZE);
-        const wgX = Math.min(initWG, 65535);
-        const wgY = initWG <= 65535 ? 1 : Math.ceil(initWG / 65535);
-        device.queue.writeBuffer(tb.indirectDispatch, 0, new Uint32Array([wgX, wgY, 1]));
-
-        // ── Build bind groups ──
-        let bg = buildBindGroups(device, pipelines, symbolBuf, tb.compact, tb);
+        // ── Backend half of the merge loop ──
+        const runner = this.#engine.backend === 'cpu'
+            ? this.#createCPURunner(symbolData, !wordStarts && !resumeFrom)
+            : await this.#createGPURunner(symbolData, !wordStarts && !resumeFrom);
 
         // ── Training loop ──
         const mergesNeeded = targetVocabSize - this.#vocab.size;
         console.log(`\n    → training ${mergesNeeded} merges (batched, ${BATCH_SIZE}/batch)...`);
 
-        const result = await this.#runTrainingLoop({
-            tb, bg, symbolBuf, pipelines,
-            mergesNeeded, maxDispatch,
-        }, onProgress);
+        try {
+            return await this.#runTrainingLoop({
+                runner, mergesNeeded, targetVocabSize, checkpoint,
+                merges: resumeFrom ? resumeFrom.merges.map(m => [...m]) : [],
+            }, onProgress);
+        } finally {
+            runner.destroy();
+        }
+    }
 
-        // ── Cleanup ──
-        destroyTrainingBuffers(tb);
+    /** @param {number} targetVocabSize */
+    #checkRoomForMerges(targetVocabSize) {
+        if (targetVocabSize <= this.#vocab.size) {
+            const kinds = this.#characters.length > 0 ? 'byte, special and character' : 'byte + special';
+            throw new Error(`Vocabulary size ${targetVocabSize} leaves no room for merges (${this.#vocab.size} ${kinds} tokens)`);
+        }
+    }
 
-        return result;
+    /**
+     * Pick the characters covering `coverage` of the input, register them as
+     * base tokens and collapse each into one symbol. Word starts come from
+     * the pre-tokenizer, else from the byte-level heuristic — taken on the
+     * bytes, before the collapse.
+     *
+     * @param {Uint32Array} symbolData - one byte per symbol
+     * @param {Uint8Array|null} wordStarts
+     * @param {number} coverage
+     * @returns {{ symbolData: Uint32Array, wordStarts: Uint8Array }}
+     */
+    #collapseCharacters(symbolData, wordStarts, coverage) {
+        const bytes = Uint8Array.from(symbolData);
+        const characters = selectCharacters(bytes, coverage);
+        this.#characters = characters;
+        this.#vocab = new Vocab(Object.keys(this.#vocab.specialTokens), characters);
+
+        const charTokens = characterTokenMap(this.#vocab.entries, [], specialTokenIds(this.#vocab.specialTokens));
+        const collapsed = collapseCharacters(bytes, wordStarts ?? byteWordStarts(bytes), charTokens);
+        console.log(`   Characters: ${characters.length} atomic (coverage ${coverage}), ` +
+            `${bytes.length} bytes → ${collapsed.symbolData.length} symbols`);
+        return collapsed;
+    }
+
+    /**
+     * Upload symbols and tag word boundaries on the GPU when no pre-tokenizer did.
+     *
+     * @param {Uint32Array} symbolData
+     * @param {boolean} tagBoundaries
+     * @returns {Promise<import('./training-pipeline.js').MergeRunner>}
+     */
+    async #createGPURunner(symbolData, tagBoundaries) {
+        const symbolCount = symbolData.length;
+        const symbolBuf = uploadBuffer(
+            this.#device, new Uint32Array(symbolData), BUFFER_USAGE.STORAGE_SRC,
+        );
+
+        if (tagBoundaries) {
+            await this.#runWordBoundary(symbolBuf, symbolCount);
+            console.log('    → word boundaries tagged by GPU (byte-level heuristic)');
+        }
+
+        return new GPUMergeRunner(
+            this.#device, this.#engine.pipelines, symbolBuf, symbolCount, this.#vocab.nextTokenId,
+        );
+    }
+
+    /**
+     * @param {Uint32Array} symbolData
+     * @param {boolean} tagBoundaries
+     * @returns {import('./training-pipeline.js').MergeRunner}
+     */
+    #createCPURunner(symbolData, tagBoundaries) {
+        if (tagBoundaries) {
+            tagWordBoundaries(symbolData, byteWordStarts(Uint8Array.from(symbolData)));
+            console.log('    → word boundaries tagged on CPU (byte-level heuristic)');
+        }
+        return new CPUMergeRunner(symbolData, this.#vocab.nextTokenId);
     }
 
     /**
      * @returns {Promise<TrainingResult>}
      */
     async #runTrainingLoop(ctx, onProgress) {
-        const { tb, pipelines, mergesNeeded, maxDispatch } = ctx;
-        let { bg, symbolBuf } = ctx;
-        const device = this.#device;
+        const { runner, mergesNeeded, targetVocabSize, checkpoint, merges } = ctx;
 
-        const startTime = performance.now();
-        const merges = [];
+        let startTime = performance.now();
+        const resumedMerges = merges.length;
         let totalMergesDone = 0;
         let earlyStop = false;
+        let stateData = null;
+        let lastCheckpoint = performance.now();
+        const checkpointInterval = checkpoint?.intervalMs ?? CHECKPOINT_INTERVAL_MS;
 
-        while (totalMergesDone < mergesNeeded && !earlyStop) {
+        while (totalMergesDone < mergesNeeded && !earlyStop && !this.#cancelled) {
             const batchMerges = Math.min(BATCH_SIZE, mergesNeeded - totalMergesDone);
 
-            // Reset batch merge counter
-            device.queue.writeBuffer(tb.iterState, 32, new Uint32Array([0]));
-
-            // ── Encode full batch ──
-            const cmd = device.createCommandEncoder();
-
-            encodeBatch(cmd, pipelines, bg, batchMerges,
-                maxDispatch, tb.maxBlocks, tb.findMaxBlocks, tb.indirectDispatch, tb.useParallelScan);
-
-            // Copy state + merge log for readback
-            cmd.copyBufferToBuffer(tb.iterState, 0, tb.readbackState, 0, ITER_STATE_SIZE);
-            cmd.copyBufferToBuffer(
-                tb.mergeLog, 0, tb.readbackLog, 0,
-                batchMerges * MERGE_LOG_STRIDE * 4,
-            );
-
-            device.queue.submit([cmd.finish()]);
-
-            // ── Single readback per batch ──
-            await tb.readbackState.mapAsync(GPUMapMode.READ);
-            const stateData = new Uint32Array(tb.readbackState.getMappedRange().slice(0));
-            tb.readbackState.unmap();
-
-            await tb.readbackLog.mapAsync(GPUMapMode.READ);
-            const logData = new Uint32Array(tb.readbackLog.getMappedRange().slice(0));
-            tb.readbackLog.unmap();
-
-            const mergesDone = stateData[8];
+            const { log: logData, mergesDone, state } = await runner.runBatch(batchMerges);
+            stateData = state;
             const currentSymbolCount = stateData[0];
             earlyStop = stateData[2] !== 0;
 
             // ── Reconstruct vocab from merge log ──
             for (let i = 0; i < mergesDone; i++) {
-                const pair = logData[i * MERGE_LOG_STRIDE];
-                const symbolA = pair >>> 16;
-                const symbolB = pair & 0xFFFF;
+                const symbolA = logData[i * MERGE_LOG_STRIDE];
+                const symbolB = logData[i * MERGE_LOG_STRIDE + 1];
                 const newTokenId = this.#vocab.addMerge(symbolA, symbolB);
                 merges.push([symbolA, symbolB, newTokenId]);
             }
 
             totalMergesDone += mergesDone;
 
-            // ── Handle ping-pong buffer swap ──
-            if (mergesDone % 2 !== 0) {
-                const temp = symbolBuf;
-                symbolBuf = tb.compact;
-                tb.compact = temp;
-                bg = buildBindGroups(
-                    device, pipelines, symbolBuf, tb.compact, tb,
-                );
-            }
-
             // ── Progress reporting ──
             const elapsed = (performance.now() - startTime) / 1000;
             const rate = totalMergesDone / elapsed;
@@ -294,19 +402,19 @@ export class BPETrainer {
                 ? this.#vocab.strings[this.#vocab.strings.length - 1]
                 : '—';
             const lastCount = mergesDone > 0
-                ? logData[(mergesDone - 1) * MERGE_LOG_STRIDE + 2]
+                ? logData[(mergesDone - 1) * MERGE_LOG_STRIDE + 3]
                 : 0;
 
             console.log(
-                `   [${totalMergesDone}/${mergesNeeded}] '${lastMergeStr}' ` +
+                `   [${resumedMerges + totalMergesDone}/${resumedMerges + mergesNeeded}] '${lastMergeStr}' ` +
                 `count:${lastCount} symbols:${currentSymbolCount} ` +
                 `(${rate.toFixed(1)} merges/s)`,
             );
 
             if (onProgress) {
                 onProgress({
-                    mergeIndex: totalMergesDone,
-                    totalMerges: mergesNeeded,
+                    mergeIndex: resumedMerges + totalMergesDone,
+                    totalMerges: resumedMerges + mergesNeeded,
                     mergeString: lastMergeStr,
                     bestCount: lastCount,
                     symbolCount: currentSymbolCount,
@@ -319,6 +427,35 @@ export class BPETrainer {
             if (earlyStop) {
                 console.log(`    ✗ early stop after ${totalMergesDone} merges`);
             }
+
+            // ── Periodic checkpoint ──
+            if (checkpoint && !earlyStop && totalMergesDone < mergesNeeded
+                && performance.now() - lastCheckpoint >= checkpointInterval) {
+                await this.#saveCheckpoint(checkpoint, runner, stateData, merges, targetVocabSize);
+                lastCheckpoint = performance.now();
+            }
+
+            // ── Job control: wait out a pause, then honour cancel ──
+            if (this.#pauseGate) {
+                console.log(`    ‖ paused after ${totalMergesDone} merges`);
+                const pausedAt = performance.now();
+                await this.#pauseGate.promise;
+                startTime += performance.now() - pausedAt;  // keep merges/s honest
+            }
+
+            if (this.#cancelled) {
+                console.log(`    ✗ cancelled after ${totalMergesDone} merges`);
+            }
+        }
+
+        // A cancelled run stays resumable; a finished one has no use for its checkpoint
+        if (checkpoint && stateData) {
+            if (this.#cancelled) {
+                await this.#saveCheckpoint(checkpoint, runner, stateData, merges, targetVocabSize);
+            } else {
+                await checkpoint.store.delete(checkpoint.key).catch(err =>
+                    console.warn(`   ⚠ checkpoint cleanup failed: ${err.message}`));
+            }
         }
 
         const totalTime = (performance.now() - startTime) / 1000;
@@ -330,10 +467,60 @@ export class BPETrainer {
             vocabStrings: this.#vocab.strings,
             vocabSize: this.#vocab.size,
             merges,
+            specialTokens: this.#vocab.specialTokens,
+            preTokenizer: this.#preTokenizerRules,
+            normalizer: this.#normalizerRules,
+            characterCoverage: this.#characterCoverage,
             trainingTime: formatDuration(totalTime),
+            cancelled: this.#cancelled,
         };
     }
 
+    // ─── Checkpoints ────────────────────────────────────────
+
+    /**
+     * Replay a snapshot's merges into the (fresh) vocab.
+     *
+     * @param {import('./checkpoint-store.js').TrainingSnapshot} snapshot
+     * @returns {Uint32Array} the snapshot's symbol buffer
+     */
+    #restoreSnapshot(snapshot) {
+        for (const [a, b, newId] of snapshot.merges) {
+            if (this.#vocab.addMerge(a, b) !== newId) {
+                throw new Error(`Checkpoint merge log is inconsistent at token ${newId}`);
+            }
+        }
+        if (snapshot.iterState[3] !== this.#vocab.nextTokenId) {
+            throw new Error('Checkpoint iteration state does not match its merge log');
+        }
+        return snapshot.symbols;
+    }
+
+    /**
+     * Read back the live symbol buffer and store a snapshot.
+     * Failures are logged, never thrown — a checkpoint must not kill the run.
+     */
+    async #saveCheckpoint(checkpoint, runner, stateData, merges, targetVocabSize) {
+        try {
+            const symbols = await runner.readSymbols();
+            await checkpoint.store.save(checkpoint.key, {
+                targetVocabSize,
+                specialTokens: Object.keys(this.#vocab.specialTokens),
+                preTokenizer: this.#preTokenizerRules,
+                normalizer: this.#normalizerRules,
+                characterCoverage: this.#characterCoverage,
+                characters: this.#characters,
+                merges,
+                symbols,
+                iterState: stateData,
+                savedAt: Date.now(),
+            });
+            console.log(`    ⤓ checkpoint: ${merges.length} merges, ${stateData[0]} symbols`);
+        } catch (err) {
+            console.warn(`   ⚠ checkpoint save failed: ${err.message}`);
+        }
+    }
+
     // ─── GPU Word Boundary Detection ────────────────────────
 
     /**
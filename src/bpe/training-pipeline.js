@@ -11,13 +11,14 @@ import { uploadBuffer, allocBuffer, destroyBuffers } from './gpu-utils.js';
 // ─── Constants ──────────────────────────────────────────────
 
 export const BATCH_SIZE = 128;
-export const MERGE_LOG_STRIDE = 3;           // [pair, newTokenId, count] per merge
+export const MERGE_LOG_STRIDE = 4;           // [symbolA, symbolB, newTokenId, count] per merge
 export const ITER_STATE_SIZE = 48;           // 12 × u32
 
+// Getters: GPUBufferUsage may only exist once BPEEngine.init() has run (Node)
 const BUFFER_USAGE = {
-    STORAGE_SRC: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
-    STORAGE_ALL: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
-    READBACK: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+    get STORAGE_SRC() { return GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC; },
+    get STORAGE_ALL() { return GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST; },
+    get READBACK() { return GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST; },
 };
 
 // ─── Training Buffers ───────────────────────────────────────
@@ -42,10 +43,11 @@ export function allocTrainingBuffers(device, maxSymbols) {
         pairIds: allocBuffer(device, TABLE_SIZE * 4, BUFFER_USAGE.STORAGE_SRC),
 
         // FindMax reduction (4× fewer blocks thanks to find_max_pair4)
+        // Pairs travel as two words [a, b] — 18-bit tokens don't pack into one u32
         blockMaxCounts: allocBuffer(device, findMaxBlocks * 4, GPUBufferUsage.STORAGE),
-        blockMaxPairIds: allocBuffer(device, findMaxBlocks * 4, GPUBufferUsage.STORAGE),
+        blockMaxPairIds: allocBuffer(device, findMaxBlocks * 8, GPUBufferUsage.STORAGE),
         maxCount: allocBuffer(device, 4, BUFFER_USAGE.STORAGE_SRC),
-        maxPairId: allocBuffer(device, 4, BUFFER_USAGE.STORAGE_SRC),
+        maxPairId: allocBuffer(device, 8, BUFFER_USAGE.STORAGE_SRC),
 
         // Compaction (merge_reduce writes valid_mask + block_sums in one pass)
         validMask: allocBuffer(device, maxSymbols * 4, GPUBufferUsage.STORAGE),
@@ -221,6 +223,151 @@ export function encodeBatch(cmd, pipelines, bg, batchMerges, maxDispatch, maxBlo
     }
 }
 
+// ─── Merge Runner ───────────────────────────────────────────
+
+/**
+ * @typedef {Object} MergeBatch
+ * @property {Uint32Array} log       - MERGE_LOG_STRIDE words per merge: [a, b, newId, count]
+ * @property {number} mergesDone     - Merges performed in this batch
+ * @property {Uint32Array} state     - IterState words after the batch
+ *                                     ([0] symbol_count, [2] early_stop, [3] next_token_id)
+ */
+
+/**
+ * @typedef {Object} MergeRunner
+ * Backend-specific half of the training loop (GPU here, CPU in cpu/merge-runner.js).
+ * @property {(batchMerges: number) => Promise<MergeBatch>} runBatch
+ * @property {() => Promise<Uint32Array>} readSymbols - current symbol buffer (for checkpoints)
+ * @property {() => void} destroy
+ */
+
+/**
+ * GPU merge loop: owns the training buffers, encodes a batch per call and
+ * reads back IterState + merge log once per batch.
+ *
+ * @implements {MergeRunner}
+ */
+export class GPUMergeRunner {
+    #device;
+    #pipelines;
+    #tb;
+    #bg;
+    #symbolBuf;
+    #maxDispatch;
+    /** @type {Uint32Array|null} */
+    #state = null;
+
+    /**
+     * @param {GPUDevice} device
+     * @param {Record<string, GPUComputePipeline>} pipelines
+     * @param {GPUBuffer} symbolBuf - uploaded (word-start tagged) symbols
+     * @param {number} symbolCount
+     * @param {number} nextTokenId
+     */
+    constructor(device, pipelines, symbolBuf, symbolCount, nextTokenId) {
+        this.#device = device;
+        this.#pipelines = pipelines;
+        this.#symbolBuf = symbolBuf;
+
+        // ── Allocate training buffers ──
+        const tb = allocTrainingBuffers(device, symbolCount);
+        this.#tb = tb;
+        this.#maxDispatch = Math.ceil(symbolCount / WORKGROUP_SIZE);
+
+        // ── Initialize iteration state ──
+        device.queue.writeBuffer(tb.iterState, 0, new Uint32Array([
+            symbolCount,              // symbol_count
+            TABLE_SIZE,               // table_size
+            0,                        // early_stop
+            nextTokenId,              // next_token_id
+            0, 0, 0, 0,              // symbol_a, symbol_b, new_symbol, max_count
+            0,                        // merges_done
+            symbolCount,              // max_symbols
+            0,                        // padding
+            symbolCount,              // compact_count
+        ]));
+
+        // ── Initialize indirect dispatch buffer ──
+        const initWG = this.#maxDispatch;
+        const wgX = Math.min(initWG, 65535);
+        const wgY = initWG <= 65535 ? 1 : Math.ceil(initWG / 65535);
+        device.queue.writeBuffer(tb.indirectDispatch, 0, new Uint32Array([wgX, wgY, 1]));
+
+        // ── Build bind groups ──
+        this.#bg = buildBindGroups(device, pipelines, symbolBuf, tb.compact, tb);
+    }
+
+    /** @param {number} batchMerges @returns {Promise<MergeBatch>} */
+    async runBatch(batchMerges) {
+        const device = this.#device;
+        const tb = this.#tb;
+
+        // Reset batch merge counter
+        device.queue.writeBuffer(tb.iterState, 32, new Uint32Array([0]));
+
+        // ── Encode full batch ──
+        const cmd = device.createCommandEncoder();
+
+        encodeBatch(cmd, this.#pipelines, this.#bg, batchMerges,
+            this.#maxDispatch, tb.maxBlocks, tb.findMaxBlocks, tb.indirectDispatch, tb.useParallelScan);
+
+        // Copy state + merge log for readback
+        cmd.copyBufferToBuffer(tb.iterState, 0, tb.readbackState, 0, ITER_STATE_SIZE);
+        cmd.copyBufferToBuffer(
+            tb.mergeLog, 0, tb.readbackLog, 0,
+            batchMerges * MERGE_LOG_STRIDE * 4,
+        );
+
+        device.queue.submit([cmd.finish()]);
+
+        // ── Single readback per batch ──
+        await tb.readbackState.mapAsync(GPUMapMode.READ);
+        const state = new Uint32Array(tb.readbackState.getMappedRange().slice(0));
+        tb.readbackState.unmap();
+
+        await tb.readbackLog.mapAsync(GPUMapMode.READ);
+        const log = new Uint32Array(tb.readbackLog.getMappedRange().slice(0));
+        tb.readbackLog.unmap();
+
+        const mergesDone = state[8];
+        this.#state = state;
+
+        // ── Handle ping-pong buffer swap ──
+        if (mergesDone % 2 !== 0) {
+            const temp = this.#symbolBuf;
+            this.#symbolBuf = tb.compact;
+            tb.compact = temp;
+            this.#bg = buildBindGroups(device, this.#pipelines, this.#symbolBuf, tb.compact, tb);
+        }
+
+        return { log, mergesDone, state };
+    }
+
+    /** Read back the live symbol buffer (symbol_count entries). */
+    async readSymbols() {
+        const device = this.#device;
+        const byteLen = this.#state[0] * 4;
+
+        const staging = device.createBuffer({
+            size: Math.max(byteLen, 4),
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+        });
+        const cmd = device.createCommandEncoder();
+        cmd.copyBufferToBuffer(this.#symbolBuf, 0, staging, 0, byteLen);
+        device.queue.submit([cmd.finish()]);
+
+        await staging.mapAsync(GPUMapMode.READ);
+        const symbols = new Uint32Array(staging.getMappedRange(0, byteLen).slice(0));
+        staging.unmap();
+        staging.destroy();
+        return symbols;
+    }
+
+    destroy() {
+        destroyTrainingBuffers(this.#tb);
+    }
+}
+
 // ─── Pass Helpers ───────────────────────────────────────────
 
 /** Encode a single compute pass with indirect dispatch. */
@@ -2,9 +2,13 @@
  * BPE Vocabulary — token registry with byte-sequence display
  *
  * Manages the growing vocabulary during BPE training:
- * 256 single-byte base tokens + merged tokens added during training.
+ * 256 single-byte base tokens + reserved special tokens (special-tokens.js)
+ * + character tokens (character coverage, characters.js) + merged tokens
+ * added during training.
  */
 
+import { validateSpecialTokens } from './special-tokens.js';
+
 // ─── Display Helpers ────────────────────────────────────────
 
 /**
@@ -96,13 +100,49 @@ export class Vocab {
     strings = [];
     /** @type {number} */
     nextTokenId = 256;
+    /** @type {Record<string, number>} special token text → id */
+    specialTokens = {};
 
-    constructor() {
+    /**
+     * @param {string[]} [specialTokens] - reserved at ids 256.., before any merge
+     * @param {number[][]} [characters] - atomic base characters (UTF-8 bytes),
+     *   after the special tokens
+     */
+    constructor(specialTokens = [], characters = []) {
         // Initialize 256 single-byte base tokens
         for (let i = 0; i < 256; i++) {
             this.entries.push([i]);
             this.strings.push(bytesToDisplayString([i]));
         }
+
+        const encoder = new TextEncoder();
+        for (const token of validateSpecialTokens(specialTokens)) {
+            this.specialTokens[token] = this.nextTokenId++;
+            this.entries.push(Array.from(encoder.encode(token)));
+            this.strings.push(token);
+        }
+
+        for (const bytes of characters) {
+            this.nextTokenId++;
+            this.entries.push([...bytes]);
+            this.strings.push(bytesToDisplayString(bytes));
+        }
+    }
+
+    /**
+     * Wrap an existing vocabulary (e.g. a loaded model) for display and export.
+     * @param {number[][]} entries - byte arrays, indexed by token id
+     * @param {Record<string, number>} [specialTokens]
+     * @returns {Vocab}
+     */
+    static fromEntries(entries, specialTokens = {}) {
+        const vocab = new Vocab();
+        vocab.entries = entries.map(bytes => bytes ?? []);
+        vocab.strings = vocab.entries.map(bytesToDisplayString);
+        vocab.nextTokenId = entries.length;
+        vocab.specialTokens = { ...specialTokens };
+        for (const [token, id] of Object.entries(specialTokens)) vocab.strings[id] = token;
+        return vocab;
     }
 
     get size() {
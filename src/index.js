@@ -0,0 +1,36 @@
+/**
+ * gpu-bpe — library entry point
+ *
+ * DOM-free API for scripts and pipelines: the GPU engine, trainer,
+ * tokenizer and vocabulary codecs. The browser app (app.js, ui/) is
+ * built on the same modules.
+ *
+ *   const engine = await new BPEEngine({ gpu, loadShader }).init();
+ *   const model = await new BPETrainer(engine).train(bytes, { targetVocabSize: 32768 });
+ *   const tokenizer = TrieTokenizer.fromVocab(engine, model.vocab, { merges: model.merges });
+ *
+ * In Node, import `gpu-bpe/node` for a file-system shader loader.
+ */
+
+export { BPEEngine, Backend } from './bpe/engine.js';
+export { BPETrainer, MAX_VOCAB_SIZE } from './bpe/trainer.js';
+export { TrieTokenizer, EncodeMode } from './bpe/tokenizer/tokenizer.js';
+export { MAX_PRE_TOKEN_BYTES } from './bpe/tokenizer/segmentation.js';
+export { StreamingDecoder } from './bpe/tokenizer/streaming-decoder.js';
+export { AlignmentMap, normalizeWithAlignment } from './bpe/tokenizer/alignment.js';
+export { encodeStream, DEFAULT_WINDOW_SIZE } from './bpe/tokenizer/stream-encoder.js';
+export { ALL_SPECIAL, resolveTokenId } from './bpe/special-tokens.js';
+export { CheckpointStore, corpusFingerprint, checkpointKey } from './bpe/checkpoint-store.js';
+export * from './bpe/codecs/index.js';
+export { Vocab } from './bpe/vocab.js';
+export { characterTokenMap } from './bpe/characters.js';
+export {
+    DXFT_MAGIC, DIDX_MAGIC, DXFT_VERSION, TokenDtype, DatasetSplit, DxftFlags, tokenDtypeFor,
+    encodeDxft, dxftFileName, dxftShardName, DxftWriter, DxftDataset, BlobSink, tokenizeToDxft,
+} from './bpe/dxft.js';
+export { readDxft, parseDxftHeader, dxftFlagNames } from './bpe/dxft-reader.js';
+export { RoundTripVerifier, RoundTripStatus } from './bpe/round-trip.js';
+export { Decoder, NormalizationForm } from './wasm/decoder.mjs';
+export { PreTokenizer, PreTokenizerPreset, PRESET_PATTERNS, resolvePreTokenizerRules, createPreTokenizer } from './wasm/pre_tokenizer.mjs';
+export { RegexPreTokenizer } from './wasm/regex_pre_tokenizer.mjs';
+export { Normalizer, NormalizerForm, resolveNormalizerRules, normalizerLabel, normalizeChunks } from './wasm/normalizer.mjs';
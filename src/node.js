@@ -0,0 +1,38 @@
+/**
+ * gpu-bpe/node — Node.js entry point
+ *
+ * Everything from the library entry, plus a file-system shader loader.
+ * The GPU provider comes from a Node WebGPU binding, e.g. Dawn's `webgpu`
+ * package:
+ *
+ *   import { create } from 'webgpu';
+ *   import { createEngine, BPETrainer } from 'gpu-bpe/node';
+ *
+ *   const engine = await createEngine(create([]));
+ */
+
+import { readFile } from 'node:fs/promises';
+import { BPEEngine } from './bpe/engine.js';
+
+export * from './index.js';
+
+const BPE_DIR = new URL('./bpe/', import.meta.url);
+
+/**
+ * Read WGSL from disk (paths are relative to src/bpe/, as for every ShaderLoader).
+ *
+ * @type {import('./bpe/engine.js').ShaderLoader}
+ */
+export function loadShaderFromFile(path) {
+    return readFile(new URL(path, BPE_DIR), 'utf8');
+}
+
+/**
+ * Create and initialize an engine on the given WebGPU provider.
+ *
+ * @param {GPU} gpu
+ * @returns {Promise<BPEEngine>}
+ */
+export function createEngine(gpu) {
+    return new BPEEngine({ gpu, loadShader: loadShaderFromFile }).init();
+}
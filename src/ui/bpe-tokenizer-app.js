@@ -9,6 +9,7 @@ import { FileInputController } from './file-input-controller.js';
 import { VocabLoaderController } from './vocab-loader-controller.js';
 import { EncoderController } from './encoder-controller.js';
 import { ExportController } from './export-controller.js';
+import { DxftInspectController } from './dxft-inspect-controller.js';
 
 // ─── Application Class ───
 export class BPETokenizerApp {
@@ -34,6 +35,7 @@ export class BPETokenizerApp {
         this.exportController = new ExportController(
             this.logger, () => this.trainingManager, () => this.bpeEngine
         );
+        this.dxftInspect = new DxftInspectController(this.logger);
     }
 
     initialize() {
@@ -42,6 +44,7 @@ export class BPETokenizerApp {
         this.vocabLoader.bind();
         this.encoder.bind();
         this.exportController.bind();
+        this.dxftInspect.bind();
 
         $('trainBtn').addEventListener('click', async () => {
             if (this.trainingManager) await this.trainingManager.startTraining();
@@ -49,6 +52,30 @@ export class BPETokenizerApp {
         $('downloadBtn').addEventListener('click', () => {
             this.trainingManager?.downloadModel();
         });
+        $('downloadHfBtn').addEventListener('click', () => {
+            this.trainingManager?.downloadTokenizerJson();
+        });
+        $('downloadTiktokenBtn').addEventListener('click', () => {
+            this.trainingManager?.downloadTiktoken();
+        });
+        $('downloadGpt2Btn').addEventListener('click', () => {
+            this.trainingManager?.downloadGpt2Files();
+        });
+        $('pauseBtn').addEventListener('click', () => {
+            const tm = this.trainingManager;
+            if (!tm) return;
+            if (tm.isPaused) tm.resumeTraining();
+            else tm.pauseTraining();
+        });
+        $('cancelBtn').addEventListener('click', () => {
+            this.trainingManager?.cancelTraining();
+        });
+        $('preTokenizerSelect').addEventListener('change', (e) => {
+            $('preTokenizerPatternInput').classList.toggle('hidden', e.target.value !== 'regex');
+        });
+        $('normalizerSelect').addEventListener('change', (e) => {
+            $('stripAccentsToggle').disabled = e.target.value === 'none';
+        });
 
         this.uiManager.initializeVocabChips();
     }
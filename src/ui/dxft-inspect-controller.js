@@ -0,0 +1,114 @@
+import { $, formatSize, escapeHtml, renderTokenSpan } from '../utils.js';
+import { readDxft, dxftFlagNames } from '../bpe/dxft-reader.js';
+import { specialTokenIds } from '../bpe/special-tokens.js';
+
+/** Tokens decoded in the preview */
+const PREVIEW_TOKENS = 64;
+
+/**
+ * DXFT Inspect Controller — drop a .bin, see what is in it
+ *
+ * Reads the header of any DXFT version, verifies the token checksum and vocab
+ * hash (v3), the id range and the document index, and previews the first
+ * tokens decoded with the vocab embedded in the file itself.
+ */
+export class DxftInspectController {
+    /**
+     * @param {import('./logger.js').Logger} logger
+     */
+    constructor(logger) {
+        this.logger = logger;
+    }
+
+    bind() {
+        const dropZone = $('inspectDropZone');
+        const fileInput = $('inspectFileInput');
+
+        fileInput.addEventListener('change', async (e) => {
+            if (e.target.files.length > 0) await this._inspect(e.target.files[0]);
+            fileInput.value = '';
+        });
+
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drop-active');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drop-active'));
+        dropZone.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drop-active');
+            if (e.dataTransfer.files.length > 0) await this._inspect(e.dataTransfer.files[0]);
+        });
+    }
+
+    /** @param {File} file */
+    async _inspect(file) {
+        this.logger.log(`\n→ [inspect] ${file.name} (${formatSize(file.size)})…`);
+        $('inspectResult').classList.add('hidden');
+
+        try {
+            const dxft = await readDxft(file, { tokenLimit: PREVIEW_TOKENS });
+            this._render(dxft);
+
+            const verdict = dxft.issues.length === 0 ? 'no issues' : `${dxft.issues.length} issue(s)`;
+            this.logger.log(`→ [inspect] DXFT v${dxft.version} · ${dxft.tokenCount.toLocaleString()} u${dxft.dtype * 8} tokens · vocab ${dxft.vocabSize.toLocaleString()} · ${verdict}`);
+            for (const issue of dxft.issues) this.logger.log(`⚠ [inspect] ${issue}`);
+        } catch (e) {
+            this.logger.log(`✗ [inspect] ${file.name}: ${e.message}`);
+        }
+    }
+
+    // ── Rendering ──
+
+    /** @param {import('../bpe/dxft-reader.js').DxftFile} dxft */
+    _render(dxft) {
+        const model = dxft.model;
+        const flags = dxftFlagNames(dxft.flags);
+        const specials = Object.keys(model?.specialTokens ?? {});
+
+        const stats = [
+            `v${dxft.version}`,
+            `${dxft.tokenCount.toLocaleString()} tokens`,
+            `u${dxft.dtype * 8}`,
+            `vocab ${dxft.vocabSize.toLocaleString()}`,
+            `${dxft.split} #${dxft.shardIndex}`,
+            flags.length > 0 ? flags.join(' · ') : 'no flags',
+            dxft.docStarts ? `${dxft.docStarts.length.toLocaleString()} documents` : null,
+            model?.merges ? `${model.merges.length.toLocaleString()} merges` : null,
+            specials.length > 0 ? `specials: ${specials.join(' ')}` : null,
+            formatSize(dxft.byteLength),
+        ];
+        $('inspectStats').innerHTML = stats
+            .filter(s => s !== null)
+            .map(s => `<span class="stat-badge">${escapeHtml(s)}</span>`)
+            .join('');
+
+        const checks = [
+            ['Token checksum', this._checkText(dxft.checks.tokenCrc), dxft.checks.tokenCrc],
+            ['Vocab hash', this._checkText(dxft.checks.vocabHash), dxft.checks.vocabHash],
+            ['Embedded vocab', model ? `${(model.vocab?.length ?? 0).toLocaleString()} entries` : 'none', model ? true : null],
+            ...dxft.issues.map(issue => [issue, 'issue', false]),
+        ];
+        $('inspectChecks').innerHTML = checks.map(([name, value, ok]) => {
+            const cls = ok === true ? 'file-item check-ok' : ok === false ? 'file-item check-failed' : 'file-item';
+            return `<div class="${cls}"><span class="file-name">${escapeHtml(name)}</span><span class="file-size">${escapeHtml(value)}</span></div>`;
+        }).join('');
+
+        const preview = $('inspectPreview');
+        if (model?.vocab && dxft.tokens?.length > 0) {
+            const result = { vocab: model.vocab, specialIds: specialTokenIds(model.specialTokens) };
+            preview.innerHTML = Array.from(dxft.tokens, id => renderTokenSpan(id, result)).join('');
+            preview.classList.remove('hidden');
+        } else {
+            preview.classList.add('hidden');
+        }
+
+        $('inspectResult').classList.remove('hidden');
+    }
+
+    /** @param {boolean|null} ok */
+    _checkText(ok) {
+        if (ok === null) return 'not stored';
+        return ok ? '✓ match' : '✗ mismatch';
+    }
+}
@@ -1,4 +1,5 @@
 import { $, ICONS, renderTokenSpan } from '../utils.js';
+import { ALL_SPECIAL } from '../bpe/special-tokens.js';
 
 // ─── Encoder Controller ───
 export class EncoderController {
@@ -28,7 +29,12 @@ export class EncoderController {
             encodeBtn.disabled = true;
             encodeBtn.textContent = 'Encoding...';
 
-            const result = await tokenizerManager.encode(text);
+            const allowedSpecial = $('allowSpecialToggle').checked ? ALL_SPECIAL : null;
+            const normalizer = tokenizerManager.trainingManager.getModelNormalizer();
+            const preTokenizer = $('preTokenizeToggle').checked
+                ? tokenizerManager.trainingManager.getModelPreTokenizer()
+                : null;
+            const result = await tokenizerManager.encode(text, { allowedSpecial, normalizer, preTokenizer });
             this._renderResult(result, text);
         } catch (error) {
             this.logger.log(`✗ Encoding failed: ${error.message}`);
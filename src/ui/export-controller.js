@@ -1,13 +1,29 @@
-import { $, formatSize } from '../utils.js';
-import { TrieTokenizer } from '../bpe/tokenizer/tokenizer.js';
-
-const MAGIC = 0x44584654; // 'DXFT' — Decoder eXport Format Tokens
+import { $, formatSize, escapeHtml, downloadBlob, readBlobSlices, PARAGRAPH_SEPARATOR } from '../utils.js';
+import { TrieTokenizer, EncodeMode } from '../bpe/tokenizer/tokenizer.js';
+import { readModelFiles, toModelJson } from '../bpe/codecs/index.js';
+import {
+    DxftWriter, DxftDataset, DatasetSplit, DxftFlags, BlobSink, tokenizeToDxft, tokenDtypeFor, dxftFileName,
+} from '../bpe/dxft.js';
+import { ALL_SPECIAL, resolveTokenId } from '../bpe/special-tokens.js';
+import { RoundTripVerifier, RoundTripStatus } from '../bpe/round-trip.js';
+import { normalizeChunks } from '../wasm/normalizer.mjs';
 
 /**
  * Export Controller — tokenize text files → .bin for Transformer training
  *
- * Uses GPU trie tokenizer for maximum speed. Pipeline:
- *   vocab (byte arrays) → compile trie → GPU trie walk → .bin export
+ * Encodes on the GPU with the learned merges applied in rank order, so the
+ * tokens match what BPE itself would produce. Pipeline:
+ *   vocab + merges → merge table → GPU merge pass → .bin export
+ * Fast mode swaps in the greedy longest-match trie walk (approximate).
+ * Per-document mode encodes each file on its own, with an optional EOS token
+ * between files and a document-offset index in the .bin.
+ *
+ * Export streams: files are read in slices, normalized line by line with the
+ * model's normalizer, encoded window by window and the tokens written straight to disk (File System Access API) or to a Blob
+ * the browser can page out, so corpora larger than RAM fit.
+ *
+ * Verify round trip decodes the tokens as they are written and compares them
+ * with each file (RoundTripVerifier).
  */
 export class ExportController {
     /**
@@ -19,7 +35,7 @@ export class ExportController {
         this.logger = logger;
         this.getTrainingManager = getTrainingManager;
         this.getEngine = getEngine;
-        this._files = [];    // { name, size, data: Uint8Array }
+        this._files = [];    // { name, size, file: File } — read at export time
         this._vocab = null;  // loaded from JSON (independent of Train tab)
         this._trieTokenizer = null; // GPU trie tokenizer instance
     }
@@ -28,8 +44,8 @@ export class ExportController {
         // Vocab loading
         $('exportLoadVocabBtn').addEventListener('click', () => $('exportVocabInput').click());
         $('exportVocabInput').addEventListener('change', async (e) => {
-            const file = e.target.files[0];
-            if (file) await this._loadVocab(file);
+            const files = [...e.target.files];
+            if (files.length > 0) await this._loadVocab(files);
             e.target.value = '';
         });
 
@@ -53,6 +69,12 @@ export class ExportController {
             if (e.dataTransfer.files.length > 0) await this._addFiles(e.dataTransfer.files);
         });
 
+        // Document options — EOS and index only apply per document
+        $('exportPerDocument').addEventListener('change', (e) => {
+            $('exportEosInput').disabled = !e.target.checked;
+            $('exportDocIndex').disabled = !e.target.checked;
+        });
+
         // Export
         $('exportBinBtn').addEventListener('click', () => this._export());
     }
@@ -64,6 +86,7 @@ export class ExportController {
         if (!this._vocab) {
             this._updateVocabUI(vocabSize, 'from training');
             this._buildTrieFromTraining();
+            this._suggestEos(this.getTrainingManager()?.getTrainedModel()?.specialTokens);
             this._updateExportBtn();
         }
     }
@@ -77,7 +100,9 @@ export class ExportController {
 
         try {
             const t0 = performance.now();
-            this._trieTokenizer = TrieTokenizer.fromVocab(engine, model.vocab);
+            this._trieTokenizer = TrieTokenizer.fromVocab(engine, model.vocab, {
+                merges: model.merges, specialTokens: model.specialTokens, characterCoverage: model.characterCoverage,
+            });
             const dt = ((performance.now() - t0)).toFixed(1);
             this.logger.log(`→ [export] trie compiled: ${this._trieTokenizer.nodeCount} nodes, ${this._trieTokenizer.edgeCount} edges (${dt}ms)`);
         } catch (e) {
@@ -86,7 +111,7 @@ export class ExportController {
         }
     }
 
-    _buildTrieFromVocab(vocab) {
+    _buildTrieFromVocab(vocab, merges, specialTokens, characterCoverage = null) {
         const engine = this.getEngine();
         if (!engine) {
             this.logger.log('✗ [export] GPU engine not ready');
@@ -95,7 +120,7 @@ export class ExportController {
 
         try {
             const t0 = performance.now();
-            this._trieTokenizer = TrieTokenizer.fromVocab(engine, vocab);
+            this._trieTokenizer = TrieTokenizer.fromVocab(engine, vocab, { merges, specialTokens, characterCoverage });
             const dt = ((performance.now() - t0)).toFixed(1);
             this.logger.log(`→ [export] trie compiled: ${this._trieTokenizer.nodeCount} nodes, ${this._trieTokenizer.edgeCount} edges (${dt}ms)`);
         } catch (e) {
@@ -106,10 +131,19 @@ export class ExportController {
 
     // ── Vocab ──
 
-    async _loadVocab(file) {
+    /** Pre-fill the EOS field with the model's <|endoftext|>, if it has one */
+    _suggestEos(specialTokens) {
+        const input = $('exportEosInput');
+        if (!input.value && specialTokens && Object.hasOwn(specialTokens, '<|endoftext|>')) {
+            input.value = '<|endoftext|>';
+        }
+    }
+
+    /** @param {File[]} files - one vocabulary file, or vocab.json + merges.txt */
+    async _loadVocab(files) {
         try {
-            const text = await file.text();
-            const json = JSON.parse(text);
+            const json = await readModelFiles(files);
+            const source = files.map(f => f.name).join(' + ');
 
             if (!json.vocab || !json.merges) {
                 throw new Error('Invalid vocabulary: missing vocab or merges');
@@ -122,11 +156,12 @@ export class ExportController {
             }
 
             this._vocab = json;
-            this._updateVocabUI(json.vocab.length, file.name);
-            this.logger.log(`→ [export] loaded vocab: ${file.name} (${json.vocab.length} tokens)`);
+            this._updateVocabUI(json.vocab.length, source);
+            this.logger.log(`→ [export] loaded vocab: ${source} (${json.vocab.length} tokens)`);
 
             // Compile trie for GPU tokenization
-            this._buildTrieFromVocab(json.vocab);
+            this._buildTrieFromVocab(json.vocab, json.merges, json.specialTokens, json.characterCoverage);
+            this._suggestEos(json.specialTokens);
 
         } catch (e) {
             this.logger.log(`✗ [export] vocab error: ${e.message}`);
@@ -148,8 +183,7 @@ export class ExportController {
 
     async _addFiles(fileList) {
         for (const file of Array.from(fileList)) {
-            const ab = await file.arrayBuffer();
-            this._files.push({ name: file.name, size: ab.byteLength, data: new Uint8Array(ab) });
+            this._files.push({ name: file.name, size: file.size, file });
         }
         this._renderFileList();
         this._updateExportBtn();
@@ -164,6 +198,8 @@ export class ExportController {
         const totalBytes = this._files.reduce((s, f) => s + f.size, 0);
         $('exportFileTotal').textContent = `${this._files.length} file(s) · ${formatSize(totalBytes)}`;
         $('exportFileSummary').classList.remove('hidden');
+        $('exportDocOptions').classList.remove('hidden');
+        $('exportShardOptions').classList.remove('hidden');
     }
 
     // ── Export ──
@@ -176,94 +212,166 @@ export class ExportController {
         $('exportBinBtn').disabled = !(this._trieTokenizer && this._files.length > 0);
     }
 
-    async _export() {
-        if (!this._trieTokenizer || this._files.length === 0) return;
+    // ── Output ──
 
-        const btn = $('exportBinBtn');
-        const btnText = $('exportBinBtnText');
-        btn.disabled = true;
-        btnText.textContent = 'Tokenizing…';
-        $('exportProgress').classList.remove('hidden');
-        $('exportProgressFill').style.width = '0%';
+    /**
+     * DxftSink over a File System Access file handle.
+     *
+     * @param {FileSystemFileHandle} handle
+     * @returns {Promise<{ sink: import('../bpe/dxft.js').DxftSink, close: () => Promise<void> }>}
+     */
+    async _fileHandleSink(handle) {
+        const writable = await handle.createWritable();
+        let position = 0;
+        const sink = {
+            async write(bytes) {
+                await writable.write({ type: 'write', position, data: bytes });
+                position += bytes.length;
+            },
+            async writeAt(at, bytes) {
+                await writable.write({ type: 'write', position: at, data: bytes });
+            },
+        };
+        return { sink, close: () => writable.close() };
+    }
 
+    /**
+     * Where a single .bin goes: a file picked up front when the browser
+     * supports it (tokens go straight to disk), otherwise a BlobSink
+     * downloaded at the end.
+     *
+     * @param {number} vocabSize
+     * @returns {Promise<{ sink: import('../bpe/dxft.js').DxftSink, blobSink: BlobSink|null, close: () => Promise<void>, fileName: string|null }|null>}
+     *   null when the user cancels the picker
+     */
+    async _openSink(vocabSize) {
+        if (!window.showSaveFilePicker) {
+            const sink = new BlobSink();
+            return { sink, blobSink: sink, close: async () => {}, fileName: null };
+        }
+
+        let handle;
         try {
-            // Merge all files into one byte array
-            const sep = new TextEncoder().encode('\n\n');
-            let totalLen = 0;
-            for (const f of this._files) totalLen += f.data.length;
-            totalLen += (this._files.length - 1) * sep.length;
-
-            const merged = new Uint8Array(totalLen);
-            let offset = 0;
-            for (let i = 0; i < this._files.length; i++) {
-                if (i > 0) { merged.set(sep, offset); offset += sep.length; }
-                merged.set(this._files[i].data, offset); offset += this._files[i].data.length;
-            }
+            handle = await window.showSaveFilePicker({
+                suggestedName: `train-v${vocabSize}.bin`,
+                types: [{ description: 'DXFT token dataset', accept: { 'application/octet-stream': ['.bin'] } }],
+            });
+        } catch (e) {
+            if (e.name === 'AbortError') return null;
+            throw e;
+        }
 
-            this.logger.log(`\n→ [export] GPU tokenizing ${formatSize(totalLen)}…`);
-            $('exportProgressLabel').textContent = `GPU tokenizing ${formatSize(totalLen)}…`;
-            $('exportProgressFill').style.width = '10%';
+        return { ...await this._fileHandleSink(handle), blobSink: null, fileName: handle.name };
+    }
 
-            await new Promise(r => setTimeout(r, 50)); // let UI update
+    /**
+     * Where shards go: files in a directory picked up front when the browser
+     * supports it, otherwise each shard is downloaded as it is finished.
+     *
+     * @returns {Promise<import('../bpe/dxft.js').OpenShard|null>} null when the user cancels the picker
+     */
+    async _openShardDir() {
+        if (!window.showDirectoryPicker) {
+            return async (fileName) => {
+                const sink = new BlobSink();
+                return { sink, close: async () => downloadBlob(sink.toBlob(), fileName) };
+            };
+        }
 
-            // GPU trie tokenization
-            const t0 = performance.now();
-            const tokens = await this._trieTokenizer.encodeBytes(merged);
-            const dt = ((performance.now() - t0) / 1000).toFixed(2);
-            const throughputMBs = (totalLen / 1048576 / parseFloat(dt)).toFixed(1);
+        let dir;
+        try {
+            dir = await window.showDirectoryPicker({ mode: 'readwrite' });
+        } catch (e) {
+            if (e.name === 'AbortError') return null;
+            throw e;
+        }
+
+        return async (fileName) => this._fileHandleSink(await dir.getFileHandle(fileName, { create: true }));
+    }
 
-            $('exportProgressFill').style.width = '90%';
+    async _export() {
+        if (!this._trieTokenizer || this._files.length === 0) return;
+
+        const btn = $('exportBinBtn');
+        const btnText = $('exportBinBtnText');
+
+        try {
+            const perDocument = $('exportPerDocument').checked;
+            const mode = $('exportFastMode').checked ? EncodeMode.LONGEST : EncodeMode.MERGE;
+            const allowedSpecial = $('exportAllowSpecial').checked ? ALL_SPECIAL : null;
+            const docIndex = perDocument && $('exportDocIndex').checked;
+            const verify = $('exportVerify').checked;
+            const shardTokens = Number($('exportShardTokens').value) || Infinity;
+            const valRatio = (Number($('exportValPercent').value) || 0) / 100;
+            const sharded = shardTokens !== Infinity || valRatio > 0;
 
             // Get vocab data
             const model = this.getTrainingManager()?.getTrainedModel();
             const vocabSize = this._vocab?.vocab?.length
                 ?? model?.vocabSize
                 ?? 256;
+            const specialTokens = this._vocab?.specialTokens ?? model?.specialTokens ?? {};
+            const dtype = tokenDtypeFor(vocabSize);
+            const flags = mode === EncodeMode.LONGEST ? DxftFlags.LONGEST_MATCH : 0;
+
+            // Embed the vocab as JSON (for decode in the Transformer pipeline)
+            const vocabExport = this._vocab ?? (model ? toModelJson(model) : null);
+            const normalizer = this.getTrainingManager()?.createNormalizer(vocabExport?.normalizer) ?? null;
+            // Split as training did, so merge mode reproduces the trained tokens
+            const preTokenizer = this.getTrainingManager()?.createPreTokenizer(vocabExport?.preTokenizer, normalizer) ?? null;
+            const keep = allowedSpecial ? Object.keys(specialTokens) : [];
+
+            // Resolve the EOS token before asking for a file
+            const eosSpec = $('exportEosInput').value.trim();
+            const eosId = perDocument && eosSpec ? resolveTokenId(eosSpec, vocabSize, specialTokens) : null;
+
+            // Picker first — it needs the click's user activation
+            const output = sharded ? await this._openShardDir() : await this._openSink(vocabSize);
+            if (!output) return;
+
+            btn.disabled = true;
+            btnText.textContent = 'Tokenizing…';
+            $('exportVerifyList').classList.add('hidden');
+            $('exportProgress').classList.remove('hidden');
+            $('exportProgressFill').style.width = '0%';
+
+            const totalLen = this._files.reduce((s, f) => s + f.size, 0);
+            this.logger.log(`\n→ [export] GPU tokenizing ${formatSize(totalLen)} (${mode}${perDocument ? `, ${this._files.length} documents` : ''}, streaming)…`);
+            $('exportProgressLabel').textContent = `GPU tokenizing ${formatSize(totalLen)}…`;
+
+            // Slices count towards progress as they are read
+            const progress = { done: 0, total: totalLen };
+            const separator = new TextEncoder().encode(PARAGRAPH_SEPARATOR);
+            const normalize = normalizer ? text => normalizer.normalize(text) : undefined;
+            const verifier = verify ? new RoundTripVerifier(this._trieTokenizer, { perDocument, eosId, separator, normalize }) : null;
+            const docs = this._files.map(f => {
+                const chunks = this._readWithProgress(f.file, progress);
+                return normalizeChunks(verifier ? verifier.source(f.name, chunks) : chunks, normalizer, keep);
+            });
+            const tokenize = (writer) => tokenizeToDxft(this._trieTokenizer, verifier ? verifier.watch(writer) : writer, docs, {
+                perDocument,
+                eosId,
+                separator,
+                encodeOptions: { mode, allowedSpecial, preTokenizer },
+            });
 
-            // Serialize vocab as JSON bytes (for embedded decode in Transformer)
-            const vocabExport = this._vocab ?? (model ? {
-                version: 1,
-                vocabSize: model.vocabSize,
-                vocab: model.vocab,
-                merges: model.merges,
-            } : null);
-
-            const vocabBytes = vocabExport
-                ? new TextEncoder().encode(JSON.stringify(vocabExport))
-                : new Uint8Array(0);
-
-            // Build .bin v2: [MAGIC, vocabSize, tokenCount, vocabBytesLen, ...tokens, ...vocabJSON]
-            const headerLen = 4; // 4 u32s
-            const out = new Uint32Array(headerLen + tokens.length);
-            out[0] = MAGIC;
-            out[1] = vocabSize;
-            out[2] = tokens.length;
-            out[3] = vocabBytes.length;
-            out.set(tokens, headerLen);
-
-            // Combine: u32 array + vocab JSON bytes
-            const tokenPart = new Uint8Array(out.buffer);
-            const finalBuf = new Uint8Array(tokenPart.length + vocabBytes.length);
-            finalBuf.set(tokenPart);
-            finalBuf.set(vocabBytes, tokenPart.length);
+            const t0 = performance.now();
+            const tokenCount = sharded
+                ? await this._exportShards(output, tokenize, { vocabSize, vocabExport, dtype, flags, shardTokens, valRatio, docIndex })
+                : await this._exportFile(output, tokenize, { vocabSize, vocabExport, dtype, flags, docIndex });
+            const dt = ((performance.now() - t0) / 1000).toFixed(2);
+            const throughputMBs = (totalLen / 1048576 / parseFloat(dt)).toFixed(1);
 
             $('exportProgressFill').style.width = '100%';
             $('exportProgressLabel').textContent =
-                `${tokens.length.toLocaleString()} tokens · ${dt}s · ${throughputMBs} MB/s · ${(totalLen / tokens.length).toFixed(2)}× compression`;
-
-            // Download
-            const blob = new Blob([finalBuf], { type: 'application/octet-stream' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `train-v${vocabSize}-${tokens.length}.bin`;
-            a.click();
-            URL.revokeObjectURL(url);
-
-            const sizeMB = (finalBuf.byteLength / 1048576).toFixed(1);
-            this.logger.log(`→ [export] ${tokens.length.toLocaleString()} tokens → ${a.download} (${sizeMB} MB)`);
-            this.logger.log(`→ [export] GPU: ${dt}s · ${throughputMBs} MB/s · ${(totalLen / tokens.length).toFixed(2)}× compression`);
-            this.logger.log(`→ [export] embedded vocab: ${formatSize(vocabBytes.length)}`);
+                `${tokenCount.toLocaleString()} tokens · ${dt}s · ${throughputMBs} MB/s · ${(totalLen / tokenCount).toFixed(2)}× compression`;
+
+            this.logger.log(`→ [export] GPU: ${dt}s · ${throughputMBs} MB/s · ${(totalLen / tokenCount).toFixed(2)}× compression · u${dtype * 8} tokens`);
+            if (perDocument) {
+                const eos = eosId !== null ? `EOS ${eosId} between documents` : 'no EOS';
+                this.logger.log(`→ [export] ${this._files.length} documents · ${eos}${docIndex ? ' · document index' : ''}`);
+            }
+            if (verifier) this._reportRoundTrip(verifier.finish());
 
             btnText.textContent = '✓ Exported — export again?';
 
@@ -274,4 +382,95 @@ export class ExportController {
             btn.disabled = false;
         }
     }
+
+    // ── Round Trip ──
+
+    /** @param {import('../bpe/round-trip.js').RoundTripReport} report */
+    _reportRoundTrip(report) {
+        const failed = report.files.filter(f => f.status !== RoundTripStatus.EXACT);
+        this.logger.log(failed.length === 0
+            ? `→ [verify] round trip exact for all ${report.files.length} file(s)`
+            : `⚠ [verify] ${failed.length} of ${report.files.length} file(s) differ after decode · ${report.replacementChars} U+FFFD in the decoded tokens`);
+        for (const f of failed) this.logger.log(`  ${f.name}: ${this._roundTripText(f)}`);
+
+        const list = $('exportVerifyList');
+        list.innerHTML = report.files.map(f => {
+            const cls = f.status === RoundTripStatus.EXACT ? 'file-item check-ok'
+                : f.status === RoundTripStatus.MISMATCH ? 'file-item check-failed'
+                : 'file-item';
+            return `<div class="${cls}"><span class="file-name">${escapeHtml(f.name)}</span><span class="file-size">${escapeHtml(this._roundTripText(f))}</span></div>`;
+        }).join('');
+        list.classList.remove('hidden');
+    }
+
+    /** @param {import('../bpe/round-trip.js').RoundTripFileReport} f */
+    _roundTripText(f) {
+        const fffd = f.replacementChars > f.sourceReplacementChars
+            ? ` · ${f.replacementChars - f.sourceReplacementChars} U+FFFD introduced`
+            : '';
+        switch (f.status) {
+            case RoundTripStatus.EXACT:
+                return `✓ exact${fffd}`;
+            case RoundTripStatus.NORMALIZATION:
+                return `≈ normalization only — first difference at byte ${f.firstMismatch}${fffd}`;
+            case RoundTripStatus.MISMATCH:
+                return `✗ differs at byte ${f.firstMismatch}${fffd}`;
+            default:
+                return 'not checked — stream misaligned by an earlier file';
+        }
+    }
+
+    /** One .bin; returns the token count */
+    async _exportFile(output, tokenize, { vocabSize, vocabExport, dtype, flags, docIndex }) {
+        const writer = new DxftWriter(output.sink, { vocabSize, dtype, flags });
+        let result;
+        try {
+            await tokenize(writer);
+            result = await writer.finish(vocabExport, { docIndex });
+        } finally {
+            await output.close();
+        }
+
+        const fileName = output.fileName ?? dxftFileName(vocabSize, writer.tokenCount);
+        if (output.blobSink) downloadBlob(output.blobSink.toBlob(), fileName);
+
+        const sizeMB = (result.byteLength / 1048576).toFixed(1);
+        this.logger.log(`→ [export] ${writer.tokenCount.toLocaleString()} tokens → ${fileName} (${sizeMB} MB)`);
+        this.logger.log(`→ [export] embedded vocab: ${formatSize(result.vocabBytesLength)}`);
+        return writer.tokenCount;
+    }
+
+    /** Train / val shards; returns the token count */
+    async _exportShards(openShard, tokenize, { vocabSize, vocabExport, dtype, flags, shardTokens, valRatio, docIndex }) {
+        const dataset = new DxftDataset(openShard, { vocabSize, vocabExport, dtype, flags, shardTokens, valRatio, docIndex });
+        await tokenize(dataset);
+        const shards = await dataset.finish();
+
+        for (const split of [DatasetSplit.TRAIN, DatasetSplit.VAL]) {
+            const own = shards.filter(s => s.split === split);
+            if (own.length === 0) continue;
+            const tokens = own.reduce((sum, s) => sum + s.tokenCount, 0);
+            const bytes = own.reduce((sum, s) => sum + s.byteLength, 0);
+            this.logger.log(`→ [export] ${split}: ${tokens.toLocaleString()} tokens in ${own.length} shard(s) (${formatSize(bytes)})`);
+        }
+        if (valRatio > 0 && !shards.some(s => s.split === DatasetSplit.VAL)) {
+            this.logger.log('⚠ [export] val split is empty — too few documents or tokens for the ratio');
+        }
+        return dataset.tokenCount;
+    }
+
+    /**
+     * Slices of one file, moving the progress bar as they are read.
+     *
+     * @param {File} file
+     * @param {{ done: number, total: number }} progress - bytes read across all files
+     * @returns {AsyncGenerator<Uint8Array>}
+     */
+    async *_readWithProgress(file, progress) {
+        for await (const slice of readBlobSlices(file)) {
+            progress.done += slice.length;
+            $('exportProgressFill').style.width = `${Math.round(progress.done / progress.total * 95)}%`;
+            yield slice;
+        }
+    }
 }
@@ -1,4 +1,4 @@
-import { $, TEXT_EXTENSIONS } from '../utils.js';
+import { $, isTextFile } from '../utils.js';
 
 // ─── File Input Controller ───
 export class FileInputController {
@@ -142,17 +142,6 @@ export class FileInputController {
 
 // ─── Utilities ──────────────────────────────────────────────
 
-/**
- * Check if a filename has a recognized text extension.
- * @param {string} name
- * @returns {boolean}
- */
-function isTextFile(name) {
-    const dot = name.lastIndexOf('.');
-    if (dot === -1) return false;
-    return TEXT_EXTENSIONS.has(name.slice(dot + 1).toLowerCase());
-}
-
 /**
  * Recursively collect File objects from dropped DataTransferItems.
  * Filters to text extensions only when traversing directories.
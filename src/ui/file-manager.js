@@ -1,16 +1,12 @@
-import { NormalizationForm } from '../wasm/decoder.mjs';
 import { PARAGRAPH_SEPARATOR, formatSize, shuffleArray } from '../utils.js';
 
 // ─── File Manager Class ───
+// Files are kept as read: normalization belongs to the model (its normalizer
+// runs in the pre-tokenizer at training time), not to the upload.
 export class FileManager {
-    constructor(logger, decoder = null) {
+    constructor(logger) {
         this.files = [];
         this.logger = logger;
-        this.decoder = decoder;
-    }
-
-    setDecoder(decoder) {
-        this.decoder = decoder;
     }
 
     async addFiles(fileArray, onProgress = null) {
@@ -28,25 +24,7 @@ export class FileManager {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = (e) => {
-                let data = new Uint8Array(e.target.result);
-
-                // Normalize text content using Decoder WASM (NFC + cleanup)
-                if (this.decoder) {
-                    try {
-                        const text = new TextDecoder('utf-8', { fatal: false }).decode(data);
-                        const normalized = this.decoder.normalize(text, NormalizationForm.NFC);
-                        // Guard: normalize can silently return empty for large inputs (WASM OOM)
-                        if (normalized && normalized.length > 0) {
-                            data = new TextEncoder().encode(normalized);
-                        } else if (text.length > 0) {
-                            console.warn(`WASM normalize returned empty for ${file.name} (${data.length} bytes), keeping raw`);
-                        }
-                    } catch (err) {
-                        // If normalization fails, use raw bytes
-                        console.warn(`WASM normalize skipped for ${file.name}:`, err.message);
-                    }
-                }
-
+                const data = new Uint8Array(e.target.result);
                 this.files.push({
                     name: file.name,
                     size: data.length,
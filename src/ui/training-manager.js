@@ -1,5 +1,11 @@
-import { $, formatSize } from '../utils.js';
+import { $, formatSize, downloadBlob } from '../utils.js';
 import { BPETrainer } from '../bpe/trainer.js';
+import { CheckpointStore, corpusFingerprint, checkpointKey } from '../bpe/checkpoint-store.js';
+import { normalizerLabel } from '../wasm/normalizer.mjs';
+import {
+    toModelJson, toTokenizerJson, toTiktoken, toGpt2Files, toAddedTokensJson,
+    VOCAB_FILE_NAME, MERGES_FILE_NAME, ADDED_TOKENS_FILE_NAME,
+} from '../bpe/codecs/index.js';
 
 // ─── Training Manager Class ───
 export class TrainingManager {
@@ -16,38 +22,113 @@ export class TrainingManager {
         /** @type {Worker|null} */
         this._worker = null;
         this._useWorker = typeof Worker !== 'undefined' && !!navigator.gpu;
+        this._training = false;
+        this.isPaused = false;
     }
 
     canTrain() {
         return this.bpeEngine && !this.fileManager.isEmpty();
     }
 
+    /**
+     * Special tokens entered for training (space- or comma-separated).
+     * @returns {string[]}
+     */
+    getSpecialTokens() {
+        const text = $('specialTokensInput')?.value ?? '';
+        return [...new Set(text.split(/[\s,]+/).filter(Boolean))];
+    }
+
+    /**
+     * Pre-tokenizer rules chosen for training: a PreTokenizerPreset value,
+     * or a split pattern.
+     * @returns {string|{ preset: 'regex', pattern: string }}
+     */
+    getPreTokenizerRules() {
+        const preset = $('preTokenizerSelect')?.value ?? 'default';
+        if (preset !== 'regex') return preset;
+        return { preset, pattern: $('preTokenizerPatternInput').value.trim() };
+    }
+
+    /** Short description of the chosen rules (log line, checkpoint key) */
+    _preTokenizerLabel() {
+        const rules = this.getPreTokenizerRules();
+        return typeof rules === 'string' ? rules : `regex:${rules.pattern}`;
+    }
+
+    /**
+     * Normalization chosen for training.
+     * @returns {{ form: string, caseFold: boolean, stripAccents: boolean }}
+     */
+    getNormalizerRules() {
+        const preset = $('normalizerSelect')?.value ?? 'nfc';
+        const form = { none: 'none', nfc: 'NFC', nfkc: 'NFKC', nfkc_cf: 'NFKC' }[preset] ?? 'NFC';
+        return {
+            form,
+            caseFold: preset === 'nfkc_cf',
+            stripAccents: form !== 'none' && !!$('stripAccentsToggle')?.checked,
+        };
+    }
+
+    /**
+     * Character coverage chosen for training (null: byte-level base alphabet).
+     * @returns {number|null}
+     */
+    getCharacterCoverage() {
+        const value = $('characterCoverageSelect')?.value ?? '';
+        return value === '' ? null : Number(value);
+    }
+
     async startTraining() {
         const trainBtn = $('trainBtn');
         if (trainBtn.disabled) return;
 
         trainBtn.disabled = true;
+        this._training = true;
+        this.isPaused = false;
         this.uiManager.showTrainingProgress();
 
-        const shouldShuffle = $('shuffleToggle').checked && this.fileManager.files.length > 1;
+        try {
+            // Offer to resume a checkpointed run on the same corpus + target
+            const checkpoint = await this._prepareCheckpoint();
 
-        // Always pass raw bytes — preTokenizeBytes handles NFC normalize + classify in WASM
-        // (eliminates 5 unnecessary string<->bytes conversions; see WASM_NORMALIZE_BYTES_SPEC.md)
-        const corpusData = this.fileManager.buildCorpus(shouldShuffle);
+            let corpusData = null;
+            if (checkpoint?.snapshot) {
+                this.logger.log(`\n─ resuming: ${checkpoint.snapshot.merges.length.toLocaleString()} merges · vocab target: ${this.uiManager.selectedVocab.toLocaleString()}`);
+            } else {
+                const shouldShuffle = $('shuffleToggle').checked && this.fileManager.files.length > 1;
 
-        const sizeStr = formatSize(corpusData.length);
+                // Always pass raw bytes — preTokenizeBytes handles normalize + classify in WASM
+                // (eliminates 5 unnecessary string<->bytes conversions; see WASM_NORMALIZE_BYTES_SPEC.md)
+                corpusData = this.fileManager.buildCorpus(shouldShuffle);
 
-        this.logger.log(`\n─ corpus: ${sizeStr} · vocab target: ${this.uiManager.selectedVocab.toLocaleString()}`);
+                const sizeStr = formatSize(corpusData.length);
+                this.logger.log(`\n─ corpus: ${sizeStr} · vocab target: ${this.uiManager.selectedVocab.toLocaleString()}`);
+
+                const specialTokens = this.getSpecialTokens();
+                if (specialTokens.length > 0) {
+                    this.logger.log(`─ special tokens: ${specialTokens.join(' ')} (ids 256–${255 + specialTokens.length})`);
+                }
+                if (this.preTokenizer) {
+                    this.logger.log(`─ pre-tokenizer: ${this._preTokenizerLabel()} · normalizer: ${normalizerLabel(this.getNormalizerRules())}`);
+                }
+                const characterCoverage = this.getCharacterCoverage();
+                if (characterCoverage !== null) {
+                    this.logger.log(`─ base alphabet: characters covering ${(characterCoverage * 100).toFixed(2)}% + byte fallback`);
+                }
+            }
 
-        try {
             const result = this._useWorker
-                ? await this._trainInWorker(corpusData)
-                : await this._trainInline(corpusData);
+                ? await this._trainInWorker(corpusData, checkpoint)
+                : await this._trainInline(corpusData, checkpoint);
 
             this.trainedModel = result;
             this.uiManager.displayTrainingComplete(result);
             this.uiManager.updateVocabStatus(result.vocabSize);
 
+            // A cancelled run keeps its partial vocab — allow training again
+            if (result.cancelled) trainBtn.disabled = false;
+
             // Reveal tokenizer encode section
             $('tokenizerSection').classList.remove('hidden');
 
@@ -56,6 +137,86 @@ export class TrainingManager {
         } catch (error) {
             this.logger.log(`✗ Training failed: ${error.message}`);
             trainBtn.disabled = false;
+        } finally {
+            this._training = false;
+            this.isPaused = false;
+            this.uiManager.hideTrainingControls();
+        }
+    }
+
+    // ─── Checkpoints ────────────────────────────────────────
+
+    /**
+     * Look up a checkpoint for the loaded files + selected vocab size and ask
+     * whether to resume it. Declining discards it.
+     *
+     * @returns {Promise<{ store: CheckpointStore, key: string, snapshot: import('../bpe/checkpoint-store.js').TrainingSnapshot|null }|null>}
+     *   null when IndexedDB is unavailable (training runs without checkpoints)
+     */
+    async _prepareCheckpoint() {
+        if (typeof indexedDB === 'undefined') return null;
+
+        try {
+            const fingerprint = await corpusFingerprint(this.fileManager.files.map(f => f.data));
+            const key = checkpointKey(
+                fingerprint, this.uiManager.selectedVocab, this.getSpecialTokens(), this._preTokenizerLabel(),
+                normalizerLabel(this.getNormalizerRules()), this.getCharacterCoverage(),
+            );
+            const store = new CheckpointStore();
+            const saved = await store.load(key);
+
+            let snapshot = null;
+            if (saved) {
+                const savedAt = new Date(saved.savedAt).toLocaleString();
+                const resume = confirm(
+                    `Resume the previous training run on these files?\n\n` +
+                    `${saved.merges.length.toLocaleString()} merges saved ${savedAt}.`,
+                );
+                if (resume) snapshot = saved;
+                else await store.delete(key);
+            }
+
+            return { store, key, snapshot };
+        } catch (err) {
+            this.logger.log(`⚠ checkpoints unavailable: ${err.message}`);
+            return null;
+        }
+    }
+
+    // ─── Job Control ────────────────────────────────────────
+
+    /** Pause the running job after its current merge batch. */
+    pauseTraining() {
+        if (!this._training || this.isPaused) return;
+        this._sendControl('pause');
+        this.isPaused = true;
+        this.uiManager.setTrainingPaused(true);
+        this.logger.log('→ pausing after current batch…');
+    }
+
+    resumeTraining() {
+        if (!this._training || !this.isPaused) return;
+        this._sendControl('resume');
+        this.isPaused = false;
+        this.uiManager.setTrainingPaused(false);
+        this.logger.log('→ resumed');
+    }
+
+    /** Stop the running job; the merges learned so far become the model. */
+    cancelTraining() {
+        if (!this._training) return;
+        this._sendControl('cancel');
+        this.isPaused = false;
+        this.uiManager.setTrainingCancelling();
+        this.logger.log('→ cancelling after current batch…');
+    }
+
+    /** @param {'pause'|'resume'|'cancel'} cmd */
+    _sendControl(cmd) {
+        if (this._worker) {
+            this._worker.postMessage({ cmd });
+        } else {
+            this.lastTrainer?.[cmd]();
         }
     }
 
@@ -63,20 +224,30 @@ export class TrainingManager {
 
     /**
      * Run training in a dedicated Web Worker (non-blocking).
-     * Worker creates its own GPUDevice + pipelines.
+     * Worker creates its own GPUDevice + pipelines, and reads/writes
+     * checkpoints in IndexedDB itself.
      */
-    async _trainInWorker(corpusData) {
+    async _trainInWorker(corpusData, checkpoint = null) {
         return new Promise((resolve, reject) => {
-            // Pre-tokenize on main thread (needs WASM), then send raw bytes to worker
-            let corpusBytes;
-            if (this.preTokenizer && corpusData instanceof Uint8Array) {
+            // Pre-tokenize on main thread (needs WASM), then send bytes + word starts to worker
+            let corpusBytes = null;
+            let wordStarts = null;
+            let preTokenizerRules = null;
+            let normalizerRules = null;
+            const preTokenizer = this._selectedPreTokenizer();
+            if (checkpoint?.snapshot) {
+                // Resuming — the worker restores symbols from the checkpoint
+            } else if (preTokenizer && corpusData instanceof Uint8Array) {
                 this.logger.log('  → pre-tokenizing bytes on main thread (zero-copy path)…');
-                const result = this.preTokenizer.preTokenizeBytes(corpusData);
+                const result = preTokenizer.preTokenizeBytes(corpusData);
                 if (result.bytes.length === 0 && corpusData.length > 0) {
                     this.logger.log('  ⚠ preTokenizeBytes returned 0 bytes — falling back to raw');
                     corpusBytes = corpusData;
                 } else {
                     corpusBytes = result.bytes;
+                    wordStarts = result.wordStarts;
+                    preTokenizerRules = preTokenizer.rules;
+                    normalizerRules = preTokenizer.normalizer.rules;
                 }
             } else {
                 corpusBytes = corpusData instanceof Uint8Array
@@ -100,7 +271,9 @@ export class TrainingManager {
                         break;
 
                     case 'done':
-                        this.logger.log('✓ Training complete (worker)');
+                        this.logger.log(msg.result.cancelled
+                            ? '✓ Training cancelled — keeping partial vocabulary (worker)'
+                            : '✓ Training complete (worker)');
                         worker.terminate();
                         this._worker = null;
                         resolve(msg.result);
@@ -113,6 +286,10 @@ export class TrainingManager {
                         reject(new Error(msg.message));
                         break;
 
+                    case 'state':
+                        if (msg.state === 'paused') this.logger.log('‖ training paused');
+                        break;
+
                     case 'log':
                         this.logger.log(msg.text);
                         break;
@@ -126,16 +303,27 @@ export class TrainingManager {
                 reject(new Error(err.message));
             };
 
-            // Transfer corpus buffer to worker (zero-copy)
-            const buffer = corpusBytes.buffer.slice(
+            // Transfer corpus + word-start buffers to worker (zero-copy)
+            const buffer = corpusBytes?.buffer.slice(
                 corpusBytes.byteOffset,
                 corpusBytes.byteOffset + corpusBytes.byteLength
             );
+            const startsBuffer = wordStarts?.buffer.slice(
+                wordStarts.byteOffset,
+                wordStarts.byteOffset + wordStarts.byteLength
+            );
             worker.postMessage({
                 cmd: 'train',
                 corpus: buffer,
+                wordStarts: startsBuffer,
+                preTokenizerRules,
+                normalizerRules,
+                characterCoverage: this.getCharacterCoverage(),
                 vocabSize: this.uiManager.selectedVocab,
-            }, [buffer]);
+                specialTokens: this.getSpecialTokens(),
+                checkpointKey: checkpoint?.key,
+                resume: !!checkpoint?.snapshot,
+            }, [buffer, startsBuffer].filter(Boolean));
         });
     }
 
@@ -145,17 +333,112 @@ export class TrainingManager {
      * Original inline training path (blocks main thread).
      * Used when Workers are not available.
      */
-    async _trainInline(corpusData) {
+    async _trainInline(corpusData, checkpoint = null) {
         const trainer = new BPETrainer(this.bpeEngine);
         this.lastTrainer = trainer;
 
         return await trainer.train(corpusData, {
             targetVocabSize: this.uiManager.selectedVocab,
-            preTokenizer: this.preTokenizer,
+            preTokenizer: this._selectedPreTokenizer(),
+            characterCoverage: this.getCharacterCoverage(),
+            specialTokens: this.getSpecialTokens(),
             onProgress: (progress) => this.uiManager.updateProgress(progress),
+            checkpoint: checkpoint ? { store: checkpoint.store, key: checkpoint.key } : null,
+            resumeFrom: checkpoint?.snapshot ?? null,
         });
     }
 
+    /**
+     * The app's PreTokenizer with the selected rules and normalization.
+     * @returns {import('../wasm/pre_tokenizer.mjs').PreTokenizer|import('../wasm/regex_pre_tokenizer.mjs').RegexPreTokenizer|null}
+     */
+    _selectedPreTokenizer() {
+        if (!this.preTokenizer) return null;
+        const rules = this.getPreTokenizerRules();
+        const preTokenizer = this.preTokenizer.rules.preset === rules ? this.preTokenizer : this.preTokenizer.withRules(rules);
+        return preTokenizer.withNormalizer(this.createNormalizer(this.getNormalizerRules()));
+    }
+
+    /**
+     * The app's Normalizer with the given rules — a model's `normalizer`
+     * (null: NFC, what models without one were trained with).
+     * @param {object|null} rules
+     * @returns {import('../wasm/normalizer.mjs').Normalizer|null}
+     */
+    createNormalizer(rules) {
+        return this.preTokenizer?.normalizer.withRules(rules ?? null) ?? null;
+    }
+
+    /**
+     * Preselect a loaded model's pre-tokenizer, so retraining splits the same way.
+     * @param {{ preset: string, pattern?: string }|null} rules
+     */
+    _selectPreTokenizer(rules) {
+        const select = $('preTokenizerSelect');
+        if (!rules || !select || ![...select.options].some(o => o.value === rules.preset)) return;
+        select.value = rules.preset;
+        $('preTokenizerPatternInput').value = rules.preset === 'regex' ? rules.pattern : '';
+        $('preTokenizerPatternInput').classList.toggle('hidden', rules.preset !== 'regex');
+    }
+
+    /**
+     * Preselect a loaded model's normalization, so retraining normalizes the same way.
+     * @param {{ form: string, caseFold?: boolean, stripAccents?: boolean }|null} rules - null: NFC
+     */
+    _selectNormalizer(rules) {
+        const select = $('normalizerSelect');
+        if (!select) return;
+        const { form = 'NFC', caseFold = false, stripAccents = false } = rules ?? {};
+        select.value = form === 'none' ? 'none' : caseFold ? 'nfkc_cf' : form.toLowerCase();
+        $('stripAccentsToggle').checked = stripAccents;
+        $('stripAccentsToggle').disabled = form === 'none';
+    }
+
+    /**
+     * Preselect a loaded model's base alphabet (a coverage the list lacks is added to it).
+     * @param {number|null} characterCoverage
+     */
+    _selectCharacterCoverage(characterCoverage) {
+        const select = $('characterCoverageSelect');
+        if (!select) return;
+        const value = characterCoverage === null ? '' : String(characterCoverage);
+        if (![...select.options].some(o => o.value === value)) {
+            select.add(new Option(`Characters · ${(characterCoverage * 100).toFixed(2)}% coverage`, value));
+        }
+        select.value = value;
+    }
+
+    /**
+     * The app's Normalizer with the current model's rules — what encoding
+     * normalizes with.
+     * @returns {import('../wasm/normalizer.mjs').Normalizer|null}
+     */
+    getModelNormalizer() {
+        return this.trainedModel ? this.createNormalizer(this.trainedModel.normalizer) : null;
+    }
+
+    /**
+     * The app's PreTokenizer with the current model's rules and normalizer —
+     * what encoding splits with. Null when the model has no rules recorded.
+     * @returns {import('../wasm/pre_tokenizer.mjs').PreTokenizer|import('../wasm/regex_pre_tokenizer.mjs').RegexPreTokenizer|null}
+     */
+    getModelPreTokenizer() {
+        return this.trainedModel ? this.createPreTokenizer(this.trainedModel.preTokenizer, this.getModelNormalizer()) : null;
+    }
+
+    /**
+     * The app's PreTokenizer with the given rules — a model's `preTokenizer` —
+     * and normalizer. Null when there are no rules.
+     * @param {object|null} rules
+     * @param {import('../wasm/normalizer.mjs').Normalizer|null} normalizer
+     * @returns {import('../wasm/pre_tokenizer.mjs').PreTokenizer|import('../wasm/regex_pre_tokenizer.mjs').RegexPreTokenizer|null}
+     */
+    createPreTokenizer(rules, normalizer) {
+        if (!this.preTokenizer || !rules) return null;
+        const preTokenizer = this.preTokenizer.withRules(rules);
+        return normalizer ? preTokenizer.withNormalizer(normalizer) : preTokenizer;
+    }
+
     getTrainedModel() {
         return this.trainedModel;
     }
@@ -174,25 +457,87 @@ export class TrainingManager {
         const model = this.trainedModel;
         if (!model) return;
 
-        const exportData = {
-            version: 1,
-            vocabSize: model.vocabSize,
-            vocab: model.vocab,        // byte arrays
-            merges: model.merges,      // [[a, b, newId], ...]
-        };
-
-        const blob = new Blob([JSON.stringify(exportData)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `bpe-vocab-${model.vocabSize}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        const blob = new Blob([JSON.stringify(toModelJson(model))], { type: 'application/json' });
+        downloadBlob(blob, `bpe-vocab-${model.vocabSize}.json`);
         this.logger.log(`→ downloaded vocabulary (${model.vocabSize} tokens)`);
     }
 
     /**
-     * Load model from JSON data
+     * Download trained model as a Hugging Face tokenizer.json (byte-level BPE)
+     */
+    downloadTokenizerJson() {
+        const model = this.trainedModel;
+        if (!model) return;
+
+        const json = this._byteLevelExport(() => toTokenizerJson(model));
+        if (!json) return;
+
+        const blob = new Blob([JSON.stringify(json)], { type: 'application/json' });
+        downloadBlob(blob, `tokenizer-${model.vocabSize}.json`);
+        this.logger.log(`→ downloaded tokenizer.json (${model.vocabSize} tokens)`);
+    }
+
+    /**
+     * Download trained model as a tiktoken rank file (base64 bytes + rank per line)
+     */
+    downloadTiktoken() {
+        const model = this.trainedModel;
+        if (!model) return;
+
+        const text = this._byteLevelExport(() => toTiktoken(model));
+        if (!text) return;
+
+        const blob = new Blob([text], { type: 'text/plain' });
+        downloadBlob(blob, `bpe-${model.vocabSize}.tiktoken`);
+        this.logger.log(`→ downloaded .tiktoken (${model.vocabSize} tokens)`);
+        this._downloadAddedTokens(toAddedTokensJson(model));
+    }
+
+    /**
+     * Download trained model as a GPT-2 style vocab.json + merges.txt pair
+     */
+    downloadGpt2Files() {
+        const model = this.trainedModel;
+        if (!model) return;
+
+        const files = this._byteLevelExport(() => toGpt2Files(model));
+        if (!files) return;
+
+        const { vocabJson, mergesTxt, addedTokensJson } = files;
+        downloadBlob(new Blob([vocabJson], { type: 'application/json' }), VOCAB_FILE_NAME);
+        downloadBlob(new Blob([mergesTxt], { type: 'text/plain' }), MERGES_FILE_NAME);
+        this.logger.log(`→ downloaded ${VOCAB_FILE_NAME} + ${MERGES_FILE_NAME} (${model.vocabSize} tokens)`);
+        this._downloadAddedTokens(addedTokensJson);
+    }
+
+    /**
+     * Run a byte-level export. Those formats start every word from bytes, so
+     * their codecs refuse a character-coverage model (assertByteLevelModel).
+     * @template T
+     * @param {() => T} build
+     * @returns {T|null} null once the refusal is logged
+     */
+    _byteLevelExport(build) {
+        try {
+            return build();
+        } catch (err) {
+            this.logger.log(`✗ ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Special tokens sidecar for formats that cannot hold them
+     * @param {string|null} addedTokensJson
+     */
+    _downloadAddedTokens(addedTokensJson) {
+        if (!addedTokensJson) return;
+        downloadBlob(new Blob([addedTokensJson], { type: 'application/json' }), ADDED_TOKENS_FILE_NAME);
+        this.logger.log(`→ downloaded ${ADDED_TOKENS_FILE_NAME} (special tokens)`);
+    }
+
+    /**
+     * Load model from JSON data (see codecs/index.js parseModelFile for other formats)
      */
     loadFromJSON(jsonData) {
         if (!jsonData.vocab || !jsonData.merges) {
@@ -216,10 +561,22 @@ export class TrainingManager {
             vocabStrings,
             vocabSize: vocab.length,
             merges: jsonData.merges,
+            specialTokens: jsonData.specialTokens ?? {},
+            preTokenizer: jsonData.preTokenizer ?? null,
+            normalizer: jsonData.normalizer ?? null,
+            characterCoverage: jsonData.characterCoverage ?? null,
         };
 
         this.trainedModel = model;
-        this.logger.log(`→ loaded vocabulary: ${model.vocabSize} tokens, ${model.merges.length} merges`);
+        this._selectPreTokenizer(model.preTokenizer);
+        this._selectNormalizer(model.normalizer);
+        this._selectCharacterCoverage(model.characterCoverage);
+        const specialCount = Object.keys(model.specialTokens).length;
+        this.logger.log(`→ loaded vocabulary: ${model.vocabSize} tokens, ${model.merges.length} merges` +
+            (specialCount > 0 ? `, ${specialCount} special tokens` : '') +
+            (model.preTokenizer ? `, ${model.preTokenizer.preset} pre-tokenizer` : '') +
+            (model.normalizer ? `, ${normalizerLabel(model.normalizer)} normalization` : '') +
+            (model.characterCoverage !== null ? `, character coverage ${model.characterCoverage}` : ''));
         return model;
     }
 }
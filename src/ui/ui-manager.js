@@ -90,21 +90,49 @@ export class UIManager {
     }
 
     displayTrainingComplete(result) {
-        $('progressFill').style.width = '100%';
-        $('progressLabel').textContent = `✓ done — ${result.vocabSize.toLocaleString()} tokens`;
+        if (!result.cancelled) $('progressFill').style.width = '100%';
+        $('progressLabel').textContent = result.cancelled
+            ? `✗ cancelled — ${result.vocabSize.toLocaleString()} tokens (partial)`
+            : `✓ done — ${result.vocabSize.toLocaleString()} tokens`;
         $('progressLabel').classList.add('text-amber-accent');
         $('progressEta').textContent = `${result.trainingTime}`;
         $('downloadBtn').innerHTML = `<svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5M16.5 12L12 16.5m0 0L7.5 12m4.5 4.5V3"/></svg><span>Download Vocabulary (${result.vocabSize.toLocaleString()} tokens)</span>`;
         $('downloadBtn').classList.remove('hidden');
+        $('downloadHfBtn').classList.remove('hidden');
+        $('downloadTiktokenBtn').classList.remove('hidden');
+        $('downloadGpt2Btn').classList.remove('hidden');
         this.logger.log(`→ training complete (${result.vocabSize.toLocaleString()} tokens)`);
     }
 
     showTrainingProgress() {
         $('downloadBtn').classList.add('hidden');
+        $('downloadHfBtn').classList.add('hidden');
+        $('downloadTiktokenBtn').classList.add('hidden');
+        $('downloadGpt2Btn').classList.add('hidden');
         $('progressWrap').classList.remove('hidden');
         $('progressFill').style.width = '0%';
         $('progressEta').textContent = '';
         $('progressLabel').classList.remove('text-amber-accent');
+        $('pauseBtnText').textContent = 'Pause';
+        $('pauseBtn').disabled = false;
+        $('cancelBtn').disabled = false;
+        $('trainControls').classList.remove('hidden');
+    }
+
+    hideTrainingControls() {
+        $('trainControls').classList.add('hidden');
+    }
+
+    /** @param {boolean} paused */
+    setTrainingPaused(paused) {
+        $('pauseBtnText').textContent = paused ? 'Resume' : 'Pause';
+        $('progressEta').textContent = paused ? 'paused' : 'estimating…';
+    }
+
+    setTrainingCancelling() {
+        $('pauseBtn').disabled = true;
+        $('cancelBtn').disabled = true;
+        $('progressEta').textContent = 'cancelling…';
     }
 
     updateVocabStatus(vocabSize) {
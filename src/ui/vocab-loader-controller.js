@@ -1,4 +1,5 @@
 import { $, ICONS } from '../utils.js';
+import { readModelFiles } from '../bpe/codecs/index.js';
 
 // ─── Vocab Loader Controller ───
 export class VocabLoaderController {
@@ -21,19 +22,19 @@ export class VocabLoaderController {
         $('loadVocabBtn').addEventListener('click', () => fileInput.click());
 
         fileInput.addEventListener('change', async (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
-            await this._loadVocabFile(file);
+            const files = [...e.target.files];
+            if (files.length === 0) return;
+            await this._loadVocabFiles(files);
             fileInput.value = '';
         });
     }
 
-    async _loadVocabFile(file) {
+    /** @param {File[]} files - one vocabulary file, or vocab.json + merges.txt */
+    async _loadVocabFiles(files) {
         const trainingManager = this.getTrainingManager();
 
         try {
-            const text = await file.text();
-            const jsonData = JSON.parse(text);
+            const jsonData = await readModelFiles(files);
 
             if (!trainingManager) {
                 this.logger.log('✗ Engine not initialized yet');
@@ -54,6 +55,9 @@ export class VocabLoaderController {
         const downloadBtn = $('downloadBtn');
         downloadBtn.innerHTML = `${ICONS.download}<span>Download Vocabulary (${vocabSize.toLocaleString()} tokens)</span>`;
         downloadBtn.classList.remove('hidden');
+        $('downloadHfBtn').classList.remove('hidden');
+        $('downloadTiktokenBtn').classList.remove('hidden');
+        $('downloadGpt2Btn').classList.remove('hidden');
 
         this.statusManager.setStatus('ok', `Loaded ${vocabSize} tokens`);
     }
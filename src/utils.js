@@ -44,6 +44,38 @@ export const ICONS = {
 // ─── Utilities ───
 export const $ = id => document.getElementById(id);
 
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a Blob (File) slice by slice, never holding more than one slice.
+ * @param {Blob} blob
+ * @param {number} [sliceSize]
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+export async function* readBlobSlices(blob, sliceSize = 8 * BYTES_PER_MB) {
+    for (let offset = 0; offset < blob.size; offset += sliceSize) {
+        yield new Uint8Array(await blob.slice(offset, offset + sliceSize).arrayBuffer());
+    }
+}
+
+/**
+ * Check if a filename has a recognized text extension.
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isTextFile(name) {
+    const dot = name.lastIndexOf('.');
+    if (dot === -1) return false;
+    return TEXT_EXTENSIONS.has(name.slice(dot + 1).toLowerCase());
+}
+
 export function formatSize(bytes) {
     if (bytes < BYTES_PER_KB) return `${bytes} B`;
     if (bytes < BYTES_PER_MB) return `${(bytes / BYTES_PER_KB).toFixed(1)} KB`;
@@ -84,7 +116,14 @@ export function resolveTokenText(tokenId, result) {
     return String.fromCharCode(tokenId);
 }
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+export function escapeHtml(text) {
+    return text.replace(/[&<>"]/g, ch => HTML_ESCAPES[ch]);
+}
+
 export function renderTokenSpan(tokenId, result) {
-    const display = escapeWhitespace(resolveTokenText(tokenId, result));
-    return `<span class="token" title="Token ID: ${tokenId}">${display}<span class="token-id">#${tokenId}</span></span>`;
+    const display = escapeHtml(escapeWhitespace(resolveTokenText(tokenId, result)));
+    const cls = result.specialIds?.has(tokenId) ? 'token token-special' : 'token';
+    return `<span class="${cls}" title="Token ID: ${tokenId}">${display}<span class="token-id">#${tokenId}</span></span>`;
 }
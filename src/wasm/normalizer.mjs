@@ -0,0 +1,330 @@
+// =============================================================================
+// Normalizer — Model-Level Unicode Normalization
+// =============================================================================
+//
+// Every text a model sees — the training corpus, and the input of every
+// encode — goes through the same normalization, so the model records it next
+// to its pre-tokenizer rules (`normalizer` in the model JSON). The choices:
+//
+//   none      bytes as given
+//   NFC       canonical composition (the default, and what older models used)
+//   NFKC      compatibility composition: ﬁ → fi, ² → 2, full-width → ASCII
+//   NFKC_CF   NFKC plus Unicode case folding
+//
+// and, with NFC or NFKC, optional accent stripping: nonspacing marks (Mn) are
+// dropped from the decomposed text before it is composed again (é → e).
+//
+// Usage:
+//   import { Decoder } from './decoder.mjs';
+//   import { Normalizer } from './normalizer.mjs';
+//
+//   const decoder = await Decoder.init();
+//   const normalizer = new Normalizer(decoder, { form: 'NFKC', caseFold: true });
+//   const bytes = normalizer.normalizeBytes(rawBytes);
+//
+// All forms work character by character with the marks that follow, so text
+// normalizes line by line: normalizeChunks streams a file in bounded memory.
+// Special-token text is not the model's to normalize (case folding would
+// turn <|EOS|> into <|eos|>), so it can be kept as given.
+//
+// =============================================================================
+
+import { Category, NormalizationForm } from './decoder.mjs';
+
+// ─── Constants ──────────────────────────────────────────────
+
+const encoder = new TextEncoder();
+const NEWLINE = 0x0A;
+const ASCII_ONLY = /^[\0-\x7F]*$/;
+
+/** @readonly @enum {string} */
+export const NormalizerForm = Object.freeze({
+    NONE: 'none',
+    NFC: 'NFC',
+    NFKC: 'NFKC',
+});
+
+/**
+ * Serializable normalization settings.
+ *
+ * @typedef {Object} NormalizerRules
+ * @property {string} form - NormalizerForm
+ * @property {boolean} caseFold - Unicode case folding (after compatibility mapping)
+ * @property {boolean} stripAccents - drop nonspacing marks (needs NFC or NFKC)
+ */
+
+/** Shorthand names accepted by resolveNormalizerRules */
+const PRESET_RULES = Object.freeze({
+    none: Object.freeze({ form: NormalizerForm.NONE, caseFold: false, stripAccents: false }),
+    nfc: Object.freeze({ form: NormalizerForm.NFC, caseFold: false, stripAccents: false }),
+    nfkc: Object.freeze({ form: NormalizerForm.NFKC, caseFold: false, stripAccents: false }),
+    nfkc_cf: Object.freeze({ form: NormalizerForm.NFKC, caseFold: true, stripAccents: false }),
+});
+
+/** Composed form → the decomposed form accent stripping works on */
+const DECOMPOSED = Object.freeze({
+    [NormalizerForm.NFC]: NormalizationForm.NFD,
+    [NormalizerForm.NFKC]: NormalizationForm.NFKD,
+});
+
+// ─── Rules ──────────────────────────────────────────────────
+
+/**
+ * Resolve a normalization spec to complete, frozen rules.
+ *
+ * @param {string|Partial<NormalizerRules>|null} [spec] - a shorthand (none |
+ *   nfc | nfkc | nfkc_cf, any case), rules (from a model JSON), or null for NFC
+ * @returns {Readonly<NormalizerRules>}
+ */
+export function resolveNormalizerRules(spec = null) {
+    if (spec === null || spec === undefined) return PRESET_RULES.nfc;
+
+    if (typeof spec === 'string') {
+        const rules = PRESET_RULES[spec.toLowerCase()];
+        if (!rules) {
+            throw new Error(`Unknown normalizer "${spec}" (expected ${Object.keys(PRESET_RULES).join(' | ')})`);
+        }
+        return rules;
+    }
+
+    const { form = NormalizerForm.NFC, caseFold = false, stripAccents = false, ...rest } = spec;
+    const unknown = Object.keys(rest)[0];
+    if (unknown !== undefined) {
+        throw new Error(`Unknown normalizer rule "${unknown}"`);
+    }
+    if (!Object.values(NormalizerForm).includes(form)) {
+        throw new Error(`Invalid normalizer form: ${JSON.stringify(form)} (expected ${Object.values(NormalizerForm).join(' | ')})`);
+    }
+    if (typeof caseFold !== 'boolean' || typeof stripAccents !== 'boolean') {
+        throw new Error('Normalizer caseFold and stripAccents must be booleans');
+    }
+    if (stripAccents && form === NormalizerForm.NONE) {
+        throw new Error('Accent stripping needs a normalization form (NFC or NFKC)');
+    }
+    return Object.freeze({ form, caseFold, stripAccents });
+}
+
+/**
+ * Short label for logs and checkpoint keys, e.g. "NFKC+casefold".
+ *
+ * @param {string|Partial<NormalizerRules>|null} spec
+ * @returns {string}
+ */
+export function normalizerLabel(spec) {
+    const { form, caseFold, stripAccents } = resolveNormalizerRules(spec);
+    return [form, caseFold && 'casefold', stripAccents && 'strip-accents'].filter(Boolean).join('+');
+}
+
+// ─── Normalizer ─────────────────────────────────────────────
+
+/**
+ * Applies a model's normalization rules with the Decoder's Unicode tables.
+ */
+export class Normalizer {
+    /** @type {import('./decoder.mjs').Decoder} */
+    #decoder;
+
+    /** @type {Readonly<NormalizerRules>} */
+    #rules;
+
+    /** @type {Map<number, string>} — case folding by code point (non-ASCII) */
+    #folds = new Map();
+
+    /** @type {Map<number, boolean>} — nonspacing mark by code point */
+    #marks = new Map();
+
+    /**
+     * @param {import('./decoder.mjs').Decoder} decoder — initialized Decoder instance
+     * @param {string|Partial<NormalizerRules>|null} [rules] — see resolveNormalizerRules; default NFC
+     */
+    constructor(decoder, rules = null) {
+        if (!decoder) {
+            throw new Error('Normalizer requires an initialized Decoder instance');
+        }
+        this.#decoder = decoder;
+        this.#rules = resolveNormalizerRules(rules);
+    }
+
+    /** Resolved rules — what a model JSON records as `normalizer` */
+    get rules() {
+        return this.#rules;
+    }
+
+    /** True when text passes through unchanged (form none, no case folding) */
+    get isIdentity() {
+        return this.#rules.form === NormalizerForm.NONE && !this.#rules.caseFold;
+    }
+
+    /**
+     * A normalizer on the same Decoder with other rules.
+     *
+     * @param {string|Partial<NormalizerRules>|null} rules
+     * @returns {Normalizer}
+     */
+    withRules(rules) {
+        return new Normalizer(this.#decoder, rules);
+    }
+
+    /**
+     * Normalize text.
+     *
+     * @param {string} text
+     * @returns {string}
+     */
+    normalize(text) {
+        if (!text || this.isIdentity) return text;
+
+        // ASCII is stable under every form; only case folding changes it
+        const { form, caseFold, stripAccents } = this.#rules;
+        if (ASCII_ONLY.test(text)) return caseFold ? text.toLowerCase() : text;
+
+        if (form === NormalizerForm.NONE) return this.#fold(text);
+        if (!caseFold && !stripAccents) return this.#wasmNormalize(text, NormalizationForm[form]);
+
+        // Decompose, fold, strip marks, compose — folding can yield composed
+        // characters, so decompose again before the marks are dropped
+        let out = this.#wasmNormalize(text, DECOMPOSED[form]);
+        if (caseFold) out = this.#fold(out);
+        if (stripAccents) out = this.#stripMarks(caseFold ? this.#wasmNormalize(out, DECOMPOSED[form]) : out);
+        return this.#wasmNormalize(out, NormalizationForm[form]);
+    }
+
+    /**
+     * Normalize UTF-8 bytes. Plain NFC / NFKC stays in WASM (no JS string).
+     *
+     * @param {Uint8Array} bytes
+     * @returns {Uint8Array}
+     */
+    normalizeBytes(bytes) {
+        if (!bytes || bytes.length === 0 || this.isIdentity) return bytes;
+
+        const { form, caseFold, stripAccents } = this.#rules;
+        if (form !== NormalizerForm.NONE && !caseFold && !stripAccents) {
+            const normalized = this.#decoder.normalizeBytes(bytes, NormalizationForm[form]);
+            // Guard: normalize can silently return empty for large inputs (WASM OOM)
+            if (normalized && normalized.length > 0) return normalized;
+            console.warn(`Normalizer: WASM normalizeBytes returned empty (${bytes.length} bytes), keeping raw`);
+            return bytes;
+        }
+
+        const text = new TextDecoder('utf-8', { ignoreBOM: true }).decode(bytes);
+        return encoder.encode(this.normalize(text));
+    }
+
+    /** @param {string} text @param {number} form — NormalizationForm */
+    #wasmNormalize(text, form) {
+        if (!text) return text;
+        const normalized = this.#decoder.normalize(text, form);
+        if (normalized) return normalized;
+        console.warn(`Normalizer: WASM normalize returned empty (${text.length} chars), keeping raw`);
+        return text;
+    }
+
+    /**
+     * Case folding, code point by code point. The Decoder's tables fold each
+     * code point to one (ß stays ß, ﬁ is left to NFKC).
+     */
+    #fold(text) {
+        let out = '';
+        for (const ch of text) {
+            const cp = ch.codePointAt(0);
+            if (cp < 0x80) {
+                out += cp >= 0x41 && cp <= 0x5A ? String.fromCharCode(cp + 32) : ch;
+                continue;
+            }
+            let folded = this.#folds.get(cp);
+            if (folded === undefined) {
+                folded = String.fromCodePoint(...this.#decoder.caseFoldFull(cp));
+                this.#folds.set(cp, folded);
+            }
+            out += folded;
+        }
+        return out;
+    }
+
+    /** Drop nonspacing marks (General Category Mn) */
+    #stripMarks(text) {
+        let out = '';
+        for (const ch of text) {
+            const cp = ch.codePointAt(0);
+            let mark = cp >= 0x300 ? this.#marks.get(cp) : false;
+            if (mark === undefined) {
+                mark = this.#decoder.getCategory(cp) === Category.NONSPACING_MARK;
+                this.#marks.set(cp, mark);
+            }
+            if (!mark) out += ch;
+        }
+        return out;
+    }
+}
+
+// ─── Streams ────────────────────────────────────────────────
+
+/**
+ * Regex matching any of the given strings, longest first (null for none).
+ *
+ * @param {Iterable<string>} keep
+ * @returns {RegExp|null}
+ */
+export function keepPattern(keep) {
+    const names = [...keep].filter(Boolean).sort((a, b) => b.length - a.length);
+    if (names.length === 0) return null;
+    return new RegExp(names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g');
+}
+
+/**
+ * Normalize a byte stream chunk by chunk: each output chunk ends on a
+ * newline (no form composes, folds or strips across one) and the rest is
+ * carried into the next.
+ *
+ * @param {AsyncIterable<Uint8Array>|Iterable<Uint8Array>} chunks
+ * @param {Normalizer|null} normalizer - null or identity: chunks pass through
+ * @param {Iterable<string>} [keep] - text left as is, e.g. allowed special tokens
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+export async function* normalizeChunks(chunks, normalizer, keep = []) {
+    if (!normalizer || normalizer.isIdentity) {
+        yield* chunks;
+        return;
+    }
+
+    const pattern = keepPattern(keep);
+    const normalize = pattern
+        ? bytes => encoder.encode(normalizeAround(normalizer, new TextDecoder().decode(bytes), pattern))
+        : bytes => normalizer.normalizeBytes(bytes);
+
+    let carry = new Uint8Array(0);
+    for await (const chunk of chunks) {
+        const data = carry.length > 0 ? concat(carry, chunk) : chunk;
+        const end = data.lastIndexOf(NEWLINE) + 1;
+        if (end > 0) yield normalize(data.subarray(0, end));
+        carry = data.slice(end);
+    }
+    if (carry.length > 0) yield normalize(carry);
+}
+
+/**
+ * Normalize the text between matches of `pattern`; matches stay as they are.
+ *
+ * @param {Normalizer} normalizer
+ * @param {string} text
+ * @param {RegExp} pattern - from keepPattern
+ * @returns {string}
+ */
+function normalizeAround(normalizer, text, pattern) {
+    let out = '';
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        out += normalizer.normalize(text.slice(last, match.index)) + match[0];
+        last = match.index + match[0].length;
+    }
+    return out + normalizer.normalize(text.slice(last));
+}
+
+/** @param {Uint8Array} a @param {Uint8Array} b */
+function concat(a, b) {
+    const out = new Uint8Array(a.length + b.length);
+    out.set(a);
+    out.set(b, a.length);
+    return out;
+}
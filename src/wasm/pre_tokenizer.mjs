@@ -2,11 +2,12 @@
 // Pre-Tokenizer — Unicode-Accurate Word Boundary Detection for BPE Training
 // =============================================================================
 //
-// This module provides GPT-4 style pre-tokenization using the Decoder library's
-// full Unicode property tables. It solves the multi-byte Unicode punctuation
-// merging problem where byte-level heuristics (as used in GPU kernels) cannot
-// distinguish continuation bytes of letters (e.g. ğ: C4 9F) from continuation
-// bytes of punctuation (e.g. ": E2 80 9C).
+// This module provides GPT-4 style pre-tokenization (or a preset rule set, see
+// PreTokenizerPreset) using the Decoder library's full Unicode property
+// tables. It solves the multi-byte Unicode punctuation merging problem where
+// byte-level heuristics (as used in GPU kernels) cannot distinguish
+// continuation bytes of letters (e.g. ğ: C4 9F) from continuation bytes of
+// punctuation (e.g. ": E2 80 9C).
 //
 // Usage:
 //   import { Decoder } from './decoder.mjs';
@@ -16,15 +17,26 @@
 //   const pt = new PreTokenizer(decoder);
 //   const { bytes, wordStarts } = pt.preTokenize(text);
 //
-//   // bytes:      Uint8Array — NFC-normalized UTF-8 byte stream
+//   // bytes:      Uint8Array — normalized UTF-8 byte stream (NFC by default)
 //   // wordStarts: Uint8Array — parallel mask, 1 = word-start position
 //
+//   // Other splitting schemes: a rule preset with overrides, or a reference
+//   // preset (its tokenizer's own split regex, run by RegexPreTokenizer)
+//   new PreTokenizer(decoder, { preset: 'default', digitGroup: 0 });
+//   createPreTokenizer(decoder, PreTokenizerPreset.CL100K);
+//
+//   // Another normalization (see normalizer.mjs)
+//   pt.withNormalizer(new Normalizer(decoder, 'nfkc_cf'));
+//
 // Integration with BPE trainer:
 //   For each wordStarts[i] == 1, set symbols[i] |= WORD_START_BIT
 //   Skip GPU word boundary kernel entirely.
 //
 // =============================================================================
 
+import { RegexPreTokenizer } from './regex_pre_tokenizer.mjs';
+import { Normalizer } from './normalizer.mjs';
+
 // ─── Character Classes ──────────────────────────────────────
 
 /**
@@ -43,6 +55,128 @@ export const CharClass = Object.freeze({
 
 const NEWLINE_CODEPOINTS = new Set([0x0A, 0x0D, 0x0085, 0x2028, 0x2029]);
 
+// ─── Rule Sets ──────────────────────────────────────────────
+
+/**
+ * Named rule sets. A model JSON stores the resolved rules (preset name
+ * included), so encoding can split the way training did.
+ * @enum {string}
+ */
+export const PreTokenizerPreset = Object.freeze({
+    DEFAULT: 'default',        // this library's rules (below)
+    GPT2: 'gpt2',              // GPT-2 / r50k (reference regex)
+    CL100K: 'cl100k',          // GPT-4 (reference regex)
+    LLAMA3: 'llama3',          // Llama 3 — cl100k's regex
+    WHITESPACE: 'whitespace',  // whitespace-prefixed runs of non-whitespace
+    NONE: 'none',              // no splitting — the whole input is one word
+    REGEX: 'regex',            // a tiktoken / Hugging Face split pattern (RegexPreTokenizer)
+});
+
+/**
+ * Serializable word-boundary rules.
+ *
+ * @typedef {Object} PreTokenizerRules
+ * @property {string} preset - the PreTokenizerPreset these rules start from
+ * @property {boolean} split - false: only position 0 starts a word
+ * @property {'isolate'|'group'|'whitespace'} newlines - each newline its own word |
+ *   a newline run (with the whitespace before it) is one word | newlines are whitespace
+ * @property {'run'|'last'|'none'} spacePrefix - which whitespace joins the next word:
+ *   the whole run | its last character (not a newline) | none
+ * @property {boolean} prefixDigits - whitespace may prefix a digit run
+ * @property {'merge'|'split'|'none'} contractions - English contractions ('s 're …)
+ *   stay with the word | start their own word | are ordinary punctuation
+ * @property {boolean} contractionsIgnoreCase - also match 'S 'RE …
+ * @property {boolean} splitClasses - letter / digit / punctuation+symbol transitions start a word
+ * @property {number} digitGroup - digit runs split every n digits (0 = never)
+ */
+
+/** @type {Readonly<Record<string, Readonly<PreTokenizerRules>>>} */
+const PRESET_RULES = Object.freeze({
+    [PreTokenizerPreset.DEFAULT]: Object.freeze({
+        preset: PreTokenizerPreset.DEFAULT, split: true, newlines: 'isolate', spacePrefix: 'run',
+        prefixDigits: true, contractions: 'merge', contractionsIgnoreCase: true,
+        splitClasses: true, digitGroup: 3,
+    }),
+    [PreTokenizerPreset.WHITESPACE]: Object.freeze({
+        preset: PreTokenizerPreset.WHITESPACE, split: true, newlines: 'whitespace', spacePrefix: 'run',
+        prefixDigits: true, contractions: 'none', contractionsIgnoreCase: false,
+        splitClasses: false, digitGroup: 0,
+    }),
+    [PreTokenizerPreset.NONE]: Object.freeze({
+        preset: PreTokenizerPreset.NONE, split: false, newlines: 'isolate', spacePrefix: 'run',
+        prefixDigits: true, contractions: 'none', contractionsIgnoreCase: false,
+        splitClasses: false, digitGroup: 0,
+    }),
+});
+
+/** GPT-4 (cl100k) and Llama 3 split regex, case-insensitive contractions spelled out */
+const CL100K_PATTERN = String.raw`'(?:[sdmtSDMT]|[lL][lL]|[vV][eE]|[rR][eE])|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+`;
+
+/**
+ * Reference presets: the split regex the tokenizer they are named after is
+ * defined by. Run by RegexPreTokenizer, so they split exactly like it (and
+ * like their tokenizer.json export); the rules above do not apply to them.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const PRESET_PATTERNS = Object.freeze({
+    [PreTokenizerPreset.GPT2]: String.raw`'s|'t|'re|'ve|'m|'ll|'d| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+`,
+    [PreTokenizerPreset.CL100K]: CL100K_PATTERN,
+    [PreTokenizerPreset.LLAMA3]: CL100K_PATTERN,
+});
+
+/** Allowed values of the enumerated rules */
+const RULE_CHOICES = Object.freeze({
+    newlines: ['isolate', 'group', 'whitespace'],
+    spacePrefix: ['run', 'last', 'none'],
+    contractions: ['merge', 'split', 'none'],
+});
+
+/**
+ * Resolve a rule spec to a complete, frozen rule set — or, for a reference
+ * preset or a split pattern, to `{ preset, pattern }`.
+ *
+ * @param {string|Partial<PreTokenizerRules>|{ preset: string, pattern: string }|null} [spec] -
+ *   a preset name, rules (from a model JSON, or `{ preset, ...overrides }`),
+ *   a split pattern, or null for the default
+ * @returns {Readonly<PreTokenizerRules>|Readonly<{ preset: string, pattern: string }>}
+ */
+export function resolvePreTokenizerRules(spec = null) {
+    if (spec === null || spec === undefined) return PRESET_RULES[PreTokenizerPreset.DEFAULT];
+
+    const { preset = PreTokenizerPreset.DEFAULT, ...overrides } = typeof spec === 'string' ? { preset: spec } : spec;
+    if (preset === PreTokenizerPreset.REGEX || preset in PRESET_PATTERNS) {
+        // A model JSON keeps the pattern it was trained with
+        const { pattern = PRESET_PATTERNS[preset], ...rest } = overrides;
+        if (typeof pattern !== 'string' || pattern.length === 0) {
+            throw new Error('Regex pre-tokenizer rules need a pattern');
+        }
+        const unknown = Object.keys(rest)[0];
+        if (unknown !== undefined) {
+            throw new Error(`Pre-tokenizer preset "${preset}" is a split regex and takes no rule "${unknown}"`);
+        }
+        return Object.freeze({ preset, pattern });
+    }
+
+    const base = PRESET_RULES[preset];
+    if (!base) {
+        throw new Error(`Unknown pre-tokenizer preset "${preset}" (expected ${Object.values(PreTokenizerPreset).join(' | ')})`);
+    }
+
+    const rules = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        if (!(key in base)) {
+            throw new Error(`Unknown pre-tokenizer rule "${key}"`);
+        }
+        const valid = RULE_CHOICES[key]?.includes(value)
+            ?? (key === 'digitGroup' ? Number.isInteger(value) && value >= 0 : typeof value === 'boolean');
+        if (!valid) {
+            throw new Error(`Invalid pre-tokenizer rule ${key}: ${JSON.stringify(value)}`);
+        }
+        rules[key] = value;
+    }
+    return Object.freeze(rules);
+}
+
 // ─── Contraction Matching ───────────────────────────────────
 
 // English contractions: 's 't 'm 'd 're 've 'll
@@ -51,40 +185,45 @@ const NEWLINE_CODEPOINTS = new Set([0x0A, 0x0D, 0x0085, 0x2028, 0x2029]);
  * Single-char contraction suffixes (after apostrophe): s, t, m, d
  * @type {Set<number>}
  */
-const SINGLE_CHAR_SUFFIXES = new Set([
-    0x73, 0x53,  // s/S
-    0x74, 0x54,  // t/T
-    0x6D, 0x4D,  // m/M
-    0x64, 0x44,  // d/D
-]);
+const SINGLE_CHAR_SUFFIXES = new Set([0x73, 0x74, 0x6D, 0x64]);
 
 /**
  * Two-char contraction suffixes (after apostrophe): re, ve, ll
- * Each entry: [first_lower, first_upper, second_lower, second_upper]
+ * Each entry: [first, second]
  * @type {number[][]}
  */
 const TWO_CHAR_SUFFIXES = [
-    [0x72, 0x52, 0x65, 0x45],  // re/RE
-    [0x76, 0x56, 0x65, 0x45],  // ve/VE
-    [0x6C, 0x4C, 0x6C, 0x4C],  // ll/LL
+    [0x72, 0x65],  // re
+    [0x76, 0x65],  // ve
+    [0x6C, 0x6C],  // ll
 ];
 
 /** Apostrophe codepoints: ASCII ' and Unicode right single quote ' */
 const APOSTROPHES = new Set([0x27, 0x2019]);
 
+/**
+ * @param {number} cp
+ * @param {boolean} ignoreCase
+ * @returns {number} cp, ASCII-lowercased when ignoring case
+ */
+function suffixChar(cp, ignoreCase) {
+    return ignoreCase && cp >= 0x41 && cp <= 0x5A ? cp + 0x20 : cp;
+}
+
 /**
  * Try to match an English contraction starting at the apostrophe position.
  *
  * @param {Uint32Array} codepoints
  * @param {Uint8Array} classes
  * @param {number} i — position of the apostrophe
+ * @param {boolean} ignoreCase — also match upper-case suffixes
  * @returns {number} — codepoints consumed (including apostrophe), or 0
  */
-function matchContraction(codepoints, classes, i) {
+function matchContraction(codepoints, classes, i, ignoreCase) {
     const n = codepoints.length;
     if (i + 1 >= n) return 0;
 
-    const next = codepoints[i + 1];
+    const next = suffixChar(codepoints[i + 1], ignoreCase);
     const afterIsNonLetter = i + 2 >= n || classes[i + 2] !== CharClass.LETTER;
 
     // Single-char: 's 't 'm 'd
@@ -94,13 +233,11 @@ function matchContraction(codepoints, classes, i) {
 
     // Two-char: 're 've 'll
     if (i + 2 < n) {
-        const nextNext = codepoints[i + 2];
+        const nextNext = suffixChar(codepoints[i + 2], ignoreCase);
         const afterTwoIsNonLetter = i + 3 >= n || classes[i + 3] !== CharClass.LETTER;
 
-        for (const [lo1, hi1, lo2, hi2] of TWO_CHAR_SUFFIXES) {
-            if ((next === lo1 || next === hi1) &&
-                (nextNext === lo2 || nextNext === hi2) &&
-                afterTwoIsNonLetter) {
+        for (const [first, second] of TWO_CHAR_SUFFIXES) {
+            if (next === first && nextNext === second && afterTwoIsNonLetter) {
                 return 3;
             }
         }
@@ -189,95 +326,127 @@ function isClassTransitionBoundary(prev, curr) {
 }
 
 /**
- * Check if position `i` is a 3-digit boundary within a digit run.
+ * Check if position `i` is a group boundary within a digit run.
  *
  * @param {Uint8Array} classes
  * @param {number} i
+ * @param {number} group — digits per group
  * @returns {boolean}
  */
-function isDigitRunSplitPoint(classes, i) {
+function isDigitRunSplitPoint(classes, i, group) {
     let runStart = i - 1;
     while (runStart > 0 && classes[runStart - 1] === CharClass.DIGIT) {
         runStart--;
     }
-    return (i - runStart) % 3 === 0;
+    return (i - runStart) % group === 0;
 }
 
 /**
- * Find word boundaries using GPT-4 style rules at codepoint level.
+ * Find word boundaries at codepoint level.
  *
  * Key design: whitespace is a PREFIX to the following word, not a standalone token.
  * "kabul edilmek" → [kabul][ edilmek], NOT [kabul][ ][edilmek]
  *
- * Rules (in priority order):
- * 1. Position 0 is always a word start
- * 2. Newlines always cause hard boundaries on both sides
+ * Rules (in priority order; the default preset's choices in brackets):
+ * 1. Position 0 is always a word start — the only one without `split`
+ * 2. Newlines cause hard boundaries [on both sides of each newline]
  * 3. Whitespace after non-whitespace = new word (space becomes prefix)
- * 4. Non-whitespace after whitespace = CONTINUES the space-prefixed word
- * 5. English contractions merge with the preceding word
+ * 4. Non-whitespace after whitespace CONTINUES the space-prefixed word
+ *    [the whole run is the prefix; digits take one too]
+ * 5. English contractions [merge with the preceding word]
  * 6. Transition between non-whitespace classes starts a new word
- * 7. Digit runs split at 3-digit boundaries
+ * 7. Digit runs split at [3-digit] boundaries
  * 8. Consecutive punct/symbol stays as one word
  *
  * @param {Uint32Array} codepoints
  * @param {Uint8Array} classes
+ * @param {PreTokenizerRules} rules
  * @returns {Uint8Array} — 1 = word start, 0 = continuation
  */
-function findWordBoundaries(codepoints, classes) {
+function findWordBoundaries(codepoints, classes, rules) {
     const n = codepoints.length;
     const starts = new Uint8Array(n);
 
     if (n === 0) return starts;
 
     starts[0] = 1;
+    if (!rules.split) return starts;
+
+    const newlineIsSpace = rules.newlines === 'whitespace';
+    const isSpace = (cls) => cls === CharClass.WHITESPACE || (newlineIsSpace && cls === CharClass.NEWLINE);
+
+    /** Whether the codepoint at j takes a one-character whitespace prefix */
+    const takesPrefix = (j) => j < n
+        && !isSpace(classes[j]) && classes[j] !== CharClass.NEWLINE
+        && (rules.prefixDigits || classes[j] !== CharClass.DIGIT);
 
     let i = 1;
+    let afterContraction = false;
     while (i < n) {
         const prev = classes[i - 1];
         const curr = classes[i];
-
-        // ── Newlines: always hard boundary ──
-        if (curr === CharClass.NEWLINE || prev === CharClass.NEWLINE) {
-            starts[i] = 1;
+        const chained = afterContraction;
+        afterContraction = false;
+
+        // ── Newlines: hard boundary (a 'group' run continues across newlines) ──
+        if (!newlineIsSpace && (curr === CharClass.NEWLINE || prev === CharClass.NEWLINE)) {
+            const grouped = rules.newlines === 'group' && curr === CharClass.NEWLINE
+                && (prev === CharClass.NEWLINE || prev === CharClass.WHITESPACE);
+            if (!grouped) {
+                starts[i] = 1;
+            }
             i++;
             continue;
         }
 
         // ── Whitespace handling (space-prefix model) ──
-        if (curr === CharClass.WHITESPACE) {
-            if (prev !== CharClass.WHITESPACE) {
+        if (isSpace(curr)) {
+            if (!isSpace(prev)) {
                 starts[i] = 1; // Space after non-space → new word
+            } else if (rules.spacePrefix === 'last' && curr !== CharClass.NEWLINE && takesPrefix(i + 1)) {
+                starts[i] = 1; // Only the run's last space prefixes the next word
             }
-            // Consecutive whitespace stays in same chunk
+            // Otherwise consecutive whitespace stays in same chunk
             i++;
             continue;
         }
 
-        if (prev === CharClass.WHITESPACE) {
-            // Non-whitespace after whitespace → continues the ▁word unit
+        if (isSpace(prev)) {
+            // Non-whitespace after whitespace → continues the ▁word unit, unless it takes no prefix
+            if (rules.spacePrefix === 'none'
+                || (rules.spacePrefix === 'last' && prev === CharClass.NEWLINE)
+                || (!rules.prefixDigits && curr === CharClass.DIGIT)) {
+                starts[i] = 1;
+            }
             i++;
             continue;
         }
 
         // ── English contractions ──
-        if (prev === CharClass.LETTER && APOSTROPHES.has(codepoints[i])) {
-            const consumed = matchContraction(codepoints, classes, i);
+        // (a merged one ends the word: "we're's" → [we're]['s])
+        if (rules.contractions !== 'none' && prev === CharClass.LETTER && APOSTROPHES.has(codepoints[i])
+            && !(chained && rules.contractions === 'merge')) {
+            const consumed = matchContraction(codepoints, classes, i, rules.contractionsIgnoreCase);
             if (consumed > 0) {
+                if (rules.contractions === 'split') {
+                    starts[i] = 1;
+                }
                 i += consumed;
+                afterContraction = true;
                 continue;
             }
         }
 
         // ── Class transitions ──
-        if (isClassTransitionBoundary(prev, curr)) {
+        if (rules.splitClasses && isClassTransitionBoundary(prev, curr)) {
             starts[i] = 1;
             i++;
             continue;
         }
 
-        // ── Digit run splitting (every 3 digits) ──
-        if (curr === CharClass.DIGIT && prev === CharClass.DIGIT) {
-            if (isDigitRunSplitPoint(classes, i)) {
+        // ── Digit run splitting (every digitGroup digits) ──
+        if (rules.digitGroup > 0 && curr === CharClass.DIGIT && prev === CharClass.DIGIT) {
+            if (isDigitRunSplitPoint(classes, i, rules.digitGroup)) {
                 starts[i] = 1;
             }
             i++;
@@ -393,7 +562,7 @@ const EMPTY_RESULT = Object.freeze({
 // ─── PreTokenizer ───────────────────────────────────────────
 
 /**
- * GPT-4 style word boundary detection using full Unicode property tables.
+ * Rule-driven word boundary detection using full Unicode property tables.
  *
  * Produces a byte stream + parallel word-start mask suitable for GPU BPE training.
  * Replaces the GPU's byte-level char_class() heuristic with Unicode-accurate
@@ -406,21 +575,66 @@ export class PreTokenizer {
     /** @type {(codepoints: Uint32Array) => Uint8Array} */
     #classifyAll;
 
+    /** @type {Readonly<PreTokenizerRules>} */
+    #rules;
+
+    /** @type {Normalizer} */
+    #normalizer;
+
     /**
      * @param {import('./decoder.mjs').Decoder} decoder — initialized Decoder instance
+     * @param {string|Partial<PreTokenizerRules>|null} [rules] — rule preset name or rules
+     *   (see resolvePreTokenizerRules); default: PreTokenizerPreset.DEFAULT.
+     *   Reference presets and split patterns need a RegexPreTokenizer (createPreTokenizer)
+     * @param {Normalizer|null} [normalizer] — applied before splitting; default NFC
      */
-    constructor(decoder) {
+    constructor(decoder, rules = null, normalizer = null) {
         if (!decoder) {
             throw new Error('PreTokenizer requires an initialized Decoder instance');
         }
         this.#decoder = decoder;
+        this.#normalizer = normalizer ?? new Normalizer(decoder);
         this.#classifyAll = buildClassifier(decoder);
+        this.#rules = resolvePreTokenizerRules(rules);
+        if ('pattern' in this.#rules) {
+            throw new Error('A split pattern needs a RegexPreTokenizer (see createPreTokenizer)');
+        }
+    }
+
+    /** Resolved rules — what a model JSON records as `preTokenizer` */
+    get rules() {
+        return this.#rules;
+    }
+
+    /** Normalization applied before splitting */
+    get normalizer() {
+        return this.#normalizer;
+    }
+
+    /**
+     * A pre-tokenizer on the same Decoder with other rules (same normalizer).
+     *
+     * @param {string|Partial<PreTokenizerRules>|{ preset: string, pattern: string }|null} rules
+     * @returns {PreTokenizer|RegexPreTokenizer}
+     */
+    withRules(rules) {
+        return createPreTokenizer(this.#decoder, rules, this.#normalizer);
+    }
+
+    /**
+     * The same rules with another normalizer.
+     *
+     * @param {Normalizer} normalizer
+     * @returns {PreTokenizer}
+     */
+    withNormalizer(normalizer) {
+        return new PreTokenizer(this.#decoder, this.#rules, normalizer);
     }
 
     /**
      * Pre-tokenize text into bytes + word-start mask.
      *
-     * @param {string} text — input text (will be NFC-normalized)
+     * @param {string} text — input text (normalized first)
      * @returns {{ bytes: Uint8Array, wordStarts: Uint8Array }}
      */
     preTokenize(text) {
@@ -428,7 +642,7 @@ export class PreTokenizer {
 
         let normalized;
         try {
-            normalized = this.#decoder.normalize(text, 0); // NFC
+            normalized = this.#normalizer.normalize(text);
         } catch (e) {
             console.warn('PreTokenizer: WASM normalize failed, using raw text:', e.message);
             normalized = text;
@@ -442,7 +656,7 @@ export class PreTokenizer {
 
         const codepoints = toCodepoints(normalized);
         const classes = this.#classifyAll(codepoints);
-        const cpWordStarts = findWordBoundaries(codepoints, classes);
+        const cpWordStarts = findWordBoundaries(codepoints, classes, this.#rules);
 
         return encodeWithBoundaries(codepoints, cpWordStarts);
     }
@@ -459,10 +673,10 @@ export class PreTokenizer {
     preTokenizeBytes(rawBytes) {
         if (!rawBytes || rawBytes.length === 0) return EMPTY_RESULT;
 
-        // 1. NFC normalize in WASM (bytes → bytes, zero string conversion)
+        // 1. Normalize (plain NFC / NFKC: in WASM, bytes → bytes, zero string conversion)
         let normalized;
         try {
-            normalized = this.#decoder.normalizeBytes(rawBytes);
+            normalized = this.#normalizer.normalizeBytes(rawBytes);
         } catch (e) {
             console.warn('PreTokenizer: WASM normalizeBytes failed, using raw bytes:', e.message);
             normalized = rawBytes;
@@ -492,7 +706,7 @@ export class PreTokenizer {
         }
 
         // 4. Word boundary detection (JS — needs codepoint-level data)
-        const cpWordStarts = findWordBoundaries(codepoints, classes);
+        const cpWordStarts = findWordBoundaries(codepoints, classes, this.#rules);
 
         // 5. Map codepoint-level boundaries → byte-level boundaries
         //    Since normalized is already valid UTF-8, we can just map directly
@@ -509,6 +723,23 @@ export class PreTokenizer {
     }
 }
 
+/**
+ * Pre-tokenizer for stored rules (a model JSON's `preTokenizer`): a
+ * RegexPreTokenizer for a split pattern or reference preset, else a
+ * PreTokenizer.
+ *
+ * @param {import('./decoder.mjs').Decoder} decoder
+ * @param {string|Partial<PreTokenizerRules>|{ preset: string, pattern: string }|null} [rules]
+ * @param {Normalizer|null} [normalizer] — default NFC
+ * @returns {PreTokenizer|RegexPreTokenizer}
+ */
+export function createPreTokenizer(decoder, rules = null, normalizer = null) {
+    const resolved = resolvePreTokenizerRules(rules);
+    return 'pattern' in resolved
+        ? new RegexPreTokenizer(decoder, resolved.pattern, normalizer, resolved.preset)
+        : new PreTokenizer(decoder, resolved, normalizer);
+}
+
 /**
  * Decode UTF-8 bytes to codepoints without going through JS strings.
  *
@@ -0,0 +1,582 @@
+// =============================================================================
+// Regex Pre-Tokenizer — Word Boundaries from a Split Pattern
+// =============================================================================
+//
+// tiktoken and Hugging Face tokenizers define pre-tokenization as a regex:
+// every match is a pre-token. RegexPreTokenizer runs such a pattern (e.g. the
+// cl100k one) over the normalized text (NFC by default) and returns the same
+// { bytes, wordStarts } as PreTokenizer, so a model imported from one of
+// those formats can be retrained or extended with exactly its splits.
+//
+// Usage:
+//   import { Decoder } from './decoder.mjs';
+//   import { RegexPreTokenizer } from './regex_pre_tokenizer.mjs';
+//
+//   const decoder = await Decoder.init();
+//   const pt = new RegexPreTokenizer(decoder, String.raw`'(?i:[sdmt]|ll|ve|re)|...`);
+//   const { bytes, wordStarts } = pt.preTokenizeBytes(rawBytes);
+//
+// The pattern is rewritten for JS before compiling:
+//   - possessive quantifiers (X++, X?+, …) and atomic groups (?>…) become
+//     lookahead + backreference pairs
+//   - scoped (?i:…) becomes ASCII case alternatives where JS lacks modifiers;
+//     a leading (?i) becomes the `i` flag
+//   - \p{Han}-style script names become \p{Script=Han}; properties JS does not
+//     know (POSIX classes like Alnum or [:punct:], Decoder category and script
+//     names) become code point ranges built with the Decoder's tables
+//   - \x{HHHH} becomes \u{HHHH}; \A \z \Z become anchors
+// Text outside every match (a pattern that is not total) is kept as its own
+// pre-token, as the Split pre-tokenizer's Isolated behavior does.
+//
+// =============================================================================
+
+import { Category, Script } from './decoder.mjs';
+import { Normalizer } from './normalizer.mjs';
+
+// ─── Constants ──────────────────────────────────────────────
+
+const MAX_CODEPOINT = 0x10FFFF;
+const SURROGATES = [0xD800, 0xDFFF];
+
+const encoder = new TextEncoder();
+
+/** Whether this JS engine compiles (?i:…) itself */
+const INLINE_MODIFIERS = compiles('(?i:a)');
+
+/**
+ * Properties JS regexes lack, as Decoder predicates (Oniguruma / POSIX names).
+ * @type {Readonly<Record<string, (decoder: import('./decoder.mjs').Decoder, cp: number) => boolean>>}
+ */
+const DECODER_PROPERTIES = Object.freeze({
+    alnum: (d, cp) => d.isAlphanumeric(cp),
+    alpha: (d, cp) => d.isAlphabetic(cp),
+    blank: (d, cp) => cp === 0x09 || d.getCategory(cp) === Category.SPACE_SEPARATOR,
+    cntrl: (d, cp) => d.isControl(cp),
+    digit: (d, cp) => d.isDigit(cp),
+    graph: (d, cp) => d.isAssigned(cp) && !d.isWhitespace(cp) && !d.isControl(cp),
+    lower: (d, cp) => d.isLowercase(cp),
+    print: (d, cp) => d.isAssigned(cp) && !d.isControl(cp) && (!d.isWhitespace(cp) || d.getCategory(cp) === Category.SPACE_SEPARATOR),
+    punct: (d, cp) => d.isPunctuation(cp) || d.isSymbol(cp),   // Oniguruma's Unicode punct takes symbols too
+    space: (d, cp) => d.isWhitespace(cp),
+    upper: (d, cp) => d.isUppercase(cp),
+    word: (d, cp) => d.isAlphanumeric(cp) || d.isMark(cp) || d.getCategory(cp) === Category.CONNECTOR_PUNCTUATION,
+    xdigit: (d, cp) => (cp >= 0x30 && cp <= 0x39) || (cp >= 0x41 && cp <= 0x46) || (cp >= 0x61 && cp <= 0x66),
+});
+
+/** Group openers copied as is: (?: (?= (?! (?<= (?<! (?<name> and plain ( */
+const GROUP_OPENER = /^\((?:\?(?::|=|!|<=|<!|<[A-Za-z_]\w*>))?/;
+
+/** Inline modifier group: (?i: (?-i: (?i-s: … */
+const MODIFIER_GROUP = /^\(\?([imsx]*)(?:-([imsx]*))?:/;
+
+const QUANTIFIER = /^(?:[?*+]|\{\d+(?:,\d*)?\})/;
+
+// ─── Helpers ────────────────────────────────────────────────
+
+/** @param {string} source */
+function compiles(source) {
+    try {
+        new RegExp(source, 'u');
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/** @param {number} cp */
+function isAsciiLetter(cp) {
+    return (cp >= 0x41 && cp <= 0x5A) || (cp >= 0x61 && cp <= 0x7A);
+}
+
+/** @param {number} cp — ASCII letter */
+function swapCase(cp) {
+    return cp ^ 0x20;
+}
+
+/** @param {number} cp */
+function classChar(cp) {
+    return `\\u{${cp.toString(16)}}`;
+}
+
+/**
+ * Code point ranges as class contents (no brackets).
+ * @param {number[][]} ranges — sorted [first, last] pairs
+ */
+function rangesToClass(ranges) {
+    return ranges.map(([a, b]) => a === b ? classChar(a) : `${classChar(a)}-${classChar(b)}`).join('');
+}
+
+/**
+ * @param {number[][]} ranges — sorted [first, last] pairs
+ * @returns {number[][]} the code points (surrogates excluded) not in `ranges`
+ */
+function complementRanges(ranges) {
+    const out = [];
+    let next = 0;
+    for (const [a, b] of [...ranges, SURROGATES].sort((x, y) => x[0] - y[0])) {
+        if (a > next) out.push([next, a - 1]);
+        next = Math.max(next, b + 1);
+    }
+    if (next <= MAX_CODEPOINT) out.push([next, MAX_CODEPOINT]);
+    return out;
+}
+
+/**
+ * Word-start mask of `text`'s UTF-8 bytes: each match of `regex`, and each
+ * stretch between matches, starts a word.
+ *
+ * @param {string} text
+ * @param {RegExp} regex — global
+ * @param {number} byteLength — UTF-8 length of `text`
+ * @returns {Uint8Array}
+ */
+function matchWordStarts(text, regex, byteLength) {
+    const starts = new Uint8Array(byteLength);
+    if (byteLength === 0) return starts;
+    starts[0] = 1;
+
+    // UTF-16 index → UTF-8 offset, walked forward with the matches
+    let index = 0;
+    let byte = 0;
+    const advance = (to) => {
+        while (index < to) {
+            const c = text.charCodeAt(index);
+            if (c < 0x80) {
+                byte += 1;
+            } else if (c < 0x800) {
+                byte += 2;
+            } else if (c >= 0xD800 && c <= 0xDBFF) {
+                byte += 4;
+                index++;
+            } else {
+                byte += 3;
+            }
+            index++;
+        }
+    };
+
+    for (const match of text.matchAll(regex)) {
+        if (match[0].length === 0) continue;
+        advance(match.index);
+        starts[byte] = 1;
+        advance(match.index + match[0].length);
+        if (byte < byteLength) starts[byte] = 1;
+    }
+
+    return starts;
+}
+
+// ─── RegexPreTokenizer ──────────────────────────────────────
+
+/**
+ * Pre-tokenization by a tiktoken / Hugging Face split pattern.
+ *
+ * Same interface as PreTokenizer: preTokenize, preTokenizeBytes, `normalizer`,
+ * withNormalizer and `rules`
+ * — here { preset: 'regex', pattern }, which a model JSON records.
+ */
+export class RegexPreTokenizer {
+    /** @type {import('./decoder.mjs').Decoder} */
+    #decoder;
+
+    /** @type {string} */
+    #pattern;
+
+    /** @type {string} — the preset the pattern stands for ('regex' when given directly) */
+    #preset;
+
+    /** @type {RegExp} */
+    #regex;
+
+    /** @type {Normalizer} */
+    #normalizer;
+
+    /** @type {Map<string, number[][]>} — Decoder-built property ranges by name */
+    #ranges = new Map();
+
+    /** @type {number} — atomic rewrites so far (names their groups) */
+    #atomicGroups = 0;
+
+    /**
+     * @param {import('./decoder.mjs').Decoder} decoder — initialized Decoder instance
+     * @param {string} pattern — split regex in tiktoken / Hugging Face syntax
+     * @param {Normalizer|null} [normalizer] — applied before splitting; default NFC
+     * @param {string} [preset] — recorded in `rules`: a reference preset's name
+     *   (see PRESET_PATTERNS in pre_tokenizer.mjs), else 'regex'
+     */
+    constructor(decoder, pattern, normalizer = null, preset = 'regex') {
+        if (!decoder) {
+            throw new Error('RegexPreTokenizer requires an initialized Decoder instance');
+        }
+        if (typeof pattern !== 'string' || pattern.length === 0) {
+            throw new Error('RegexPreTokenizer requires a non-empty pattern');
+        }
+        this.#decoder = decoder;
+        this.#pattern = pattern;
+        this.#preset = preset;
+        this.#normalizer = normalizer ?? new Normalizer(decoder);
+
+        const { source, flags } = this.#translate(pattern);
+        try {
+            this.#regex = new RegExp(source, flags);
+        } catch (e) {
+            throw new Error(`Unsupported pre-tokenizer pattern: ${e.message}`);
+        }
+    }
+
+    /** The pattern as given */
+    get pattern() {
+        return this.#pattern;
+    }
+
+    /** The compiled JS regex */
+    get regex() {
+        return this.#regex;
+    }
+
+    /** Rules as a model JSON records them (`preTokenizer`) */
+    get rules() {
+        return Object.freeze({ preset: this.#preset, pattern: this.#pattern });
+    }
+
+    /** Normalization applied before splitting */
+    get normalizer() {
+        return this.#normalizer;
+    }
+
+    /**
+     * The same pattern with another normalizer.
+     *
+     * @param {Normalizer} normalizer
+     * @returns {RegexPreTokenizer}
+     */
+    withNormalizer(normalizer) {
+        return new RegexPreTokenizer(this.#decoder, this.#pattern, normalizer, this.#preset);
+    }
+
+    /**
+     * Pre-tokenize text into bytes + word-start mask.
+     *
+     * @param {string} text — input text (normalized first)
+     * @returns {{ bytes: Uint8Array, wordStarts: Uint8Array }}
+     */
+    preTokenize(text) {
+        if (!text) return { bytes: new Uint8Array(0), wordStarts: new Uint8Array(0) };
+
+        let normalized;
+        try {
+            normalized = this.#normalizer.normalize(text) || text;
+        } catch (e) {
+            console.warn('RegexPreTokenizer: WASM normalize failed, using raw text:', e.message);
+            normalized = text;
+        }
+
+        const bytes = encoder.encode(normalized);
+        return { bytes, wordStarts: matchWordStarts(normalized, this.#regex, bytes.length) };
+    }
+
+    /**
+     * Pre-tokenize raw UTF-8 bytes (normalized first).
+     *
+     * @param {Uint8Array} rawBytes — raw UTF-8 file bytes
+     * @returns {{ bytes: Uint8Array, wordStarts: Uint8Array }}
+     */
+    preTokenizeBytes(rawBytes) {
+        if (!rawBytes || rawBytes.length === 0) return { bytes: new Uint8Array(0), wordStarts: new Uint8Array(0) };
+
+        let normalized;
+        try {
+            normalized = this.#normalizer.normalizeBytes(rawBytes);
+        } catch (e) {
+            console.warn('RegexPreTokenizer: WASM normalizeBytes failed, using raw bytes:', e.message);
+            normalized = rawBytes;
+        }
+        if (!normalized || normalized.length === 0) normalized = rawBytes;
+
+        // Invalid UTF-8 decodes to U+FFFD — re-encode so offsets match the text
+        let text;
+        let bytes = normalized;
+        try {
+            text = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(normalized);
+        } catch {
+            text = new TextDecoder('utf-8', { ignoreBOM: true }).decode(normalized);
+            bytes = encoder.encode(text);
+        }
+
+        return { bytes, wordStarts: matchWordStarts(text, this.#regex, bytes.length) };
+    }
+
+    // ─── Pattern Translation ────────────────────────────────
+
+    /**
+     * Rewrite a tiktoken / Hugging Face pattern as a JS `u` regex.
+     *
+     * @param {string} pattern
+     * @returns {{ source: string, flags: string }}
+     */
+    #translate(pattern) {
+        let flags = 'gu';
+        let i = 0;
+        if (pattern.startsWith('(?i)')) {
+            flags += 'i';
+            i = 4;
+        }
+
+        let out = '';
+        let atomStart = -1;        // output index where the last complete atom starts
+        let ignoreCase = false;    // inside a scoped (?i:…) we rewrite ourselves
+        /** @type {{ start: number, ignoreCase: boolean, atomic: boolean }[]} */
+        const groups = [];
+
+        while (i < pattern.length) {
+            const rest = pattern.slice(i, i + 16);
+            const ch = pattern[i];
+
+            if (ch === '\\') {
+                const { fragment, length } = this.#escape(pattern, i, false);
+                atomStart = out.length;
+                out += fragment;
+                i += length;
+                continue;
+            }
+
+            if (ch === '[') {
+                const { fragment, length } = this.#charClass(pattern, i, ignoreCase);
+                atomStart = out.length;
+                out += fragment;
+                i += length;
+                continue;
+            }
+
+            if (ch === '(') {
+                const atomic = rest.startsWith('(?>');
+                groups.push({ start: out.length, ignoreCase, atomic });
+                const modifier = MODIFIER_GROUP.exec(rest);
+                if (atomic) {
+                    out += '(?:';
+                    i += 3;
+                } else if (modifier && (modifier[1] || modifier[2]) && !INLINE_MODIFIERS) {
+                    if (/[msx]/.test(modifier[1] + (modifier[2] ?? ''))) {
+                        throw new Error(`Unsupported pre-tokenizer pattern: inline modifier ${modifier[0]}`);
+                    }
+                    if (modifier[1].includes('i')) ignoreCase = true;
+                    if (modifier[2]?.includes('i')) ignoreCase = false;
+                    out += '(?:';
+                    i += modifier[0].length;
+                } else {
+                    const opener = (modifier ?? GROUP_OPENER.exec(rest))[0];
+                    out += opener;
+                    i += opener.length;
+                }
+                atomStart = -1;
+                continue;
+            }
+
+            if (ch === ')') {
+                const group = groups.pop();
+                if (!group) {
+                    throw new Error('Unsupported pre-tokenizer pattern: unbalanced ")"');
+                }
+                ignoreCase = group.ignoreCase;
+                out += ')';
+                if (group.atomic) out = this.#atomic(out, group.start);
+                atomStart = group.start;
+                i++;
+                continue;
+            }
+
+            const quantifier = QUANTIFIER.exec(rest);
+            if (quantifier && atomStart >= 0) {
+                out += quantifier[0];
+                i += quantifier[0].length;
+                if (pattern[i] === '+') {
+                    out = this.#atomic(out, atomStart);
+                    i++;
+                } else if (pattern[i] === '?') {
+                    out += '?';
+                    i++;
+                }
+                atomStart = -1;
+                continue;
+            }
+
+            // Literal (or . ^ $ |)
+            const cp = pattern.codePointAt(i);
+            const char = String.fromCodePoint(cp);
+            atomStart = ch === '|' ? -1 : out.length;
+            out += ignoreCase && isAsciiLetter(cp) ? `[${char}${String.fromCodePoint(swapCase(cp))}]` : char;
+            i += char.length;
+        }
+
+        if (groups.length > 0) {
+            throw new Error('Unsupported pre-tokenizer pattern: unbalanced "("');
+        }
+        if (this.#atomicGroups > 0 && /\\[1-9]/.test(pattern)) {
+            throw new Error('Unsupported pre-tokenizer pattern: numbered backreferences with possessive quantifiers or atomic groups');
+        }
+        return { source: out, flags };
+    }
+
+    /**
+     * Make the tail of `out` from `start` atomic: match it greedily once,
+     * never give back (what possessive quantifiers and (?>…) mean).
+     *
+     * @param {string} out
+     * @param {number} start
+     * @returns {string}
+     */
+    #atomic(out, start) {
+        const name = `__atomic${this.#atomicGroups++}`;
+        return `${out.slice(0, start)}(?=(?<${name}>${out.slice(start)}))\\k<${name}>`;
+    }
+
+    /**
+     * Translate one escape sequence.
+     *
+     * @param {string} pattern
+     * @param {number} i — index of the backslash
+     * @param {boolean} inClass
+     * @returns {{ fragment: string, length: number }}
+     */
+    #escape(pattern, i, inClass) {
+        const property = /^\\([pP])(?:\{\^?([^}]+)\}|([A-Za-z]))/.exec(pattern.slice(i, i + 64));
+        if (property) {
+            const negated = (property[1] === 'P') !== pattern.startsWith('{^', i + 2);
+            return { fragment: this.#property(property[2] ?? property[3], negated, inClass), length: property[0].length };
+        }
+
+        const hex = /^\\x\{([0-9A-Fa-f]+)\}/.exec(pattern.slice(i, i + 16));
+        if (hex) return { fragment: `\\u{${hex[1]}}`, length: hex[0].length };
+
+        const next = pattern[i + 1];
+        if (!inClass && next === 'A') return { fragment: '^', length: 2 };
+        if (!inClass && next === 'z') return { fragment: '$', length: 2 };
+        if (!inClass && next === 'Z') return { fragment: '(?=\\n?$)', length: 2 };
+
+        const char = String.fromCodePoint(pattern.codePointAt(i + 1));
+        return { fragment: `\\${char}`, length: 1 + char.length };
+    }
+
+    /**
+     * Translate a bracketed class, POSIX [:name:] entries included.
+     *
+     * @param {string} pattern
+     * @param {number} i — index of the "["
+     * @param {boolean} ignoreCase — add the other case of ASCII letters
+     * @returns {{ fragment: string, length: number }}
+     */
+    #charClass(pattern, i, ignoreCase) {
+        let j = i + 1;
+        let out = '[';
+        if (pattern[j] === '^') {
+            out += '^';
+            j++;
+        }
+
+        /** @type {number[][]} */
+        const literals = [];   // [first, last] of literal chars and ranges, for ignoreCase
+        let lastLiteral = -1;
+
+        while (j < pattern.length && pattern[j] !== ']') {
+            const posix = /^\[:(\^?)([A-Za-z]+):\]/.exec(pattern.slice(j, j + 24));
+            if (posix) {
+                out += this.#property(posix[2], posix[1] === '^', true);
+                j += posix[0].length;
+                lastLiteral = -1;
+                continue;
+            }
+
+            if (pattern[j] === '\\') {
+                const { fragment, length } = this.#escape(pattern, j, true);
+                out += fragment;
+                j += length;
+                lastLiteral = -1;
+                continue;
+            }
+
+            const cp = pattern.codePointAt(j);
+            const char = String.fromCodePoint(cp);
+            if (char === '-' && lastLiteral >= 0 && pattern[j + 1] !== ']' && pattern[j + 1] !== '\\') {
+                const last = pattern.codePointAt(j + 1);
+                literals.push([lastLiteral, last]);
+                out += `-${String.fromCodePoint(last)}`;
+                j += 1 + String.fromCodePoint(last).length;
+                lastLiteral = -1;
+                continue;
+            }
+            literals.push([cp, cp]);
+            lastLiteral = cp;
+            out += char;
+            j += char.length;
+        }
+
+        if (pattern[j] !== ']') {
+            throw new Error('Unsupported pre-tokenizer pattern: unterminated "["');
+        }
+
+        if (ignoreCase) {
+            for (const [a, b] of literals) {
+                const lower = a >= 0x61 && b <= 0x7A;
+                const upper = a >= 0x41 && b <= 0x5A;
+                if (!lower && !upper) continue;
+                out += a === b ? String.fromCodePoint(swapCase(a)) : `${String.fromCodePoint(swapCase(a))}-${String.fromCodePoint(swapCase(b))}`;
+            }
+        }
+
+        return { fragment: `${out}]`, length: j + 1 - i };
+    }
+
+    /**
+     * A Unicode property as a regex fragment: JS's own \p{…} when it knows
+     * the name, else code point ranges from the Decoder. POSIX class names
+     * always take the Decoder's: JS reads some as other properties' aliases
+     * (\p{punct} is General_Category=P there, without the symbols).
+     *
+     * @param {string} name
+     * @param {boolean} negated
+     * @param {boolean} inClass
+     * @returns {string}
+     */
+    #property(name, negated, inClass) {
+        const p = negated ? 'P' : 'p';
+        const posix = name.toLowerCase() in DECODER_PROPERTIES;
+        for (const candidate of posix ? [] : [name, `Script=${name}`]) {
+            if (compiles(`\\p{${candidate}}`)) return `\\${p}{${candidate}}`;
+        }
+
+        const ranges = this.#propertyRanges(name);
+        const body = rangesToClass(negated ? complementRanges(ranges) : ranges);
+        return inClass ? body : `[${body}]`;
+    }
+
+    /**
+     * @param {string} name — POSIX / Oniguruma class, or a Decoder Category / Script name
+     * @returns {number[][]} sorted [first, last] ranges
+     */
+    #propertyRanges(name) {
+        const key = name.replace(/[\s-]/g, '_');
+        const cached = this.#ranges.get(key);
+        if (cached) return cached;
+
+        const decoder = this.#decoder;
+        const upper = key.toUpperCase();
+        let test = DECODER_PROPERTIES[key.toLowerCase()];
+        if (!test && upper in Category) test = (d, cp) => d.getCategory(cp) === Category[upper];
+        if (!test && upper in Script) test = (d, cp) => d.getScript(cp) === Script[upper];
+        if (!test) {
+            throw new Error(`Unsupported pre-tokenizer pattern: unknown property "${name}"`);
+        }
+
+        const ranges = [];
+        for (let cp = 0; cp <= MAX_CODEPOINT; cp++) {
+            if (cp === SURROGATES[0]) cp = SURROGATES[1] + 1;
+            if (!test(decoder, cp)) continue;
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] === cp - 1) last[1] = cp;
+            else ranges.push([cp, cp]);
+        }
+
+        this.#ranges.set(key, ranges);
+        return ranges;
+    }
+}
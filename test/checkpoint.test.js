@@ -0,0 +1,125 @@
+/**
+ * Checkpoints: a run resumed from a snapshot — periodic or saved on
+ * cancel — learns the same merges as one that never stopped; snapshots
+ * that do not add up are refused, and a failed save never ends the run.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BPETrainer, createPreTokenizer } from '../src/index.js';
+import { CPUMergeRunner } from '../src/bpe/cpu/merge-runner.js';
+import { cpuEngine, getDecoder, trainModel } from './helpers.js';
+
+const VOCAB_SIZE = 800;   // 544 merges: five batches
+const KEY = 'corpus:800';
+
+/** Words over a few letters, skewed so pair counts rarely tie: no early stop before VOCAB_SIZE */
+function wordList() {
+    let state = 5;
+    const next = (n) => {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        return (state >>> 8) % n;
+    };
+    const words = [];
+    for (let i = 0; i < 6000; i++) {
+        let word = '';
+        for (let length = 2 + next(7); length > 0; length--) word += 'etaoinshrdlu'[Math.min(next(12), next(12))];
+        words.push(word);
+    }
+    return words.join(' ');
+}
+
+const TEXT = wordList();
+
+/** CheckpointStore stand-in that keeps every snapshot it is given, cloned as IndexedDB would */
+class MemoryStore {
+    saved = [];
+    #live = new Map();
+
+    async save(key, snapshot) {
+        const copy = structuredClone(snapshot);
+        this.saved.push(copy);
+        this.#live.set(key, copy);
+    }
+
+    async load(key) {
+        return this.#live.get(key) ?? null;
+    }
+
+    async delete(key) {
+        this.#live.delete(key);
+    }
+}
+
+/** @returns {Promise<object>} a run resumed from `snapshot` */
+async function resume(snapshot) {
+    return trainModel({ text: TEXT, targetVocabSize: VOCAB_SIZE, resumeFrom: structuredClone(snapshot) });
+}
+
+const straight = await trainModel({ text: TEXT, targetVocabSize: VOCAB_SIZE });
+
+test('a run resumed from a periodic checkpoint learns the same merges', async () => {
+    const store = new MemoryStore();
+    const run = await trainModel({ text: TEXT, targetVocabSize: VOCAB_SIZE, checkpoint: { store, key: KEY, intervalMs: 0 } });
+
+    assert.deepEqual(run.merges, straight.merges);
+    assert.equal(store.saved.length, 4, 'one snapshot per batch but the last');
+    assert.equal(await store.load(KEY), null, 'a finished run drops its checkpoint');
+
+    for (const snapshot of [store.saved[0], store.saved[2]]) {
+        const resumed = await resume(snapshot);
+        assert.deepEqual(resumed.merges, straight.merges, `from ${snapshot.merges.length} merges`);
+        assert.deepEqual(resumed.vocab, straight.vocab);
+        assert.deepEqual(resumed.preTokenizer, straight.preTokenizer);
+    }
+});
+
+test('a cancelled run leaves a checkpoint that resumes where it stopped', async () => {
+    const store = new MemoryStore();
+    const trainer = new BPETrainer(await cpuEngine());
+    const cancelled = await trainer.train(new TextEncoder().encode(TEXT), {
+        targetVocabSize: VOCAB_SIZE, preTokenizer: createPreTokenizer(await getDecoder(), 'default'),
+        checkpoint: { store, key: KEY, intervalMs: 60_000 },
+        onProgress: ({ mergeIndex }) => { if (mergeIndex >= 256) trainer.cancel(); },
+    });
+    assert.equal(cancelled.cancelled, true);
+    assert.deepEqual(cancelled.merges, straight.merges.slice(0, 256));
+
+    const snapshot = await store.load(KEY);
+    assert.equal(snapshot.merges.length, 256);
+    assert.equal(snapshot.targetVocabSize, VOCAB_SIZE);
+    assert.deepEqual((await resume(snapshot)).merges, straight.merges);
+});
+
+test('an inconsistent snapshot is refused', async () => {
+    const store = new MemoryStore();
+    await trainModel({ text: TEXT, targetVocabSize: VOCAB_SIZE, checkpoint: { store, key: KEY, intervalMs: 0 } });
+    const snapshot = store.saved[1];
+
+    const shuffled = structuredClone(snapshot);
+    [shuffled.merges[3], shuffled.merges[4]] = [shuffled.merges[4], shuffled.merges[3]];
+    await assert.rejects(resume(shuffled), /merge log is inconsistent at token/);
+
+    const truncated = structuredClone(snapshot);
+    truncated.merges.pop();
+    await assert.rejects(resume(truncated), /iteration state does not match its merge log/);
+});
+
+test('a checkpoint that cannot be read back or saved does not stop training', async (t) => {
+    t.mock.method(CPUMergeRunner.prototype, 'readSymbols', async () => {
+        throw new Error('device lost');
+    });
+    const run = await trainModel({
+        text: TEXT, targetVocabSize: VOCAB_SIZE, checkpoint: { store: new MemoryStore(), key: KEY, intervalMs: 0 },
+    });
+    assert.deepEqual(run.merges, straight.merges);
+    t.mock.restoreAll();
+
+    const failing = new MemoryStore();
+    failing.save = async () => { throw new Error('quota exceeded'); };
+    const saved = await trainModel({
+        text: TEXT, targetVocabSize: VOCAB_SIZE, checkpoint: { store: failing, key: KEY, intervalMs: 0 },
+    });
+    assert.deepEqual(saved.merges, straight.merges);
+});
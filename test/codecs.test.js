@@ -0,0 +1,113 @@
+/**
+ * Model codecs: a model exported to tokenizer.json, .tiktoken or vocab.json +
+ * merges.txt (the last two with an added_tokens.json sidecar) and imported
+ * back keeps its merges, vocab and special tokens, and tokenizer.json its
+ * normalizer too. Files written by the
+ * reference libraries (fixtures/, see generate.mjs) import to models that
+ * encode as those libraries did. Byte-level exports refuse a
+ * character-coverage model, whose character tokens no byte-level encoder
+ * would reach.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import {
+    EncodeMode, Normalizer, toModelJson, toTokenizerJson, fromTokenizerJson, toTiktoken, fromTiktoken, toGpt2Files,
+    fromGpt2Files, toAddedTokensJson, parseAddedTokensJson,
+} from '../src/index.js';
+import { engines, getDecoder, trainModel, tokenizerFor, modelPreTokenizer } from './helpers.js';
+
+const SPECIAL = '<|endoftext|>';
+
+const fixture = async (name) => readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const reference = JSON.parse(await fixture('reference-ids.json'));
+
+const model = toModelJson(await trainModel({
+    specialTokens: [SPECIAL],
+    normalizer: new Normalizer(await getDecoder(), { form: 'NFKC', caseFold: true, stripAccents: true }),
+}));
+const charModel = toModelJson(await trainModel({ targetVocabSize: 400, characterCoverage: 0.999 }));
+
+/** Merge-mode tokens of the reference text, special tokens allowed, with the model's own pre-tokenizer */
+async function encodeReference(engine, imported) {
+    const bytes = new TextEncoder().encode(reference.text);
+    const options = { mode: EncodeMode.MERGE, preTokenizer: await modelPreTokenizer(imported), allowedSpecial: 'all' };
+    return [...await tokenizerFor(engine, imported).encodeBytes(bytes, options)];
+}
+
+/** Fields every codec must carry through unchanged */
+function assertSameModel(imported, original) {
+    assert.deepEqual(imported.merges, original.merges);
+    assert.deepEqual(imported.vocab, original.vocab);
+    assert.deepEqual(imported.specialTokens, original.specialTokens);
+}
+
+// ─── tokenizer.json ─────────────────────────────────────────
+
+test('model → tokenizer.json → model keeps merges, vocab, special tokens and normalizer', async () => {
+    const imported = fromTokenizerJson(JSON.parse(JSON.stringify(toTokenizerJson(model))));
+    assertSameModel(imported, model);
+    assert.deepEqual(imported.normalizer, model.normalizer);
+
+    // The split regex stands in for the pre-tokenizer rules it was written from
+    assert.equal(imported.preTokenizer.preset, 'regex');
+    const [[, cpu]] = await engines();
+    assert.deepEqual(await encodeReference(cpu, imported), await encodeReference(cpu, model));
+});
+
+for (const [backend, engine] of await engines()) {
+    test(`${backend}: a tokenizers tokenizer.json encodes as tokenizers does`, async () => {
+        const imported = fromTokenizerJson(JSON.parse(await fixture('hf-tokenizer.json')));
+        assert.deepEqual(imported.specialTokens, { [SPECIAL]: 208 });
+        assert.equal(imported.normalizer.form, 'NFC');
+        assert.deepEqual(await encodeReference(engine, imported), reference.tokenizerJson);
+    });
+}
+
+// ─── .tiktoken ──────────────────────────────────────────────
+
+test('model → .tiktoken + added_tokens.json → model keeps merges, vocab and special tokens', () => {
+    const imported = fromTiktoken(toTiktoken(model), parseAddedTokensJson(toAddedTokensJson(model)));
+    assertSameModel(imported, model);
+});
+
+for (const [backend, engine] of await engines()) {
+    test(`${backend}: cl100k ranks encode as tiktoken does`, async () => {
+        const specialTokens = parseAddedTokensJson(await fixture('cl100k-head.added_tokens.json'));
+        const imported = fromTiktoken(await fixture('cl100k-head.tiktoken'), specialTokens);
+        // A rank file records neither the split regex nor a normalizer: tiktoken applies none
+        imported.preTokenizer = { preset: 'cl100k' };
+        imported.normalizer = { form: 'none', caseFold: false, stripAccents: false };
+        assert.deepEqual(await encodeReference(engine, imported), reference.tiktoken);
+    });
+}
+
+// ─── vocab.json + merges.txt ────────────────────────────────
+
+test('model → vocab.json + merges.txt + added_tokens.json → model keeps merges, vocab and special tokens', () => {
+    const { vocabJson, mergesTxt, addedTokensJson } = toGpt2Files(model);
+    assertSameModel(fromGpt2Files(vocabJson, mergesTxt, addedTokensJson), model);
+});
+
+for (const [backend, engine] of await engines()) {
+    test(`${backend}: GPT-2's vocab.json and merges.txt encode as tokenizers does`, async () => {
+        const imported = fromGpt2Files(
+            await fixture('gpt2-head.vocab.json'), await fixture('gpt2-head.merges.txt'), await fixture('gpt2-head.added_tokens.json'),
+        );
+        imported.preTokenizer = { preset: 'gpt2' };
+        imported.normalizer = { form: 'none', caseFold: false, stripAccents: false };
+        assert.deepEqual(await encodeReference(engine, imported), reference.gpt2Files);
+    });
+}
+
+// ─── Character Coverage ─────────────────────────────────────
+
+test('byte-level exports refuse a character-coverage model', () => {
+    for (const [format, exportModel] of [
+        ['tokenizer.json', toTokenizerJson], ['.tiktoken', toTiktoken], ['vocab.json', toGpt2Files],
+    ]) {
+        assert.throws(() => exportModel(charModel), new RegExp(`^Error: ${format.replace('.', '\\.')}.* cannot hold a character alphabet`));
+    }
+});
@@ -0,0 +1,43 @@
+/**
+ * Position independence: a line gets the same tokens wherever it falls in
+ * a larger input. Small chunks put the chunk plan at a different place in
+ * the line for every prefix, so any token that crossed a chunk or word
+ * start would show up as a difference.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EncodeMode } from '../src/index.js';
+import { CORPUS, engines, trainModel, tokenizerFor, modelPreTokenizer } from './helpers.js';
+
+const LINE = `It's the "tokenizer" — don't 'single' quotes, 1234567 café 中文 foo_bar...\n`;
+const OFFSETS = 40;
+
+const encoder = new TextEncoder();
+const model = await trainModel();
+const preTokenizer = await modelPreTokenizer(model);
+
+for (const [backend, engine] of await engines()) {
+    const tokenizer = tokenizerFor(engine, model, { chunkSize: 16 });
+
+    for (const mode of [EncodeMode.MERGE, EncodeMode.LONGEST]) {
+        for (const pre of [null, preTokenizer]) {
+            const label = `${backend} ${mode}, ${pre ? 'model pre-tokenizer' : 'byte-level word starts'}`;
+
+            test(`${label}: a line encodes the same at every offset`, async () => {
+                const encode = (text) => tokenizer.encodeBytes(encoder.encode(text), { mode, preTokenizer: pre });
+                const line = [...await encode(LINE)];
+                const suffix = CORPUS.slice(0, 120);
+                const after = [...await encode(suffix)];
+
+                for (let k = 0; k < OFFSETS; k++) {
+                    const prefix = CORPUS.slice(0, k * 7) + '\n';
+                    const before = [...await encode(prefix)];
+                    const whole = [...await encode(prefix + LINE + suffix)];
+                    assert.deepEqual(whole, [...before, ...line, ...after], `prefix of ${prefix.length} chars`);
+                }
+            });
+        }
+    }
+}
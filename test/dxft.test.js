@@ -0,0 +1,304 @@
+/**
+ * DXFT datasets: documents tokenized one by one get an EOS between them and
+ * a DIDX index of their starts; tokens are stored u16 when the vocab allows;
+ * sharded output splits into fixed-size train / val files that together
+ * hold every token once — all read back by readDxft, which also reads
+ * version 1 and 2 files and reports a corrupt token section, model JSON or
+ * header.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    BlobSink, DIDX_MAGIC, DXFT_MAGIC, DatasetSplit, DxftDataset, DxftFlags, DxftWriter, TokenDtype, dxftShardName,
+    encodeDxft, readDxft, toModelJson, tokenDtypeFor, tokenizeToDxft,
+} from '../src/index.js';
+import { makeCorpus, cpuEngine, trainModel, tokenizerFor } from './helpers.js';
+
+const EOS = '<|endoftext|>';
+
+const encoder = new TextEncoder();
+const model = await trainModel({ specialTokens: [EOS] });
+const vocabExport = toModelJson(model);
+const tokenizer = tokenizerFor(await cpuEngine(), model);
+const eosId = model.specialTokens[EOS];
+
+// An empty document in the middle still gets its index entry and EOS
+const DOCS = [makeCorpus(6, 1), makeCorpus(9, 2), '', makeCorpus(4, 3)];
+
+/** Each document as one chunk, for tokenizeToDxft */
+const docChunks = (docs) => docs.map(doc => [encoder.encode(doc)]);
+
+/**
+ * Tokenize into one in-memory DXFT file and read it back.
+ *
+ * @param {object} options - tokenizeToDxft options
+ * @param {{ docIndex?: boolean }} [finishOptions]
+ */
+async function writeAndRead(options, finishOptions = {}) {
+    const sink = new BlobSink();
+    const writer = new DxftWriter(sink, { vocabSize: model.vocabSize });
+    await tokenizeToDxft(tokenizer, writer, docChunks(DOCS), options);
+    await writer.finish(vocabExport, finishOptions);
+    return readDxft(new Uint8Array(await sink.toBlob().arrayBuffer()));
+}
+
+async function encode(text) {
+    return [...await tokenizer.encodeBytes(encoder.encode(text))];
+}
+
+// ─── Documents ──────────────────────────────────────────────
+
+test('per-document export puts EOS between documents and indexes their starts', async () => {
+    const dxft = await writeAndRead({ perDocument: true, eosId }, { docIndex: true });
+    assert.deepEqual(dxft.issues, []);
+    assert.ok(dxft.flags & DxftFlags.DOC_INDEX);
+
+    const expected = [];
+    const starts = [];
+    for (const [i, doc] of DOCS.entries()) {
+        if (i > 0) expected.push(eosId);
+        starts.push(expected.length);
+        expected.push(...await encode(doc));
+    }
+    assert.deepEqual([...dxft.tokens], expected);
+    assert.deepEqual([...dxft.docStarts], starts);
+
+    // The index follows the (padded) vocab JSON u32-aligned
+    const indexOffset = dxft.headerBytes + dxft.tokenCount * dxft.dtype + dxft.vocabBytesLength;
+    assert.equal(indexOffset % 4, 0);
+    assert.equal(dxft.byteLength, indexOffset + 8 + 4 * DOCS.length);
+});
+
+test('per-document export without an EOS or an index just keeps documents apart', async () => {
+    const dxft = await writeAndRead({ perDocument: true });
+    assert.deepEqual(dxft.issues, []);
+    assert.equal(dxft.flags & DxftFlags.DOC_INDEX, 0);
+    assert.equal(dxft.docStarts, null);
+
+    const expected = [];
+    for (const doc of DOCS) expected.push(...await encode(doc));
+    assert.deepEqual([...dxft.tokens], expected);
+});
+
+test('joined export encodes the documents as one text with the separator between them', async () => {
+    const dxft = await writeAndRead({ separator: encoder.encode('\n\n') });
+    assert.deepEqual(dxft.issues, []);
+    assert.deepEqual([...dxft.tokens], await encode(DOCS.join('\n\n')));
+});
+
+// ─── Token Width ────────────────────────────────────────────
+
+test('tokens are stored u16 up to a 65,536-id vocab, u32 above', async () => {
+    assert.equal(tokenDtypeFor(65_536), TokenDtype.U16);
+    assert.equal(tokenDtypeFor(65_537), TokenDtype.U32);
+
+    for (const [vocabSize, dtype] of [[65_536, TokenDtype.U16], [65_537, TokenDtype.U32]]) {
+        const tokens = Uint32Array.of(0, 255, vocabSize - 1, 1234);
+        const { bytes } = encodeDxft(tokens, vocabSize, null);
+        assert.equal(bytes.length, 64 + tokens.length * dtype);
+
+        const dxft = await readDxft(bytes);
+        assert.deepEqual(dxft.issues, []);
+        assert.equal(dxft.dtype, dtype);
+        assert.ok(dxft.tokens instanceof (dtype === TokenDtype.U16 ? Uint16Array : Uint32Array));
+        assert.deepEqual([...dxft.tokens], [...tokens]);
+    }
+
+    assert.throws(() => encodeDxft(Uint32Array.of(1), 65_537, null, { dtype: TokenDtype.U16 }), /does not fit u16 tokens/);
+});
+
+// ─── Shards ─────────────────────────────────────────────────
+
+/**
+ * A DxftDataset writing to memory.
+ *
+ * @param {object} options - DxftDataset options
+ * @returns {{ dataset: DxftDataset, read: () => Promise<object[]> }}
+ *   read: every shard file, read back, in completion order
+ */
+function memoryDataset(options) {
+    const sinks = new Map();
+    const dataset = new DxftDataset(async (fileName) => {
+        const sink = new BlobSink();
+        sinks.set(fileName, sink);
+        return { sink, close: async () => {} };
+    }, { vocabSize: model.vocabSize, vocabExport, ...options });
+
+    const read = async () => Promise.all((await dataset.finish()).map(async (shard) => {
+        const dxft = await readDxft(new Uint8Array(await sinks.get(shard.fileName).toBlob().arrayBuffer()));
+        assert.deepEqual(dxft.issues, [], shard.fileName);
+        assert.equal(dxft.split, shard.split);
+        assert.equal(dxft.shardIndex, shard.shardIndex);
+        assert.equal(dxft.tokenCount, shard.tokenCount);
+        assert.equal(dxft.byteLength, shard.byteLength);
+        assert.equal(shard.fileName, dxftShardName(shard.split, model.vocabSize, shard.shardIndex));
+        assert.deepEqual(dxft.model, vocabExport);
+        return dxft;
+    }));
+    return { dataset, read };
+}
+
+/** Shards of one split in shard order */
+const splitShards = (shards, split) => shards.filter(s => s.split === split).sort((a, b) => a.shardIndex - b.shardIndex);
+
+test('a joined stream fills fixed-size shards, about valRatio of them val', async () => {
+    const SHARD_TOKENS = 1000;
+    const tokens = Uint32Array.from({ length: 20_500 }, (_, i) => (i * 7) % model.vocabSize);
+    const { dataset, read } = memoryDataset({ shardTokens: SHARD_TOKENS, valRatio: 0.1 });
+
+    // Uneven writes, so shard boundaries fall inside them
+    for (let i = 0; i < tokens.length; i += 777) await dataset.writeTokens(tokens.subarray(i, i + 777));
+    const shards = await read();
+
+    for (const split of [DatasetSplit.TRAIN, DatasetSplit.VAL]) {
+        const own = splitShards(shards, split);
+        assert.ok(own.length > 0, split);
+        assert.deepEqual(own.map(s => s.shardIndex), own.map((_, i) => i));
+        for (const shard of own.slice(0, -1)) assert.equal(shard.tokenCount, SHARD_TOKENS);
+    }
+
+    // A block routed to a split fills exactly one shard here, so completion order is stream order
+    assert.deepEqual(shards.flatMap(s => [...s.tokens]), [...tokens]);
+    const val = splitShards(shards, DatasetSplit.VAL).reduce((n, s) => n + s.tokenCount, 0);
+    assert.ok(Math.abs(val - 0.1 * tokens.length) <= SHARD_TOKENS, `${val} val tokens`);
+});
+
+test('per-document shards keep each document in one split and index its start', async () => {
+    // Document k is `k` repeated, 1–299 tokens long
+    const docs = Array.from({ length: 120 }, (_, k) => new Uint32Array(1 + (k * 37) % 299).fill(k));
+    const { dataset, read } = memoryDataset({ shardTokens: 500, valRatio: 0.25, docIndex: true });
+    for (const doc of docs) {
+        await dataset.startDocument();
+        await dataset.writeTokens(doc);
+    }
+    const shards = await read();
+
+    const seen = new Set();
+    for (const split of [DatasetSplit.TRAIN, DatasetSplit.VAL]) {
+        // The split's shards end to end, with their document starts made absolute
+        const stream = [];
+        const starts = [];
+        for (const shard of splitShards(shards, split)) {
+            assert.ok(shard.tokenCount <= 500);
+            starts.push(...[...shard.docStarts].map(start => stream.length + start));
+            stream.push(...shard.tokens);
+        }
+        assert.equal(starts[0], 0);
+
+        for (let i = 0; i < starts.length; i++) {
+            const doc = stream.slice(starts[i], starts[i + 1] ?? stream.length);
+            const k = doc[0];
+            assert.deepEqual(doc, [...docs[k]], `document ${k} in ${split}`);
+            assert.ok(!seen.has(k), `document ${k} written twice`);
+            seen.add(k);
+        }
+    }
+    assert.equal(seen.size, docs.length);
+});
+
+// ─── Verification ───────────────────────────────────────────
+
+/** A current-version file of the first document, with an index */
+async function sampleFile() {
+    const tokens = Uint32Array.from(await encode(DOCS[0]));
+    return { tokens, bytes: encodeDxft(tokens, model.vocabSize, vocabExport, { docStarts: [0] }).bytes };
+}
+
+/** `bytes` with header word `word` replaced */
+function withHeaderWord(bytes, word, value) {
+    const copy = bytes.slice();
+    new DataView(copy.buffer).setUint32(word * 4, value, true);
+    return copy;
+}
+
+test('a flipped token byte or model JSON byte is reported, the rest still read', async () => {
+    const { tokens, bytes } = await sampleFile();
+    const clean = await readDxft(bytes);
+    assert.deepEqual(clean.issues, []);
+    assert.deepEqual(clean.checks, { tokenCrc: true, vocabHash: true });
+
+    const tokenByte = bytes.slice();
+    tokenByte[64 + 5] ^= 0x01;
+    const badTokens = await readDxft(tokenByte);
+    assert.deepEqual(badTokens.checks, { tokenCrc: false, vocabHash: true });
+    assert.match(badTokens.issues.join('\n'), /Token checksum mismatch/);
+    assert.notDeepEqual([...badTokens.tokens], [...tokens]);
+
+    // A letter of the JSON, so it still parses
+    const vocabByte = bytes.slice();
+    const jsonStart = 64 + tokens.length * clean.dtype;
+    const letter = vocabByte.subarray(jsonStart).indexOf(0x76);   // the 'v' of "version"
+    vocabByte[jsonStart + letter] = 0x56;
+    const badVocab = await readDxft(vocabByte);
+    assert.deepEqual(badVocab.checks, { tokenCrc: true, vocabHash: false });
+    assert.match(badVocab.issues.join('\n'), /Vocab hash mismatch/);
+    assert.deepEqual([...badVocab.tokens], [...tokens]);
+});
+
+test('a corrupt header is reported or refused', async () => {
+    const { bytes } = await sampleFile();
+    const issues = async (word, value) => (await readDxft(withHeaderWord(bytes, word, value))).issues.join('\n');
+
+    assert.match(await issues(12, 0xDEADBEEF), /Token checksum mismatch/);
+    assert.match(await issues(11, 0xDEADBEEF), /Vocab hash mismatch/);
+    assert.match(await issues(3, 0), /Document index present without the DOC_INDEX flag/);
+    assert.match(await issues(4, 300), /token id\(s\) ≥ vocab size 300/);
+
+    await assert.rejects(readDxft(withHeaderWord(bytes, 0, 0x12345678)), /bad magic/);
+    await assert.rejects(readDxft(withHeaderWord(bytes, 1, 9)), /Unsupported DXFT version 9/);
+    await assert.rejects(readDxft(withHeaderWord(bytes, 5, 3)), /Unknown DXFT token dtype 3/);
+    await assert.rejects(readDxft(withHeaderWord(bytes, 6, 1 << 20)), /Truncated DXFT file/);
+    await assert.rejects(readDxft(bytes.subarray(0, 40)), /Truncated DXFT v3 header/);
+});
+
+// ─── Older Versions ─────────────────────────────────────────
+
+/**
+ * A file in an older layout: its header words, then tokens, model JSON and
+ * an optional DIDX index.
+ */
+function legacyFile(header, tokens, json, docStarts = null) {
+    const index = docStarts ? Uint32Array.of(DIDX_MAGIC, docStarts.length, ...docStarts) : new Uint32Array(0);
+    const parts = [new Uint32Array(header), tokens, json, index].map(p => new Uint8Array(p.buffer, p.byteOffset, p.byteLength));
+    const bytes = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+}
+
+test('version 1 and 2 files read back with their tokens, model and index', async () => {
+    const tokens = await encode(DOCS[1]);
+    // Padded to a u32 boundary, as an index after it needs
+    let json = JSON.stringify(vocabExport);
+    json += ' '.repeat((4 - ((tokens.length * 2 + encoder.encode(json).length) % 4)) % 4);
+    const jsonBytes = encoder.encode(json);
+
+    const v1 = await readDxft(legacyFile(
+        [DXFT_MAGIC, model.vocabSize, tokens.length, jsonBytes.length], Uint32Array.from(tokens), jsonBytes,
+    ));
+    const v2 = await readDxft(legacyFile(
+        [DXFT_MAGIC, 2, model.vocabSize, tokens.length, jsonBytes.length, TokenDtype.U16, 3, 1],
+        Uint16Array.from(tokens), jsonBytes, [0, 10],
+    ));
+
+    for (const [dxft, version] of [[v1, 1], [v2, 2]]) {
+        assert.equal(dxft.version, version);
+        assert.deepEqual(dxft.issues, []);
+        assert.deepEqual(dxft.checks, { tokenCrc: null, vocabHash: null });
+        assert.deepEqual([...dxft.tokens], tokens);
+        assert.deepEqual(dxft.model, vocabExport);
+        assert.equal(dxft.vocabSize, model.vocabSize);
+    }
+    assert.equal(v1.dtype, TokenDtype.U32);
+    assert.equal(v1.docStarts, null);
+    assert.equal(v2.dtype, TokenDtype.U16);
+    assert.equal(v2.shardIndex, 3);
+    assert.equal(v2.split, DatasetSplit.VAL);
+    assert.deepEqual([...v2.docStarts], [0, 10]);
+    assert.ok(v2.flags & DxftFlags.DOC_INDEX);
+});
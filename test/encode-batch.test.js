@@ -0,0 +1,66 @@
+/**
+ * encodeBatch: every item gets the tokens encodeBytes gives it alone —
+ * empty items, items that are only a special token, items longer than a
+ * chunk or a pre-token, with special tokens allowed per call.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EncodeMode, Normalizer } from '../src/index.js';
+import { makeCorpus, engines, getDecoder, trainModel, tokenizerFor, modelPreTokenizer } from './helpers.js';
+
+const EOT = '<|endoftext|>';
+const PAD = '<|pad|>';
+
+const encoder = new TextEncoder();
+const model = await trainModel({ specialTokens: [EOT, PAD] });
+const preTokenizer = await modelPreTokenizer(model);
+const normalizer = new Normalizer(await getDecoder(), 'NFKC');
+
+const ITEMS = [
+    '',
+    ...makeCorpus(40, 4).split('\n'),
+    EOT,
+    `${PAD}${PAD}`,
+    `question${EOT}answer${PAD}`,
+    encoder.encode('bytes, not a string: ﬁne café'),
+    'x'.repeat(1500),
+    makeCorpus(30, 5),
+    '',
+];
+
+for (const [backend, engine] of await engines()) {
+    for (const chunkSize of [64, undefined]) {
+        const tokenizer = tokenizerFor(engine, model, chunkSize ? { chunkSize } : {});
+
+        for (const mode of [EncodeMode.MERGE, EncodeMode.LONGEST]) {
+            for (const [label, options] of [
+                ['byte-level word starts', {}],
+                ['model pre-tokenizer', { preTokenizer }],
+                ['special tokens, NFKC', { allowedSpecial: 'all', normalizer }],
+                ['one special token, model pre-tokenizer', { allowedSpecial: [EOT], preTokenizer }],
+            ]) {
+                test(`${backend} ${mode}, chunk ${tokenizer.chunkSize}, ${label}: a batch encodes each item as alone`, async () => {
+                    const { tokens, offsets } = await tokenizer.encodeBatch(ITEMS, { mode, ...options });
+                    assert.equal(offsets.length, ITEMS.length + 1);
+                    assert.equal(offsets[0], 0);
+                    assert.equal(offsets[ITEMS.length], tokens.length);
+
+                    for (const [i, item] of ITEMS.entries()) {
+                        const bytes = typeof item === 'string' ? encoder.encode(item) : item;
+                        const alone = await tokenizer.encodeBytes(bytes, { mode, ...options });
+                        assert.deepEqual([...tokens.subarray(offsets[i], offsets[i + 1])], [...alone], `item ${i}`);
+                    }
+                });
+            }
+        }
+    }
+}
+
+test('an empty batch encodes to no tokens', async () => {
+    const [[, cpu]] = await engines();
+    const { tokens, offsets } = await tokenizerFor(cpu, model).encodeBatch([]);
+    assert.equal(tokens.length, 0);
+    assert.deepEqual([...offsets], [0]);
+});
@@ -0,0 +1,97 @@
+/**
+ * Merge-mode encoding reproduces training: the tokens of a corpus are the
+ * ones its own merges give each pre-token, applied in training order — in
+ * the library, in `gpu-bpe encode` and in the `gpu-bpe export-bin` dataset.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { promisify } from 'node:util';
+
+import { EncodeMode, readDxft } from '../src/index.js';
+import { CORPUS, engines, trainModel, tokenizerFor, modelPreTokenizer } from './helpers.js';
+
+const CLI = new URL('../bin/gpu-bpe.js', import.meta.url).pathname;
+const VOCAB_SIZE = 600;
+
+/**
+ * Training's own tokenization: each pre-token starts as bytes, and every
+ * merge, in order, joins its pair left to right.
+ *
+ * @param {object} model
+ * @param {string} text
+ * @returns {Promise<number[]>}
+ */
+async function trainedTokens(model, text) {
+    const { bytes, wordStarts } = (await modelPreTokenizer(model)).preTokenizeBytes(new TextEncoder().encode(text));
+    const rank = new Map(model.merges.map(([a, b, id], i) => [`${a},${b}`, { i, id }]));
+
+    const out = [];
+    let start = 0;
+    for (let pos = 1; pos <= bytes.length; pos++) {
+        if (pos < bytes.length && !wordStarts[pos]) continue;
+        const word = [...bytes.subarray(start, pos)];
+        for (;;) {
+            let best = null;
+            for (let i = 0; i + 1 < word.length; i++) {
+                const merge = rank.get(`${word[i]},${word[i + 1]}`);
+                if (merge && (!best || merge.i < best.i)) best = merge;
+            }
+            if (!best) break;
+            const [a, b] = model.merges[best.i];
+            for (let i = 0; i + 1 < word.length; i++) {
+                if (word[i] === a && word[i + 1] === b) word.splice(i, 2, best.id);
+            }
+        }
+        out.push(...word);
+        start = pos;
+    }
+    return out;
+}
+
+/** Run the CLI on the CPU backend; resolves with stdout */
+async function cli(...args) {
+    const { stdout } = await promisify(execFile)(process.execPath, [CLI, ...args, '--cpu', '--quiet'], {
+        maxBuffer: 64 * 1024 * 1024,
+    });
+    return stdout;
+}
+
+const model = await trainModel({ targetVocabSize: VOCAB_SIZE });
+const expected = await trainedTokens(model, CORPUS);
+
+for (const [backend, engine] of await engines()) {
+    test(`${backend}: merge mode with the model's pre-tokenizer gives the trained tokens`, async () => {
+        const tokenizer = tokenizerFor(engine, model);
+        const tokens = await tokenizer.encodeBytes(new TextEncoder().encode(CORPUS), {
+            mode: EncodeMode.MERGE, preTokenizer: await modelPreTokenizer(model),
+        });
+        assert.deepEqual([...tokens], expected);
+    });
+}
+
+test('gpu-bpe encode and export-bin give the trained tokens by default', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'gpu-bpe-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+
+    const corpus = join(dir, 'corpus.txt');
+    const modelPath = join(dir, 'model.json');
+    const binPath = join(dir, 'train.bin');
+    await writeFile(corpus, CORPUS);
+    await cli('train', '--vocab', String(VOCAB_SIZE), '--out', modelPath, corpus);
+
+    const trained = JSON.parse(await readFile(modelPath, 'utf8'));
+    const tokens = await trainedTokens(trained, CORPUS);
+
+    const encoded = (await cli('encode', '--model', modelPath, corpus)).trim().split(/\s+/).map(Number);
+    assert.deepEqual(encoded, tokens, 'encode');
+
+    await cli('export-bin', '--model', modelPath, '--out', binPath, corpus);
+    const dxft = await readDxft(await readFile(binPath), { tokens: true, verify: true });
+    assert.deepEqual(dxft.issues, []);
+    assert.deepEqual([...dxft.tokens], tokens, 'export-bin');
+});
@@ -0,0 +1,158 @@
+/**
+ * Regenerates the reference fixtures the codec and pre-tokenizer suites
+ * compare against: files written by the reference tokenizer libraries, the
+ * token ids those libraries give SAMPLE_TEXT and the pre-tokens split
+ * patterns cut SPLIT_TEXT into. Not part of npm test — it needs the libraries:
+ *
+ *   npm install --no-save tokenizers@0.23.2 tiktoken@1.0.22 gpt-3-encoder@1.1.4
+ *   node test/fixtures/generate.mjs
+ */
+
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { makeCorpus } from '../helpers.js';
+
+const DIR = new URL('.', import.meta.url).pathname;
+const SPECIAL = '<|endoftext|>';
+
+/** cl100k ranks kept: the 256 bytes and the first merges */
+const TIKTOKEN_RANKS = 256 + 1024;
+
+/** GPT-2 merges kept */
+const GPT2_MERGES = 1024;
+
+/** Text for the split patterns: contractions in any case, digit runs, CRLF, trailing spaces */
+export const SPLIT_TEXT = `${makeCorpus(12, 7)}DON'T We'Re they'LL  I'm\r\n12345678 3.14159 x=y+z;  \t\n`
+    + 'aaab 中文字 ΑΒΓ αβγ ١٢٣ 😀😀 ...!? foo_bar\n\n   trailing   ';
+
+/**
+ * Split patterns: the reference ones (tiktoken's own spelling, with (?i:…)),
+ * and one with possessive quantifiers, an atomic group and a POSIX class
+ */
+const SPLIT_PATTERNS = {
+    gpt2: 'gpt2', cl100k: 'cl100k_base', o200k: 'o200k_base',
+    possessive: String.raw`[a-z]++b|(?>\p{N}+)\.|\p{Han}++|[[:punct:]]+|\s++|.`,
+};
+
+/** Text with special tokens and a decomposed é, for the normalizers to compose */
+export const SAMPLE_TEXT = [makeCorpus(8, 5), 'cafe\u0301 nai\u0308ve\n', makeCorpus(8, 6)].join(SPECIAL);
+
+// ─── tokenizer.json (Hugging Face tokenizers) ───────────────
+
+/**
+ * Byte-level BPE with an NFC normalizer, trained on a small corpus; the
+ * special token is added after training, as tokenizers does for added_tokens.
+ */
+async function hfTokenizer() {
+    const { Tokenizer, BPE, byteLevelPreTokenizer, nfcNormalizer } = await import('tokenizers');
+    const tmp = await mkdtemp(join(tmpdir(), 'gpu-bpe-fixtures-'));
+    try {
+        const corpus = join(tmp, 'corpus.txt');
+        await writeFile(corpus, makeCorpus(60, 21));
+
+        const tokenizer = new Tokenizer(BPE.empty());
+        tokenizer.setNormalizer(nfcNormalizer());
+        tokenizer.setPreTokenizer(byteLevelPreTokenizer(false, true));
+        tokenizer.train([corpus]);
+        tokenizer.addSpecialTokens([SPECIAL]);
+        tokenizer.save(join(DIR, 'hf-tokenizer.json'), true);
+
+        return [...(await tokenizer.encode(SAMPLE_TEXT)).getIds()];
+    } finally {
+        await rm(tmp, { recursive: true, force: true });
+    }
+}
+
+// ─── .tiktoken (tiktoken) ───────────────────────────────────
+
+/**
+ * The head of cl100k_base's ranks — a rank file is valid cut after any rank —
+ * with its split regex. The special token takes the next id, and goes in the
+ * added_tokens.json sidecar a .tiktoken file is imported with.
+ */
+async function tiktokenRanks() {
+    const { Tiktoken } = await import('tiktoken');
+    const { bpe_ranks: packed, pat_str: pattern } = createRequire(import.meta.url)('tiktoken/encoders/cl100k_base.json');
+
+    // Packed as "! <first rank> <base64> <base64> …"
+    const [, first, ...tokens] = packed.split(' ');
+    const text = tokens.slice(0, TIKTOKEN_RANKS).map((b64, i) => `${b64} ${Number(first) + i}`).join('\n') + '\n';
+    const specialTokens = { [SPECIAL]: TIKTOKEN_RANKS };
+    await writeFile(join(DIR, 'cl100k-head.tiktoken'), text);
+    await writeFile(join(DIR, 'cl100k-head.added_tokens.json'), JSON.stringify(specialTokens) + '\n');
+
+    const encoding = new Tiktoken(text, specialTokens, pattern);
+    try {
+        return [...encoding.encode(SAMPLE_TEXT, 'all')];
+    } finally {
+        encoding.free();
+    }
+}
+
+// ─── vocab.json + merges.txt (GPT-2) ────────────────────────
+
+/**
+ * The head of GPT-2's own encoder.json / vocab.bpe (as gpt-3-encoder ships
+ * them): its bytes and first merges, whose tokens take the ids after them.
+ * tokenizers loads the pair and encodes; the special token it adds takes the
+ * next id and goes in the added_tokens.json sidecar.
+ */
+async function gpt2Files() {
+    const { Tokenizer, BPE, byteLevelPreTokenizer } = await import('tokenizers');
+    const require = createRequire(import.meta.url);
+    const encoderJson = JSON.parse(await readFile(require.resolve('gpt-3-encoder/encoder.json'), 'utf8'));
+    const vocabBpe = await readFile(require.resolve('gpt-3-encoder/vocab.bpe'), 'utf8');
+
+    const [header, ...merges] = vocabBpe.split('\n');
+    const vocab = Object.fromEntries(Object.entries(encoderJson).filter(([, id]) => id < 256 + GPT2_MERGES));
+    const vocabPath = join(DIR, 'gpt2-head.vocab.json');
+    const mergesPath = join(DIR, 'gpt2-head.merges.txt');
+    await writeFile(vocabPath, JSON.stringify(vocab) + '\n');
+    await writeFile(mergesPath, [header, ...merges.slice(0, GPT2_MERGES)].join('\n') + '\n');
+
+    const tokenizer = new Tokenizer(await BPE.fromFile(vocabPath, mergesPath));
+    tokenizer.setPreTokenizer(byteLevelPreTokenizer(false, true));
+    tokenizer.addSpecialTokens([SPECIAL]);
+    await writeFile(join(DIR, 'gpt2-head.added_tokens.json'), JSON.stringify({ [SPECIAL]: tokenizer.tokenToId(SPECIAL) }) + '\n');
+
+    return [...(await tokenizer.encode(SAMPLE_TEXT)).getIds()];
+}
+
+// ─── Split Patterns (Hugging Face tokenizers) ───────────────
+
+/**
+ * Each pattern and the pre-tokens tokenizers' Split (Isolated) cuts
+ * SPLIT_TEXT into. splitPreTokenizer() takes a literal, so the Split step is
+ * loaded the way a tokenizer.json declares a regex.
+ */
+async function splitPatterns() {
+    const { Tokenizer } = await import('tokenizers');
+    const require = createRequire(import.meta.url);
+    const splits = {};
+    for (const [name, source] of Object.entries(SPLIT_PATTERNS)) {
+        const pattern = name === 'possessive' ? source : require(`tiktoken/encoders/${source}.json`).pat_str;
+        const tokenizer = Tokenizer.fromString(JSON.stringify({
+            version: '1.0', added_tokens: [], normalizer: null, post_processor: null, decoder: null,
+            pre_tokenizer: { type: 'Split', pattern: { Regex: pattern }, behavior: 'Isolated', invert: false },
+            model: { type: 'BPE', vocab: {}, merges: [] },
+        }));
+        const pieces = tokenizer.getPreTokenizer().preTokenizeString(SPLIT_TEXT).map(([piece]) => piece);
+        splits[name] = { pattern, pieces };
+    }
+    return splits;
+}
+
+// ─── Main ───────────────────────────────────────────────────
+
+const encodings = {
+    text: SAMPLE_TEXT,
+    tokenizerJson: await hfTokenizer(),
+    tiktoken: await tiktokenRanks(),
+    gpt2Files: await gpt2Files(),
+    splitText: SPLIT_TEXT,
+    splits: await splitPatterns(),
+};
+await writeFile(join(DIR, 'reference-ids.json'), JSON.stringify(encodings) + '\n');
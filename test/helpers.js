@@ -0,0 +1,139 @@
+/**
+ * Shared fixtures for the node:test suites (npm test)
+ *
+ * Everything runs on the CPU backend, which walks the same trie and merge
+ * list as the kernels. When the optional `webgpu` package finds an adapter,
+ * gpuEngine() also returns a WebGPU engine, and the suites run their GPU
+ * cases against it; without one those cases are skipped.
+ */
+
+import { BPEEngine, Backend, BPETrainer, TrieTokenizer, Decoder, Normalizer, createPreTokenizer } from '../src/index.js';
+import { loadShaderFromFile } from '../src/node.js';
+
+// Progress logging would bury the test report (as gpu-bpe --quiet does)
+console.log = () => {};
+console.warn = () => {};
+
+// ─── Corpus ─────────────────────────────────────────────────
+
+const WORDS = [
+    'the', 'tokenizer', "it's", "don't", "we're", "they'll", 'café', 'naïve', 'güzel', 'çalışma',
+    'şehir', 'über', '中文', '字', 'merge', 'rank', 'GPU', 'BPE', '2024', '1234567', '3.14',
+    '"quoted"', "'single'", '(paren)', 'foo_bar', 'x+y', '—', '...', '$5', 'e-mail', 'WORD',
+];
+
+/**
+ * Deterministic mixed-script text: words, contractions, digits and
+ * punctuation in lines of varying length (LCG-driven, so every run sees
+ * the same bytes).
+ *
+ * @param {number} lines
+ * @param {number} [seed]
+ * @returns {string}
+ */
+export function makeCorpus(lines, seed = 1) {
+    let state = seed;
+    const next = (n) => {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        return (state >>> 8) % n;
+    };
+
+    const out = [];
+    for (let i = 0; i < lines; i++) {
+        const count = 3 + next(12);
+        const words = [];
+        for (let w = 0; w < count; w++) words.push(WORDS[next(WORDS.length)]);
+        out.push(words.join(next(5) === 0 ? '  ' : ' ') + (next(4) === 0 ? '.' : ''));
+    }
+    return out.join('\n') + '\n';
+}
+
+export const CORPUS = makeCorpus(400);
+
+// ─── Engines ────────────────────────────────────────────────
+
+let decoder = null;
+let cpu = null;
+let gpu;
+
+/** @returns {Promise<Decoder>} */
+export async function getDecoder() {
+    decoder ??= await Decoder.init();
+    return decoder;
+}
+
+/** @returns {Promise<BPEEngine>} */
+export async function cpuEngine() {
+    cpu ??= await new BPEEngine({ backend: Backend.CPU }).init();
+    return cpu;
+}
+
+/**
+ * A WebGPU engine on the optional `webgpu` package, or null when it is not
+ * installed or finds no adapter.
+ *
+ * @returns {Promise<BPEEngine|null>}
+ */
+export async function gpuEngine() {
+    if (gpu !== undefined) return gpu;
+    try {
+        const { create, globals } = await import('webgpu');
+        if (globals) Object.assign(globalThis, globals);
+        gpu = await new BPEEngine({ gpu: create([]), loadShader: loadShaderFromFile, backend: Backend.GPU }).init();
+    } catch {
+        gpu = null;
+    }
+    return gpu;
+}
+
+/** CPU engine, plus the GPU engine when there is one: [name, engine] pairs */
+export async function engines() {
+    const list = [['cpu', await cpuEngine()]];
+    const gpuBackend = await gpuEngine();
+    if (gpuBackend) list.push(['gpu', gpuBackend]);
+    return list;
+}
+
+// ─── Models ─────────────────────────────────────────────────
+
+/**
+ * Train on `text` (default: CORPUS) with the model's pre-tokenizer, as the
+ * CLI does.
+ *
+ * @param {{ text?: string, targetVocabSize?: number, preTokenizer?: object|string|null, engine?: BPEEngine } & object} [options]
+ *   the rest goes to BPETrainer.train
+ * @returns {Promise<object>} the training result
+ */
+export async function trainModel({ text = CORPUS, targetVocabSize = 600, preTokenizer = 'default', engine = null, ...options } = {}) {
+    const pre = preTokenizer === null ? null : createPreTokenizer(await getDecoder(), preTokenizer);
+    const trainer = new BPETrainer(engine ?? await cpuEngine());
+    return trainer.train(new TextEncoder().encode(text), { targetVocabSize, preTokenizer: pre, ...options });
+}
+
+/**
+ * Tokenizer for a training result.
+ *
+ * @param {BPEEngine} engine
+ * @param {object} model
+ * @param {object} [options] - TrieTokenizer options (chunkSize, mode, …)
+ * @returns {TrieTokenizer}
+ */
+export function tokenizerFor(engine, model, options = {}) {
+    return TrieTokenizer.fromVocab(engine, model.vocab, {
+        merges: model.merges,
+        specialTokens: model.specialTokens,
+        characterCoverage: model.characterCoverage,
+        ...options,
+    });
+}
+
+/**
+ * The model's own pre-tokenizer (rules + normalizer), as encoding uses it.
+ *
+ * @param {object} model
+ * @returns {Promise<import('../src/wasm/pre_tokenizer.mjs').PreTokenizer|import('../src/wasm/regex_pre_tokenizer.mjs').RegexPreTokenizer>}
+ */
+export async function modelPreTokenizer(model) {
+    const d = await getDecoder();
+    return createPreTokenizer(d, model.preTokenizer ?? null, new Normalizer(d, model.normalizer ?? null));
+}
@@ -0,0 +1,78 @@
+/**
+ * Pre-tokens longer than MAX_PRE_TOKEN_BYTES: a multi-KB run without word
+ * starts is encoded as pieces of that many bytes (cut on character starts),
+ * each one exactly as it encodes on its own.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EncodeMode, MAX_PRE_TOKEN_BYTES } from '../src/index.js';
+import { capPreTokens } from '../src/bpe/tokenizer/segmentation.js';
+import { engines, trainModel, tokenizerFor, modelPreTokenizer } from './helpers.js';
+
+const encoder = new TextEncoder();
+
+/** One word of `length` letters, some of them multi-byte */
+function longWord(length) {
+    const letters = [...'etaoinshrdlucé中'];
+    let state = 3;
+    let word = '';
+    for (let i = 0; i < length; i++) {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        word += letters[(state >>> 8) % letters.length];
+    }
+    return word;
+}
+
+const WORD = encoder.encode(longWord(6000));
+const model = await trainModel();
+const preTokenizer = await modelPreTokenizer(model);
+
+/** WORD in MAX_PRE_TOKEN_BYTES pieces, each cut moved on to a character start */
+function pieces() {
+    const parts = [];
+    let start = 0;
+    while (start < WORD.length) {
+        let end = Math.min(start + MAX_PRE_TOKEN_BYTES, WORD.length);
+        while (end < WORD.length && (WORD[end] & 0xC0) === 0x80) end++;
+        parts.push(WORD.subarray(start, end));
+        start = end;
+    }
+    return parts;
+}
+
+test('capPreTokens cuts long pre-tokens on character starts and keeps the rest', () => {
+    const starts = new Uint8Array(WORD.length);
+    starts[0] = 1;
+    const capped = capPreTokens(WORD, starts);
+    assert.deepEqual([...capped.keys()].filter(pos => capped[pos]), pieces().map(part => part.byteOffset));
+    assert.equal(starts.reduce((sum, s) => sum + s), 1, 'the input mask is left alone');
+
+    const short = encoder.encode('a few short words');
+    const shortStarts = Uint8Array.from(short, (b, i) => (i === 0 || b === 0x20 ? 1 : 0));
+    assert.equal(capPreTokens(short, shortStarts), shortStarts);
+});
+
+for (const [backend, engine] of await engines()) {
+    const tokenizer = tokenizerFor(engine, model);
+
+    for (const mode of [EncodeMode.MERGE, EncodeMode.LONGEST]) {
+        for (const pre of [null, preTokenizer]) {
+            const label = `${backend} ${mode}, ${pre ? 'model pre-tokenizer' : 'byte-level word starts'}`;
+
+            test(`${label}: a multi-KB pre-token encodes piece by piece`, async () => {
+                const encode = async (bytes) => [...await tokenizer.encodeBytes(bytes, { mode, preTokenizer: pre })];
+                const expected = [];
+                for (const part of pieces()) expected.push(...await encode(part));
+
+                assert.deepEqual(await encode(WORD), expected);
+
+                // …wherever it starts
+                const text = encoder.encode(`some words before\n${longWord(6000)}`);
+                const tokens = await encode(text);
+                assert.deepEqual(tokens.slice(-expected.length), expected);
+            });
+        }
+    }
+}
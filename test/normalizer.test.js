@@ -0,0 +1,115 @@
+/**
+ * Normalizer settings — none, NFC, NFKC, case folding, accent stripping:
+ * what each does to text, that a model JSON records them and reads them
+ * back, and that encoding normalizes as training did (special tokens kept
+ * as given).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EncodeMode, Normalizer, resolveNormalizerRules, normalizerLabel, toModelJson, parseModelFile } from '../src/index.js';
+import { TokenizerManager } from '../src/bpe/tokenizer/tokenizer-manager.js';
+import { makeCorpus, engines, getDecoder, trainModel, tokenizerFor, modelPreTokenizer } from './helpers.js';
+
+const EOS = '<|EOS|>';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const d = await getDecoder();
+
+// Decomposed é, a ligature, ß (simple case folding keeps it), full-width
+// letters, a superscript
+const SAMPLE = 'Cafe\u0301 ﬁne Straße ＡＢ²';
+
+/** Each setting and what it makes of SAMPLE */
+const SETTINGS = [
+    ['none', 'none', SAMPLE],
+    ['nfc', 'NFC', 'Caf\u00E9 ﬁne Straße ＡＢ²'],
+    ['nfkc', 'NFKC', 'Caf\u00E9 fine Straße AB2'],
+    ['nfkc_cf', 'NFKC+casefold', 'caf\u00E9 fine straße ab2'],
+    [{ form: 'none', caseFold: true }, 'none+casefold', 'cafe\u0301 ﬁne straße ａｂ²'],
+    [{ form: 'NFC', stripAccents: true }, 'NFC+strip-accents', 'Cafe ﬁne Straße ＡＢ²'],
+    [{ form: 'NFKC', caseFold: true, stripAccents: true }, 'NFKC+casefold+strip-accents', 'cafe fine straße ab2'],
+];
+
+const TEXT = [makeCorpus(30, 7), `${SAMPLE} GPU Naïve${EOS}`, makeCorpus(30, 8), `ﬁne ＧＰＵ Über${EOS}\n`].join('\n');
+
+test('shorthands and partial rules resolve to complete settings', () => {
+    assert.deepEqual(resolveNormalizerRules(null), { form: 'NFC', caseFold: false, stripAccents: false });
+    assert.deepEqual(resolveNormalizerRules('NFKC_CF'), { form: 'NFKC', caseFold: true, stripAccents: false });
+    assert.deepEqual(resolveNormalizerRules({ stripAccents: true }), { form: 'NFC', caseFold: false, stripAccents: true });
+    assert.ok(Object.isFrozen(resolveNormalizerRules({ form: 'none' })));
+});
+
+test('unknown names, forms and rules, and accent stripping without a form, are refused', () => {
+    assert.throws(() => resolveNormalizerRules('nfd'), /Unknown normalizer "nfd"/);
+    assert.throws(() => resolveNormalizerRules({ form: 'NFD' }), /Invalid normalizer form: "NFD"/);
+    assert.throws(() => resolveNormalizerRules({ lowercase: true }), /Unknown normalizer rule "lowercase"/);
+    assert.throws(() => resolveNormalizerRules({ caseFold: 'yes' }), /must be booleans/);
+    assert.throws(() => resolveNormalizerRules({ form: 'none', stripAccents: true }), /needs a normalization form/);
+    assert.throws(() => new Normalizer(d, { form: 'none', stripAccents: true }), /needs a normalization form/);
+});
+
+for (const [spec, label, expected] of SETTINGS) {
+    test(`${label} normalizes text and bytes alike`, () => {
+        const normalizer = new Normalizer(d, spec);
+        assert.equal(normalizerLabel(spec), label);
+        assert.equal(normalizer.normalize(SAMPLE), expected);
+        assert.deepEqual([...normalizer.normalizeBytes(encoder.encode(SAMPLE))], [...encoder.encode(expected)]);
+        assert.equal(normalizer.normalize(expected), expected, 'normalizing twice changes nothing');
+    });
+}
+
+for (const [spec, label] of SETTINGS) {
+    const normalizer = new Normalizer(d, spec);
+    // Special-token text is not the model's to normalize
+    const normalized = TEXT.split(EOS).map(part => normalizer.normalize(part)).join(EOS);
+    const trained = await trainModel({ text: TEXT, targetVocabSize: 400, specialTokens: [EOS], normalizer });
+
+    // As the app loads it: model JSON on disk, read back
+    const model = parseModelFile('model.json', JSON.stringify(toModelJson(trained)));
+    const preTokenizer = await modelPreTokenizer(model);
+
+    test(`${label}: the model JSON records the rules and reads them back`, () => {
+        assert.deepEqual(trained.normalizer, resolveNormalizerRules(spec));
+        assert.deepEqual(model.normalizer, trained.normalizer);
+        assert.deepEqual(preTokenizer.normalizer.rules, trained.normalizer);
+    });
+
+    test(`${label}: training learns merges from the normalized text`, () => {
+        const haystack = Buffer.from(encoder.encode(normalized));
+        for (const [, , id] of trained.merges) {
+            assert.ok(haystack.includes(Buffer.from(trained.vocab[id])), `token ${id} occurs in the normalized text`);
+        }
+    });
+
+    for (const [backend, engine] of await engines()) {
+        const tokenizer = tokenizerFor(engine, model);
+
+        for (const mode of [EncodeMode.MERGE, EncodeMode.LONGEST]) {
+            test(`${backend} ${mode}, ${label}: encoding normalizes as training did`, async () => {
+                const tokens = await tokenizer.encodeBytes(encoder.encode(TEXT), { mode, preTokenizer, allowedSpecial: 'all' });
+                const ids = [...tokens];
+                assert.equal(ids.filter(id => id === model.specialTokens[EOS]).length, 2, `${EOS} is kept as given`);
+                assert.equal(decoder.decode(Uint8Array.from(ids.flatMap(id => model.vocab[id]))), normalized);
+
+                const prenormalized = await tokenizer.encodeBytes(encoder.encode(normalized), { mode, preTokenizer, allowedSpecial: 'all' });
+                assert.deepEqual(ids, [...prenormalized]);
+            });
+        }
+
+        test(`${backend}, ${label}: the normalizer option alone normalizes too`, async () => {
+            const tokens = await tokenizer.encodeBytes(encoder.encode(TEXT), { normalizer, allowedSpecial: 'all' });
+            assert.equal(decoder.decode(Uint8Array.from([...tokens].flatMap(id => model.vocab[id]))), normalized);
+        });
+    }
+
+    test(`TokenizerManager, ${label}: encoding normalizes as training did`, async () => {
+        const manager = new TokenizerManager(null, { getTrainedModel: () => model }, null);
+        const { tokens } = await manager.encode(TEXT, { allowedSpecial: 'all', normalizer: preTokenizer.normalizer, preTokenizer });
+        const [[, cpu]] = await engines();
+        const alone = await tokenizerFor(cpu, model).encodeBytes(encoder.encode(TEXT), { preTokenizer, allowedSpecial: 'all' });
+        assert.deepEqual([...tokens], [...alone]);
+    });
+}
@@ -0,0 +1,100 @@
+/**
+ * encodeWithOffsets: token ranges index the original text even when NFC or
+ * NFKC changed it — byte for byte where normalization left the text alone,
+ * the whole original character where it did not — in TrieTokenizer and
+ * TokenizerManager alike.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EncodeMode } from '../src/index.js';
+import { TokenizerManager } from '../src/bpe/tokenizer/tokenizer-manager.js';
+import { makeCorpus, engines, trainModel, tokenizerFor, modelPreTokenizer } from './helpers.js';
+
+const EOT = '<|endoftext|>';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const model = await trainModel({ specialTokens: [EOT] });
+
+// Decomposed é (NFC composes it), a ligature, fullwidth letters, a circled
+// digit and the Ångström sign (NFKC rewrites them), Hangul jamo, untouched CJK
+const TEXT = `${makeCorpus(3, 2)}cafe\u0301 ﬁne ＡＢＣ ① \u212B \u1100\u1161${EOT}中文 naïve\n${makeCorpus(2, 3)}`;
+const ORIGINAL = encoder.encode(TEXT);
+
+/** Byte range of `needle` in the original text */
+function rangeOf(needle) {
+    const start = encoder.encode(TEXT.slice(0, TEXT.indexOf(needle))).length;
+    return [start, start + encoder.encode(needle).length];
+}
+
+/**
+ * Ranges cover the original in order, each one the token's own bytes or
+ * whole characters normalization changed — and the changed characters
+ * asserted on below map as a whole.
+ */
+function assertOffsets({ tokens, starts, ends }, form) {
+    assert.equal(starts.length, tokens.length);
+    assert.equal(starts[0], 0);
+    assert.equal(ends[tokens.length - 1], ORIGINAL.length);
+
+    for (let i = 0; i < tokens.length; i++) {
+        assert.ok(starts[i] <= ends[i], `token ${i} range`);
+        if (i > 0) assert.ok(starts[i] >= starts[i - 1] && starts[i] <= ends[i - 1], `token ${i} follows token ${i - 1}`);
+
+        const original = ORIGINAL.subarray(starts[i], ends[i]);
+        const own = Uint8Array.from(model.vocab[tokens[i]]);
+        if (original.length === own.length && original.every((b, j) => b === own[j])) continue;
+
+        const text = decoder.decode(original);
+        assert.ok(text.isWellFormed() && !text.includes('�'), `token ${i} maps into a character`);
+        assert.notEqual(text.normalize(form), text, `token ${i} maps to text ${form} leaves alone`);
+    }
+
+    // A token in a changed character gets all of it; a special token is kept as is
+    const changed = form === 'NFC' ? ['e\u0301', '\u1100\u1161'] : ['e\u0301', '\u1100\u1161', 'ﬁ', 'Ａ', '①', '\u212B'];
+    for (const needle of [...changed, EOT]) {
+        const [start, end] = rangeOf(needle);
+        const covering = [...starts.keys()].filter(i => starts[i] < end && ends[i] > start);
+        assert.ok(covering.length > 0, needle);
+        for (const i of covering) assert.ok(starts[i] <= start && ends[i] >= end, `token ${i} covers all of ${needle}`);
+    }
+}
+
+for (const form of ['NFC', 'NFKC']) {
+    const normalizer = { normalize: text => text.normalize(form) };
+    const preTokenizer = await modelPreTokenizer({ ...model, normalizer: { form } });
+
+    for (const [backend, engine] of await engines()) {
+        const tokenizer = tokenizerFor(engine, model);
+
+        for (const mode of [EncodeMode.MERGE, EncodeMode.LONGEST]) {
+            test(`${backend} ${mode}, ${form}: offsets map back to the original text`, async () => {
+                const result = await tokenizer.encodeWithOffsets(TEXT, { mode, preTokenizer, allowedSpecial: 'all' });
+                const normalized = encoder.encode(TEXT.normalize(form));
+                const tokens = await tokenizer.encodeBytes(normalized, { mode, preTokenizer, allowedSpecial: 'all' });
+                assert.deepEqual([...result.tokens], [...tokens]);
+                assertOffsets(result, form);
+            });
+        }
+
+        test(`${backend}, ${form} as normalize: offsets map back to the original text`, async () => {
+            assertOffsets(await tokenizer.encodeWithOffsets(TEXT, { normalize: normalizer, allowedSpecial: 'all' }), form);
+        });
+    }
+
+    test(`TokenizerManager, ${form}: offsets map back to the original text`, async () => {
+        const manager = new TokenizerManager(null, { getTrainedModel: () => model }, null);
+        assertOffsets(await manager.encodeWithOffsets(TEXT, { preTokenizer, allowedSpecial: 'all' }), form);
+    });
+}
+
+test('without normalizing, offsets index the input as given', async () => {
+    const [[, cpu]] = await engines();
+    const { tokens, starts, ends } = await tokenizerFor(cpu, model).encodeWithOffsets(ORIGINAL);
+    for (let i = 0; i < tokens.length; i++) {
+        assert.deepEqual([...ORIGINAL.subarray(starts[i], ends[i])], model.vocab[tokens[i]]);
+    }
+    assert.equal(ends[tokens.length - 1], ORIGINAL.length);
+});
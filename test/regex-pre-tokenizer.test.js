@@ -0,0 +1,57 @@
+/**
+ * RegexPreTokenizer: tiktoken and tokenizer.json split patterns — \p{…}
+ * classes, scoped (?i:…), lookahead, possessive quantifiers, atomic groups
+ * and POSIX classes — cut text where Hugging Face tokenizers' Split does
+ * (fixtures/reference-ids.json, see generate.mjs).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { Normalizer, RegexPreTokenizer, createPreTokenizer } from '../src/index.js';
+import { getDecoder } from './helpers.js';
+
+const reference = JSON.parse(await readFile(new URL('./fixtures/reference-ids.json', import.meta.url), 'utf8'));
+const decoder = await getDecoder();
+const none = new Normalizer(decoder, 'none');
+
+/** The pre-tokens a pre-tokenizer cuts `text` into */
+function pieces(preTokenizer, text) {
+    const { bytes, wordStarts } = preTokenizer.preTokenizeBytes(new TextEncoder().encode(text));
+    const out = [];
+    let start = 0;
+    for (let pos = 1; pos <= bytes.length; pos++) {
+        if (pos < bytes.length && !wordStarts[pos]) continue;
+        out.push(new TextDecoder().decode(bytes.subarray(start, pos)));
+        start = pos;
+    }
+    return out;
+}
+
+for (const [name, { pattern, pieces: expected }] of Object.entries(reference.splits)) {
+    test(`the ${name} pattern splits like tokenizers`, () => {
+        assert.deepEqual(pieces(new RegexPreTokenizer(decoder, pattern, none), reference.splitText), expected);
+    });
+}
+
+test('the cl100k preset splits like tiktoken\'s own cl100k pattern', () => {
+    const preset = createPreTokenizer(decoder, 'cl100k', none);
+    assert.equal(preset.rules.preset, 'cl100k');
+    assert.deepEqual(pieces(preset, reference.splitText), reference.splits.cl100k.pieces);
+});
+
+test('text no match covers is a pre-token of its own', () => {
+    assert.deepEqual(pieces(new RegexPreTokenizer(decoder, String.raw`\p{L}+`, none), 'ab 12 cd!'), ['ab', ' 12 ', 'cd', '!']);
+});
+
+test('the pattern is recorded as the rules and splits the normal form', () => {
+    const pattern = String.raw` ?\p{L}+|\p{N}|\s+|.`;
+    const preTokenizer = createPreTokenizer(decoder, { preset: 'regex', pattern }, new Normalizer(decoder, 'nfkc'));
+    assert.deepEqual(preTokenizer.rules, { preset: 'regex', pattern });
+    assert.deepEqual(pieces(preTokenizer, 'ﬁne ①②'), ['fine', ' ', '1', '2']);
+});
+
+test('a pattern with an unknown property is refused', () => {
+    assert.throws(() => new RegexPreTokenizer(decoder, String.raw`\p{NoSuchThing}+`, none), /unknown property "NoSuchThing"/);
+});
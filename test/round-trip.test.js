@@ -0,0 +1,112 @@
+/**
+ * RoundTripVerifier on exports as the export panel runs them: files that
+ * decode to themselves are exact, a file only the normalizer changed is
+ * told apart, and a corrupted token stream is caught at the right file.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    EncodeMode, RoundTripVerifier, RoundTripStatus, Normalizer, normalizeChunks, tokenizeToDxft,
+} from '../src/index.js';
+import { CORPUS, makeCorpus, engines, getDecoder, trainModel, tokenizerFor, modelPreTokenizer } from './helpers.js';
+
+const SPECIAL = '<|endoftext|>';
+const encoder = new TextEncoder();
+const separator = encoder.encode('\n\n');
+
+const FILES = [
+    { name: 'a.txt', text: makeCorpus(40, 3) },
+    { name: 'decomposed.txt', text: 'cafe\u0301 nai\u0308ve\n' + makeCorpus(10, 4) },   // NFC composes these
+    { name: 'b.txt', text: CORPUS.slice(0, 3000) },
+    { name: 'c.txt', text: makeCorpus(20, 5) },
+];
+
+const model = await trainModel({ specialTokens: [SPECIAL] });
+const normalizer = new Normalizer(await getDecoder(), model.normalizer);
+const preTokenizer = await modelPreTokenizer(model);
+const EOS = model.specialTokens[SPECIAL];
+
+/** Source chunks of one file, split mid code point */
+function* chunks(text) {
+    const bytes = encoder.encode(text);
+    for (let i = 0; i < bytes.length; i += 101) yield bytes.subarray(i, i + 101);
+}
+
+/**
+ * Export FILES through a verifier, the way the export panel wires it.
+ *
+ * @param {import('../src/index.js').TrieTokenizer} tokenizer
+ * @param {{ mode: string, perDocument: boolean, corrupt?: (tokens: Uint32Array) => void }} options
+ *   corrupt: edits token batches between the tokenizer and the verifier
+ */
+async function verifiedExport(tokenizer, { mode, perDocument, corrupt = null }) {
+    const eosId = perDocument ? EOS : null;
+    const verifier = new RoundTripVerifier(tokenizer, {
+        perDocument, eosId, separator, normalize: text => normalizer.normalize(text),
+    });
+    const docs = FILES.map(({ name, text }) => normalizeChunks(verifier.source(name, chunks(text)), normalizer));
+
+    const sink = { writeTokens: async () => {}, startDocument: async () => {} };
+    const watched = verifier.watch(sink);
+    const writer = corrupt
+        ? { ...watched, writeTokens: (tokens) => { corrupt(tokens); return watched.writeTokens(tokens); } }
+        : watched;
+
+    await tokenizeToDxft(tokenizer, writer, docs, {
+        perDocument, eosId, separator, encodeOptions: { mode, preTokenizer, windowSize: 2048 },
+    });
+    return verifier.finish();
+}
+
+/** Replace the token at stream position `target` by another one */
+function corruptAt(target) {
+    let seen = 0;
+    return (tokens) => {
+        const i = target - seen;
+        if (i >= 0 && i < tokens.length) tokens[i] = tokens[i] === 101 ? 102 : 101;
+        seen += tokens.length;
+    };
+}
+
+const statuses = report => report.files.map(({ name, status }) => [name, status]);
+
+for (const [backend, engine] of await engines()) {
+    const tokenizer = tokenizerFor(engine, model);
+
+    for (const mode of [EncodeMode.MERGE, EncodeMode.LONGEST]) {
+        for (const perDocument of [false, true]) {
+            const label = `${backend} ${mode}, ${perDocument ? 'per document' : 'joined'}`;
+
+            test(`${label}: every file round-trips`, async () => {
+                const report = await verifiedExport(tokenizer, { mode, perDocument });
+                assert.deepEqual(statuses(report), [
+                    ['a.txt', RoundTripStatus.EXACT],
+                    ['decomposed.txt', RoundTripStatus.NORMALIZATION],
+                    ['b.txt', RoundTripStatus.EXACT],
+                    ['c.txt', RoundTripStatus.EXACT],
+                ]);
+                assert.equal(report.replacementChars, 0);
+            });
+        }
+    }
+
+    test(`${backend}: a changed token is reported in its file`, async () => {
+        // Far enough in to land in b.txt
+        const head = encoder.encode(FILES[0].text + FILES[1].text);
+        const target = (await tokenizer.encodeBytes(head, { preTokenizer })).length + 500;
+
+        for (const perDocument of [false, true]) {
+            const report = await verifiedExport(tokenizer, { mode: EncodeMode.MERGE, perDocument, corrupt: corruptAt(target) });
+
+            const [a, decomposed, b, c] = report.files;
+            assert.equal(a.status, RoundTripStatus.EXACT);
+            assert.equal(decomposed.status, RoundTripStatus.NORMALIZATION);
+            assert.equal(b.status, RoundTripStatus.MISMATCH);
+            assert.ok(b.firstMismatch > 0 && b.firstMismatch < b.sourceBytes);
+            // Joined, the stream cannot be realigned after a real difference
+            assert.equal(c.status, perDocument ? RoundTripStatus.EXACT : RoundTripStatus.UNCHECKED);
+        }
+    });
+}
@@ -0,0 +1,100 @@
+/**
+ * Special tokens: reserved ids right after the bytes that no merge touches,
+ * matched atomically by every encoder only when `allowedSpecial` lets them
+ * through (spelled out otherwise), and carried in the model a DXFT file embeds.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EncodeMode, encodeDxft, readDxft, toModelJson } from '../src/index.js';
+import { TokenizerManager } from '../src/bpe/tokenizer/tokenizer-manager.js';
+import { makeCorpus, engines, trainModel, tokenizerFor, modelPreTokenizer } from './helpers.js';
+
+const EOT = '<|endoftext|>';
+const PAD = '<|pad|>';
+const IM_START = '<|im_start|>';
+
+const model = await trainModel({ specialTokens: [EOT, PAD, IM_START] });
+const preTokenizer = await modelPreTokenizer(model);
+const specialIds = new Set(Object.values(model.specialTokens));
+
+// Documents around the special tokens, plus a special token cut short
+const PARTS = [makeCorpus(5, 3), EOT, makeCorpus(5, 4), PAD, IM_START, 'user: <|endof', EOT];
+const TEXT = PARTS.join('');
+
+const encoder = new TextEncoder();
+
+/**
+ * Tokens `allowed` should give: each allowed special token's id, the text
+ * between them encoded on its own.
+ */
+async function expectedTokens(encode, allowed) {
+    const tokens = [];
+    let text = '';
+    for (const part of [...PARTS, null]) {
+        if (part !== null && !allowed.includes(part)) {
+            text += part;
+            continue;
+        }
+        if (text) tokens.push(...await encode(text));
+        if (part !== null) tokens.push(model.specialTokens[part]);
+        text = '';
+    }
+    return tokens;
+}
+
+test('special tokens take the ids after the bytes and no merge produces or consumes them', () => {
+    assert.deepEqual(model.specialTokens, { [EOT]: 256, [PAD]: 257, [IM_START]: 258 });
+    assert.deepEqual(model.vocab[256], [...encoder.encode(EOT)]);
+    for (const [a, b, id] of model.merges) {
+        assert.ok(id >= 259, `merge into ${id}`);
+        assert.ok(!specialIds.has(a) && !specialIds.has(b), `merge of ${a} and ${b}`);
+    }
+});
+
+for (const [backend, engine] of await engines()) {
+    const tokenizer = tokenizerFor(engine, model);
+
+    for (const mode of [EncodeMode.MERGE, EncodeMode.LONGEST]) {
+        const encode = async (text, allowedSpecial = null) =>
+            [...await tokenizer.encodeBytes(encoder.encode(text), { mode, preTokenizer, allowedSpecial })];
+
+        test(`${backend} ${mode}: allowed special tokens are matched whole, the rest is text`, async () => {
+            assert.deepEqual(await encode(TEXT, 'all'), await expectedTokens(encode, [EOT, PAD, IM_START]));
+            assert.deepEqual(await encode(TEXT, [EOT]), await expectedTokens(encode, [EOT]));
+        });
+
+        test(`${backend} ${mode}: special tokens are spelled out unless allowed`, async () => {
+            const tokens = await encode(TEXT);
+            assert.ok(!tokens.some(id => specialIds.has(id)));
+            assert.equal(new TextDecoder().decode(Uint8Array.from(tokens.flatMap(id => model.vocab[id]))), TEXT);
+        });
+    }
+}
+
+test('TokenizerManager.encode matches allowed special tokens whole', async () => {
+    const manager = new TokenizerManager(null, { getTrainedModel: () => model }, null);
+    const encode = async (text, allowedSpecial = null) =>
+        (await manager.encode(text, { allowedSpecial, preTokenizer })).tokens;
+
+    assert.deepEqual(await encode(TEXT, 'all'), await expectedTokens(encode, [EOT, PAD, IM_START]));
+    assert.deepEqual(await encode(TEXT, [PAD, IM_START]), await expectedTokens(encode, [PAD, IM_START]));
+    assert.ok(!(await encode(TEXT)).some(id => specialIds.has(id)));
+});
+
+test('an allowed special token the model does not have is rejected', async () => {
+    const [[, cpu]] = await engines();
+    await assert.rejects(
+        tokenizerFor(cpu, model).encodeBytes(encoder.encode(TEXT), { allowedSpecial: ['<|im_end|>'] }),
+        /Unknown special token "<\|im_end\|>"/,
+    );
+});
+
+test('a DXFT file embeds the special tokens with the model', async () => {
+    const { bytes } = encodeDxft(Uint32Array.of(1, 256, 2), model.vocabSize, toModelJson(model));
+    const dxft = await readDxft(bytes);
+    assert.deepEqual(dxft.issues, []);
+    assert.deepEqual(dxft.model.specialTokens, model.specialTokens);
+    assert.deepEqual(dxft.model.vocab[257], [...encoder.encode(PAD)]);
+});
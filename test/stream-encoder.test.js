@@ -0,0 +1,88 @@
+/**
+ * encodeStream: the tokens of all windows, concatenated, are the tokens of
+ * one encodeBytes call on the whole input — for windows down to the
+ * smallest allowed, fed in pieces that fall anywhere in a code point, and
+ * across a pre-token too long to find a word start in.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EncodeMode, encodeStream } from '../src/index.js';
+import { CORPUS, makeCorpus, engines, trainModel, tokenizerFor, modelPreTokenizer } from './helpers.js';
+
+const SPECIAL = '<|endoftext|>';
+const WINDOW_SIZES = [1, 513, 1000, 4096];
+const PIECE_SIZE = 97;
+
+const encoder = new TextEncoder();
+const model = await trainModel({ specialTokens: [SPECIAL] });
+const preTokenizer = await modelPreTokenizer(model);
+
+// Documents separated by the special token, plus a run with no word start
+const TEXT = [makeCorpus(30, 7), makeCorpus(30, 8), 'x'.repeat(3000), CORPUS.slice(0, 4000)].join(SPECIAL);
+const BYTES = encoder.encode(TEXT);
+
+// One word longer than the 64 KB a window cut looks back for a word start
+const LONG_BYTES = encoder.encode(`${makeCorpus(20, 9)}\n${longWord(150_000)}\n${makeCorpus(20, 10)}`);
+const LONG_WINDOW_SIZES = [1, 20_000, 100_000];
+
+/** A word of `length` letters, some of them multi-byte */
+function longWord(length) {
+    const letters = [...'etaoinshrdlucé中'];
+    let state = 11;
+    let word = '';
+    for (let i = 0; i < length; i++) {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        word += letters[(state >>> 8) % letters.length];
+    }
+    return word;
+}
+
+function* pieces(bytes) {
+    for (let i = 0; i < bytes.length; i += PIECE_SIZE) yield bytes.subarray(i, i + PIECE_SIZE);
+}
+
+async function streamed(tokenizer, options, bytes = BYTES) {
+    const out = [];
+    for await (const tokens of encodeStream(tokenizer, pieces(bytes), options)) out.push(...tokens);
+    return out;
+}
+
+for (const [backend, engine] of await engines()) {
+    for (const chunkSize of [64, undefined]) {
+        const tokenizer = tokenizerFor(engine, model, chunkSize ? { chunkSize } : {});
+
+        for (const mode of [EncodeMode.MERGE, EncodeMode.LONGEST]) {
+            for (const pre of [null, preTokenizer]) {
+                for (const allowedSpecial of [null, 'all']) {
+                    const label = `${backend} ${mode}, chunk ${tokenizer.chunkSize}, ${pre ? 'model pre-tokenizer' : 'byte-level word starts'}`
+                        + `${allowedSpecial ? ', special tokens' : ''}`;
+
+                    test(`${label}: streaming equals encoding the whole input`, async () => {
+                        const options = { mode, preTokenizer: pre, allowedSpecial };
+                        const whole = [...await tokenizer.encodeBytes(BYTES, options)];
+                        for (const windowSize of WINDOW_SIZES) {
+                            assert.deepEqual(await streamed(tokenizer, { ...options, windowSize }), whole, `window ${windowSize}`);
+                        }
+                    });
+                }
+            }
+        }
+    }
+
+    const tokenizer = tokenizerFor(engine, model);
+    for (const mode of [EncodeMode.MERGE, EncodeMode.LONGEST]) {
+        for (const pre of [null, preTokenizer]) {
+            const label = `${backend} ${mode}, ${pre ? 'model pre-tokenizer' : 'byte-level word starts'}`;
+
+            test(`${label}: a pre-token longer than the cut search streams like the whole input`, async () => {
+                const options = { mode, preTokenizer: pre };
+                const whole = [...await tokenizer.encodeBytes(LONG_BYTES, options)];
+                for (const windowSize of LONG_WINDOW_SIZES) {
+                    assert.deepEqual(await streamed(tokenizer, { ...options, windowSize }, LONG_BYTES), whole, `window ${windowSize}`);
+                }
+            });
+        }
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * StreamingDecoder: a code point split across tokens is held back until the
+ * token that completes it arrives, so every push returns whole code points
+ * and the pushes together decode like all tokens at once.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StreamingDecoder } from '../src/index.js';
+import { makeCorpus, cpuEngine, trainModel, tokenizerFor } from './helpers.js';
+
+const encoder = new TextEncoder();
+
+// 中 = E4 B8 AD, 😀 = F0 9F 98 80, é = C3 A9
+const BYTES = Array.from({ length: 256 }, (_, b) => [b]);
+const TAIL_HEAD = BYTES.length;   // "中" tail + "é" head: B8 AD C3
+const vocab = [...BYTES, [0xB8, 0xAD, 0xC3]];
+
+test('a code point split across tokens comes out with the token that completes it', () => {
+    const decoder = new StreamingDecoder(vocab);
+    assert.deepEqual([0xE4, TAIL_HEAD, 0xA9, 0x21].map(id => decoder.push(id)), ['', '中', 'é', '!']);
+    assert.deepEqual([0xF0, 0x9F, 0x98, 0x80].map(id => decoder.push(id)), ['', '', '', '😀']);
+    assert.equal(decoder.flush(), '');
+});
+
+test('flush ends a cut-off code point with U+FFFD and starts a new stream', () => {
+    const decoder = new StreamingDecoder(vocab);
+    assert.equal(decoder.pushAll([0x61, 0xF0, 0x9F]), 'a');
+    assert.equal(decoder.flush(), '�');
+    assert.equal(decoder.pushAll([0x98, 0x80]), '��');
+
+    decoder.reset();
+    assert.equal(decoder.pushAll([0xE4, 0xB8]), '');
+    decoder.reset();
+    assert.equal(decoder.pushAll([0x62]) + decoder.flush(), 'b');
+});
+
+test('ids outside the vocab and null slots decode to U+FFFD', () => {
+    const decoder = StreamingDecoder.fromModel({ vocab: [...BYTES, null] });
+    assert.equal(decoder.pushAll([0x61, 256, 0x62, 9999]) + decoder.flush(), 'a�b�');
+    assert.throws(() => StreamingDecoder.fromModel({}), /missing vocab/);
+});
+
+test('pushing a trained model\'s tokens one by one decodes the text, in whole code points', async () => {
+    const text = `${makeCorpus(40, 12)}😀 naïve 中文字 🧪\n`;
+    const model = await trainModel();
+    const tokens = await tokenizerFor(await cpuEngine(), model).encodeBytes(encoder.encode(text));
+
+    // Some token must end inside a code point for the test to mean anything
+    const entries = [...tokens].map(id => model.vocab[id]);
+    assert.ok(entries.some(bytes => (bytes.at(-1) & 0xC0) === 0xC0 || (bytes[0] & 0xC0) === 0x80));
+
+    const decoder = StreamingDecoder.fromModel(model);
+    const pieces = [...tokens].map(id => decoder.push(id));
+    for (const piece of pieces) assert.ok(piece.isWellFormed() && !piece.includes('�'), JSON.stringify(piece));
+    assert.equal(pieces.join('') + decoder.flush(), text);
+});
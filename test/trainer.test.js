@@ -0,0 +1,111 @@
+/**
+ * BPETrainer: the vocabulary limit, reuse after job control, and GPU training — on text and past
+ * 16-bit token ids — against the CPU merge runner (the reference for
+ * train.wgsl).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BPETrainer, MAX_VOCAB_SIZE } from '../src/index.js';
+import { CORPUS, cpuEngine, gpuEngine, trainModel } from './helpers.js';
+
+const WORD_START_BIT = 0x8000_0000;
+
+/**
+ * A snapshot as if training had already assigned ids up to past 65,536:
+ * one merge for each byte pair, then words over an alphabet of the newest
+ * tokens (on both sides of 65,536) and a few bytes.
+ *
+ * @param {number} mergeCount
+ * @returns {import('../src/bpe/checkpoint-store.js').TrainingSnapshot}
+ */
+function wideSnapshot(mergeCount) {
+    const merges = Array.from({ length: mergeCount }, (_, i) => [i >> 8, i & 0xFF, 256 + i]);
+    const nextTokenId = 256 + mergeCount;
+    const alphabet = [
+        ...Array.from({ length: 24 }, (_, i) => nextTokenId - 1 - i * 7),
+        ...Array.from({ length: 8 }, (_, i) => 97 + i),
+    ];
+
+    let state = 7;
+    const next = (n) => {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        return (state >>> 8) % n;
+    };
+
+    // Skewed picks, so pair counts rarely tie (and runs of one symbol occur)
+    const symbols = [];
+    for (let w = 0; w < 1500; w++) {
+        const length = 2 + next(5);
+        for (let i = 0; i < length; i++) {
+            const id = alphabet[Math.min(next(alphabet.length), next(alphabet.length))];
+            symbols.push(i === 0 ? (id | WORD_START_BIT) >>> 0 : id);
+        }
+    }
+
+    const iterState = new Uint32Array(12);
+    iterState[0] = symbols.length;
+    iterState[3] = nextTokenId;
+    return { targetVocabSize: MAX_VOCAB_SIZE, merges, symbols: new Uint32Array(symbols), iterState, savedAt: 0 };
+}
+
+test('a vocabulary above MAX_VOCAB_SIZE is rejected', async () => {
+    const trainer = new BPETrainer(await cpuEngine());
+    for (const targetVocabSize of [MAX_VOCAB_SIZE + 1, 1e9, NaN, 1024.5]) {
+        await assert.rejects(
+            trainer.train(CORPUS, { targetVocabSize }),
+            new RegExp(`must be an integer of at most ${MAX_VOCAB_SIZE}`),
+        );
+    }
+});
+
+test('a trainer runs again after a cancel or a pause', async () => {
+    const trainer = new BPETrainer(await cpuEngine());
+    const straight = await new BPETrainer(await cpuEngine()).train(CORPUS, { targetVocabSize: 500 });
+
+    const cancelled = await trainer.train(CORPUS, {
+        targetVocabSize: 500, onProgress: () => trainer.cancel(),
+    });
+    assert.equal(cancelled.cancelled, true);
+    assert.ok(cancelled.merges.length < straight.merges.length);
+
+    trainer.cancel();
+    const afterCancel = await trainer.train(CORPUS, { targetVocabSize: 500 });
+    assert.equal(afterCancel.cancelled, false);
+    assert.deepEqual(afterCancel.merges, straight.merges);
+
+    trainer.pause();
+    const afterPause = await trainer.train(CORPUS, { targetVocabSize: 500 });
+    assert.deepEqual(afterPause.merges, straight.merges);
+    assert.equal(trainer.isPaused, false);
+});
+
+const gpu = await gpuEngine();
+
+const skip = !gpu && 'no WebGPU adapter';
+
+test('GPU training matches the CPU merge runner', { skip }, async () => {
+    const text = CORPUS.slice(0, 3000) + '\naaaa aaaaa ---- ...... zzzzzzz\n'.repeat(5);
+    for (const preTokenizer of ['default', null]) {
+        const train = async (engine) => (await trainModel({ text, targetVocabSize: 272, preTokenizer, engine })).merges;
+        assert.deepEqual(await train(gpu), await train(await cpuEngine()), `pre-tokenizer ${preTokenizer}`);
+    }
+});
+
+test('GPU merges past token id 65,535 match the CPU merge runner', { skip }, async () => {
+    const snapshot = wideSnapshot(65_400);
+    const targetVocabSize = 256 + snapshot.merges.length + 24;
+
+    const train = async (engine) => {
+        const result = await new BPETrainer(engine).train(new Uint8Array(0), {
+            targetVocabSize, resumeFrom: { ...snapshot, symbols: snapshot.symbols.slice() },
+        });
+        return result.merges.slice(snapshot.merges.length);
+    };
+
+    const cpuMerges = await train(await cpuEngine());
+    assert.equal(cpuMerges.length, 24);
+    assert.ok(cpuMerges.some(([a, b]) => a > 0xFFFF && b > 0xFFFF), 'pairs of wide ids');
+    assert.deepEqual(await train(gpu), cpuMerges);
+});